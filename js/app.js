@@ -15,6 +15,10 @@ class CourseForgeApp {
     this.coursePreviewController = null;
     this.chunkUIController = null;
     this.generationUIController = null;
+    this.providerSettingsController = null;
+    this.revisionHistoryController = null;
+    this.courseLibraryController = null;
+    this.collabController = null;
 
     // Initialize timer tracking
     this.timers = [];
@@ -64,6 +68,9 @@ class CourseForgeApp {
    * Initialize core application components with proper async handling
    */
   async initializeComponents() {
+    // ADDED: The open course is read from the library asynchronously
+    await this.stateManager.ready;
+
     // Check browser support
     const support = FileProcessor.checkBrowserSupport();
     if (!support.allSupported) {
@@ -89,10 +96,10 @@ class CourseForgeApp {
     } catch (error) {
       console.error("Failed to initialize LLM Service:", error);
       StatusManager.showWarning(
-        "AI features may not work properly. Check your API configuration."
+        "AI features may not work properly. Check the AI Provider settings."
       );
-      // Continue without AI service - app should still work for non-AI features
-      this.llmService = null;
+      // Keep the service so the provider can be fixed from the UI; the app
+      // still works for non-AI features (and local chunking) meanwhile
     }
 
     // Initialize managers with proper dependency injection
@@ -109,6 +116,19 @@ class CourseForgeApp {
       this.llmService
     );
 
+    // ADDED: Records a revision for every change to a chunk
+    this.revisionHistory = new RevisionHistory(
+      this.stateManager,
+      this.eventSystem
+    );
+
+    // ADDED: Optional real-time collaboration on the chunks
+    this.collabClient = new CollabClient(this.stateManager, this.eventSystem);
+    window.collabClient = this.collabClient;
+
+    // ADDED: Renders narration audio for exports
+    this.ttsRenderer = new TTSRenderer(this.llmService);
+
     // Set up auto-save and validation
     this.setupAutoSaveIndicator();
     this.initializeFormValidation();
@@ -145,6 +165,35 @@ class CourseForgeApp {
     );
     window.generationUIController = this.generationUIController;
 
+    this.providerSettingsController = new ProviderSettingsController(
+      this.stateManager,
+      this.eventSystem
+    );
+
+    this.revisionHistoryController = new RevisionHistoryController(
+      this.stateManager,
+      this.eventSystem
+    );
+    window.revisionHistoryController = this.revisionHistoryController;
+
+    this.courseLibraryController = new CourseLibraryController(
+      this.stateManager,
+      this.eventSystem
+    );
+    window.courseLibraryController = this.courseLibraryController;
+
+    this.collabController = new CollabController(
+      this.stateManager,
+      this.eventSystem
+    );
+    window.collabController = this.collabController;
+
+    this.assessmentSettingsController = new AssessmentSettingsController(
+      this.stateManager,
+      this.eventSystem
+    );
+    window.assessmentSettingsController = this.assessmentSettingsController;
+
     // Verify all controllers are properly assigned
     if (CONFIG.DEBUG.ENABLED) {
       console.log("Controllers initialized:", {
@@ -181,6 +230,21 @@ class CourseForgeApp {
       );
     }
 
+    // ADDED: Version history dialog for chunk and generation cards
+    if (this.revisionHistoryController && this.revisionHistory) {
+      this.revisionHistoryController.setRevisionHistory(this.revisionHistory);
+    }
+
+    // ADDED: Presence and soft-locks on chunk and generation cards
+    if (this.collabController && this.collabClient) {
+      this.collabController.setCollabClient(this.collabClient);
+    }
+
+    // ADDED: Provider settings switch the LLM service at runtime
+    if (this.providerSettingsController && this.llmService) {
+      this.providerSettingsController.setLLMService(this.llmService);
+    }
+
     // Initialize all controllers
     if (this.chunkUIController) {
       this.chunkUIController.initialize();
@@ -189,6 +253,10 @@ class CourseForgeApp {
     if (this.generationUIController) {
       this.generationUIController.initialize();
     }
+
+    if (this.providerSettingsController) {
+      this.providerSettingsController.initialize();
+    }
   }
 
   /**
@@ -217,6 +285,9 @@ class CourseForgeApp {
       { id: "addChunkBtn", handler: () => this.chunkManager.addNewChunk() },
       { id: "exportJsonBtn", handler: () => this.exportCourseJson() },
       { id: "exportHtmlBtn", handler: () => this.exportCourseHtml() },
+      { id: "exportScormBtn", handler: () => this.exportCourseScorm() },
+      { id: "exportCmi5Btn", handler: () => this.exportCourseCmi5() },
+      { id: "exportCaptionsBtn", handler: () => this.exportCaptions() },
       {
         id: "previewCourseBtn",
         handler: () => this.coursePreviewController.previewCourse(),
@@ -225,6 +296,14 @@ class CourseForgeApp {
         id: "loadCourseBtn",
         handler: () => this.triggerCourseLoad(),
       },
+      {
+        id: "courseLibraryBtn",
+        handler: () => this.courseLibraryController.open(),
+      },
+      {
+        id: "collabBtn",
+        handler: () => this.collabController.open(),
+      },
       // FIXED: Generate all button - ensure it's properly handled here as backup
       {
         id: "generateAllBtn",
@@ -284,6 +363,7 @@ class CourseForgeApp {
       { id: "estimatedDuration", path: "courseConfig.estimatedDuration" },
       { id: "targetAudience", path: "courseConfig.targetAudience" },
       { id: "additionalGuidance", path: "courseConfig.additionalGuidance" },
+      { id: "chunkingMethodSelect", path: "courseConfig.chunkingMethod" },
     ];
 
     formEvents.forEach(({ id, path }) => {
@@ -314,6 +394,52 @@ class CourseForgeApp {
         handler,
       });
     }
+
+    this.setupNarrationAudioSettings();
+    this.setupScormVersionSelect();
+  }
+
+  /**
+   * ADDED: Offer the SCORM versions ScormPackager supports
+   */
+  setupScormVersionSelect() {
+    const versionSelect = this.safeGetElement("scormVersionSelect");
+    if (!versionSelect) return;
+
+    CONFIG.EXPORT.SCORM_VERSIONS.forEach((version) => {
+      versionSelect.add(new Option(version.label, version.value));
+    });
+    versionSelect.value = CONFIG.EXPORT.DEFAULT_SCORM_VERSION;
+  }
+
+  /**
+   * ADDED: Fill the narration audio export settings and save them on change
+   */
+  setupNarrationAudioSettings() {
+    const backendSelect = this.safeGetElement("ttsBackendSelect");
+    if (!backendSelect) return;
+
+    TTSRenderer.list().forEach((backend) => {
+      backendSelect.add(new Option(backend.label, backend.id));
+    });
+
+    const settings = TTSRenderer.loadSettings();
+    const fields = {
+      ttsBackendSelect: "backend",
+      ttsServerInput: "serverUrl",
+      ttsVoiceInput: "voice",
+    };
+
+    Object.entries(fields).forEach(([id, key]) => {
+      const element = this.safeGetElement(id);
+      if (!element) return;
+
+      element.value = settings[key];
+      const handler = () =>
+        TTSRenderer.saveSettings(this.getNarrationAudioSettings());
+      element.addEventListener("change", handler);
+      this.eventHandlers.set(id, { element, event: "change", handler });
+    });
   }
 
   /**
@@ -329,6 +455,16 @@ class CourseForgeApp {
     this.stateManager.subscribe("isProcessing", (isProcessing) => {
       this.updateProcessingUI(isProcessing);
     });
+
+    // ADDED: Another course was opened from the library
+    this.eventSystem.on("course:switched", () => {
+      this.restoreUIFromState();
+
+      const currentTab = this.stateManager.getState("currentTab");
+      if (!this.tabManager.isTabEnabled(currentTab)) {
+        this.tabManager.switchTab("input");
+      }
+    });
   }
 
   /**
@@ -336,7 +472,16 @@ class CourseForgeApp {
    */
   setupWindowEvents() {
     this.beforeUnloadHandler = (e) => {
-      const hasUnsavedWork = this.hasUnsavedWork();
+      // ADDED: Library courses are saved as they change. A save still
+      // waiting out its delay starts now; library writes are asynchronous,
+      // so the page still asks before closing to give it time to finish.
+      let hasUnsavedWork;
+      if (this.stateManager.isLibraryEnabled()) {
+        hasUnsavedWork = this.stateManager.hasPendingSave();
+        if (hasUnsavedWork) this.stateManager.flushSave();
+      } else {
+        hasUnsavedWork = this.hasUnsavedWork();
+      }
       if (hasUnsavedWork) {
         e.preventDefault();
         e.returnValue =
@@ -360,12 +505,77 @@ class CourseForgeApp {
         "You are offline. Your work will be saved locally."
       );
 
+    // ADDED: Ctrl+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes; text fields keep
+    // their own undo
+    this.undoKeyHandler = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+      const target = e.target;
+      if (
+        target &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+      ) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        this.redo();
+      }
+    };
+
     // Add listeners
     window.addEventListener("beforeunload", this.beforeUnloadHandler);
     window.addEventListener("error", this.errorHandler);
     window.addEventListener("unhandledrejection", this.rejectionHandler);
     window.addEventListener("online", this.onlineHandler);
     window.addEventListener("offline", this.offlineHandler);
+    document.addEventListener("keydown", this.undoKeyHandler);
+  }
+
+  /**
+   * ADDED: Revert the last editor change
+   */
+  undo() {
+    this.applyHistoryStep("undo");
+  }
+
+  /**
+   * ADDED: Re-apply the last undone change
+   */
+  redo() {
+    this.applyHistoryStep("redo");
+  }
+
+  /**
+   * ADDED: Run an undo or redo step and report it
+   * @param {string} direction - "undo" or "redo"
+   */
+  applyHistoryStep(direction) {
+    if (this.stateManager.transaction) {
+      StatusManager.showInfo("Wait for the current change to finish");
+      return;
+    }
+
+    const entry =
+      direction === "undo" ? this.stateManager.undo() : this.stateManager.redo();
+
+    if (!entry) {
+      StatusManager.showInfo(`Nothing to ${direction}`);
+      return;
+    }
+
+    const verb = direction === "undo" ? "Undid" : "Redid";
+    StatusManager.showInfo(`${verb}: ${entry.label}`);
+    this.eventSystem.emit(
+      direction === "undo" ? "state:undone" : "state:redone",
+      { label: entry.label }
+    );
   }
 
   /**
@@ -388,7 +598,7 @@ class CourseForgeApp {
   }
 
   /**
-   * Rechunk content using AI
+   * Rechunk content with the selected chunking method (AI or local)
    */
   async rechunkContent() {
     if (!this.chunkManager) {
@@ -426,23 +636,270 @@ class CourseForgeApp {
     const courseData = this.stateManager.exportCourseData();
 
     const jsonString = JSON.stringify(courseData, null, 2);
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const filename = `course-${timestamp}.json`;
+    // ENHANCED: Versioned project file, see CourseFormat
+    const filename = CourseFormat.getFilename(courseData.courseConfig.title);
 
     FileProcessor.downloadAsFile(jsonString, filename, "application/json");
-    StatusManager.showSuccess("Course exported as JSON");
+    StatusManager.showSuccess("Course saved as a project file");
 
     if (CONFIG.DEBUG.ENABLED) {
-      console.log("Course JSON exported in state manager format:", courseData);
+      console.log("Course project file exported:", courseData);
     }
   }
 
   /**
    * Export course as HTML (FIXED VERSION)
    */
-  exportCourseHtml() {
+  async exportCourseHtml() {
     console.log("=== EXPORTING COURSE HTML ===");
 
+    const courseData = this.buildExportCourseData();
+    if (!courseData) return;
+
+    let exportOptions;
+    let assets;
+    try {
+      exportOptions = {
+        ...this.getTrackingExportOptions(courseData),
+        ...this.getQuizExportOptions(),
+      };
+      assets = await this.renderNarrationAudio(courseData);
+    } catch (error) {
+      StatusManager.showError(error.message);
+      return;
+    }
+
+    // Create HTML exporter and generate HTML
+    const htmlExporter = new HTMLExporter();
+    const timestamp = new Date().toISOString().slice(0, 10);
+
+    // ADDED: Rendered narration audio ships next to index.html in a zip
+    if (Object.keys(assets).length > 0) {
+      const files = htmlExporter.generateCoursePackage(courseData, {
+        ...exportOptions,
+        assets,
+      });
+
+      FileProcessor.downloadAsFile(
+        ZipArchive.create(files),
+        `course-${timestamp}.zip`,
+        "application/zip"
+      );
+      StatusManager.showSuccess("Course exported as HTML with narration audio");
+      return;
+    }
+
+    const htmlContent = htmlExporter.generateCourseHtml(
+      courseData,
+      exportOptions
+    );
+
+    // Download the file
+    const filename = `course-${timestamp}.html`;
+
+    FileProcessor.downloadAsFile(htmlContent, filename, "text/html");
+    StatusManager.showSuccess("Course exported as HTML");
+
+    console.log("=== HTML EXPORT COMPLETE ===");
+  }
+
+  /**
+   * Export course as a zipped SCORM package using the selected SCORM version
+   */
+  async exportCourseScorm() {
+    const courseData = this.buildExportCourseData();
+    if (!courseData) return;
+
+    const versionSelect = this.safeGetElement("scormVersionSelect");
+    const version = versionSelect
+      ? versionSelect.value
+      : CONFIG.EXPORT.DEFAULT_SCORM_VERSION;
+
+    try {
+      const exportOptions = {
+        ...this.getTrackingExportOptions(courseData),
+        ...this.getQuizExportOptions(),
+      };
+      const assets = await this.renderNarrationAudio(courseData);
+      const htmlExporter = new HTMLExporter();
+      const packageBlob = htmlExporter.generateScormPackage(
+        courseData,
+        version,
+        { ...exportOptions, assets }
+      );
+
+      const timestamp = new Date().toISOString().slice(0, 10);
+      const filename = `course-scorm${version.replace(".", "")}-${timestamp}.zip`;
+
+      FileProcessor.downloadAsFile(packageBlob, filename, "application/zip");
+      StatusManager.showSuccess(`Course exported as SCORM ${version} package`);
+    } catch (error) {
+      console.error("SCORM export failed:", error);
+      StatusManager.showError(`SCORM export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export course as a zipped cmi5 package with one AU per chunk group
+   */
+  async exportCourseCmi5() {
+    const courseData = this.buildExportCourseData();
+    if (!courseData) return;
+
+    try {
+      const assets = await this.renderNarrationAudio(courseData);
+      const groups = this.chunkManager.getChunkGroups(courseData.slides);
+      const packager = new Cmi5Packager();
+      const packageBlob = packager.buildPackage(
+        courseData,
+        groups,
+        new HTMLExporter(),
+        { assets, ...this.getQuizExportOptions() }
+      );
+
+      const timestamp = new Date().toISOString().slice(0, 10);
+      FileProcessor.downloadAsFile(
+        packageBlob,
+        `course-cmi5-${timestamp}.zip`,
+        "application/zip"
+      );
+      StatusManager.showSuccess("Course exported as cmi5 package");
+    } catch (error) {
+      console.error("cmi5 export failed:", error);
+      StatusManager.showError(`cmi5 export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * ADDED: Download the WebVTT captions of every narrated slide as a zip,
+   * e.g. for an LMS media library. Timed from rendered narration audio
+   * when a narration backend is set, otherwise from the speaking rate.
+   */
+  async exportCaptions() {
+    const courseData = this.buildExportCourseData();
+    if (!courseData) return;
+
+    try {
+      await this.renderNarrationAudio(courseData);
+
+      const files = {};
+      courseData.slides.forEach((slide) => {
+        const script = this.ttsRenderer.getScript(slide);
+        if (!script) return;
+
+        const cues = slide.narration
+          ? slide.narration.cues
+          : WebVTT.buildCues(script);
+        files[WebVTT.getPath(slide)] = WebVTT.toVtt(cues);
+      });
+
+      if (Object.keys(files).length === 0) {
+        StatusManager.showWarning("No slides have an audio script to caption");
+        return;
+      }
+
+      const timestamp = new Date().toISOString().slice(0, 10);
+      FileProcessor.downloadAsFile(
+        ZipArchive.create(files),
+        `course-captions-${timestamp}.zip`,
+        "application/zip"
+      );
+      StatusManager.showSuccess(
+        `Captions exported for ${Object.keys(files).length} slides`
+      );
+    } catch (error) {
+      console.error("Caption export failed:", error);
+      StatusManager.showError(`Caption export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get tracking options for exports from the xAPI settings form
+   * Throws if an LRS endpoint is set but invalid
+   */
+  getTrackingExportOptions(courseData) {
+    const endpointInput = this.safeGetElement("xapiEndpointInput");
+    const authInput = this.safeGetElement("xapiAuthInput");
+    const endpoint = endpointInput ? endpointInput.value.trim() : "";
+
+    if (!endpoint) {
+      return {};
+    }
+
+    const tracker = new XAPITracker({
+      endpoint,
+      auth: authInput ? authInput.value : "",
+    });
+
+    return { trackingScripts: [tracker.getRuntimeScript(courseData)] };
+  }
+
+  /**
+   * ADDED: Quiz options for exports from the quiz answer settings
+   */
+  getQuizExportOptions() {
+    const secureQuizCheckbox = this.safeGetElement("secureQuizCheckbox");
+    return { secureQuiz: !!(secureQuizCheckbox && secureQuizCheckbox.checked) };
+  }
+
+  /**
+   * ADDED: Narration audio export settings from the form
+   * @returns {Object} {backend, serverUrl, voice}; backend "" is off
+   */
+  getNarrationAudioSettings() {
+    const value = (id) => {
+      const element = this.safeGetElement(id);
+      return element ? element.value.trim() : "";
+    };
+
+    return {
+      backend: value("ttsBackendSelect"),
+      serverUrl: value("ttsServerInput"),
+      voice: value("ttsVoiceInput"),
+    };
+  }
+
+  /**
+   * ADDED: Render narration audio when it is enabled in the export settings,
+   * and attach each file's path and duration to its slide (slide.narration)
+   * @returns {Promise<Object>} Audio files for the package, by path
+   */
+  async renderNarrationAudio(courseData) {
+    const settings = this.getNarrationAudioSettings();
+    if (!settings.backend) return {};
+
+    StatusManager.showLoading("Rendering narration audio...");
+
+    let result;
+    try {
+      result = await this.ttsRenderer.renderCourse(
+        courseData.slides,
+        settings,
+        (rendered, total) =>
+          StatusManager.showProgress(
+            "Rendering narration audio",
+            (rendered / total) * 100
+          )
+      );
+    } catch (error) {
+      console.error("Narration audio rendering failed:", error);
+      throw new Error(`Narration audio failed: ${error.message}`);
+    }
+
+    courseData.slides.forEach((slide) => {
+      if (result.narrations[slide.id]) {
+        slide.narration = result.narrations[slide.id];
+      }
+    });
+
+    return result.files;
+  }
+
+  /**
+   * Build export course data from chunks with generated content
+   * Returns null (and shows an error) when there is nothing to export
+   */
+  buildExportCourseData() {
     // Get course data in the correct format
     const chunks = this.stateManager.getState("chunks") || [];
     const courseConfig = this.stateManager.getState("courseConfig");
@@ -460,7 +917,7 @@ class CourseForgeApp {
       StatusManager.showError(
         "No generated content to export. Please generate some slides first."
       );
-      return;
+      return null;
     }
 
     // FIXED: Convert chunks to the format expected by slideRenderer (keep generatedContent property)
@@ -470,6 +927,7 @@ class CourseForgeApp {
         targetAudience: courseConfig.targetAudience || "",
         estimatedDuration: courseConfig.estimatedDuration || "",
         learningObjectives: courseConfig.learningObjectives || [],
+        assessment: AssessmentSettingsController.getSettings(courseConfig),
       },
       slides: chunksWithContent.map((chunk) => ({
         id: chunk.id,
@@ -494,18 +952,7 @@ class CourseForgeApp {
       courseData.slides[0]?.generatedContent
     );
 
-    // Create HTML exporter and generate HTML
-    const htmlExporter = new HTMLExporter();
-    const htmlContent = htmlExporter.generateCourseHtml(courseData);
-
-    // Download the file
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const filename = `course-${timestamp}.html`;
-
-    FileProcessor.downloadAsFile(htmlContent, filename, "text/html");
-    StatusManager.showSuccess("Course exported as HTML");
-
-    console.log("=== HTML EXPORT COMPLETE ===");
+    return courseData;
   }
 
   /**
@@ -549,6 +996,7 @@ class CourseForgeApp {
       targetAudience: config.targetAudience || "",
       learningObjectives: (config.learningObjectives || []).join("\n"),
       additionalGuidance: config.additionalGuidance || "",
+      chunkingMethodSelect: config.chunkingMethod || "auto",
     };
 
     Object.entries(elements).forEach(([id, value]) => {
@@ -593,6 +1041,9 @@ class CourseForgeApp {
       "proceedToGenerationBtn",
       "exportJsonBtn",
       "exportHtmlBtn",
+      "exportScormBtn",
+      "exportCmi5Btn",
+      "exportCaptionsBtn",
       "generateAllBtn", // ADDED: Include generate all button
     ];
 
@@ -837,12 +1288,17 @@ class CourseForgeApp {
     window.removeEventListener("unhandledrejection", this.rejectionHandler);
     window.removeEventListener("online", this.onlineHandler);
     window.removeEventListener("offline", this.offlineHandler);
+    document.removeEventListener("keydown", this.undoKeyHandler);
 
     // Cleanup controllers
     if (this.fileUploadController) this.fileUploadController.cleanup();
     if (this.coursePreviewController) this.coursePreviewController.cleanup();
     if (this.chunkUIController) this.chunkUIController.cleanup();
     if (this.generationUIController) this.generationUIController.cleanup();
+    if (this.collabController) this.collabController.cleanup();
+    if (this.assessmentSettingsController) {
+      this.assessmentSettingsController.cleanup();
+    }
 
     // Cleanup managers
     if (this.eventSystem) this.eventSystem.removeAllListeners();
@@ -0,0 +1,173 @@
+/**
+ * Course Forge MVP - Assessment Settings Controller
+ * Graded Assessment panel of the generation tab: whether exports grade the
+ * knowledge checks, which of them count, the passing score, the attempts
+ * allowed and option shuffling. Settings live in courseConfig.assessment.
+ */
+
+class AssessmentSettingsController {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+    this.eventHandlers = [];
+    this.unsubscribers = [];
+
+    this.setupEventListeners();
+    this.unsubscribers.push(
+      this.stateManager.subscribe("courseConfig", () => this.render()),
+      this.stateManager.subscribe("chunks", () => this.render())
+    );
+    this.render();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("AssessmentSettingsController initialized");
+    }
+  }
+
+  /**
+   * Assessment settings of a course config, with defaults for missing ones
+   * (courses saved before assessments existed have none)
+   */
+  static getSettings(courseConfig) {
+    return {
+      ...CONFIG.DEFAULTS.COURSE_CONFIG.assessment,
+      ...((courseConfig && courseConfig.assessment) || {}),
+    };
+  }
+
+  getSettings() {
+    return AssessmentSettingsController.getSettings(
+      this.stateManager.getState("courseConfig")
+    );
+  }
+
+  /**
+   * Save changed settings to the course
+   */
+  update(changes) {
+    this.stateManager.setState("courseConfig.assessment", {
+      ...this.getSettings(),
+      ...changes,
+    });
+  }
+
+  setupEventListeners() {
+    const listen = (id, event, handler) => {
+      const element = document.getElementById(id);
+      if (!element) return;
+      element.addEventListener(event, handler);
+      this.eventHandlers.push({ element, event, handler });
+    };
+
+    listen("assessmentEnabledCheckbox", "change", (e) =>
+      this.update({ enabled: e.target.checked })
+    );
+
+    listen("assessmentPassingScoreInput", "change", (e) => {
+      const score = parseFloat(e.target.value);
+      this.update({
+        passingScore: isNaN(score)
+          ? CONFIG.DEFAULTS.COURSE_CONFIG.assessment.passingScore
+          : Math.min(100, Math.max(0, score)),
+      });
+    });
+
+    listen("assessmentAttemptsInput", "change", (e) => {
+      const attempts = parseInt(e.target.value, 10);
+      this.update({ attempts: attempts > 0 ? attempts : 0 });
+    });
+
+    listen("assessmentRandomizeCheckbox", "change", (e) =>
+      this.update({ randomizeOptions: e.target.checked })
+    );
+
+    listen("assessmentQuestionList", "change", (e) => {
+      const chunkId = e.target.dataset.chunkId;
+      if (!chunkId) return;
+
+      const excluded = this.getSettings().excludedChunkIds.filter(
+        (id) => id !== chunkId
+      );
+      if (!e.target.checked) excluded.push(chunkId);
+      this.update({ excludedChunkIds: excluded });
+    });
+  }
+
+  /**
+   * Sync the panel with the course
+   */
+  render() {
+    const settings = this.getSettings();
+    const setValue = (id, property, value) => {
+      const element = document.getElementById(id);
+      if (!element) return;
+      if (document.activeElement !== element) element[property] = value;
+      if (id !== "assessmentEnabledCheckbox") {
+        element.disabled = !settings.enabled;
+      }
+    };
+
+    setValue("assessmentEnabledCheckbox", "checked", settings.enabled);
+    setValue("assessmentPassingScoreInput", "value", settings.passingScore);
+    setValue("assessmentAttemptsInput", "value", settings.attempts);
+    setValue(
+      "assessmentRandomizeCheckbox",
+      "checked",
+      settings.randomizeOptions
+    );
+
+    const questions = (this.stateManager.getState("chunks") || []).filter(
+      (chunk) => chunk.slideType === "multipleChoice"
+    );
+    const counted = questions.filter(
+      (chunk) => !settings.excludedChunkIds.includes(chunk.id)
+    );
+
+    const list = document.getElementById("assessmentQuestionList");
+    if (list) {
+      list.innerHTML =
+        questions.length === 0
+          ? '<p class="export-settings-hint">No knowledge checks yet.</p>'
+          : questions
+              .map(
+                (chunk) => `
+              <label class="export-settings-check">
+                <input type="checkbox" data-chunk-id="${this.escapeHtml(
+                  chunk.id
+                )}" ${counted.includes(chunk) ? "checked" : ""} ${
+                  settings.enabled ? "" : "disabled"
+                } />
+                ${this.escapeHtml(chunk.title || "Knowledge Check")}
+              </label>
+            `
+              )
+              .join("");
+    }
+
+    const summary = document.getElementById("assessmentSummary");
+    if (summary) {
+      summary.textContent = settings.enabled
+        ? `${counted.length} of ${questions.length} knowledge checks count ` +
+          `toward the score. Learners need ${settings.passingScore}% to ` +
+          `pass and print a certificate.`
+        : "Knowledge checks are ungraded practice in exports.";
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  cleanup() {
+    this.eventHandlers.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventHandlers = [];
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+}
+
+window.AssessmentSettingsController = AssessmentSettingsController;
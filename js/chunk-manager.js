@@ -40,16 +40,6 @@ class ChunkManager {
         "Generating content chunks..."
       );
 
-      // Validate LLM service availability
-      if (!this.llmService) {
-        throw new Error(
-          "AI service not available. Please check your configuration."
-        );
-      }
-
-      // Ensure LLM service is ready
-      await this.llmService.ensureReady();
-
       // Get course configuration
       if (!courseConfig) {
         courseConfig = this.stateManager.getState("courseConfig");
@@ -84,8 +74,8 @@ class ChunkManager {
 
       StatusManager.showLoading("Analyzing content and generating chunks...");
 
-      // Generate chunks using LLM
-      const generatedChunks = await this.llmService.generateChunks(
+      // Generate chunks using LLM or the local chunker
+      const { chunks: generatedChunks, method } = await this.runChunker(
         courseConfig
       );
 
@@ -105,20 +95,25 @@ class ChunkManager {
       // Merge with locked chunks
       const finalChunks = this.mergeChunks(lockedChunks, generatedChunks);
 
-      // Update state
-      this.stateManager.setState("chunks", finalChunks);
-
-      // Emit success event
-      this.eventSystem.emit("chunks:generated", {
-        chunks: finalChunks,
-        count: finalChunks.length,
-        generatedCount: generatedChunks.length,
-        lockedCount: lockedChunks.length,
-        preservedGroundTruths: preservedGroundTruths.size,
+      // Update state; changes made by listeners are undone along with it
+      this.stateManager.runTransaction("Re-chunk content", () => {
+        this.stateManager.setState("chunks", finalChunks);
+
+        // Emit success event
+        this.eventSystem.emit("chunks:generated", {
+          chunks: finalChunks,
+          count: finalChunks.length,
+          generatedCount: generatedChunks.length,
+          method: method,
+          lockedCount: lockedChunks.length,
+          preservedGroundTruths: preservedGroundTruths.size,
+        });
       });
 
       StatusManager.showSuccess(
-        `Successfully generated ${generatedChunks.length} chunks!${
+        `Successfully generated ${generatedChunks.length} chunks${
+          method === "local" ? " (local chunker)" : ""
+        }!${
           lockedChunks.length > 0
             ? ` (${lockedChunks.length} locked chunks preserved)`
             : ""
@@ -149,6 +144,52 @@ class ChunkManager {
     }
   }
 
+  /**
+   * ADDED: Run the chunker selected by courseConfig.chunkingMethod.
+   * "auto" uses the AI when it is reachable and falls back to LocalChunker,
+   * "local" never calls the AI and "ai" fails if the AI does.
+   * @returns {Promise<Object>} {chunks, method}
+   */
+  async runChunker(courseConfig) {
+    const chunkingMethod = courseConfig.chunkingMethod || "auto";
+
+    if (chunkingMethod === "local") {
+      return {
+        chunks: LocalChunker.generateChunks(courseConfig),
+        method: "local",
+      };
+    }
+
+    try {
+      if (!this.llmService) {
+        throw new Error(
+          "AI service not available. Please check your configuration."
+        );
+      }
+
+      await this.llmService.ensureReady();
+      const chunks = await this.llmService.generateChunks(courseConfig);
+
+      if (!chunks || chunks.length === 0) {
+        throw new Error("No chunks were generated");
+      }
+
+      return { chunks, method: "ai" };
+    } catch (error) {
+      if (chunkingMethod === "ai") throw error;
+
+      console.warn("AI chunking unavailable, using local chunker:", error);
+      StatusManager.showWarning(
+        `AI chunking unavailable (${error.message}). Using the local chunker.`
+      );
+
+      return {
+        chunks: LocalChunker.generateChunks(courseConfig),
+        method: "local",
+      };
+    }
+  }
+
   /**
    * Regenerate all chunks
    */
@@ -297,7 +338,7 @@ class ChunkManager {
     };
 
     chunks.push(newChunk);
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, { undoLabel: "Add chunk" });
 
     this.eventSystem.emit("chunk:added", { chunk: newChunk });
     StatusManager.showSuccess("New chunk added");
@@ -348,7 +389,7 @@ class ChunkManager {
       chunk.order = index;
     });
 
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, { undoLabel: "Remove chunk" });
 
     this.eventSystem.emit("chunk:removed", {
       chunkId: targetId,
@@ -386,7 +427,9 @@ class ChunkManager {
     };
 
     chunks.push(duplicatedChunk);
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: "Duplicate chunk",
+    });
 
     this.eventSystem.emit("chunk:duplicated", {
       originalId: targetId,
@@ -423,7 +466,7 @@ class ChunkManager {
       chunk.order = index;
     });
 
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, { undoLabel: "Move chunk" });
 
     this.eventSystem.emit("chunk:moved", {
       chunkId: targetId,
@@ -459,7 +502,7 @@ class ChunkManager {
       chunk.order = index;
     });
 
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, { undoLabel: "Move chunk" });
 
     this.eventSystem.emit("chunk:moved", {
       chunkId: targetId,
@@ -483,7 +526,9 @@ class ChunkManager {
     }
 
     chunk.isLocked = !chunk.isLocked;
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: chunk.isLocked ? "Lock chunk" : "Unlock chunk",
+    });
 
     this.eventSystem.emit("chunk:lock-toggled", {
       chunkId: targetId,
@@ -533,7 +578,9 @@ class ChunkManager {
     // FIXED: Restore preserved ground truth
     chunk.groundTruth = preservedGroundTruth;
 
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: "Change slide type",
+    });
 
     this.eventSystem.emit("chunk:type-changed", {
       chunkId: targetId,
@@ -558,7 +605,7 @@ class ChunkManager {
     }
 
     chunk.title = newTitle.trim();
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, { undoLabel: "Rename chunk" });
 
     this.eventSystem.emit("chunk:title-updated", {
       chunkId: targetId,
@@ -582,7 +629,9 @@ class ChunkManager {
     }
 
     chunk.sourceContent = newContent.trim();
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: "Edit source content",
+    });
 
     this.eventSystem.emit("chunk:source-updated", {
       chunkId: targetId,
@@ -617,7 +666,9 @@ class ChunkManager {
       updated: true,
     });
 
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: "Edit ground truth",
+    });
 
     this.eventSystem.emit("chunk:ground-truth-updated", {
       chunkId: targetId,
@@ -643,6 +694,27 @@ class ChunkManager {
     return this.stateManager.getState("chunks") || [];
   }
 
+  /**
+   * ADDED: Group chunks into sections, using title slides as section breaks
+   * @param {Array} chunks - Chunks (or export slides) to group; defaults to all chunks
+   * @returns {Array} [{title, chunks}] in chunk order
+   */
+  getChunkGroups(chunks = this.getAllChunks()) {
+    const sorted = [...chunks].sort((a, b) => a.order - b.order);
+    const groups = [];
+    let current = null;
+
+    sorted.forEach((chunk) => {
+      if (!current || (chunk.slideType === "title" && current.chunks.length)) {
+        current = { title: chunk.title, chunks: [] };
+        groups.push(current);
+      }
+      current.chunks.push(chunk);
+    });
+
+    return groups;
+  }
+
   /**
    * ENHANCED: Get chunks summary with more detailed stats
    */
@@ -705,7 +777,9 @@ class ChunkManager {
     });
 
     if (updatedCount > 0) {
-      this.stateManager.setState("chunks", chunks);
+      this.stateManager.setState("chunks", chunks, {
+        undoLabel: "Update chunks",
+      });
       StatusManager.showSuccess(`Updated ${updatedCount} chunks`);
     }
 
@@ -753,7 +827,9 @@ class ChunkManager {
       }));
     }
 
-    this.stateManager.setState("chunks", finalChunks);
+    this.stateManager.setState("chunks", finalChunks, {
+      undoLabel: "Import chunks",
+    });
 
     this.eventSystem.emit("chunks:imported", {
       importedCount: importData.chunks.length,
@@ -770,6 +846,135 @@ class ChunkManager {
     return finalChunks;
   }
 
+  /**
+   * ADDED: Chunks for presentation slides, one per visible slide. Slide text
+   * is mapped straight into generatedContent so an existing deck can be
+   * restyled without an LLM round-trip; speaker notes become source content.
+   * Add them with importPresentationChunks.
+   */
+  buildPresentationChunks(slides, filename = "presentation") {
+    const visibleSlides = (slides || []).filter((slide) => !slide.hidden);
+
+    if (visibleSlides.length === 0) {
+      throw new Error("Presentation has no visible slides to import");
+    }
+
+    const importedAt = new Date().toISOString();
+    return visibleSlides.map((slide) => {
+      const slideType = this.guessPresentationSlideType(slide);
+      const bodyText = slide.paragraphs
+        .map((p) => `${"  ".repeat(p.level)}${p.bullet ? "- " : ""}${p.text}`)
+        .join("\n");
+      const title = slide.title || `Slide ${slide.number}`;
+      const words = `${bodyText} ${slide.notes}`.split(/\s+/).filter(Boolean);
+      const minutes = Math.max(1, Math.ceil(words.length / 150));
+
+      return {
+        title: title,
+        slideType: slideType,
+        sourceContent: slide.notes || bodyText,
+        groundTruth: bodyText
+          ? `Keep the on-slide content of ${filename} slide ${slide.number}:\n${bodyText}`
+          : "",
+        estimatedTime: `${minutes} minute${minutes === 1 ? "" : "s"}`,
+        isLocked: false,
+        generatedContent: this.buildPresentationSlideContent(slide, slideType),
+        source: { filename, slideNumber: slide.number, layout: slide.layout },
+        createdAt: importedAt,
+      };
+    });
+  }
+
+  /**
+   * ADDED: Append chunks built from presentations after the existing ones,
+   * in one state change. Nothing is replaced, so no confirmation is needed.
+   * @param {Array} chunks - From buildPresentationChunks, all decks of an
+   *   upload together
+   * @param {string[]} sources - Filenames of the decks
+   * @returns {Array} The added chunks with ids and order
+   */
+  importPresentationChunks(chunks, sources = []) {
+    const existingChunks = this.stateManager.getState("chunks") || [];
+    const newChunks = chunks.map((chunk, index) => {
+      const order = existingChunks.length + index;
+      return {
+        ...chunk,
+        id: `chunk_${Date.now()}_${order}_${Math.floor(Math.random() * 1000)}`,
+        order: order,
+      };
+    });
+    const finalChunks = [...existingChunks, ...newChunks];
+
+    this.stateManager.setState("chunks", finalChunks, {
+      undoLabel: "Import slides",
+    });
+
+    this.eventSystem.emit("chunks:imported", {
+      importedCount: newChunks.length,
+      totalCount: finalChunks.length,
+      merged: existingChunks.length > 0,
+      source: sources.join(", "),
+    });
+
+    return newChunks;
+  }
+
+  /**
+   * ADDED: Guess a slide type from the presentation layout and its content
+   */
+  guessPresentationSlideType(slide) {
+    const bullets = slide.paragraphs.filter((p) => p.bullet);
+
+    if (
+      slide.paragraphs.length === 0 ||
+      ["title", "titleOnly", "secHead"].includes(slide.layout)
+    ) {
+      return "title";
+    }
+
+    if (bullets.length >= 2) {
+      return "textAndBullets";
+    }
+
+    return "textAndImage";
+  }
+
+  /**
+   * ADDED: Map presentation slide text onto the generated content fields of a slide type
+   */
+  buildPresentationSlideContent(slide, slideType) {
+    const header = slide.title || `Slide ${slide.number}`;
+    const plainText = slide.paragraphs
+      .filter((p) => slideType !== "textAndBullets" || !p.bullet)
+      .map((p) => p.text)
+      .join("\n\n");
+
+    switch (slideType) {
+      case "textAndBullets":
+        return {
+          header,
+          text: plainText,
+          bullets: slide.paragraphs
+            .filter((p) => p.bullet)
+            .map((p) => `${"– ".repeat(p.level)}${p.text}`),
+          audioScript: slide.notes || null,
+        };
+      case "title":
+        return {
+          header,
+          text: plainText,
+          audioScript: slide.notes || null,
+        };
+      default:
+        return {
+          header,
+          text: plainText,
+          image: "",
+          audioScript: slide.notes || null,
+        };
+    }
+  }
+
   /**
    * Cleanup resources
    */
@@ -234,6 +234,11 @@ class ChunkUIController {
                 }')">
                   <i data-lucide="copy"></i> Duplicate
                 </button>
+                <button onclick="window.revisionHistoryController.open('${
+                  chunk.id
+                }')">
+                  <i data-lucide="history"></i> Version History
+                </button>
                 <button onclick="window.chunkUIController.moveChunkUp('${
                   chunk.id
                 }')">
@@ -491,7 +496,9 @@ class ChunkUIController {
 
       // Update the chunk in state
       chunks[chunkIndex] = chunk;
-      this.stateManager.setState("chunks", chunks);
+      this.stateManager.setState("chunks", chunks, {
+        undoLabel: "Edit ground truth",
+      });
 
       // Visual feedback
       const element = document.querySelector(
@@ -0,0 +1,374 @@
+/**
+ * Course Forge MVP - cmi5 Packager
+ * Builds cmi5 course structures where each chunk group (split at title slides)
+ * becomes an assignable unit (AU) with its own launch page and moveOn criteria
+ */
+
+class Cmi5Packager {
+  constructor() {
+    this.masteryScore = CONFIG.EXPORT.MASTERY_SCORE / 100;
+  }
+
+  /**
+   * Build assignable units from chunk groups
+   * @param {Object} courseData - Export course data ({course, slides})
+   * @param {Array} groups - [{title, chunks}] from ChunkManager.getChunkGroups()
+   * @returns {Array} [{id, title, slides, path, moveOn, masteryScore}]
+   */
+  buildUnits(courseData, groups) {
+    const courseId = this.getCourseId(courseData);
+
+    return groups
+      .map((group) => ({
+        title: group.title,
+        slides: group.chunks.filter((chunk) => chunk.generatedContent),
+      }))
+      .filter((group) => group.slides.length > 0)
+      .map((group, index) => {
+        // ADDED: With a graded assessment, only units with graded questions
+        // are assessed, against its passing score
+        const assessment = HTMLExporter.getAssessment(
+          courseData.course,
+          group.slides
+        );
+        const graded = !!(
+          courseData.course.assessment && courseData.course.assessment.enabled
+        );
+        const hasQuestions = graded
+          ? !!assessment
+          : group.slides.some((slide) => slide.slideType === "multipleChoice");
+        const masteryScore = assessment
+          ? assessment.passingScore / 100
+          : this.masteryScore;
+
+        return {
+          id: `${courseId}/au/${index + 1}`,
+          title: group.title || `Unit ${index + 1}`,
+          slides: group.slides,
+          path: `au-${index + 1}/index.html`,
+          moveOn: hasQuestions ? "CompletedAndPassed" : "Completed",
+          masteryScore: hasQuestions ? masteryScore : null,
+        };
+      });
+  }
+
+  /**
+   * Generate cmi5.xml course structure
+   */
+  generateCourseStructure(courseData, units) {
+    const courseId = this.getCourseId(courseData);
+    const objectives = (courseData.course.learningObjectives || []).filter(
+      (objective) => objective && objective.trim()
+    );
+
+    const objectivesXml = objectives.length
+      ? `
+  <objectives>
+${objectives
+  .map(
+    (objective, index) => `    <objective id="${courseId}/objective/${index + 1}">
+      <title>${this.langString(`Objective ${index + 1}`)}</title>
+      <description>${this.langString(objective)}</description>
+    </objective>`
+  )
+  .join("\n")}
+  </objectives>`
+      : "";
+
+    const unitsXml = units
+      .map((unit) => {
+        const masteryAttr =
+          unit.masteryScore !== null
+            ? ` masteryScore="${unit.masteryScore.toFixed(2)}"`
+            : "";
+        const description = unit.slides.map((slide) => slide.title).join(", ");
+
+        return `  <au id="${this.escapeXml(unit.id)}" moveOn="${
+          unit.moveOn
+        }"${masteryAttr} launchMethod="AnyWindow">
+    <title>${this.langString(unit.title)}</title>
+    <description>${this.langString(description)}</description>
+    <url>${this.escapeXml(unit.path)}</url>
+  </au>`;
+      })
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="${this.escapeXml(courseId)}">
+    <title>${this.langString(courseData.course.title || "Course")}</title>
+    <description>${this.langString(
+      objectives.length ? objectives.join("; ") : courseData.course.title || ""
+    )}</description>
+  </course>${objectivesXml}
+${unitsXml}
+</courseStructure>`;
+  }
+
+  /**
+   * Get the cmi5 runtime script for an AU launch page.
+   * Follows the cmi5 launch sequence: fetch the auth token, read LMS.LaunchData,
+   * send initialized, then completed/passed/failed and terminated statements.
+   */
+  getRuntimeScript() {
+    return `
+      (function() {
+        var params = new URLSearchParams(window.location.search);
+        var endpoint = (params.get('endpoint') || '').replace(/\\/+$/, '');
+        var fetchUrl = params.get('fetch');
+        var registration = params.get('registration');
+        var activityId = params.get('activityId');
+        var actor = null;
+        var authToken = null;
+        var launchData = {};
+        var sessionId = null;
+        var sessionStart = Date.now();
+        var sendChain = Promise.resolve();
+        var satisfied = false;
+        var terminated = false;
+
+        var CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+        var MOVEON_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/moveon';
+
+        if (!endpoint || !fetchUrl || !registration || !activityId) {
+          console.warn('cmi5 launch parameters missing - running without LMS tracking');
+          return;
+        }
+
+        try {
+          actor = JSON.parse(params.get('actor'));
+        } catch (e) {
+          console.warn('cmi5 actor parameter is invalid');
+          return;
+        }
+
+        function createUUID() {
+          if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+          }
+          return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            var r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+          });
+        }
+
+        function headers() {
+          return {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': '${CONFIG.EXPORT.XAPI_VERSION}',
+            'Authorization': 'Basic ' + authToken
+          };
+        }
+
+        function getAuthToken() {
+          // The fetch URL may only be used once per launch, so cache the token
+          var cacheKey = 'cmi5Token:' + fetchUrl;
+          var cached = sessionStorage.getItem(cacheKey);
+          if (cached) return Promise.resolve(cached);
+
+          return fetch(fetchUrl, { method: 'POST' })
+            .then(function(response) { return response.json(); })
+            .then(function(data) {
+              if (!data['auth-token']) {
+                throw new Error(data['error-text'] || 'No auth token returned');
+              }
+              sessionStorage.setItem(cacheKey, data['auth-token']);
+              return data['auth-token'];
+            });
+        }
+
+        function getLaunchData() {
+          var url = endpoint + '/activities/state?stateId=LMS.LaunchData' +
+            '&activityId=' + encodeURIComponent(activityId) +
+            '&agent=' + encodeURIComponent(JSON.stringify(actor)) +
+            '&registration=' + encodeURIComponent(registration);
+
+          return fetch(url, { headers: headers() }).then(function(response) {
+            if (!response.ok) throw new Error('LMS.LaunchData unavailable (' + response.status + ')');
+            return response.json();
+          });
+        }
+
+        function buildContext(moveOn) {
+          var template = launchData.contextTemplate || {};
+          var context = JSON.parse(JSON.stringify(template));
+          context.registration = registration;
+          context.contextActivities = context.contextActivities || {};
+          var categories = context.contextActivities.category || [];
+          categories.push({ id: CMI5_CATEGORY });
+          if (moveOn) categories.push({ id: MOVEON_CATEGORY });
+          context.contextActivities.category = categories;
+          context.extensions = context.extensions || {};
+          context.extensions['https://w3id.org/xapi/cmi5/context/extensions/sessionid'] = sessionId;
+          return context;
+        }
+
+        function send(verbName, result, moveOn, keepalive) {
+          var display = {};
+          display['en-US'] = verbName;
+          var statement = {
+            id: createUUID(),
+            actor: actor,
+            verb: { id: 'http://adlnet.gov/expapi/verbs/' + verbName, display: display },
+            object: { objectType: 'Activity', id: activityId },
+            context: buildContext(moveOn),
+            timestamp: new Date().toISOString()
+          };
+          if (result) statement.result = result;
+
+          // Chain sends so statements reach the LRS in order
+          sendChain = sendChain.then(function() {
+            return fetch(endpoint + '/statements', {
+              method: 'POST',
+              headers: headers(),
+              body: JSON.stringify(statement),
+              keepalive: !!keepalive
+            }).catch(function(error) {
+              console.warn('cmi5 statement failed:', verbName, error.message);
+            });
+          });
+          return sendChain;
+        }
+
+        function duration() {
+          return 'PT' + Math.round((Date.now() - sessionStart) / 1000) + 'S';
+        }
+
+        function isNormalMode() {
+          return !launchData.launchMode || launchData.launchMode === 'Normal';
+        }
+
+        var ready = getAuthToken()
+          .then(function(token) {
+            authToken = token;
+            sessionId = createUUID();
+            return getLaunchData();
+          })
+          .then(function(data) {
+            launchData = data || {};
+            return send('initialized');
+          })
+          .catch(function(error) {
+            console.warn('cmi5 launch failed:', error.message);
+            return Promise.reject(error);
+          });
+
+        window.courseTrackers = window.courseTrackers || [];
+        window.courseTrackers.push({
+          courseCompleted: function(data) {
+            ready.then(function() {
+              if (!isNormalMode() || satisfied) return;
+              satisfied = true;
+
+              send('completed', { completion: true, duration: duration() }, true);
+
+              var score = data.score;
+              if (score && score.total > 0) {
+                var scaled = Math.round((score.correct / score.total) * 100) / 100;
+                var mastery = typeof launchData.masteryScore === 'number'
+                  ? launchData.masteryScore
+                  : ${this.masteryScore};
+                var passed = scaled >= mastery;
+                send(passed ? 'passed' : 'failed', {
+                  success: passed,
+                  score: { scaled: scaled, raw: score.correct, min: 0, max: score.total },
+                  duration: duration()
+                }, true);
+              }
+            }, function() {});
+          },
+
+          sessionEnded: function() {
+            if (terminated || !authToken) return;
+            terminated = true;
+            send('terminated', { duration: duration() }, false, true);
+          }
+        });
+      })();
+    `;
+  }
+
+  /**
+   * Build a zipped cmi5 package (cmi5.xml + one launch page per AU)
+   * @param {Object} courseData - Export course data
+   * @param {Array} groups - Chunk groups from ChunkManager.getChunkGroups()
+   * @param {HTMLExporter} htmlExporter - Exporter used to render AU pages
+   * @param {Object} options - {assets} files shared by the AUs, by path
+   *   from the package root (e.g. rendered narration audio), {secureQuiz}
+   *   keep quiz answers out of the AU pages and course data
+   * @returns {Blob}
+   */
+  buildPackage(courseData, groups, htmlExporter, options = {}) {
+    const units = this.buildUnits(courseData, groups);
+
+    if (units.length === 0) {
+      throw new Error("No assignable units with generated content to export");
+    }
+
+    const files = {
+      "cmi5.xml": this.generateCourseStructure(courseData, units),
+      ...(options.assets || {}),
+    };
+
+    units.forEach((unit) => {
+      const unitCourseData = {
+        ...courseData,
+        course: { ...courseData.course, title: unit.title },
+        slides: unit.slides,
+      };
+
+      files[unit.path] = htmlExporter.generateCourseHtml(unitCourseData, {
+        trackingScripts: [this.getRuntimeScript()],
+        progressKey: `courseProgress:${unit.id}`,
+        assetPrefix: "../", // AU pages are one folder down
+        secureQuiz: options.secureQuiz,
+      });
+    });
+
+    files["course-data.json"] = JSON.stringify(
+      options.secureQuiz ? htmlExporter.stripAnswers(courseData) : courseData,
+      null,
+      2
+    );
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log(`Building cmi5 package with ${units.length} AUs`);
+    }
+
+    return ZipArchive.create(files);
+  }
+
+  /**
+   * Build the course IRI from the course title
+   */
+  getCourseId(courseData) {
+    const slug = (courseData.course.title || "course")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+    return `urn:courseforge:cmi5:${slug || "course"}`;
+  }
+
+  /**
+   * Wrap text in a cmi5 langstring element
+   */
+  langString(text) {
+    return `<langstring lang="en-US">${this.escapeXml(text || "")}</langstring>`;
+  }
+
+  /**
+   * Escape text for XML attributes and elements
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+}
+
+// Make available globally
+window.Cmi5Packager = Cmi5Packager;
@@ -0,0 +1,666 @@
+/**
+ * Course Forge MVP - Collaboration Client
+ * Keeps the chunks of the open course in sync with other editors through the
+ * optional collaboration server (tools/collab-server.js). Every chunk field,
+ * and every field of a generated slide, is a last-writer-wins register
+ * ordered by Lamport clock, so all editors end up with the same chunks
+ * whatever order edits arrive in. Edits made while disconnected are kept
+ * with their clocks and merged on reconnect. Also reports which chunk the
+ * user is editing, for presence indicators and soft-locks.
+ */
+
+// Register marking a removed chunk
+const COLLAB_DELETED_FIELD = "_deleted";
+// Slide fields are registers of their own, e.g. "generatedContent.header"
+const COLLAB_SLIDE_FIELD_PREFIX = "generatedContent.";
+// Hash of a register whose field is not set
+const COLLAB_ABSENT_HASH = "";
+
+class CollabClient {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+
+    this.socket = null;
+    this.session = null; // {serverUrl, room, courseId} while collaborating
+    this.status = "offline"; // offline, connecting, online or reconnecting
+    this.siteId = `site_${Date.now().toString(36)}_${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    this.user = null; // {id, name, color}
+    this.sync = null; // Register clocks and hashes of the open course
+    this.users = []; // Other editors in the room
+    this.editingChunkId = null;
+    this.pendingOps = []; // Remote edits held back while the user types
+    this.applyingRemote = false;
+    this.reconnectTimer = null;
+    this.presenceTimer = null;
+
+    this.stateManager.subscribe("chunks", () => this.handleLocalChange());
+    this.eventSystem.on("course:switched", () => {
+      if (this.session) {
+        this.leave();
+        StatusManager.showInfo("Left the collaboration room");
+      }
+    });
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("CollabClient initialized");
+    }
+  }
+
+  /**
+   * Saved connection settings
+   * @returns {Object} {serverUrl, room, name}
+   */
+  getSettings() {
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.COLLAB_SETTINGS) ||
+          "{}"
+      );
+      return {
+        serverUrl: saved.serverUrl || CONFIG.COLLAB.DEFAULT_SERVER_URL,
+        room: saved.room || "",
+        name: saved.name || "",
+      };
+    } catch (error) {
+      return {
+        serverUrl: CONFIG.COLLAB.DEFAULT_SERVER_URL,
+        room: "",
+        name: "",
+      };
+    }
+  }
+
+  /**
+   * Whether the browser can open WebSocket connections
+   */
+  isAvailable() {
+    return typeof WebSocket !== "undefined";
+  }
+
+  /**
+   * Start collaborating on the open course in a room
+   */
+  join({ serverUrl, room, name }) {
+    if (!this.isAvailable()) {
+      throw new Error("This browser does not support WebSockets");
+    }
+    if (!/^wss?:\/\//.test(serverUrl || "")) {
+      throw new Error("The server address must start with ws:// or wss://");
+    }
+    if (!room || !room.trim()) {
+      throw new Error("Enter a room name");
+    }
+
+    const settings = {
+      serverUrl: serverUrl.trim(),
+      room: room.trim(),
+      name: (name || "").trim() || "Anonymous",
+    };
+    localStorage.setItem(
+      CONFIG.LOCAL_STORAGE_KEYS.COLLAB_SETTINGS,
+      JSON.stringify(settings)
+    );
+
+    this.leave();
+    this.session = {
+      serverUrl: settings.serverUrl,
+      room: settings.room,
+      courseId: this.stateManager.courseId,
+    };
+    this.user = {
+      id: this.siteId,
+      name: settings.name,
+      color: CollabClient.pickColor(settings.name),
+    };
+    this.sync = this.loadSync();
+    this.connect();
+  }
+
+  /**
+   * Stop collaborating; the course keeps its merged chunks. Held-back
+   * remote edits are dropped and received again on the next join.
+   */
+  leave() {
+    const socket = this.socket;
+    this.session = null;
+    this.socket = null;
+    this.pendingOps = [];
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.presenceTimer);
+
+    if (socket) socket.close();
+
+    this.users = [];
+    this.setStatus("offline");
+  }
+
+  /**
+   * Open the connection and send every register of the course, including
+   * changes made while offline
+   */
+  connect() {
+    const session = this.session;
+    this.setStatus(this.status === "offline" ? "connecting" : "reconnecting");
+
+    const socket = new WebSocket(session.serverUrl);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.collectLocalChanges();
+      this.send({
+        type: "join",
+        room: session.room,
+        user: this.user,
+        ops: this.collectAllOps(),
+      });
+      this.setStatus("online");
+      this.sendPresence();
+
+      clearInterval(this.presenceTimer);
+      this.presenceTimer = setInterval(() => {
+        if (this.editingChunkId) this.sendPresence();
+      }, CONFIG.COLLAB.PRESENCE_INTERVAL_MS);
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error("Failed to apply collaboration message:", error);
+      }
+    };
+
+    socket.onerror = () => {
+      console.warn(`Collaboration server unreachable: ${session.serverUrl}`);
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this.users = [];
+      clearInterval(this.presenceTimer);
+      this.setStatus("reconnecting");
+
+      // Keep editing offline and retry
+      this.reconnectTimer = setTimeout(() => {
+        if (this.session === session) this.connect();
+      }, CONFIG.COLLAB.RECONNECT_DELAY_MS);
+    };
+  }
+
+  /**
+   * Send a message when connected
+   */
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handle a server message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case "snapshot":
+        this.receiveOps(message.ops || []);
+        this.setUsers(message.users || []);
+        break;
+      case "ops":
+        this.receiveOps(message.ops || []);
+        break;
+      case "presence":
+        this.setUsers(message.users || []);
+        break;
+      case "error":
+        StatusManager.showError(`Collaboration: ${message.message}`);
+        break;
+    }
+  }
+
+  /**
+   * Record local chunk changes and send them to the room
+   */
+  handleLocalChange() {
+    if (!this.session || this.applyingRemote) return;
+
+    // Another course was loaded; its chunks must not reach this room
+    if (this.stateManager.courseId !== this.session.courseId) {
+      this.leave();
+      return;
+    }
+
+    const ops = this.collectLocalChanges();
+    if (ops.length > 0) {
+      this.send({ type: "ops", ops });
+    }
+  }
+
+  /**
+   * Compare the chunks with the registers and write a new register value
+   * for each field that changed since
+   * @returns {Object[]} The writes
+   */
+  collectLocalChanges() {
+    const chunks = this.stateManager.getState("chunks") || [];
+    const present = new Set();
+    const ops = [];
+
+    chunks.forEach((chunk) => {
+      const chunkId = String(chunk.id);
+      const registers = this.getRegisters(chunkId);
+      const fields = CollabClient.getFields(chunk);
+      // Back after removal, e.g. by undo: every field is rewritten
+      const restored = !!this.sync.deleted[chunkId];
+      present.add(chunkId);
+
+      if (restored) {
+        delete this.sync.deleted[chunkId];
+        ops.push(this.write(chunkId, COLLAB_DELETED_FIELD, false));
+      }
+
+      // A slide that appears or changes shape rewrites all its fields
+      const slideReplaced =
+        !registers.generatedContent ||
+        registers.generatedContent.hash !==
+          CollabClient.hash(fields.generatedContent);
+
+      Object.keys(fields).forEach((field) => {
+        const register = registers[field];
+        if (
+          restored ||
+          !register ||
+          register.hash !== CollabClient.hash(fields[field]) ||
+          (slideReplaced && field.startsWith(COLLAB_SLIDE_FIELD_PREFIX))
+        ) {
+          ops.push(this.write(chunkId, field, fields[field]));
+        }
+      });
+
+      Object.keys(registers).forEach((field) => {
+        if (
+          field !== COLLAB_DELETED_FIELD &&
+          !(field in fields) &&
+          registers[field].hash !== COLLAB_ABSENT_HASH
+        ) {
+          ops.push(this.write(chunkId, field, undefined));
+        }
+      });
+    });
+
+    Object.keys(this.sync.registers).forEach((chunkId) => {
+      if (!present.has(chunkId) && !this.sync.deleted[chunkId]) {
+        this.sync.deleted[chunkId] = true;
+        ops.push(this.write(chunkId, COLLAB_DELETED_FIELD, true));
+      }
+    });
+
+    if (ops.length > 0) this.saveSync();
+    return ops;
+  }
+
+  /**
+   * Write a register with a new clock
+   * @returns {Object} The write, as sent to the server
+   */
+  write(chunkId, field, value) {
+    this.sync.lamport += 1;
+    const clock = [this.sync.lamport, this.siteId];
+    this.getRegisters(chunkId)[field] = {
+      clock,
+      hash: CollabClient.hash(value),
+    };
+
+    return CollabClient.createOp(chunkId, field, value, clock, this.user);
+  }
+
+  /**
+   * Every register of the course with its current value, sent on (re)join
+   */
+  collectAllOps() {
+    const chunks = this.stateManager.getState("chunks") || [];
+    const byId = new Map(chunks.map((chunk) => [String(chunk.id), chunk]));
+    const ops = [];
+
+    Object.keys(this.sync.registers).forEach((chunkId) => {
+      const registers = this.sync.registers[chunkId];
+      const chunk = byId.get(chunkId);
+      const fields = chunk ? CollabClient.getFields(chunk) : {};
+
+      Object.keys(registers).forEach((field) => {
+        const value =
+          field === COLLAB_DELETED_FIELD
+            ? !!this.sync.deleted[chunkId]
+            : fields[field];
+
+        // Fields of removed chunks are not needed by anyone
+        if (!chunk && field !== COLLAB_DELETED_FIELD) return;
+
+        ops.push(
+          CollabClient.createOp(
+            chunkId,
+            field,
+            value,
+            registers[field].clock,
+            this.user
+          )
+        );
+      });
+    });
+
+    return ops;
+  }
+
+  /**
+   * Apply remote writes, or hold them back while the user is typing in a
+   * chunk so the re-rendered list does not discard their input
+   */
+  receiveOps(ops) {
+    this.pendingOps.push(...ops);
+    if (!this.editingChunkId) this.flushPendingOps();
+  }
+
+  /**
+   * Apply the held-back remote writes that are newer than the registers
+   */
+  flushPendingOps() {
+    const ops = this.pendingOps.sort(
+      (a, b) => CollabClient.getFieldRank(a) - CollabClient.getFieldRank(b)
+    );
+    this.pendingOps = [];
+    if (!this.sync || ops.length === 0) return;
+
+    const chunks = this.stateManager.getState("chunks") || [];
+    const byId = new Map(chunks.map((chunk) => [String(chunk.id), chunk]));
+    const idsBefore = chunks.map((chunk) => String(chunk.id)).join("\n");
+    const changes = new Map(); // chunk id -> author
+    let reorder = false;
+
+    ops.forEach((op) => {
+      const chunkId = String(op.chunkId);
+      const registers = this.getRegisters(chunkId);
+      const register = registers[op.field];
+
+      if (op.field !== COLLAB_DELETED_FIELD && this.sync.deleted[chunkId]) {
+        return;
+      }
+      if (register && !CollabClient.isNewer(op.clock, register.clock)) {
+        return;
+      }
+
+      const value = op.removed ? undefined : op.value;
+      this.sync.lamport = Math.max(this.sync.lamport, op.clock[0]);
+      registers[op.field] = {
+        clock: op.clock,
+        hash: CollabClient.hash(value),
+      };
+
+      if (op.field === COLLAB_DELETED_FIELD) {
+        if (value) {
+          this.sync.deleted[chunkId] = true;
+          byId.delete(chunkId);
+        } else {
+          delete this.sync.deleted[chunkId];
+        }
+      } else {
+        if (!byId.has(chunkId)) {
+          byId.set(chunkId, { id: chunkId });
+          reorder = true;
+        }
+        CollabClient.setField(byId.get(chunkId), op.field, value);
+        if (op.field === "order") reorder = true;
+      }
+
+      changes.set(chunkId, op.author || "A collaborator");
+    });
+
+    this.saveSync();
+    if (changes.size === 0) return;
+
+    let next = Array.from(byId.values());
+    if (reorder) {
+      next = next.sort(
+        (a, b) =>
+          (a.order || 0) - (b.order || 0) ||
+          String(a.id).localeCompare(String(b.id))
+      );
+    }
+
+    // Same array, so work holding on to it (e.g. generation) sees the merge
+    chunks.splice(0, chunks.length, ...next);
+
+    this.applyingRemote = true;
+    try {
+      this.stateManager.setState("chunks", chunks, { undo: false });
+    } finally {
+      this.applyingRemote = false;
+    }
+
+    // Undo steps address chunks by position, which remote adds, removals
+    // and moves invalidate
+    const idsAfter = chunks.map((chunk) => String(chunk.id)).join("\n");
+    if (idsAfter !== idsBefore && !this.stateManager.transaction) {
+      this.stateManager.clearHistory();
+    }
+
+    this.eventSystem.emit("collab:changes-applied", {
+      changes: Array.from(changes, ([chunkId, author]) => ({
+        chunkId,
+        author,
+      })).filter(({ chunkId }) => byId.has(chunkId)),
+    });
+  }
+
+  /**
+   * Report the chunk the user is editing (null when none); remote edits are
+   * held back meanwhile
+   */
+  setEditingChunk(chunkId) {
+    const next = chunkId ? String(chunkId) : null;
+    if (next === this.editingChunkId) return;
+
+    this.editingChunkId = next;
+    this.sendPresence();
+
+    if (!next && this.pendingOps.length > 0) {
+      this.flushPendingOps();
+    }
+  }
+
+  sendPresence() {
+    this.send({ type: "presence", chunkId: this.editingChunkId });
+  }
+
+  /**
+   * Update the other editors in the room
+   */
+  setUsers(users) {
+    this.users = users.filter((user) => user.id !== this.siteId);
+    this.eventSystem.emit("collab:presence-changed", { users: this.users });
+  }
+
+  /**
+   * Other editors working on a chunk
+   */
+  getEditors(chunkId) {
+    return this.users.filter((user) => user.chunkId === String(chunkId));
+  }
+
+  /**
+   * The collaborator holding a chunk's soft-lock, if any. The user's own
+   * chunk is never soft-locked for them.
+   */
+  getLockHolder(chunkId) {
+    if (String(chunkId) === this.editingChunkId) return null;
+    return this.getEditors(chunkId)[0] || null;
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.eventSystem.emit("collab:status-changed", {
+      status,
+      room: this.session ? this.session.room : null,
+    });
+  }
+
+  /**
+   * Registers of a chunk: field -> {clock, hash}
+   */
+  getRegisters(chunkId) {
+    if (!this.sync.registers[chunkId]) {
+      this.sync.registers[chunkId] = {};
+    }
+    return this.sync.registers[chunkId];
+  }
+
+  /**
+   * Registers of the open course in the current room
+   */
+  loadSync() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.getSyncKey()));
+      if (saved && saved.registers) {
+        return { lamport: 0, deleted: {}, ...saved };
+      }
+    } catch (error) {
+      console.warn("Collaboration history unreadable, starting over:", error);
+    }
+    return { lamport: 0, registers: {}, deleted: {} };
+  }
+
+  saveSync() {
+    if (!this.session || !this.sync) return;
+
+    try {
+      localStorage.setItem(this.getSyncKey(), JSON.stringify(this.sync));
+    } catch (error) {
+      console.warn("Failed to save collaboration history:", error);
+    }
+  }
+
+  getSyncKey() {
+    const courseId = this.stateManager.courseId || "local";
+    return `${CONFIG.LOCAL_STORAGE_KEYS.COLLAB_SYNC_PREFIX}${courseId}_${
+      this.session.room
+    }`;
+  }
+
+  /**
+   * Registers of a chunk and their values. A slide object is split into
+   * its fields, with the "generatedContent" register holding {} for it.
+   */
+  static getFields(chunk) {
+    const fields = {};
+
+    Object.keys(chunk).forEach((key) => {
+      const value = chunk[key];
+      if (key === "id" || value === undefined) return;
+
+      if (key === "generatedContent" && this.isPlainObject(value)) {
+        fields.generatedContent = {};
+        Object.keys(value).forEach((name) => {
+          if (value[name] !== undefined) {
+            fields[COLLAB_SLIDE_FIELD_PREFIX + name] = value[name];
+          }
+        });
+      } else {
+        fields[key] = value;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Set (or remove, when undefined) a register's field on a chunk
+   */
+  static setField(chunk, field, value) {
+    if (field.startsWith(COLLAB_SLIDE_FIELD_PREFIX)) {
+      // A newer write replaced the slide object
+      if (!this.isPlainObject(chunk.generatedContent)) return;
+
+      const name = field.slice(COLLAB_SLIDE_FIELD_PREFIX.length);
+      if (value === undefined) {
+        delete chunk.generatedContent[name];
+      } else {
+        chunk.generatedContent[name] = value;
+      }
+    } else if (field === "generatedContent" && this.isPlainObject(value)) {
+      // Its fields come as registers of their own
+      if (!this.isPlainObject(chunk.generatedContent)) {
+        chunk.generatedContent = {};
+      }
+    } else if (value === undefined) {
+      delete chunk[field];
+    } else {
+      chunk[field] = value;
+    }
+  }
+
+  /**
+   * Removals first, then chunk fields, then slide fields, so a slide object
+   * exists before its fields are set
+   */
+  static getFieldRank(op) {
+    if (op.field === COLLAB_DELETED_FIELD) return 0;
+    return op.field.startsWith(COLLAB_SLIDE_FIELD_PREFIX) ? 2 : 1;
+  }
+
+  static createOp(chunkId, field, value, clock, user) {
+    const op = { chunkId, field, clock, author: user.name };
+    if (value === undefined) {
+      op.removed = true;
+    } else {
+      op.value = value;
+    }
+    return op;
+  }
+
+  /**
+   * Clocks are [lamport time, site id]; the site id breaks ties
+   */
+  static isNewer(clock, existing) {
+    return (
+      clock[0] > existing[0] ||
+      (clock[0] === existing[0] && clock[1] > existing[1])
+    );
+  }
+
+  /**
+   * Short FNV-1a hash of a value's JSON, to notice changed fields without
+   * keeping a copy of the course
+   */
+  static hash(value) {
+    if (value === undefined) return COLLAB_ABSENT_HASH;
+
+    const text = JSON.stringify(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `${text.length}:${(hash >>> 0).toString(36)}`;
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Stable colour for an editor's name
+   */
+  static pickColor(name) {
+    const colors = CONFIG.COLLAB.USER_COLORS;
+    const code = Array.from(name).reduce(
+      (sum, char) => sum + char.charCodeAt(0),
+      0
+    );
+    return colors[code % colors.length];
+  }
+}
+
+window.CollabClient = CollabClient;
@@ -0,0 +1,459 @@
+/**
+ * Course Forge MVP - Collaboration Controller
+ * Connection dialog and header status for real-time collaboration, and the
+ * presence indicators and soft-locks on chunk and generation cards
+ */
+
+// Cards that show a chunk
+const COLLAB_CARD_SELECTOR =
+  ".chunk-card[data-chunk-id], .generation-item[data-chunk-id]";
+// Focus on these inside a card means the user is editing that chunk
+const COLLAB_EDITABLE_SELECTOR =
+  "input, textarea, select, [contenteditable='true']";
+
+const COLLAB_STATUS_LABELS = {
+  offline: "",
+  connecting: "Connecting…",
+  online: "Live",
+  reconnecting: "Offline, retrying…",
+};
+
+class CollabController {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+    this.collabClient = null; // Will be set later
+    this.isOpen = false;
+    this.decorateScheduled = false;
+    this.observer = null;
+    this.lastStatus = "offline";
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleFocusOut = this.handleFocusOut.bind(this);
+
+    this.eventSystem.on("collab:status-changed", (data) =>
+      this.handleStatusChange(data)
+    );
+    this.eventSystem.on("collab:presence-changed", () => {
+      this.scheduleDecorate();
+      this.updateStatus();
+      this.updateDialog();
+    });
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("CollabController initialized");
+    }
+  }
+
+  /**
+   * Set collaboration client reference and start tracking the cards
+   */
+  setCollabClient(collabClient) {
+    this.collabClient = collabClient;
+
+    document.addEventListener("focusin", this.handleFocusIn);
+    document.addEventListener("focusout", this.handleFocusOut);
+
+    // Cards are re-rendered on every change; decorate them as they appear
+    if (typeof MutationObserver !== "undefined") {
+      this.observer = new MutationObserver(() => this.scheduleDecorate());
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    this.updateStatus();
+  }
+
+  /**
+   * Open the connection dialog
+   */
+  open() {
+    if (!this.collabClient) return;
+
+    if (!this.collabClient.isAvailable()) {
+      StatusManager.showWarning(
+        "Collaboration needs WebSockets, which this browser does not allow"
+      );
+      return;
+    }
+
+    this.isOpen = true;
+    document.addEventListener("keydown", this.handleKeydown);
+    this.render();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    const modal = document.getElementById("collabModal");
+    if (modal) modal.remove();
+
+    document.removeEventListener("keydown", this.handleKeydown);
+    this.isOpen = false;
+  }
+
+  /**
+   * Close on Escape
+   */
+  handleKeydown(event) {
+    if (event.key === "Escape") {
+      this.close();
+    }
+  }
+
+  /**
+   * Join the room entered in the dialog
+   */
+  connect() {
+    const value = (id) => {
+      const input = document.getElementById(id);
+      return input ? input.value : "";
+    };
+
+    try {
+      this.collabClient.join({
+        serverUrl: value("collabServerUrl"),
+        room: value("collabRoom"),
+        name: value("collabName"),
+      });
+    } catch (error) {
+      StatusManager.showError(error.message);
+    }
+  }
+
+  /**
+   * Leave the room
+   */
+  disconnect() {
+    this.collabClient.leave();
+    StatusManager.showInfo("Stopped collaborating");
+  }
+
+  /**
+   * Report connection changes
+   */
+  handleStatusChange({ status, room }) {
+    if (status === "online") {
+      StatusManager.showSuccess(`Collaborating in "${room}"`);
+    } else if (status === "reconnecting" && this.lastStatus === "online") {
+      StatusManager.showWarning(
+        "Lost the collaboration server. Keep working: your edits are " +
+          "merged when it is back."
+      );
+    }
+    this.lastStatus = status;
+
+    this.scheduleDecorate();
+    this.updateStatus();
+    this.updateDialog();
+  }
+
+  /**
+   * Track which chunk the user is editing
+   */
+  handleFocusIn(event) {
+    const card = this.getEditedCard(event.target);
+    if (card) {
+      this.collabClient.setEditingChunk(card.dataset.chunkId);
+    }
+  }
+
+  handleFocusOut() {
+    // Focus has not moved on yet; check where it lands
+    setTimeout(() => {
+      const card = this.getEditedCard(document.activeElement);
+      this.collabClient.setEditingChunk(card ? card.dataset.chunkId : null);
+    }, 0);
+  }
+
+  /**
+   * Card of an editable element, if it is in one
+   */
+  getEditedCard(element) {
+    if (!element || !element.matches) return null;
+    if (!element.matches(COLLAB_EDITABLE_SELECTOR)) return null;
+    return element.closest(COLLAB_CARD_SELECTOR);
+  }
+
+  /**
+   * Decorate the cards once after a burst of DOM changes
+   */
+  scheduleDecorate() {
+    if (this.decorateScheduled) return;
+    this.decorateScheduled = true;
+
+    Promise.resolve().then(() => {
+      this.decorateScheduled = false;
+      this.decorateCards();
+    });
+  }
+
+  /**
+   * Show who is editing each chunk and soft-lock chunks edited by others
+   */
+  decorateCards() {
+    if (!this.collabClient) return;
+
+    document.querySelectorAll(COLLAB_CARD_SELECTOR).forEach((card) => {
+      const chunkId = card.dataset.chunkId;
+      this.decorateCard(
+        card,
+        this.collabClient.getEditors(chunkId),
+        !!this.collabClient.getLockHolder(chunkId)
+      );
+    });
+  }
+
+  /**
+   * Add or remove a card's presence badge and soft-lock. Cards already
+   * showing the same editors are left alone.
+   */
+  decorateCard(card, editors, locked) {
+    const signature = `${locked}|${editors
+      .map((user) => `${user.id}:${user.name}:${user.color}`)
+      .join(",")}`;
+    if ((card.dataset.collabSignature || "false|") === signature) return;
+    card.dataset.collabSignature = signature;
+
+    const existing = card.querySelector(".collab-presence");
+    if (existing) existing.remove();
+
+    if (editors.length > 0) {
+      const names = editors.map((user) => user.name).join(", ");
+      const badge = document.createElement("span");
+      badge.className = "collab-presence";
+      badge.title = locked
+        ? `${names} is editing this chunk; it is locked until they finish`
+        : `${names} is editing this chunk`;
+      badge.innerHTML = `${editors
+        .map((user) => this.renderAvatar(user))
+        .join("")}<span class="collab-presence-label">${this.escapeHtml(
+        names
+      )} editing</span>`;
+
+      const anchor =
+        card.querySelector(".chunk-title-section, .generation-meta") || card;
+      anchor.appendChild(badge);
+    }
+
+    card.classList.toggle("soft-locked", locked);
+    this.setControlsLocked(card, locked);
+  }
+
+  /**
+   * Disable a card's controls, like a locked chunk, and re-enable only the
+   * ones disabled here
+   */
+  setControlsLocked(card, locked) {
+    if (locked) {
+      card.querySelectorAll("input, textarea, select, button").forEach((el) => {
+        if (el.disabled) return;
+        el.disabled = true;
+        el.dataset.collabLocked = "disabled";
+      });
+      card.querySelectorAll("[contenteditable='true']").forEach((el) => {
+        el.setAttribute("contenteditable", "false");
+        el.dataset.collabLocked = "editable";
+      });
+      return;
+    }
+
+    card.querySelectorAll("[data-collab-locked]").forEach((el) => {
+      if (el.dataset.collabLocked === "editable") {
+        el.setAttribute("contenteditable", "true");
+      } else {
+        el.disabled = false;
+      }
+      delete el.dataset.collabLocked;
+    });
+  }
+
+  /**
+   * Connection state next to the header button
+   */
+  updateStatus() {
+    const indicator = document.getElementById("collabStatus");
+    if (!indicator || !this.collabClient) return;
+
+    const status = this.collabClient.status;
+    const editors = this.collabClient.users.length + 1;
+
+    indicator.dataset.status = status;
+    indicator.textContent =
+      status === "online"
+        ? `${COLLAB_STATUS_LABELS.online} · ${editors}`
+        : COLLAB_STATUS_LABELS[status];
+    indicator.title =
+      status === "online"
+        ? `${editors} editing in "${this.collabClient.session.room}"`
+        : "";
+  }
+
+  /**
+   * Draw the dialog
+   */
+  render() {
+    let modal = document.getElementById("collabModal");
+    if (!modal) {
+      modal = document.createElement("div");
+      modal.id = "collabModal";
+      modal.className = "slide-type-modal collab-modal";
+      modal.addEventListener("click", (event) => {
+        if (event.target === modal) this.close();
+      });
+      document.body.appendChild(modal);
+    }
+
+    const settings = this.collabClient.getSettings();
+    const room =
+      settings.room ||
+      CourseLibrary.getTitle(this.stateManager.getState())
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+
+    modal.innerHTML = `
+      <div class="modal-content collab-dialog" role="dialog"
+           aria-label="Collaborate">
+        <div class="collab-header">
+          <h3>Collaborate</h3>
+          <button class="btn btn-secondary btn-sm"
+                  onclick="window.collabController.close()"
+                  title="Close">
+            <i data-lucide="x"></i>
+          </button>
+        </div>
+        <p class="collab-help">
+          Edit this course's chunks and slides together with everyone in the
+          same room. Start a server with
+          <code>node tools/collab-server.js</code>. Chunks already in this
+          course are merged with the room's.
+        </p>
+        <div class="form-group">
+          <label for="collabServerUrl">Server</label>
+          <input type="text" id="collabServerUrl" class="form-input"
+                 value="${this.escapeHtml(settings.serverUrl)}" />
+        </div>
+        <div class="form-group">
+          <label for="collabRoom">Room</label>
+          <input type="text" id="collabRoom" class="form-input"
+                 value="${this.escapeHtml(room)}" />
+        </div>
+        <div class="form-group">
+          <label for="collabName">Your name</label>
+          <input type="text" id="collabName" class="form-input"
+                 value="${this.escapeHtml(settings.name)}"
+                 placeholder="Shown to the others" />
+        </div>
+        <p class="collab-dialog-status" id="collabDialogStatus"></p>
+        <ul class="collab-people" id="collabPeople"></ul>
+        <div class="collab-actions">
+          <button class="btn btn-primary" id="collabConnectBtn"
+                  onclick="window.collabController.connect()">
+            <i data-lucide="plug"></i> Connect
+          </button>
+          <button class="btn btn-secondary" id="collabDisconnectBtn"
+                  onclick="window.collabController.disconnect()">
+            <i data-lucide="unplug"></i> Disconnect
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.updateDialog();
+
+    if (typeof lucide !== "undefined") {
+      lucide.createIcons();
+    }
+  }
+
+  /**
+   * Refresh the dialog's status and editor list, leaving the form alone
+   */
+  updateDialog() {
+    if (!this.isOpen) return;
+
+    const client = this.collabClient;
+    const active = !!client.session;
+    const statusText = {
+      offline: "Not connected",
+      connecting: "Connecting…",
+      online: `Connected to "${active ? client.session.room : ""}"`,
+      reconnecting:
+        "Server unreachable. Your edits are kept and merged on reconnect.",
+    };
+
+    const status = document.getElementById("collabDialogStatus");
+    if (status) status.textContent = statusText[client.status];
+
+    ["collabServerUrl", "collabRoom", "collabName"].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) input.disabled = active;
+    });
+
+    const connectBtn = document.getElementById("collabConnectBtn");
+    const disconnectBtn = document.getElementById("collabDisconnectBtn");
+    if (connectBtn) connectBtn.hidden = active;
+    if (disconnectBtn) disconnectBtn.hidden = !active;
+
+    const people = document.getElementById("collabPeople");
+    if (people) {
+      const chunks = this.stateManager.getState("chunks") || [];
+      people.innerHTML = client.users
+        .map((user) => {
+          const chunk = chunks.find((c) => String(c.id) === user.chunkId);
+          return `
+            <li>
+              ${this.renderAvatar(user)}
+              ${this.escapeHtml(user.name)}
+              <span class="collab-people-chunk">${
+                chunk ? `editing "${this.escapeHtml(chunk.title)}"` : ""
+              }</span>
+            </li>
+          `;
+        })
+        .join("");
+    }
+  }
+
+  /**
+   * Coloured circle with an editor's initials
+   */
+  renderAvatar(user) {
+    return `<span class="collab-avatar" style="background: ${this.escapeHtml(
+      user.color
+    )}">${this.escapeHtml(CollabController.getInitials(user.name))}</span>`;
+  }
+
+  /**
+   * Up to two initials of a name
+   */
+  static getInitials(name) {
+    return (name || "?")
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map((part) => part[0].toUpperCase())
+      .join("");
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Stop tracking the cards and leave the room
+   */
+  cleanup() {
+    document.removeEventListener("focusin", this.handleFocusIn);
+    document.removeEventListener("focusout", this.handleFocusOut);
+    document.removeEventListener("keydown", this.handleKeydown);
+    if (this.observer) this.observer.disconnect();
+    if (this.collabClient) this.collabClient.leave();
+  }
+}
+
+window.CollabController = CollabController;
@@ -4,19 +4,118 @@
  */
 
 const CONFIG = {
-  // ====== API PROVIDER TOGGLE ======
-  // Set to true for ChatGPT API (secure, for real course data)
-  // Set to false for OpenRouter/DeepSeek (free, for debugging)
-  USE_CHATGPT_API: true,
+  // ====== API PROVIDER ======
+  // Provider adapter used until one is picked in the AI Provider settings
+  // (see llm-providers.js for the available adapters)
+  DEFAULT_LLM_PROVIDER: "openai",
 
   // File Upload Settings
   MAX_FILE_SIZE: 15 * 1024 * 1024, // 15MB in bytes
-  SUPPORTED_EXTENSIONS: ["txt", "docx", "json"],
+  SUPPORTED_EXTENSIONS: [
+    "txt",
+    "docx",
+    "pdf",
+    "pptx",
+    "md",
+    "markdown",
+    "html",
+    "htm",
+    "json",
+    "courseforge", // Project files, see CourseFormat
+  ],
+
+  // PDF Extraction Settings
+  PDF: {
+    WORKER_SRC:
+      "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js",
+    EDGE_LINES: 2, // Lines at the top/bottom of a page checked for headers/footers
+    MIN_PAGES_FOR_HEADER_DETECTION: 3,
+  },
 
-  // API Configuration
+  // API Configuration (base URLs; adapters append their own paths)
   API_ENDPOINTS: {
-    OPENROUTER: "https://openrouter.ai/api/v1/chat/completions",
-    OPENAI: "https://api.openai.com/v1/chat/completions",
+    OPENROUTER: "https://openrouter.ai/api/v1",
+    OPENAI: "https://api.openai.com/v1",
+    ANTHROPIC: "https://api.anthropic.com/v1",
+    OLLAMA: "http://localhost:11434/v1",
+    LLAMA_CPP: "http://localhost:8080/v1",
+  },
+
+  // Streaming: slide content is shown field by field while it generates
+  STREAMING: {
+    ENABLED: true,
+  },
+
+  // Slide content is requested as JSON matching a per-type schema where the
+  // provider supports it (see slide-schemas.js); XML is the fallback
+  STRUCTURED_OUTPUT: {
+    ENABLED: true,
+    MAX_REPAIR_ATTEMPTS: 1, // Follow-up requests that send validation errors back
+  },
+
+  // Checks run on every generated slide; violations trigger a repair request
+  QUALITY: {
+    REPAIR_ENABLED: true,
+    // 7±2 items (5-9), as in the chunking prompt
+    MIN_BULLETS: 5,
+    MAX_BULLETS: 9,
+    NARRATION_WORDS_PER_MINUTE: 150,
+    // Audio script length as a share of the slide's estimatedTime
+    AUDIO_SCRIPT_MIN_RATIO: 0.2,
+    AUDIO_SCRIPT_MAX_RATIO: 1,
+  },
+
+  // Checks generated statements against the chunk's source text
+  GROUNDING: {
+    ENABLED: true,
+    // Share of a statement's key words that must appear in the source
+    MIN_OVERLAP: 0.6,
+    // Shorter statements (headings, labels) are not checked
+    MIN_CLAIM_WORDS: 3,
+    MAX_JUDGE_CLAIMS: 40, // Statements sent in one LLM judge request
+  },
+
+  // Per-chunk revision history, kept with the course state
+  HISTORY: {
+    MAX_REVISIONS_PER_CHUNK: 25, // Oldest revisions are dropped first
+  },
+
+  // Undo/redo (Ctrl+Z / Ctrl+Shift+Z) of changes to these state paths
+  UNDO: {
+    TRACKED_PATHS: ["chunks"],
+    MAX_STEPS: 50,
+  },
+
+  // Course library (IndexedDB); each course is saved this long after its
+  // last change
+  LIBRARY: {
+    DB_NAME: "courseforge-library",
+    SAVE_DELAY_MS: 500,
+  },
+
+  // Real-time collaboration through tools/collab-server.js (optional)
+  COLLAB: {
+    DEFAULT_SERVER_URL: "ws://localhost:8090",
+    RECONNECT_DELAY_MS: 3000,
+    PRESENCE_INTERVAL_MS: 10000, // Presence of the editing user is resent
+    USER_COLORS: ["#2563eb", "#db2777", "#059669", "#d97706", "#7c3aed"],
+  },
+
+  // Narration audio rendered at export time (optional)
+  TTS: {
+    LOCAL_SERVER_URL: "http://localhost:8091", // tools/tts-server.js
+    OPENAI_MODEL: "tts-1",
+    OPENAI_VOICE: "alloy",
+    WORDS_PER_MINUTE: 150, // Duration estimate when audio can't be measured
+    CAPTION_MAX_CHARS: 84, // Two lines of a WebVTT caption
+  },
+
+  // Response cache (IndexedDB); least recently used entries are evicted
+  CACHE: {
+    ENABLED: true,
+    DB_NAME: "courseforge-cache",
+    MAX_BYTES: 20 * 1024 * 1024, // 20MB of stored responses
+    MAX_ENTRIES: 500,
   },
 
   // Model Settings
@@ -29,6 +128,30 @@ const CONFIG = {
     GPT_4O: "gpt-4o",
     GPT_4O_MINI: "gpt-4o-mini",
     GPT_4_TURBO: "gpt-4-turbo",
+
+    // Anthropic Models
+    CLAUDE_HAIKU: "claude-3-5-haiku-latest",
+    CLAUDE_SONNET: "claude-sonnet-4-0",
+    CLAUDE_OPUS: "claude-opus-4-1",
+  },
+
+  // Prices in USD per million tokens, keyed by the model ids above. Models
+  // without a price (local servers, unknown ids) are counted but not costed.
+  AI_MODEL_PRICING: {
+    "deepseek/deepseek-r1-0528-qwen3-8b:free": { input: 0, output: 0 },
+    "deepseek/deepseek-chat": { input: 0.27, output: 1.1 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4-turbo": { input: 10, output: 30 },
+    "claude-3-5-haiku-latest": { input: 0.8, output: 4 },
+    "claude-sonnet-4-0": { input: 3, output: 15 },
+    "claude-opus-4-1": { input: 15, output: 75 },
+  },
+
+  // Token and cost estimates shown before generation runs
+  USAGE: {
+    CHARS_PER_TOKEN: 4, // Rough average for English text
+    EXPECTED_SLIDE_OUTPUT_TOKENS: 900, // Typical XML response for one slide
   },
 
   // Local Storage Keys
@@ -36,6 +159,11 @@ const CONFIG = {
     COURSE_STATE: "courseforge_state",
     API_KEY: "courseforge_api_key",
     USER_PREFERENCES: "courseforge_preferences",
+    LLM_PROVIDER: "courseforge_llm_provider",
+    ACTIVE_COURSE: "courseforge_active_course",
+    COLLAB_SETTINGS: "courseforge_collab",
+    COLLAB_SYNC_PREFIX: "courseforge_collab_sync_", // + course id and room
+    TTS_SETTINGS: "courseforge_tts",
   },
 
   // UI Settings
@@ -53,6 +181,9 @@ const CONFIG = {
     MAX_CHUNK_COUNT: 60, // Increased from 20 to 60 to support longer courses
     MIN_CHUNK_COUNT: 6, // Added explicit minimum
     CHUNK_DURATION_MINUTES: 2.5, // Average time per chunk for calculations
+    WORDS_PER_MINUTE: 200, // Reading speed used to cap local chunk word budgets
+    MIN_CHUNK_WORDS: 40, // Smaller local chunks are merged into their neighbours
+    KNOWLEDGE_CHECK_INTERVAL: 4, // Local chunker adds a quiz after this many content chunks
   },
 
   // Slide Types
@@ -78,6 +209,19 @@ const CONFIG = {
       learningObjectives: [],
       additionalGuidance: "",
       sourceContent: "",
+      sourceOutline: [], // Document headings [{level, text, filename}]
+      chunkingMethod: "auto", // "auto" (AI when available), "ai" or "local"
+      budgetUsd: null, // Generation pauses once usage.cost reaches this
+      // Grading of multiple-choice slides in exports, see
+      // AssessmentSettingsController
+      assessment: {
+        enabled: false,
+        excludedChunkIds: [], // Multiple-choice chunks that don't count
+        passingScore: 80, // Percent
+        attempts: 1, // 0 is unlimited
+        randomizeOptions: false,
+      },
+      usage: null, // Token and cost totals, see UsageTracker
       uploadedFiles: [],
     },
 
@@ -113,6 +257,17 @@ const CONFIG = {
     },
   },
 
+  // Export Settings
+  EXPORT: {
+    SCORM_VERSIONS: [
+      { value: "1.2", label: "SCORM 1.2" },
+      { value: "2004", label: "SCORM 2004 (4th Edition)" },
+    ],
+    DEFAULT_SCORM_VERSION: "1.2",
+    MASTERY_SCORE: 80, // Percentage of quiz questions needed to pass
+    XAPI_VERSION: "1.0.3",
+  },
+
   // Error Messages
   ERROR_MESSAGES: {
     FILE_TOO_LARGE: "File is too large (max 15MB)",
@@ -127,6 +282,8 @@ const CONFIG = {
     COURSE_TOO_LONG: "Course duration exceeds maximum limit (5 hours)",
     COURSE_TOO_SHORT: "Course duration below minimum limit (10 minutes)",
     CONTENT_TOO_LONG: "Source content exceeds maximum limit (25,000 words)",
+    PDF_NO_TEXT:
+      "PDF contains no extractable text (it may be a scanned image)",
   },
 
   // Success Messages
@@ -197,47 +354,6 @@ const CONFIG = {
           : null,
     };
   },
-
-  // Helper methods for API provider logic
-  getActiveAPIProvider() {
-    return this.USE_CHATGPT_API ? "OPENAI" : "OPENROUTER";
-  },
-
-  getActiveAPIEndpoint() {
-    return this.USE_CHATGPT_API
-      ? this.API_ENDPOINTS.OPENAI
-      : this.API_ENDPOINTS.OPENROUTER;
-  },
-
-  getDefaultModel() {
-    return this.USE_CHATGPT_API
-      ? this.AI_MODELS.GPT_4O_MINI
-      : this.AI_MODELS.DEEPSEEK_R1;
-  },
-
-  getModelForTask(task) {
-    if (this.USE_CHATGPT_API) {
-      // Use different GPT models based on task complexity
-      switch (task) {
-        case "chunking":
-          return this.AI_MODELS.GPT_4O_MINI; // Faster for chunking
-        case "content_generation":
-          return this.AI_MODELS.GPT_4O; // Better quality for content
-        default:
-          return this.AI_MODELS.GPT_4O_MINI;
-      }
-    } else {
-      // Use DeepSeek models
-      switch (task) {
-        case "chunking":
-          return this.AI_MODELS.DEEPSEEK_R1; // Free model for chunking
-        case "content_generation":
-          return this.AI_MODELS.DEEPSEEK_CHAT; // Better for content
-        default:
-          return this.AI_MODELS.DEEPSEEK_R1;
-      }
-    }
-  },
 };
 
 // Freeze the config object to prevent accidental modifications
@@ -12,9 +12,11 @@ class ContentGenerator {
 
     // Track currently generating slides to prevent duplicates
     this.currentlyGenerating = new Set();
+    this.activeRequests = new Map(); // chunkId -> AbortController for cancelling
     this.batchOperationId = null;
     this.batchProgress = null; // Track batch progress
     this.retryQueue = new Map(); // Store failed items for retry
+    this.usageTracker = new UsageTracker(stateManager); // ADDED: tokens, cost, budget
 
     this.setupEventListeners();
 
@@ -34,7 +36,9 @@ class ContentGenerator {
     });
 
     this.eventSystem.on("content:regenerate", (data) => {
-      this.regenerateSlideContent(data.chunkId);
+      this.regenerateSlideContent(data.chunkId, {
+        bypassCache: data.bypassCache,
+      });
     });
 
     this.eventSystem.on("content:generate-all", () => {
@@ -48,8 +52,12 @@ class ContentGenerator {
 
   /**
    * FIXED: Generate content for a specific slide - ALWAYS use current ground truth from state
+   * @param {Object} options - {bypassCache}: skip cached responses;
+   *   {regenerate}: replaces earlier content (for the revision history),
+   *   {slideType}: generate this type and switch the slide to it with the
+   *   new content, {undoLabel}: names the undo step of the new content
    */
-  async generateSlideContent(chunkId) {
+  async generateSlideContent(chunkId, options = {}) {
     if (this.currentlyGenerating.has(chunkId)) {
       StatusManager.showWarning(
         "Content is already being generated for this slide"
@@ -57,21 +65,35 @@ class ContentGenerator {
       return;
     }
 
+    const abortController = new AbortController();
+
     try {
       this.currentlyGenerating.add(chunkId);
+      this.activeRequests.set(chunkId, abortController);
 
       // FIXED: Always get the CURRENT state of chunks to ensure we have latest ground truth
       const chunks = this.stateManager.getState("chunks") || [];
-      const chunk = chunks.find((c) => c.id === chunkId);
+      const storedChunk = chunks.find((c) => c.id === chunkId);
 
-      if (!chunk) {
+      if (!storedChunk) {
         throw new Error("Chunk not found");
       }
 
+      // ADDED: A new slide type only reaches state along with its content
+      const chunk = options.slideType
+        ? { ...storedChunk, slideType: options.slideType }
+        : storedChunk;
+
       if (chunk.isLocked) {
         throw new Error("Cannot generate content for locked chunk");
       }
 
+      // ADDED: Soft-locked while a collaborator edits it
+      const lockHolder = this.getLockHolder(chunk.id);
+      if (lockHolder) {
+        throw new Error(`${lockHolder.name} is editing this chunk`);
+      }
+
       // CRITICAL: Log the ground truth we're about to use
       console.log("🎯 USING GROUND TRUTH FOR GENERATION:", {
         chunkId: chunk.id,
@@ -92,12 +114,43 @@ class ContentGenerator {
         priority: "high",
       });
 
+      this.eventSystem.emit("content:generation-started", { chunkId });
+
+      let generationInfo = null;
+      const onResponse = (response) => {
+        const usage = this.usageTracker.record(response);
+        generationInfo = {
+          cached: !!response.cached,
+          model: response.model || null,
+          usage: this.addUsage(generationInfo && generationInfo.usage, usage),
+        };
+      };
       const courseConfig = this.stateManager.getState("courseConfig");
-      const generatedContent = await this.llmService.generateSlideContent(
+      const rawContent = await this.llmService.generateSlideContent(
         chunk, // This chunk object contains the CURRENT ground truth
-        courseConfig
+        courseConfig,
+        {
+          signal: abortController.signal,
+          bypassCache: options.bypassCache,
+          onResponse: onResponse,
+          // ADDED: Stream fields into the generation card as they arrive
+          onPartial: (content) => {
+            this.eventSystem.emit("content:partial", {
+              chunkId,
+              slideType: chunk.slideType,
+              content,
+            });
+          },
+        }
       );
 
+      // ADDED: Check quality rules, repairing the slide if any fail
+      const { content: generatedContent, issues: qualityIssues } =
+        await this.enforceQualityRules(chunk, courseConfig, rawContent, {
+          signal: abortController.signal,
+          onResponse: onResponse,
+        });
+
       // FIXED: Get fresh chunk state again and preserve ground truth
       const currentChunks = this.stateManager.getState("chunks") || [];
       const chunkIndex = currentChunks.findIndex((c) => c.id === chunkId);
@@ -106,8 +159,16 @@ class ContentGenerator {
         // CRITICAL: Preserve the current ground truth, don't overwrite it
         const currentGroundTruth = currentChunks[chunkIndex].groundTruth;
 
+        currentChunks[chunkIndex].slideType = chunk.slideType;
         currentChunks[chunkIndex].generatedContent = generatedContent;
         currentChunks[chunkIndex].lastGenerated = new Date().toISOString();
+        currentChunks[chunkIndex].generationInfo = generationInfo; // ADDED: cache hit etc.
+        currentChunks[chunkIndex].qualityIssues = qualityIssues; // ADDED: unresolved rule violations
+        // ADDED: Statements the source content does not support
+        currentChunks[chunkIndex].groundingReport = GroundingChecker.check(
+          currentChunks[chunkIndex],
+          generatedContent
+        );
 
         // FIXED: Explicitly preserve ground truth - never overwrite
         currentChunks[chunkIndex].groundTruth = currentGroundTruth;
@@ -118,25 +179,45 @@ class ContentGenerator {
           preserved: true,
         });
 
-        this.stateManager.setState("chunks", currentChunks);
+        // One setState, so the new content is a single undo step
+        this.stateManager.setState("chunks", currentChunks, {
+          undoLabel: options.undoLabel || "Generate slide",
+        });
       }
 
       // FIXED: Clear loading state immediately after success
       StatusManager.hide();
-      StatusManager.showSuccess(`Content generated for "${chunk.title}"`);
+      StatusManager.showSuccess(
+        generationInfo && generationInfo.cached
+          ? `Content for "${chunk.title}" loaded from cache`
+          : `Content generated for "${chunk.title}"`
+      );
 
       this.eventSystem.emit("content:generated", {
         chunkId,
         slideType: chunk.slideType,
         content: generatedContent,
+        // ADDED: Recorded in the revision history
+        regenerated: !!options.regenerate,
+        model: generationInfo && generationInfo.model,
+        promptVersion: this.llmService.getPromptVersion(),
       });
 
       return generatedContent;
     } catch (error) {
+      StatusManager.hide();
+
+      if (error.cancelled) {
+        console.log(`🛑 Content generation cancelled for ${chunkId}`);
+        this.eventSystem.emit("content:generation-cancelled", {
+          cancelledChunks: [chunkId],
+        });
+        throw error;
+      }
+
       console.error(`Content generation failed for ${chunkId}:`, error);
 
       // FIXED: Clear loading state on error too
-      StatusManager.hide();
       StatusManager.showError(`Generation failed: ${error.message}`);
 
       this.eventSystem.emit("content:generation-failed", {
@@ -147,13 +228,162 @@ class ContentGenerator {
       throw error;
     } finally {
       this.currentlyGenerating.delete(chunkId);
+      this.activeRequests.delete(chunkId);
+    }
+  }
+
+  /**
+   * ADDED: Run the quality rules on generated content. On violations, send
+   * one targeted repair request and keep the repair if it fixes anything.
+   * @returns {Promise<Object>} {content, issues}
+   */
+  async enforceQualityRules(chunk, courseConfig, content, options = {}) {
+    const issues = SlideQualityValidator.validate(chunk, content);
+    if (issues.length === 0 || !CONFIG.QUALITY.REPAIR_ENABLED) {
+      return { content, issues };
+    }
+
+    console.log(
+      `🔍 Quality issues in "${chunk.title}":`,
+      issues.map((issue) => issue.message)
+    );
+    StatusManager.showLoading(
+      `Fixing ${issues.length} quality issue${
+        issues.length === 1 ? "" : "s"
+      } in "${chunk.title}"...`,
+      { chunkId: chunk.id, priority: "high" }
+    );
+
+    try {
+      const repaired = await this.llmService.repairSlideContent(
+        chunk,
+        courseConfig,
+        content,
+        issues,
+        options
+      );
+      const remaining = SlideQualityValidator.validate(chunk, repaired);
+
+      if (remaining.length < issues.length) {
+        console.log(
+          `🔧 Quality repair for "${chunk.title}" left ${remaining.length} issues`
+        );
+        return { content: repaired, issues: remaining };
+      }
+    } catch (error) {
+      if (error.cancelled) throw error;
+      console.warn(`Quality repair failed for "${chunk.title}":`, error);
+    }
+
+    return { content, issues };
+  }
+
+  /**
+   * ADDED: Have the LLM judge whether a slide's statements are supported by
+   * its source content, replacing the lexical verdicts
+   * @returns {Promise<Object|null>} Updated grounding report
+   */
+  async judgeGrounding(chunkId) {
+    const chunk = (this.stateManager.getState("chunks") || []).find(
+      (c) => c.id === chunkId
+    );
+    const report =
+      chunk && GroundingChecker.check(chunk, chunk.generatedContent);
+
+    if (!report || report.claims.length === 0) {
+      StatusManager.showInfo("No statements to check against the source");
+      return null;
+    }
+    if (this.usageTracker.isOverBudget()) {
+      StatusManager.showWarning(
+        "Course budget reached. Raise it under Usage & Budget to check with AI."
+      );
+      return null;
+    }
+
+    // Lexically unsupported statements first, in case some must be left out
+    const claims = report.claims
+      .map((claim, index) => ({ ...claim, index }))
+      .sort((a, b) => a.supported - b.supported)
+      .slice(0, CONFIG.GROUNDING.MAX_JUDGE_CLAIMS);
+
+    StatusManager.showLoading(
+      `Checking ${claims.length} statements in "${chunk.title}" against the source...`,
+      { chunkId, priority: "high" }
+    );
+
+    try {
+      await this.llmService.ensureReady();
+      const verdicts = await this.llmService.judgeGrounding(chunk, claims, {
+        onResponse: (response) => this.usageTracker.record(response),
+      });
+      const judged = GroundingChecker.applyVerdicts(
+        report,
+        verdicts.map((verdict) => ({
+          ...verdict,
+          index: claims[verdict.index].index,
+        }))
+      );
+
+      // Re-check current content: edits made while waiting drop verdicts
+      const chunks = this.stateManager.getState("chunks") || [];
+      const current = chunks.find((c) => c.id === chunkId);
+      if (current) {
+        current.groundingReport = GroundingChecker.check(
+          current,
+          current.generatedContent,
+          judged
+        );
+        this.stateManager.setState("chunks", chunks, {
+          undoLabel: "Check sources",
+        });
+      }
+
+      const unsupported = GroundingChecker.getUnsupported(judged).length;
+      StatusManager.hide();
+      if (unsupported > 0) {
+        StatusManager.showWarning(
+          `${unsupported} statement${
+            unsupported === 1 ? "" : "s"
+          } in "${chunk.title}" not supported by the source`
+        );
+      } else {
+        StatusManager.showSuccess(
+          `All statements in "${chunk.title}" are supported by the source`
+        );
+      }
+
+      this.eventSystem.emit("content:grounding-checked", {
+        chunkId,
+        unsupported,
+      });
+
+      return current ? current.groundingReport : judged;
+    } catch (error) {
+      StatusManager.hide();
+      console.error(`Grounding check failed for ${chunkId}:`, error);
+      StatusManager.showError(`Source check failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * ADDED: Cancel generation for one slide, aborting its request
+   */
+  cancelSlideGeneration(chunkId) {
+    const abortController = this.activeRequests.get(chunkId);
+    if (abortController) {
+      abortController.abort();
+      StatusManager.showWarning("Generation cancelled");
     }
   }
 
   /**
    * FIXED: Regenerate content for a specific slide - preserve ground truth
+   * @param {Object} options - {bypassCache}: request a fresh response instead
+   *   of reusing a cached one
    */
-  async regenerateSlideContent(chunkId) {
+  async regenerateSlideContent(chunkId, options = {}) {
     // FIXED: Get current chunk state to preserve ground truth
     const chunks = this.stateManager.getState("chunks") || [];
     const chunk = chunks.find((c) => c.id === chunkId);
@@ -168,36 +398,27 @@ class ContentGenerator {
       return;
     }
 
+    const lockHolder = this.getLockHolder(chunk.id);
+    if (lockHolder) {
+      StatusManager.showWarning(`${lockHolder.name} is editing this chunk`);
+      return;
+    }
+
     console.log(`🔄 Regenerating content for "${chunk.title}"`);
     console.log(
       "🎯 Current ground truth before regeneration:",
       chunk.groundTruth
     );
 
-    // FIXED: Clear existing generated content but PRESERVE ground truth
-    const chunkIndex = chunks.findIndex((c) => c.id === chunkId);
-    if (chunkIndex >= 0) {
-      // Store current ground truth to ensure it's preserved
-      const preservedGroundTruth = chunks[chunkIndex].groundTruth;
-
-      // Clear only the generated content
-      chunks[chunkIndex].generatedContent = null;
-      chunks[chunkIndex].lastGenerated = null;
-
-      // CRITICAL: Ensure ground truth is preserved
-      chunks[chunkIndex].groundTruth = preservedGroundTruth;
-
-      console.log("🛡️ PRESERVED GROUND TRUTH DURING RESET:", {
-        chunkId: chunkId,
-        groundTruth: preservedGroundTruth,
-        clearedContent: true,
-      });
-
-      this.stateManager.setState("chunks", chunks);
-    }
-
-    // Now regenerate with the preserved ground truth
-    await this.generateSlideContent(chunkId);
+    // FIXED: The new content replaces the old in a single state change
+    // (ground truth is preserved there), so it is one undo step and edits
+    // to other chunks during the request stay separate steps. Failed
+    // requests leave the old content in place.
+    await this.generateSlideContent(chunkId, {
+      ...options,
+      regenerate: true,
+      undoLabel: "Regenerate slide",
+    });
   }
 
   /**
@@ -214,6 +435,29 @@ class ContentGenerator {
       return;
     }
 
+    // ADDED: Budget check and pre-flight estimate
+    if (this.usageTracker.isOverBudget()) {
+      this.showBudgetReached(pendingChunks.length);
+      return;
+    }
+
+    const estimate = this.estimateGenerationUsage(pendingChunks);
+    const remainingBudget = this.usageTracker.getRemainingBudget();
+    if (
+      estimate &&
+      estimate.cost !== null &&
+      remainingBudget !== null &&
+      estimate.cost > remainingBudget
+    ) {
+      StatusManager.showWarning(
+        `Estimated cost ${UsageTracker.formatCost(
+          estimate.cost
+        )} exceeds the remaining budget of ${UsageTracker.formatCost(
+          remainingBudget
+        )}. Generation will pause when the budget is reached.`
+      );
+    }
+
     console.log(`Starting generation for ${pendingChunks.length} slides`);
     console.log(
       "🎯 Ground truth status for all chunks:",
@@ -234,11 +478,15 @@ class ContentGenerator {
       failed: 0,
       errors: [],
       startTime: Date.now(),
+      usageAtStart: this.usageTracker.getUsage(),
+      paused: false,
     };
 
     StatusManager.startBatchOperation(
       this.batchOperationId,
-      `Generating content for ${pendingChunks.length} slides...`
+      `Generating content for ${pendingChunks.length} slides${
+        estimate ? ` (${this.formatUsage(estimate)}, estimated)` : ""
+      }...`
     );
 
     console.log(
@@ -250,6 +498,13 @@ class ContentGenerator {
     const batches = this.chunkArray(pendingChunks, batchSize);
 
     for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+      // ADDED: Pause the queue once the course budget is spent
+      if (this.usageTracker.isOverBudget()) {
+        this.batchProgress.paused = true;
+        console.log("⏸️ Batch paused: course budget reached");
+        break;
+      }
+
       const batch = batches[batchIndex];
       console.log(
         `📦 Processing batch ${batchIndex + 1}/${batches.length} (${
@@ -283,6 +538,11 @@ class ContentGenerator {
 
           return { success: true, chunk };
         } catch (error) {
+          // Cancelled along with the whole batch
+          if (!this.batchProgress) {
+            return { success: false, chunk, error: error.message };
+          }
+
           this.batchProgress.failed++;
           this.batchProgress.completed++;
           this.batchProgress.errors.push({
@@ -311,6 +571,9 @@ class ContentGenerator {
       // Wait for current batch to complete
       const batchResults = await Promise.allSettled(batchPromises);
 
+      // ADDED: Stop here if the batch was cancelled
+      if (!this.batchOperationId) return;
+
       // Add delay between batches to respect rate limits
       if (batchIndex < batches.length - 1) {
         const delayMs = 2000; // 2 second delay between batches
@@ -327,8 +590,11 @@ class ContentGenerator {
    * FIXED: Complete batch operation with proper status cleanup
    */
   async completeBatchOperation() {
-    const { total, successful, failed, errors, startTime } = this.batchProgress;
+    const { total, successful, failed, errors, startTime, paused } =
+      this.batchProgress;
     const duration = Math.round((Date.now() - startTime) / 1000);
+    const usage = this.getRunUsage(this.batchProgress.usageAtStart);
+    const remaining = total - successful - failed;
 
     // Create completion message
     const completionMessages = [];
@@ -338,11 +604,19 @@ class ContentGenerator {
     if (failed > 0) {
       completionMessages.push(`❌ ${failed} slides failed`);
     }
+    if (paused) {
+      completionMessages.push(`⏸️ ${remaining} paused (budget reached)`);
+    }
+    completionMessages.push(`💰 ${this.formatUsage(usage)}`);
     completionMessages.push(`⏱️ Completed in ${duration} seconds`);
 
     const completionMessage = completionMessages.join(" | ");
     const completionType =
-      failed === 0 ? "success" : failed < total ? "warning" : "error";
+      failed === 0 && !paused
+        ? "success"
+        : failed < total
+        ? "warning"
+        : "error";
 
     // FIXED: Ensure proper batch completion
     StatusManager.completeBatchOperation(
@@ -363,6 +637,10 @@ class ContentGenerator {
       }, 2000);
     }
 
+    if (paused) {
+      setTimeout(() => this.showBudgetReached(remaining), 2000);
+    }
+
     // Emit detailed completion event
     this.eventSystem.emit("content:batch-generated", {
       total,
@@ -370,6 +648,8 @@ class ContentGenerator {
       failed,
       errors,
       duration,
+      usage,
+      paused,
       retryQueueSize: this.retryQueue.size,
     });
 
@@ -381,6 +661,7 @@ class ContentGenerator {
         failed,
         duration: `${duration}s`,
         successRate: `${Math.round((successful / total) * 100)}%`,
+        usage,
         errors: errors.map((e) => `${e.chunkTitle}: ${e.error}`),
       });
     }
@@ -390,6 +671,98 @@ class ContentGenerator {
     this.batchProgress = null;
   }
 
+  /**
+   * ADDED: Estimate tokens and cost of generating the given chunks
+   * @returns {Object|null} {slides, promptTokens, completionTokens, cost};
+   *   cost is null when the model has no price
+   */
+  estimateGenerationUsage(chunks) {
+    if (!this.llmService) return null;
+
+    const courseConfig = this.stateManager.getState("courseConfig");
+    const estimates = chunks
+      .map((chunk) => this.llmService.estimateSlideUsage(chunk, courseConfig))
+      .filter(Boolean);
+
+    if (estimates.length === 0) return null;
+
+    return estimates.reduce(
+      (total, estimate) => ({
+        slides: total.slides + 1,
+        promptTokens: total.promptTokens + estimate.promptTokens,
+        completionTokens: total.completionTokens + estimate.completionTokens,
+        cost:
+          total.cost === null || estimate.cost === null
+            ? null
+            : total.cost + estimate.cost,
+      }),
+      { slides: 0, promptTokens: 0, completionTokens: 0, cost: 0 }
+    );
+  }
+
+  /**
+   * ADDED: Usage recorded since a getUsage() snapshot
+   */
+  getRunUsage(usageAtStart) {
+    const current = this.usageTracker.getUsage();
+
+    return {
+      promptTokens: current.promptTokens - usageAtStart.promptTokens,
+      completionTokens: current.completionTokens - usageAtStart.completionTokens,
+      cost:
+        current.unpricedRequests > usageAtStart.unpricedRequests
+          ? null
+          : current.cost - usageAtStart.cost,
+      cachedRequests: current.cachedRequests - usageAtStart.cachedRequests,
+    };
+  }
+
+  /**
+   * ADDED: Sum two {promptTokens, completionTokens, cost} usages
+   */
+  addUsage(previous, usage) {
+    if (!previous) return usage;
+
+    return {
+      promptTokens: previous.promptTokens + usage.promptTokens,
+      completionTokens: previous.completionTokens + usage.completionTokens,
+      cost:
+        previous.cost === null || usage.cost === null
+          ? null
+          : previous.cost + usage.cost,
+      estimated: previous.estimated || usage.estimated,
+    };
+  }
+
+  /**
+   * ADDED: "12,345 tokens, $0.04" summary of a usage or estimate
+   */
+  formatUsage(usage) {
+    const tokens = usage.promptTokens + usage.completionTokens;
+    const cost =
+      usage.cost === null ? "" : `, ${UsageTracker.formatCost(usage.cost)}`;
+    return `${tokens.toLocaleString()} tokens${cost}`;
+  }
+
+  /**
+   * ADDED: Tell the user the batch stopped because the budget is spent
+   */
+  showBudgetReached(remainingSlides) {
+    const budget = this.usageTracker.getBudget();
+
+    StatusManager.showWarning(
+      `Budget of ${UsageTracker.formatCost(
+        budget
+      )} reached with ${remainingSlides} slides left. Raise the budget under Usage & Budget, then click Generate All to continue.`
+    );
+
+    this.eventSystem.emit("content:budget-reached", {
+      budget,
+      spent: this.usageTracker.getUsage().cost,
+      remainingSlides,
+    });
+  }
+
   /**
    * ADDED: Retry failed generations
    */
@@ -506,18 +879,14 @@ class ContentGenerator {
     try {
       StatusManager.showLoading(`Changing slide type to ${newSlideType}...`);
 
-      // FIXED: Preserve ground truth when changing slide type
-      const preservedGroundTruth = chunks[chunkIndex].groundTruth;
-
-      // Update slide type and clear content but preserve ground truth
-      chunks[chunkIndex].slideType = newSlideType;
-      chunks[chunkIndex].generatedContent = null;
-      chunks[chunkIndex].groundTruth = preservedGroundTruth; // FIXED: Keep ground truth intact
-
-      this.stateManager.setState("chunks", chunks);
-
-      // Regenerate content with new type
-      await this.generateSlideContent(chunkId);
+      // FIXED: The type changes together with the new content (ground truth
+      // preserved), so the change is one undo step and a failed request
+      // leaves the slide as it was
+      const content = await this.generateSlideContent(chunkId, {
+        slideType: newSlideType,
+        undoLabel: "Change slide type",
+      });
+      if (!content) return;
 
       this.eventSystem.emit("content:type-changed", {
         chunkId,
@@ -527,10 +896,6 @@ class ContentGenerator {
     } catch (error) {
       console.error("Failed to change slide type:", error);
       StatusManager.showError(`Failed to change slide type: ${error.message}`);
-
-      // Revert slide type on error
-      chunks[chunkIndex].slideType = oldType;
-      this.stateManager.setState("chunks", chunks);
     }
   }
 
@@ -669,6 +1034,10 @@ class ContentGenerator {
       const cancelled = Array.from(this.currentlyGenerating);
       this.currentlyGenerating.clear();
 
+      // ADDED: Abort in-flight (and streaming) requests
+      this.activeRequests.forEach((abortController) => abortController.abort());
+      this.activeRequests.clear();
+
       if (this.batchOperationId) {
         StatusManager.completeBatchOperation(
           this.batchOperationId,
@@ -705,6 +1074,16 @@ class ContentGenerator {
     return chunks;
   }
 
+  /**
+   * ADDED: Collaborator editing a chunk, who holds its soft-lock
+   * @returns {Object|null} {id, name, color}
+   */
+  getLockHolder(chunkId) {
+    return window.collabClient
+      ? window.collabClient.getLockHolder(chunkId)
+      : null;
+  }
+
   /**
    * Utility delay function
    */
@@ -0,0 +1,273 @@
+/**
+ * Course Forge MVP - Course File Format
+ * Reads and writes .courseforge project files: recognises the format
+ * version of a loaded file, migrates older exports (including those of the
+ * SingleScreen app) step by step to the current version and validates the
+ * result against courseforge.schema.json
+ */
+
+const COURSE_FORMAT_NAME = "courseforge";
+const COURSE_FORMAT_VERSION = 2;
+
+// Chunk fields of SingleScreen exports, kept under chunk.learningDesign
+const SINGLESCREEN_CHUNK_FIELDS = [
+  "bloomsLevel",
+  "learningObjectiveAlignment",
+  "cognitiveLoad",
+  "reinforcementStrategy",
+  "assessmentType",
+];
+
+/**
+ * Migrations keyed by the version they upgrade from; each returns a
+ * document of the next version
+ */
+const COURSE_FORMAT_MIGRATIONS = {
+  // Unversioned and "1.0" exports of both apps, and generated slide exports
+  1: (data, source) => {
+    const legacy =
+      source === "generated-slides"
+        ? CourseFormat.fromGeneratedSlides(data)
+        : data;
+    const config = legacy.courseConfig || {};
+
+    return {
+      format: COURSE_FORMAT_NAME,
+      formatVersion: 2,
+      exportedAt: data.exportedAt || new Date().toISOString(),
+      courseConfig: {
+        ...CONFIG.DEFAULTS.COURSE_CONFIG,
+        ...config,
+        learningObjectives: CourseFormat.toList(config.learningObjectives),
+      },
+      chunks: (legacy.chunks || []).map((chunk, index) =>
+        CourseFormat.migrateLegacyChunk(chunk, index)
+      ),
+      revisions: {},
+      generatedSlides: legacy.generatedSlides || [],
+    };
+  },
+};
+
+// Schema, fetched once
+let courseFormatSchemaPromise = null;
+
+class CourseFormat {
+  /**
+   * Build a project file from the application state
+   * @returns {Object} Current-version document
+   */
+  static create(state) {
+    return {
+      format: COURSE_FORMAT_NAME,
+      formatVersion: COURSE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      courseConfig: state.courseConfig,
+      chunks: state.chunks || [],
+      revisions: state.revisions || {},
+      generatedSlides: state.generatedSlides || [],
+    };
+  }
+
+  /**
+   * Recognise a course file
+   * @returns {Object|null} {version, source}; source is "courseforge",
+   *   "course-forge", "singlescreen" or "generated-slides". Null when the
+   *   data is not a course.
+   */
+  static detect(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return null;
+    }
+
+    if (data.format === COURSE_FORMAT_NAME) {
+      return { version: data.formatVersion, source: "courseforge" };
+    }
+
+    if (Array.isArray(data.slides) && data.course) {
+      return { version: 1, source: "generated-slides" };
+    }
+
+    if (data.courseConfig || Array.isArray(data.chunks)) {
+      const isSingleScreen =
+        !("generatedSlides" in data) &&
+        (data.chunks || []).some((chunk) =>
+          SINGLESCREEN_CHUNK_FIELDS.some((field) => chunk && field in chunk)
+        );
+
+      return {
+        version: 1,
+        source: isSingleScreen ? "singlescreen" : "course-forge",
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Migrate a loaded course file to the current version and validate it
+   * @returns {Promise<Object>} {course, fromVersion, source}; course is a
+   *   current-version document
+   * @throws {Error} With validationErrors listing each problem by path
+   */
+  static async read(data) {
+    const detected = this.detect(data);
+    if (!detected) {
+      throw new Error("This file is not a Course Forge course");
+    }
+
+    const course = this.migrate(data, detected);
+    const errors = JsonSchema.validate(course, await this.loadSchema());
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 5).join("\n");
+      const more =
+        errors.length > 5 ? `\n...and ${errors.length - 5} more` : "";
+      const error = new Error(`Invalid course file:\n${shown}${more}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    return { course, fromVersion: detected.version, source: detected.source };
+  }
+
+  /**
+   * Apply the migrations from the file's version up to the current one
+   */
+  static migrate(data, { version, source }) {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Unknown course file version: ${version}`);
+    }
+    if (version > COURSE_FORMAT_VERSION) {
+      throw new Error(
+        `This file was saved by a newer version of Course Forge (format ` +
+          `${version}); this version reads up to ${COURSE_FORMAT_VERSION}`
+      );
+    }
+
+    let document = data;
+    for (let from = version; from < COURSE_FORMAT_VERSION; from++) {
+      document = COURSE_FORMAT_MIGRATIONS[from](document, source);
+    }
+    return document;
+  }
+
+  /**
+   * The published schema of the current version
+   */
+  static loadSchema() {
+    if (!courseFormatSchemaPromise) {
+      courseFormatSchemaPromise = fetch("./courseforge.schema.json").then(
+        (response) => {
+          if (!response.ok) {
+            throw new Error(
+              `Failed to load courseforge.schema.json: ${response.status}`
+            );
+          }
+          return response.json();
+        }
+      );
+
+      // Allow a later retry if loading failed
+      courseFormatSchemaPromise.catch(() => {
+        courseFormatSchemaPromise = null;
+      });
+    }
+
+    return courseFormatSchemaPromise;
+  }
+
+  /**
+   * Bring a chunk of an older export to the current shape
+   */
+  static migrateLegacyChunk(chunk, index) {
+    const migrated = {
+      ...chunk,
+      id:
+        chunk.id === undefined || chunk.id === null
+          ? `chunk_${Date.now()}_${index}`
+          : String(chunk.id),
+      title: chunk.title || `Chunk ${index + 1}`,
+      slideType: chunk.slideType || "textAndBullets",
+      sourceContent: chunk.sourceContent || "",
+      groundTruth: chunk.groundTruth || "",
+      order: Number.isInteger(chunk.order) ? chunk.order : index,
+      isLocked: !!chunk.isLocked,
+      generatedContent: chunk.generatedContent || null,
+    };
+
+    // Older exports leave optional fields undefined
+    Object.keys(migrated).forEach((key) => {
+      if (migrated[key] === undefined) delete migrated[key];
+    });
+
+    // SingleScreen learning design metadata
+    const learningDesign = {};
+    SINGLESCREEN_CHUNK_FIELDS.forEach((field) => {
+      if (field in migrated) {
+        learningDesign[field] = migrated[field];
+        delete migrated[field];
+      }
+    });
+    if (Object.keys(learningDesign).length > 0) {
+      migrated.learningDesign = learningDesign;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Course data from an export of generated slides (course + slides)
+   */
+  static fromGeneratedSlides(data) {
+    const course = data.course || {};
+
+    return {
+      courseConfig: {
+        title: course.title || "",
+        targetAudience: course.targetAudience || "",
+        estimatedDuration: course.estimatedDuration || "",
+        learningObjectives: course.learningObjectives,
+      },
+      chunks: data.slides.map((slide) => ({
+        id: slide.id,
+        title: slide.title,
+        slideType: slide.slideType,
+        order: slide.order,
+        estimatedTime: slide.estimatedTime,
+        isLocked: slide.isLocked,
+        generatedContent: slide.content,
+      })),
+    };
+  }
+
+  /**
+   * A list of strings from an array or newline-separated text
+   */
+  static toList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === "string") {
+      return value
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * File name for a saved course, e.g. "intro-to-safety-2024-05-01.courseforge"
+   */
+  static getFilename(title) {
+    const slug = (title || "course")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60);
+    const date = new Date().toISOString().slice(0, 10);
+
+    return `${slug || "course"}-${date}.${COURSE_FORMAT_NAME}`;
+  }
+}
+
+window.CourseFormat = CourseFormat;
@@ -0,0 +1,363 @@
+/**
+ * Course Forge MVP - Course Library Controller
+ * Dialog listing the courses in the library, with actions to open, create,
+ * duplicate, archive and delete them
+ */
+
+class CourseLibraryController {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+    this.isOpen = false;
+    this.showArchived = false;
+    this.busy = false; // A library action is running
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("CourseLibraryController initialized");
+    }
+  }
+
+  get library() {
+    return this.stateManager.library;
+  }
+
+  /**
+   * Open the library dialog
+   */
+  async open() {
+    if (!this.stateManager.isLibraryEnabled()) {
+      StatusManager.showWarning(
+        "The course library needs IndexedDB, which this browser does not " +
+          "allow. Your course is saved in local storage."
+      );
+      return;
+    }
+
+    this.isOpen = true;
+    document.addEventListener("keydown", this.handleKeydown);
+
+    // List the open course with its latest changes
+    await this.stateManager.flushSave();
+    await this.refresh();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    const modal = document.getElementById("courseLibraryModal");
+    if (modal) modal.remove();
+
+    document.removeEventListener("keydown", this.handleKeydown);
+    this.isOpen = false;
+  }
+
+  /**
+   * Close on Escape
+   */
+  handleKeydown(event) {
+    if (event.key === "Escape") {
+      this.close();
+    }
+  }
+
+  /**
+   * Reload the course list and redraw the dialog
+   */
+  async refresh() {
+    if (!this.isOpen) return;
+
+    try {
+      const courses = await this.library.listCourses({
+        includeArchived: this.showArchived,
+      });
+      if (this.isOpen) this.render(courses);
+    } catch (error) {
+      console.error("Failed to list courses:", error);
+      StatusManager.showError(`Failed to load the library: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show or hide archived courses
+   */
+  setShowArchived(showArchived) {
+    this.showArchived = showArchived;
+    this.refresh();
+  }
+
+  /**
+   * Switch to another course
+   */
+  async openCourse(courseId) {
+    if (courseId === this.stateManager.courseId) {
+      this.close();
+      return;
+    }
+
+    await this.runAction(async () => {
+      await this.stateManager.switchCourse(courseId);
+      this.close();
+      this.announceSwitch();
+    });
+  }
+
+  /**
+   * Start a new, empty course
+   */
+  async createCourse() {
+    await this.runAction(async () => {
+      await this.stateManager.createCourse();
+      this.close();
+      this.announceSwitch();
+    });
+  }
+
+  /**
+   * Copy a course; the copy is listed but not opened
+   */
+  async duplicateCourse(courseId) {
+    await this.runAction(async () => {
+      if (courseId === this.stateManager.courseId) {
+        await this.stateManager.flushSave();
+      }
+      await this.library.duplicateCourse(courseId);
+      StatusManager.showSuccess("Course duplicated");
+      await this.refresh();
+    }, false);
+  }
+
+  /**
+   * Move a course to or out of the archive
+   */
+  async setArchived(courseId, archived) {
+    await this.runAction(async () => {
+      await this.library.setArchived(courseId, archived);
+      StatusManager.showSuccess(
+        archived ? "Course archived" : "Course restored from the archive"
+      );
+      await this.refresh();
+    }, false);
+  }
+
+  /**
+   * Delete a course after confirmation. Deleting the open course opens the
+   * most recent other course, or a new one.
+   */
+  async deleteCourse(courseId) {
+    const course = await this.library.getCourse(courseId);
+    if (!course) return;
+
+    const confirmed = confirm(
+      `Delete "${course.title}"? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    const isOpenCourse = courseId === this.stateManager.courseId;
+
+    await this.runAction(async () => {
+      if (isOpenCourse) {
+        const courses = await this.library.listCourses();
+        const next = courses.find((c) => c.id !== courseId);
+
+        if (next) {
+          await this.stateManager.switchCourse(next.id);
+        } else {
+          await this.stateManager.createCourse();
+        }
+      }
+
+      await this.library.deleteCourse(courseId);
+      StatusManager.showSuccess(`Deleted "${course.title}"`);
+
+      if (isOpenCourse) this.announceSwitch();
+      await this.refresh();
+    }, isOpenCourse);
+  }
+
+  /**
+   * Run a library action, one at a time
+   * @param {Function} action - Async action
+   * @param {boolean} switchesCourse - Whether the action may replace the
+   *   open course, which must wait for running work to finish
+   */
+  async runAction(action, switchesCourse = true) {
+    if (this.busy) return;
+
+    if (
+      switchesCourse &&
+      (this.stateManager.getState("isProcessing") ||
+        this.stateManager.transaction)
+    ) {
+      StatusManager.showWarning(
+        "Wait for the current operation to finish before switching courses"
+      );
+      return;
+    }
+
+    this.busy = true;
+    try {
+      await action();
+    } catch (error) {
+      console.error("Course library action failed:", error);
+      StatusManager.showError(`Course library: ${error.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Tell the app that another course is open
+   */
+  announceSwitch() {
+    const title = CourseLibrary.getTitle(this.stateManager.getState());
+
+    this.eventSystem.emit("course:switched", {
+      courseId: this.stateManager.courseId,
+      title,
+    });
+    StatusManager.showSuccess(`Opened "${title}"`);
+  }
+
+  /**
+   * Draw (or redraw) the dialog
+   */
+  render(courses) {
+    let modal = document.getElementById("courseLibraryModal");
+    if (!modal) {
+      modal = document.createElement("div");
+      modal.id = "courseLibraryModal";
+      modal.className = "slide-type-modal course-library-modal";
+      modal.addEventListener("click", (event) => {
+        if (event.target === modal) this.close();
+      });
+      document.body.appendChild(modal);
+    }
+
+    modal.innerHTML = `
+      <div class="modal-content course-library-dialog" role="dialog"
+           aria-label="Course library">
+        <div class="course-library-header">
+          <h3>Course library</h3>
+          <button class="btn btn-secondary btn-sm"
+                  onclick="window.courseLibraryController.close()"
+                  title="Close">
+            <i data-lucide="x"></i>
+          </button>
+        </div>
+        <div class="course-library-toolbar">
+          <button class="btn btn-primary btn-sm"
+                  onclick="window.courseLibraryController.createCourse()">
+            <i data-lucide="plus"></i> New course
+          </button>
+          <label class="course-library-archived-toggle">
+            <input type="checkbox" ${this.showArchived ? "checked" : ""}
+                   onchange="window.courseLibraryController.setShowArchived(
+                     this.checked
+                   )" />
+            Show archived
+          </label>
+        </div>
+        ${
+          courses.length === 0
+            ? '<p class="course-library-empty">No courses here yet.</p>'
+            : `<ul class="course-library-list">
+                ${courses
+                  .map((course) => this.renderCourseCard(course))
+                  .join("")}
+              </ul>`
+        }
+      </div>
+    `;
+
+    if (typeof lucide !== "undefined") {
+      lucide.createIcons();
+    }
+  }
+
+  /**
+   * One course in the list
+   */
+  renderCourseCard(course) {
+    const isCurrent = course.id === this.stateManager.courseId;
+    const thumbnail = course.thumbnail;
+    const id = this.escapeHtml(course.id);
+
+    return `
+      <li class="course-card ${isCurrent ? "current" : ""} ${
+      course.archived ? "archived" : ""
+    }">
+        <button type="button" class="course-thumbnail"
+                onclick="window.courseLibraryController.openCourse('${id}')"
+                title="Open this course">
+          ${
+            thumbnail && thumbnail.image
+              ? `<img src="${this.escapeHtml(thumbnail.image)}" alt="" />`
+              : `<span class="course-thumbnail-heading">${this.escapeHtml(
+                  (thumbnail && thumbnail.heading) || course.title
+                )}</span>`
+          }
+          ${
+            thumbnail && thumbnail.slideType
+              ? `<span class="course-thumbnail-type">${this.escapeHtml(
+                  thumbnail.slideType
+                )}</span>`
+              : ""
+          }
+        </button>
+        <div class="course-card-details">
+          <span class="course-card-title">${this.escapeHtml(
+            course.title
+          )}</span>
+          <span class="course-card-meta">
+            ${course.slideCount} slides · ${course.generatedCount} generated
+          </span>
+          <span class="course-card-meta">
+            Modified ${new Date(course.updatedAt).toLocaleString()}
+          </span>
+          ${
+            isCurrent
+              ? '<span class="course-card-badge">Open</span>'
+              : course.archived
+              ? '<span class="course-card-badge">Archived</span>'
+              : ""
+          }
+        </div>
+        <div class="course-card-actions">
+          <button class="btn btn-secondary btn-sm"
+                  onclick="window.courseLibraryController.duplicateCourse(
+                    '${id}'
+                  )"
+                  title="Duplicate">
+            <i data-lucide="copy"></i>
+          </button>
+          <button class="btn btn-secondary btn-sm"
+                  onclick="window.courseLibraryController.setArchived(
+                    '${id}', ${!course.archived}
+                  )"
+                  title="${course.archived ? "Unarchive" : "Archive"}">
+            <i data-lucide="${
+              course.archived ? "archive-restore" : "archive"
+            }"></i>
+          </button>
+          <button class="btn btn-danger btn-sm"
+                  onclick="window.courseLibraryController.deleteCourse(
+                    '${id}'
+                  )"
+                  title="Delete">
+            <i data-lucide="trash-2"></i>
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+window.CourseLibraryController = CourseLibraryController;
@@ -0,0 +1,253 @@
+/**
+ * Course Forge MVP - Course Library
+ * Stores every course in IndexedDB: a small summary record per course for
+ * the library list, and the full course state in a separate store so
+ * listing courses does not read their source files
+ */
+
+const COURSE_LIBRARY_COURSES = "courses";
+const COURSE_LIBRARY_STATES = "states";
+
+class CourseLibrary {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB is available
+   */
+  isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open (and create on first use) the library database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.LIBRARY.DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(COURSE_LIBRARY_COURSES, { keyPath: "id" });
+          db.createObjectStore(COURSE_LIBRARY_STATES, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback in a transaction over both stores and resolve when it
+   * completes
+   */
+  async withStores(mode, callback) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        [COURSE_LIBRARY_COURSES, COURSE_LIBRARY_STATES],
+        mode
+      );
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+
+      callback(
+        {
+          courses: transaction.objectStore(COURSE_LIBRARY_COURSES),
+          states: transaction.objectStore(COURSE_LIBRARY_STATES),
+        },
+        (value) => {
+          result = value;
+        }
+      );
+    });
+  }
+
+  /**
+   * Summaries of the stored courses, most recently modified first
+   * @param {Object} options - {includeArchived}
+   * @returns {Promise<Object[]>} [{id, title, thumbnail, slideCount,
+   *   generatedCount, createdAt, updatedAt, archived}]
+   */
+  async listCourses({ includeArchived = false } = {}) {
+    const courses = await this.withStores("readonly", (stores, setResult) => {
+      const request = stores.courses.getAll();
+      request.onsuccess = () => setResult(request.result || []);
+    });
+
+    return courses
+      .filter((course) => includeArchived || !course.archived)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Summary of one course
+   * @returns {Promise<Object|null>}
+   */
+  async getCourse(courseId) {
+    return this.withStores("readonly", (stores, setResult) => {
+      const request = stores.courses.get(courseId);
+      request.onsuccess = () => setResult(request.result || null);
+    });
+  }
+
+  /**
+   * Full saved state of a course
+   * @returns {Promise<Object|null>}
+   */
+  async loadCourseState(courseId) {
+    return this.withStores("readonly", (stores, setResult) => {
+      const request = stores.states.get(courseId);
+      request.onsuccess = () =>
+        setResult(request.result ? request.result.state : null);
+    });
+  }
+
+  /**
+   * Store a course's state and refresh its summary
+   */
+  async saveCourse(courseId, state) {
+    await this.withStores("readwrite", (stores) => {
+      const request = stores.courses.get(courseId);
+      request.onsuccess = () => {
+        const existing = request.result || {
+          id: courseId,
+          createdAt: new Date().toISOString(),
+          archived: false,
+        };
+
+        stores.courses.put({
+          ...existing,
+          ...CourseLibrary.summarize(state),
+          updatedAt: new Date().toISOString(),
+        });
+        stores.states.put({ id: courseId, state });
+      };
+    });
+  }
+
+  /**
+   * Add a course
+   * @returns {Promise<string>} The new course id
+   */
+  async createCourse(state) {
+    const courseId = CourseLibrary.createId();
+    await this.saveCourse(courseId, state);
+    return courseId;
+  }
+
+  /**
+   * Copy a course under a new id, with " (copy)" added to its title
+   * @returns {Promise<string>} The id of the copy
+   */
+  async duplicateCourse(courseId) {
+    const state = await this.loadCourseState(courseId);
+    if (!state) {
+      throw new Error("Course not found");
+    }
+
+    const copy = JSON.parse(JSON.stringify(state));
+    copy.courseConfig = {
+      ...copy.courseConfig,
+      title: `${CourseLibrary.getTitle(state)} (copy)`,
+    };
+
+    return this.createCourse(copy);
+  }
+
+  /**
+   * Move a course to or out of the archive
+   */
+  async setArchived(courseId, archived) {
+    await this.withStores("readwrite", (stores) => {
+      const request = stores.courses.get(courseId);
+      request.onsuccess = () => {
+        if (request.result) {
+          stores.courses.put({ ...request.result, archived });
+        }
+      };
+    });
+  }
+
+  /**
+   * Remove a course and its state
+   */
+  async deleteCourse(courseId) {
+    await this.withStores("readwrite", (stores) => {
+      stores.courses.delete(courseId);
+      stores.states.delete(courseId);
+    });
+  }
+
+  /**
+   * Summary fields derived from a course's state
+   */
+  static summarize(state) {
+    const chunks = (state && state.chunks) || [];
+
+    return {
+      title: this.getTitle(state),
+      thumbnail: this.createThumbnail(state),
+      slideCount: chunks.length,
+      generatedCount: chunks.filter((chunk) => chunk.generatedContent).length,
+    };
+  }
+
+  /**
+   * Display name of a course
+   */
+  static getTitle(state) {
+    const title = state && state.courseConfig && state.courseConfig.title;
+    return (title && title.trim()) || "Untitled course";
+  }
+
+  /**
+   * Small preview of a course: the first slide's heading and type, and an
+   * image when the slide links one
+   * @returns {Object|null} {heading, slideType, image}
+   */
+  static createThumbnail(state) {
+    const chunks = (state && state.chunks) || [];
+    const chunk = chunks.find((c) => c.generatedContent) || chunks[0];
+    if (!chunk) return null;
+
+    const content = chunk.generatedContent;
+    const fields =
+      content && !Array.isArray(content) && typeof content === "object"
+        ? content
+        : {};
+    // Only linked images; embedded ones would bloat the summary record
+    const image =
+      typeof fields.image === "string" && /^https?:/.test(fields.image)
+        ? fields.image
+        : null;
+
+    return {
+      heading: fields.header || fields.title || chunk.title || "",
+      slideType: chunk.slideType || null,
+      image,
+    };
+  }
+
+  /**
+   * Unique course id
+   */
+  static createId() {
+    return `course_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+  }
+}
+
+window.CourseLibrary = CourseLibrary;
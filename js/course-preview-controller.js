@@ -226,7 +226,7 @@ class CoursePreviewController {
 
         <!-- Floating Navigation -->
         <nav class="floating-nav" id="floatingNav">
-          <button onclick="scrollToSection(-1)" title="Previous Section">
+          <button onclick="scrollToNextSection(-1)" title="Previous Section">
             <i data-lucide="chevron-up"></i>
           </button>
           <div class="nav-sections">
@@ -240,7 +240,7 @@ class CoursePreviewController {
               )
               .join("")}
           </div>
-          <button onclick="scrollToSection(1)" title="Next Section">
+          <button onclick="scrollToNextSection(1)" title="Next Section">
             <i data-lucide="chevron-down"></i>
           </button>
         </nav>
@@ -1348,37 +1348,31 @@ class CoursePreviewController {
         });
       }
 
-      function scrollToSection(direction) {
-        if (typeof direction === 'number' && direction >= 0) {
-          // Direct section navigation
-          const targetSection = document.getElementById(\`section-\${direction}\`);
-          if (targetSection) {
-            isScrolling = true;
-            targetSection.scrollIntoView({ 
-              behavior: 'smooth', 
-              block: 'center' 
-            });
-            
-            setTimeout(() => {
-              isScrolling = false;
-            }, 1000);
-          }
-        } else {
-          // Relative navigation
-          let targetIndex;
-          
-          if (direction === 1) {
-            targetIndex = Math.min(currentSection + 1, totalSections - 1);
-          } else if (direction === -1) {
-            targetIndex = Math.max(currentSection - 1, 0);
-          }
+      // Scroll to the section with this index
+      function scrollToSection(index) {
+        const targetSection = document.getElementById(\`section-\${index}\`);
+        if (targetSection) {
+          isScrolling = true;
+          targetSection.scrollIntoView({ 
+            behavior: 'smooth', 
+            block: 'center' 
+          });
           
-          if (typeof targetIndex !== 'undefined') {
-            scrollToSection(targetIndex);
-          }
+          setTimeout(() => {
+            isScrolling = false;
+          }, 1000);
         }
       }
 
+      // Scroll step sections forward (1) or back (-1) from the current one
+      function scrollToNextSection(step) {
+        const targetIndex = Math.min(
+          Math.max(currentSection + step, 0),
+          totalSections - 1
+        );
+        scrollToSection(targetIndex);
+      }
+
       function startCourse() {
         const firstSection = document.getElementById('section-0');
         if (firstSection) {
@@ -1517,12 +1511,12 @@ class CoursePreviewController {
           case 'ArrowDown':
           case 'PageDown':
             e.preventDefault();
-            scrollToSection(1);
+            scrollToNextSection(1);
             break;
           case 'ArrowUp':
           case 'PageUp':
             e.preventDefault();
-            scrollToSection(-1);
+            scrollToNextSection(-1);
             break;
           case 'Home':
             e.preventDefault();
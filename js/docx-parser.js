@@ -0,0 +1,358 @@
+/**
+ * Course Forge MVP - DOCX Parser
+ * Reads word/document.xml straight from the DOCX ZIP and keeps document structure:
+ * heading levels, bulleted/numbered lists, tables and paragraph boundaries
+ */
+
+const DOCX_WORD_NS =
+  "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+class DocxParser {
+  /**
+   * Parse a DOCX file
+   * @param {ArrayBuffer} arrayBuffer - DOCX file contents
+   * @returns {Promise<Object>} {blocks, outline, text}
+   */
+  static async parse(arrayBuffer) {
+    const parts = [
+      "word/document.xml",
+      "word/styles.xml",
+      "word/numbering.xml",
+    ];
+    const entries = await ZipArchive.read(arrayBuffer, (path) =>
+      parts.includes(path)
+    );
+
+    if (!entries["word/document.xml"]) {
+      throw new Error("word/document.xml not found - not a valid DOCX file");
+    }
+
+    const documentXml = this.parseXml(entries["word/document.xml"]);
+    const styles = entries["word/styles.xml"]
+      ? this.parseStyles(this.parseXml(entries["word/styles.xml"]))
+      : {};
+    const numbering = entries["word/numbering.xml"]
+      ? this.parseNumbering(this.parseXml(entries["word/numbering.xml"]))
+      : {};
+
+    const body = documentXml.getElementsByTagNameNS(DOCX_WORD_NS, "body")[0];
+    if (!body) {
+      throw new Error("DOCX document has no body");
+    }
+
+    const blocks = this.parseBlocks(body, styles, numbering);
+    const outline = blocks
+      .filter((block) => block.type === "heading")
+      .map((block) => ({ level: block.level, text: block.text }));
+
+    return {
+      blocks,
+      outline,
+      text: this.blocksToText(blocks),
+    };
+  }
+
+  /**
+   * Decode and parse an XML part
+   */
+  static parseXml(bytes) {
+    const xml = new TextDecoder("utf-8").decode(bytes);
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+      throw new Error("DOCX contains malformed XML");
+    }
+
+    return doc;
+  }
+
+  /**
+   * Get direct child elements in the WordprocessingML namespace
+   */
+  static children(element, localName) {
+    return Array.from(element.childNodes).filter(
+      (node) =>
+        node.nodeType === 1 &&
+        node.namespaceURI === DOCX_WORD_NS &&
+        (!localName || node.localName === localName)
+    );
+  }
+
+  static child(element, localName) {
+    return element ? this.children(element, localName)[0] || null : null;
+  }
+
+  /**
+   * Read a w:val attribute
+   */
+  static val(element) {
+    return element ? element.getAttributeNS(DOCX_WORD_NS, "val") : null;
+  }
+
+  /**
+   * Build styleId -> {headingLevel, numId, ilvl} from styles.xml
+   */
+  static parseStyles(stylesXml) {
+    const styles = {};
+
+    Array.from(stylesXml.getElementsByTagNameNS(DOCX_WORD_NS, "style")).forEach(
+      (style) => {
+        const styleId = style.getAttributeNS(DOCX_WORD_NS, "styleId");
+        const name = (this.val(this.child(style, "name")) || "").toLowerCase();
+        const pPr = this.child(style, "pPr");
+        const outlineLvl = this.val(this.child(pPr, "outlineLvl"));
+        const numPr = this.child(pPr, "numPr");
+
+        let headingLevel = null;
+        const headingMatch = name.match(/^heading\s*(\d)$/);
+        if (headingMatch) {
+          headingLevel = parseInt(headingMatch[1]);
+        } else if (name === "title") {
+          headingLevel = 1;
+        } else if (outlineLvl !== null && parseInt(outlineLvl) < 9) {
+          headingLevel = parseInt(outlineLvl) + 1;
+        }
+
+        styles[styleId] = {
+          headingLevel,
+          basedOn: this.val(this.child(style, "basedOn")),
+          numId: numPr ? this.val(this.child(numPr, "numId")) : null,
+          ilvl: numPr ? this.val(this.child(numPr, "ilvl")) : null,
+        };
+      }
+    );
+
+    return styles;
+  }
+
+  /**
+   * Build numId -> {level -> ordered} from numbering.xml
+   */
+  static parseNumbering(numberingXml) {
+    const abstractFormats = {};
+
+    Array.from(
+      numberingXml.getElementsByTagNameNS(DOCX_WORD_NS, "abstractNum")
+    ).forEach((abstractNum) => {
+      const id = abstractNum.getAttributeNS(DOCX_WORD_NS, "abstractNumId");
+      const levels = {};
+
+      this.children(abstractNum, "lvl").forEach((lvl) => {
+        const ilvl = lvl.getAttributeNS(DOCX_WORD_NS, "ilvl");
+        const numFmt = this.val(this.child(lvl, "numFmt")) || "bullet";
+        levels[ilvl] = numFmt !== "bullet" && numFmt !== "none";
+      });
+
+      abstractFormats[id] = levels;
+    });
+
+    const numbering = {};
+    Array.from(numberingXml.getElementsByTagNameNS(DOCX_WORD_NS, "num")).forEach(
+      (num) => {
+        const numId = num.getAttributeNS(DOCX_WORD_NS, "numId");
+        const abstractId = this.val(this.child(num, "abstractNumId"));
+        numbering[numId] = abstractFormats[abstractId] || {};
+      }
+    );
+
+    return numbering;
+  }
+
+  /**
+   * Resolve style properties, following basedOn inheritance
+   */
+  static resolveStyle(styleId, styles) {
+    const resolved = { headingLevel: null, numId: null, ilvl: null };
+    const visited = new Set();
+    let current = styleId;
+
+    while (current && styles[current] && !visited.has(current)) {
+      visited.add(current);
+      const style = styles[current];
+      if (resolved.headingLevel === null) resolved.headingLevel = style.headingLevel;
+      if (resolved.numId === null) resolved.numId = style.numId;
+      if (resolved.ilvl === null) resolved.ilvl = style.ilvl;
+      current = style.basedOn;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Convert body content into structured blocks, merging consecutive list items
+   */
+  static parseBlocks(container, styles, numbering) {
+    const blocks = [];
+
+    const addListItem = (item) => {
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === "list") {
+        last.items.push(item);
+      } else {
+        blocks.push({ type: "list", ordered: item.ordered, items: [item] });
+      }
+    };
+
+    this.children(container).forEach((element) => {
+      switch (element.localName) {
+        case "p": {
+          const paragraph = this.parseParagraph(element, styles, numbering);
+          if (!paragraph) break;
+          if (paragraph.type === "listItem") {
+            addListItem(paragraph);
+          } else {
+            blocks.push(paragraph);
+          }
+          break;
+        }
+        case "tbl": {
+          const table = this.parseTable(element);
+          if (table.rows.length > 0) blocks.push(table);
+          break;
+        }
+        case "sdt": {
+          // Content controls wrap regular paragraphs and tables
+          const content = this.child(element, "sdtContent");
+          if (content) {
+            blocks.push(...this.parseBlocks(content, styles, numbering));
+          }
+          break;
+        }
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Parse a paragraph into a heading, list item or paragraph block
+   */
+  static parseParagraph(paragraph, styles, numbering) {
+    const text = this.getParagraphText(paragraph).trim();
+    if (!text) return null;
+
+    const pPr = this.child(paragraph, "pPr");
+    const style = this.resolveStyle(this.val(this.child(pPr, "pStyle")), styles);
+
+    const outlineLvl = this.val(this.child(pPr, "outlineLvl"));
+    const headingLevel =
+      outlineLvl !== null && parseInt(outlineLvl) < 9
+        ? parseInt(outlineLvl) + 1
+        : style.headingLevel;
+
+    if (headingLevel) {
+      return { type: "heading", level: Math.min(headingLevel, 6), text };
+    }
+
+    const numPr = this.child(pPr, "numPr");
+    const numId = numPr ? this.val(this.child(numPr, "numId")) : style.numId;
+    const ilvl = (numPr ? this.val(this.child(numPr, "ilvl")) : style.ilvl) || "0";
+
+    if (numId && numId !== "0") {
+      const levels = numbering[numId] || {};
+      return {
+        type: "listItem",
+        level: parseInt(ilvl) || 0,
+        ordered: !!levels[ilvl],
+        text,
+      };
+    }
+
+    return { type: "paragraph", text };
+  }
+
+  /**
+   * Get paragraph text, keeping tabs and line breaks
+   */
+  static getParagraphText(element) {
+    let text = "";
+
+    Array.from(element.childNodes).forEach((node) => {
+      if (node.nodeType !== 1 || node.namespaceURI !== DOCX_WORD_NS) return;
+
+      switch (node.localName) {
+        case "t":
+          text += node.textContent;
+          break;
+        case "tab":
+          text += "\t";
+          break;
+        case "br":
+        case "cr":
+          text += "\n";
+          break;
+        case "noBreakHyphen":
+          text += "-";
+          break;
+        case "pPr":
+        case "rPr":
+        case "del":
+        case "instrText":
+          break;
+        default:
+          // Runs, hyperlinks, insertions, smart tags etc. contain further text
+          text += this.getParagraphText(node);
+      }
+    });
+
+    return text;
+  }
+
+  /**
+   * Parse a table into rows of cell text
+   */
+  static parseTable(table) {
+    const rows = this.children(table, "tr")
+      .map((row) =>
+        this.children(row, "tc").map((cell) =>
+          Array.from(cell.getElementsByTagNameNS(DOCX_WORD_NS, "p"))
+            .map((p) => this.getParagraphText(p).trim())
+            .filter(Boolean)
+            .join(" ")
+        )
+      )
+      .filter((cells) => cells.some((cell) => cell.length > 0));
+
+    return { type: "table", rows };
+  }
+
+  /**
+   * Render blocks as plain text with lightweight structure markers
+   * (# headings, - / 1. list items, | table rows)
+   */
+  static blocksToText(blocks) {
+    return blocks
+      .map((block) => {
+        switch (block.type) {
+          case "heading":
+            return `${"#".repeat(block.level)} ${block.text}`;
+          case "list": {
+            const counters = [];
+            return block.items
+              .map((item) => {
+                counters.length = item.level + 1;
+                counters[item.level] = (counters[item.level] || 0) + 1;
+                const marker = item.ordered ? `${counters[item.level]}.` : "-";
+                return `${"  ".repeat(item.level)}${marker} ${item.text}`;
+              })
+              .join("\n");
+          }
+          case "table":
+            return block.rows
+              .map((cells, index) => {
+                const row = `| ${cells.join(" | ")} |`;
+                return index === 0 && block.rows.length > 1
+                  ? `${row}\n|${cells.map(() => " --- ").join("|")}|`
+                  : row;
+              })
+              .join("\n");
+          default:
+            return block.text;
+        }
+      })
+      .join("\n\n");
+  }
+}
+
+// Make available globally
+window.DocxParser = DocxParser;
@@ -33,7 +33,22 @@ class FileProcessor {
         case "docx":
           result = await this.processDocxFile(file);
           break;
+        case "pdf":
+          result = await this.processPdfFile(file);
+          break;
+        case "pptx":
+          result = await this.processPptxFile(file);
+          break;
+        case "md":
+        case "markdown":
+          result = await this.processMarkupFile(file, "markdown");
+          break;
+        case "html":
+        case "htm":
+          result = await this.processMarkupFile(file, "html");
+          break;
         case "json":
+        case "courseforge": // ADDED: Project files are JSON
           result = await this.processJsonFile(file);
           break;
         default:
@@ -174,6 +189,16 @@ class FileProcessor {
         "application/zip", // DOCX files are ZIP archives
       ],
       json: ["application/json", "text/json", "text/plain"],
+      courseforge: ["application/json", "application/octet-stream"],
+      pdf: ["application/pdf", "application/x-pdf"],
+      pptx: [
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+        "application/zip", // PPTX files are ZIP archives too
+      ],
+      md: ["text/markdown", "text/x-markdown", "text/plain"],
+      markdown: ["text/markdown", "text/x-markdown", "text/plain"],
+      html: ["text/html", "application/xhtml+xml"],
+      htm: ["text/html", "application/xhtml+xml"],
     };
 
     const expected = expectedMimeTypes[extension];
@@ -201,14 +226,26 @@ class FileProcessor {
 
     switch (extension) {
       case "docx":
-        await this.validateDocxHeader(headerBytes);
+      case "pptx":
+        await this.validateDocxHeader(headerBytes, extension.toUpperCase());
+        break;
+      case "pdf":
+        await this.validatePdfHeader(headerBytes);
         break;
       case "json":
+      case "courseforge":
         await this.validateJsonStructure(file);
         break;
       case "txt":
+      case "md":
+      case "markdown":
         await this.validateTextContent(headerBytes);
         break;
+      case "html":
+      case "htm":
+        // Scripts are expected in HTML pages and are dropped during parsing
+        await this.validateTextContent(headerBytes, true);
+        break;
     }
   }
 
@@ -234,9 +271,9 @@ class FileProcessor {
   }
 
   /**
-   * ADDED: Validate DOCX file header
+   * ADDED: Validate DOCX file header (also used for PPTX, which shares the ZIP container)
    */
-  static async validateDocxHeader(headerBytes) {
+  static async validateDocxHeader(headerBytes, format = "DOCX") {
     // DOCX files are ZIP archives, check for ZIP signature
     const zipSignatures = [
       [0x50, 0x4b, 0x03, 0x04], // Standard ZIP
@@ -258,7 +295,18 @@ class FileProcessor {
     }
 
     if (!hasValidSignature) {
-      throw new Error("Invalid DOCX file: missing ZIP signature");
+      throw new Error(`Invalid ${format} file: missing ZIP signature`);
+    }
+  }
+
+  /**
+   * ADDED: Validate PDF file header
+   */
+  static async validatePdfHeader(headerBytes) {
+    // The %PDF- marker may be preceded by a few junk bytes
+    const header = new TextDecoder("latin1").decode(headerBytes);
+    if (!header.includes("%PDF-")) {
+      throw new Error("Invalid PDF file: missing %PDF header");
     }
   }
 
@@ -295,7 +343,7 @@ class FileProcessor {
   /**
    * ADDED: Validate text content for suspicious patterns
    */
-  static async validateTextContent(headerBytes) {
+  static async validateTextContent(headerBytes, allowMarkup = false) {
     // Convert bytes to string for content analysis
     const decoder = new TextDecoder("utf-8", { fatal: false });
     const content = decoder.decode(headerBytes);
@@ -308,6 +356,8 @@ class FileProcessor {
       throw new Error("File appears to contain binary data, not text");
     }
 
+    if (allowMarkup) return;
+
     // Check for script injection attempts
     const scriptPatterns = [
       /<script/i,
@@ -531,7 +581,8 @@ class FileProcessor {
   }
 
   /**
-   * Process a DOCX file with IMPROVED validation and error handling
+   * Process a DOCX file - parses word/document.xml directly so headings, lists
+   * and tables survive as structure; mammoth raw text is the fallback
    */
   static async processDocxFile(file) {
     return new Promise((resolve, reject) => {
@@ -543,56 +594,88 @@ class FileProcessor {
       const reader = new FileReader();
 
       reader.onload = async (e) => {
-        try {
-          clearTimeout(timeout);
+        const arrayBuffer = e.target.result;
+        const startTime = Date.now();
 
-          if (!window.mammoth) {
-            throw new Error("Mammoth library not loaded");
-          }
+        // Enhanced DOCX validation
+        const uint8Array = new Uint8Array(arrayBuffer);
+        const isValidDocx = this.validateDocxFile(uint8Array);
 
-          const arrayBuffer = e.target.result;
-          const startTime = Date.now();
+        console.log(
+          `Processing DOCX file: ${file.name} (${this.formatFileSize(
+            file.size
+          )})`
+        );
 
-          // Enhanced DOCX validation
-          const uint8Array = new Uint8Array(arrayBuffer);
-          const isValidDocx = this.validateDocxFile(uint8Array);
+        try {
+          const parsed = await DocxParser.parse(arrayBuffer);
+          const content = parsed.text;
 
-          if (!isValidDocx) {
-            console.warn(
-              "DOCX validation warning - attempting processing anyway"
-            );
+          if (!content || content.trim().length === 0) {
+            throw new Error("DOCX file contains no readable text");
           }
 
+          this.validateExtractedDocxContent(content);
+
+          const wordCount = this.getWordCount(content);
+          const processingTime = Date.now() - startTime;
+          clearTimeout(timeout);
+
           console.log(
-            `Processing DOCX file: ${file.name} (${this.formatFileSize(
-              file.size
-            )})`
+            `DOCX parsed successfully: ${wordCount} words, ${parsed.outline.length} headings in ${processingTime}ms`
           );
 
-          // Use mammoth with optimized options for better performance
+          resolve({
+            type: "content",
+            content: content,
+            filename: file.name,
+            size: file.size,
+            wordCount: wordCount,
+            processedAt: new Date().toISOString(),
+            // Blocks are rendered into the content text with structure markers;
+            // only the outline is kept separately to keep saved state small
+            structure: {
+              format: "docx",
+              outline: parsed.outline,
+            },
+            metadata: {
+              processingMethod: "docx-parser",
+              conversionMessages: [],
+              hasWarnings: false,
+              processingTime: processingTime,
+              validationPassed: isValidDocx,
+              hasSecurityValidation: true,
+            },
+          });
+          return;
+        } catch (parseError) {
+          console.warn("DOCX structure parsing failed:", parseError);
+
+          if (!window.mammoth) {
+            clearTimeout(timeout);
+            reject(new Error(`DOCX processing failed: ${parseError.message}`));
+            return;
+          }
+        }
+
+        // Fallback: mammoth raw text (no structure)
+        try {
+          console.log("Attempting mammoth text extraction...");
+
           const result = await mammoth.extractRawText({
             arrayBuffer,
             ignoreEmptyParagraphs: true,
             convertImage: () => null, // Skip image processing for speed
           });
+          clearTimeout(timeout);
 
           if (!result.value || result.value.trim().length === 0) {
             throw new Error("DOCX file contains no readable text");
           }
 
           const content = result.value;
-
-          // Validate extracted content
           this.validateExtractedDocxContent(content);
 
-          const wordCount = this.getWordCount(content);
-
-          // Log processing time for debugging
-          const processingTime = Date.now() - startTime;
-          console.log(
-            `DOCX processed successfully: ${wordCount} words extracted in ${processingTime}ms`
-          );
-
           // Log any conversion messages/warnings
           if (result.messages && result.messages.length > 0) {
             console.warn("DOCX conversion warnings:", result.messages);
@@ -603,12 +686,16 @@ class FileProcessor {
             content: content,
             filename: file.name,
             size: file.size,
-            wordCount: wordCount,
+            wordCount: this.getWordCount(content),
             processedAt: new Date().toISOString(),
             metadata: {
-              conversionMessages: result.messages || [],
-              hasWarnings: result.messages && result.messages.length > 0,
-              processingTime: processingTime,
+              processingMethod: "mammoth-fallback",
+              conversionMessages: [
+                "Document structure could not be read - headings and lists were flattened",
+                ...(result.messages || []).map((m) => m.message || String(m)),
+              ],
+              hasWarnings: true,
+              processingTime: Date.now() - startTime,
               validationPassed: isValidDocx,
               hasSecurityValidation: true,
             },
@@ -616,31 +703,238 @@ class FileProcessor {
         } catch (error) {
           clearTimeout(timeout);
           console.error("DOCX processing error:", error);
+          reject(new Error(`DOCX processing failed: ${error.message}`));
+        }
+      };
 
-          // Try fallback processing
-          try {
-            console.log("Attempting fallback DOCX processing...");
-            const fallbackResult = await this.fallbackDocxProcessing(
-              arrayBuffer,
-              file
-            );
-            resolve(fallbackResult);
-          } catch (fallbackError) {
-            console.error("Fallback processing also failed:", fallbackError);
-            reject(new Error(`DOCX processing failed: ${error.message}`));
+      reader.onerror = () => {
+        clearTimeout(timeout);
+        reject(new Error("Failed to read DOCX file"));
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * Process a PDF file - text is extracted per page with [Page N] provenance
+   * markers and running headers/footers removed
+   */
+  static async processPdfFile(file) {
+    return new Promise((resolve, reject) => {
+      // PDFs can be long, allow more time than other formats
+      const timeout = setTimeout(() => {
+        reject(new Error("PDF processing timeout (60 seconds)"));
+      }, 60000);
+
+      const reader = new FileReader();
+
+      reader.onload = async (e) => {
+        try {
+          const startTime = Date.now();
+          const extracted = await PdfExtractor.extract(e.target.result);
+          clearTimeout(timeout);
+
+          const bodyText = extracted.pages.map((page) => page.text).join(" ");
+          if (!bodyText.trim()) {
+            throw new Error(CONFIG.ERROR_MESSAGES.PDF_NO_TEXT);
           }
+
+          // Same script checks as extracted DOCX text
+          this.validateExtractedDocxContent(extracted.text);
+
+          const wordCount = this.getWordCount(bodyText);
+          const processingTime = Date.now() - startTime;
+
+          console.log(
+            `PDF processed successfully: ${extracted.pageCount} pages, ${wordCount} words in ${processingTime}ms`
+          );
+
+          resolve({
+            type: "content",
+            content: extracted.text,
+            filename: file.name,
+            size: file.size,
+            wordCount: wordCount,
+            pageCount: extracted.pageCount,
+            processedAt: new Date().toISOString(),
+            structure: {
+              format: "pdf",
+              outline: extracted.outline,
+            },
+            metadata: {
+              processingMethod: "pdfjs",
+              strippedHeaderFooterLines: extracted.strippedLineCount,
+              emptyPages: extracted.pages
+                .filter((page) => !page.text.trim())
+                .map((page) => page.pageNumber),
+              processingTime: processingTime,
+              hasSecurityValidation: true,
+            },
+          });
+        } catch (error) {
+          clearTimeout(timeout);
+          console.error("PDF processing error:", error);
+          reject(new Error(`PDF processing failed: ${error.message}`));
         }
       };
 
       reader.onerror = () => {
         clearTimeout(timeout);
-        reject(new Error("Failed to read DOCX file"));
+        reject(new Error("Failed to read PDF file"));
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * Process a PPTX file - slides are returned individually so they can be
+   * imported as chunks rather than merged into the source content
+   */
+  static async processPptxFile(file) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error("PPTX processing timeout (30 seconds)"));
+      }, 30000);
+
+      const reader = new FileReader();
+
+      reader.onload = async (e) => {
+        try {
+          const startTime = Date.now();
+          const parsed = await PptxParser.parse(e.target.result);
+          clearTimeout(timeout);
+
+          if (parsed.slides.length === 0) {
+            throw new Error("Presentation contains no slides");
+          }
+
+          const allText = parsed.slides
+            .map((slide) =>
+              [slide.title, ...slide.paragraphs.map((p) => p.text), slide.notes]
+                .filter(Boolean)
+                .join("\n")
+            )
+            .join("\n\n");
+
+          if (!allText.trim()) {
+            throw new Error("Presentation contains no readable text");
+          }
+
+          const processingTime = Date.now() - startTime;
+
+          console.log(
+            `PPTX parsed successfully: ${parsed.slides.length} slides in ${processingTime}ms`
+          );
+
+          resolve({
+            type: "presentation",
+            slides: parsed.slides,
+            filename: file.name,
+            size: file.size,
+            slideCount: parsed.slides.length,
+            wordCount: this.getWordCount(allText),
+            processedAt: new Date().toISOString(),
+            metadata: {
+              processingMethod: "pptx-parser",
+              hiddenSlides: parsed.slides
+                .filter((slide) => slide.hidden)
+                .map((slide) => slide.number),
+              processingTime: processingTime,
+              hasSecurityValidation: true,
+            },
+          });
+        } catch (error) {
+          clearTimeout(timeout);
+          console.error("PPTX processing error:", error);
+          reject(new Error(`PPTX processing failed: ${error.message}`));
+        }
+      };
+
+      reader.onerror = () => {
+        clearTimeout(timeout);
+        reject(new Error("Failed to read PPTX file"));
       };
 
       reader.readAsArrayBuffer(file);
     });
   }
 
+  /**
+   * Process a Markdown or HTML file - headings, lists, code blocks and links
+   * are kept, with a section outline stored alongside the text
+   * @param {File} file - Uploaded file
+   * @param {string} format - "markdown" or "html"
+   */
+  static async processMarkupFile(file, format) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error(`${format} file processing timeout`));
+      }, 15000);
+
+      const reader = new FileReader();
+
+      reader.onload = (e) => {
+        try {
+          clearTimeout(timeout);
+          const startTime = Date.now();
+
+          const parsed =
+            format === "html"
+              ? MarkupParser.parseHtml(e.target.result)
+              : MarkupParser.parseMarkdown(e.target.result);
+          const content = parsed.text;
+
+          // Markup is only ever stored as text, and the parser drops
+          // script and data links, so code samples about <script> are fine
+          if (!content || content.trim().length === 0) {
+            throw new Error("File contains no readable text");
+          }
+
+          const wordCount = this.getWordCount(content);
+
+          console.log(
+            `${format} parsed successfully: ${wordCount} words, ${parsed.outline.length} headings`
+          );
+
+          resolve({
+            type: "content",
+            content: content,
+            filename: file.name,
+            size: file.size,
+            wordCount: wordCount,
+            processedAt: new Date().toISOString(),
+            structure: {
+              format: format,
+              outline: parsed.outline,
+            },
+            metadata: {
+              processingMethod: "markup-parser",
+              documentTitle: parsed.title || null,
+              codeBlockCount: parsed.blocks.filter(
+                (block) => block.type === "code"
+              ).length,
+              processingTime: Date.now() - startTime,
+              hasSecurityValidation: true,
+            },
+          });
+        } catch (error) {
+          clearTimeout(timeout);
+          console.error(`${format} processing error:`, error);
+          reject(new Error(`${format} processing failed: ${error.message}`));
+        }
+      };
+
+      reader.onerror = () => {
+        clearTimeout(timeout);
+        reject(new Error(`Failed to read ${format} file`));
+      };
+
+      reader.readAsText(file, "utf-8");
+    });
+  }
+
   /**
    * ADDED: Validate extracted DOCX content
    */
@@ -739,224 +1033,6 @@ class FileProcessor {
     }
   }
 
-  /**
-   * IMPROVED: Enhanced fallback DOCX processing
-   */
-  static async fallbackDocxProcessing(arrayBuffer, file) {
-    console.warn("Attempting enhanced fallback DOCX processing...");
-
-    try {
-      const uint8Array = new Uint8Array(arrayBuffer);
-
-      // Try different encoding approaches
-      const encodings = ["utf-8", "utf-16", "iso-8859-1"];
-      let extractedText = "";
-
-      for (const encoding of encodings) {
-        try {
-          const text = new TextDecoder(encoding, { fatal: false }).decode(
-            uint8Array
-          );
-          const extracted = this.extractTextFromDocxString(text);
-
-          if (extracted && extracted.trim().length > extractedText.length) {
-            extractedText = extracted;
-            console.log(`Better text extracted using ${encoding} encoding`);
-          }
-        } catch (encodingError) {
-          console.warn(`Failed with ${encoding} encoding:`, encodingError);
-        }
-      }
-
-      // If we still don't have good text, try binary pattern matching
-      if (!extractedText || extractedText.trim().length < 50) {
-        console.log("Attempting binary pattern extraction...");
-        extractedText = this.extractTextFromBinaryDocx(uint8Array);
-      }
-
-      if (extractedText && extractedText.trim().length > 0) {
-        // Validate fallback content
-        this.validateExtractedDocxContent(extractedText);
-
-        return {
-          type: "content",
-          content: extractedText,
-          filename: file.name,
-          size: file.size,
-          wordCount: this.getWordCount(extractedText),
-          processedAt: new Date().toISOString(),
-          metadata: {
-            processingMethod: "enhanced-fallback",
-            hasWarnings: true,
-            hasSecurityValidation: true,
-            conversionMessages: [
-              "Used enhanced fallback processing - some formatting may be lost",
-              "File may not be a standard DOCX format or may be corrupted",
-            ],
-          },
-        };
-      }
-
-      throw new Error("No readable text could be extracted from the file");
-    } catch (error) {
-      throw new Error(
-        `Enhanced fallback DOCX processing failed: ${error.message}`
-      );
-    }
-  }
-
-  /**
-   * IMPROVED: Extract text from DOCX using multiple pattern approaches
-   */
-  static extractTextFromDocxString(content) {
-    try {
-      // Multiple extraction strategies
-      const strategies = [
-        // Strategy 1: XML text content patterns
-        () => {
-          const xmlPatterns = [
-            /<w:t[^>]*>([^<]+)<\/w:t>/g,
-            /<t[^>]*>([^<]+)<\/t>/g,
-            /<text[^>]*>([^<]+)<\/text>/g,
-          ];
-
-          let texts = [];
-          for (const pattern of xmlPatterns) {
-            let match;
-            while ((match = pattern.exec(content)) !== null) {
-              const text = match[1].trim();
-              if (
-                text.length > 1 &&
-                !text.includes("xmlns") &&
-                !text.includes("http")
-              ) {
-                texts.push(text);
-              }
-            }
-          }
-          return texts;
-        },
-
-        // Strategy 2: Word-like content patterns
-        () => {
-          const wordPattern =
-            /(?:^|>|\s)([A-Za-z][A-Za-z0-9\s\.,;:!?\-'"]{10,}[A-Za-z0-9\.,;:!?])(?:<|\s|$)/g;
-          let texts = [];
-          let match;
-          while ((match = wordPattern.exec(content)) !== null) {
-            const text = match[1].trim();
-            if (
-              text.length > 10 &&
-              !text.includes("<") &&
-              !text.includes("http")
-            ) {
-              texts.push(text);
-            }
-          }
-          return texts;
-        },
-
-        // Strategy 3: Sentence-like patterns
-        () => {
-          const sentencePattern = /([A-Z][^.!?]*[.!?])/g;
-          let texts = [];
-          let match;
-          while ((match = sentencePattern.exec(content)) !== null) {
-            const text = match[1].trim();
-            if (
-              text.length > 15 &&
-              !text.includes("<") &&
-              !text.includes("xmlns")
-            ) {
-              texts.push(text);
-            }
-          }
-          return texts;
-        },
-      ];
-
-      // Try each strategy and combine results
-      let allTexts = [];
-      for (const strategy of strategies) {
-        try {
-          const texts = strategy();
-          allTexts.push(...texts);
-        } catch (strategyError) {
-          console.warn("Strategy failed:", strategyError);
-        }
-      }
-
-      // Clean up and deduplicate
-      const uniqueTexts = [...new Set(allTexts)]
-        .filter((text) => text.length > 5)
-        .sort((a, b) => b.length - a.length) // Prefer longer texts
-        .slice(0, 100); // Limit to prevent memory issues
-
-      const result = uniqueTexts.join(" ").replace(/\s+/g, " ").trim();
-
-      return result;
-    } catch (error) {
-      console.error("Text extraction failed:", error);
-      return "";
-    }
-  }
-
-  /**
-   * Extract text from binary DOCX data using byte patterns
-   */
-  static extractTextFromBinaryDocx(uint8Array) {
-    try {
-      console.log("Attempting binary pattern extraction...");
-
-      // Look for readable ASCII text in the binary data
-      let text = "";
-      let currentWord = "";
-
-      for (let i = 0; i < uint8Array.length; i++) {
-        const byte = uint8Array[i];
-
-        // Check if byte represents a printable ASCII character
-        if (byte >= 32 && byte <= 126) {
-          currentWord += String.fromCharCode(byte);
-        } else {
-          // Non-printable character - end current word if it's long enough
-          if (currentWord.length >= 3) {
-            // Check if it looks like a real word (not XML tags or metadata)
-            if (
-              !currentWord.includes("<") &&
-              !currentWord.includes("xml") &&
-              !currentWord.includes("rel") &&
-              !currentWord.match(/^[A-Z]{2,}$/) && // Skip all-caps abbreviations
-              currentWord.match(/[a-z]/)
-            ) {
-              // Must contain lowercase letters
-              text += currentWord + " ";
-            }
-          }
-          currentWord = "";
-        }
-      }
-
-      // Add final word if valid
-      if (currentWord.length >= 3) {
-        text += currentWord;
-      }
-
-      // Clean up the extracted text
-      const cleanedText = text
-        .replace(/\s+/g, " ")
-        .replace(/[^\w\s\.,;:!?\-'"]/g, " ")
-        .replace(/\s+/g, " ")
-        .trim();
-
-      console.log(`Binary extraction found ${cleanedText.length} characters`);
-      return cleanedText;
-    } catch (error) {
-      console.error("Binary extraction failed:", error);
-      return "";
-    }
-  }
-
   /**
    * ENHANCED: Process a JSON file with security validation
    */
@@ -1161,40 +1237,10 @@ class FileProcessor {
 
   /**
    * Determine if JSON data is course data or content data
+   * ENHANCED: Uses the course file format detection (CourseFormat)
    */
   static determineJsonType(data) {
-    if (!data || typeof data !== "object") {
-      return "content";
-    }
-
-    // Check for course-specific properties
-    const courseIndicators = [
-      "slides",
-      "chunks",
-      "courseConfig",
-      "generatedSlides",
-      "version",
-      "exportedAt",
-    ];
-
-    const hascourseIndicators = courseIndicators.some((key) =>
-      data.hasOwnProperty(key)
-    );
-
-    // Additional check for course structure
-    if (data.courseConfig && typeof data.courseConfig === "object") {
-      return "course";
-    }
-
-    if (data.slides && Array.isArray(data.slides)) {
-      return "course";
-    }
-
-    if (data.chunks && Array.isArray(data.chunks)) {
-      return "course";
-    }
-
-    return hascourseIndicators ? "course" : "content";
+    return CourseFormat.detect(data) ? "course" : "content";
   }
 
   /**
@@ -1328,6 +1374,16 @@ class FileProcessor {
         return "file-text";
       case "docx":
         return "file-text";
+      case "pdf":
+        return "file-type";
+      case "pptx":
+        return "presentation";
+      case "md":
+      case "markdown":
+        return "file-text";
+      case "html":
+      case "htm":
+        return "file-code";
       case "json":
         return "file-code";
       default:
@@ -1342,6 +1398,7 @@ class FileProcessor {
     const support = {
       fileReader: typeof FileReader !== "undefined",
       mammoth: typeof mammoth !== "undefined",
+      pdfjs: typeof pdfjsLib !== "undefined",
       dragAndDrop: "draggable" in document.createElement("div"),
       localStorage: (() => {
         try {
@@ -171,6 +171,7 @@ class FileUploadController {
       failed: [],
       skipped: [],
     };
+    const presentations = []; // ADDED: [{filename, chunks}] to import
 
     // FIXED: Clear any existing status messages first
     StatusManager.clearQueue();
@@ -217,6 +218,19 @@ class FileUploadController {
               ...processedFile,
               action: "loaded_as_course",
             });
+          } else if (processedFile.type === "presentation") {
+            // Presentations map slide-for-slide onto chunks, added together
+            // once every file is processed
+            const chunks = this.getChunkManager().buildPresentationChunks(
+              processedFile.slides,
+              processedFile.filename
+            );
+            presentations.push({ filename: processedFile.filename, chunks });
+            results.successful.push({
+              filename: processedFile.filename,
+              action: "imported_as_chunks",
+              chunkCount: chunks.length,
+            });
           } else {
             // Add metadata for content files
             const fileData = {
@@ -239,6 +253,10 @@ class FileUploadController {
         }
       }
 
+      if (presentations.length > 0) {
+        this.importPresentations(presentations);
+      }
+
       // Update state with content files only (course files are handled separately)
       const contentFiles = uploadedFiles.filter((f) => f.type === "content");
       this.stateManager.setState("courseConfig.uploadedFiles", contentFiles);
@@ -275,8 +293,13 @@ class FileUploadController {
       const courseLoaded = results.successful.some(
         (f) => f.action === "loaded_as_course"
       );
+      const importedSlides = results.successful
+        .filter((f) => f.action === "imported_as_chunks")
+        .reduce((sum, f) => sum + f.chunkCount, 0);
       if (courseLoaded) {
         messages.push("✅ Course loaded successfully");
+      } else if (importedSlides > 0) {
+        messages.push(`✅ ${importedSlides} slides imported as chunks`);
       } else {
         messages.push(
           `✅ ${results.successful.length} files processed successfully`
@@ -362,7 +385,13 @@ class FileUploadController {
             <div class="file-name">${this.escapeHtml(file.filename)}</div>
             <div class="file-size">
               ${FileProcessor.formatFileSize(file.size)} • ${file.type}
+              ${file.pageCount ? ` • ${file.pageCount} pages` : ""}
               ${file.wordCount ? ` • ${file.wordCount} words` : ""}
+              ${
+                file.structure?.outline?.length
+                  ? ` • ${file.structure.outline.length} headings`
+                  : ""
+              }
             </div>
           </div>
         </div>
@@ -459,6 +488,7 @@ class FileUploadController {
 
     if (contentFiles.length === 0) {
       this.stateManager.setState("courseConfig.sourceContent", "");
+      this.stateManager.setState("courseConfig.sourceOutline", []);
       return;
     }
 
@@ -466,7 +496,17 @@ class FileUploadController {
       .map((file) => `=== ${file.filename} ===\n${file.content}`)
       .join("\n\n");
 
+    // Keep document headings alongside the flattened text so chunking can
+    // use the real section boundaries
+    const sourceOutline = contentFiles.flatMap((file) =>
+      (file.structure?.outline || []).map((heading) => ({
+        ...heading,
+        filename: file.filename,
+      }))
+    );
+
     this.stateManager.setState("courseConfig.sourceContent", combinedContent);
+    this.stateManager.setState("courseConfig.sourceOutline", sourceOutline);
 
     this.eventSystem.emit("content:combined", {
       fileCount: contentFiles.length,
@@ -518,14 +558,16 @@ class FileUploadController {
       throw new Error("No course data found in file");
     }
 
-    // Validate course data structure
-    if (!this.validateCourseData(processedFile.data)) {
-      throw new Error("Invalid course data structure");
-    }
+    // ADDED: Upgrade older exports and validate against the schema
+    const { course, fromVersion, source } = await CourseFormat.read(
+      processedFile.data
+    );
 
-    console.log("Course data validation passed, loading into state...");
+    console.log(
+      `Course file validated (${source}, format ${fromVersion}), loading...`
+    );
 
-    const success = this.stateManager.loadFromCourseData(processedFile.data);
+    const success = this.stateManager.loadFromCourseData(course);
 
     if (success) {
       StatusManager.hide();
@@ -534,8 +576,8 @@ class FileUploadController {
 
       this.eventSystem.emit("course:loaded", {
         filename: processedFile.filename,
-        courseTitle:
-          processedFile.data.courseConfig?.title || "Untitled Course",
+        courseTitle: course.courseConfig.title || "Untitled Course",
+        migratedFrom: fromVersion < COURSE_FORMAT_VERSION ? fromVersion : null,
       });
 
       // Force UI updates
@@ -553,31 +595,47 @@ class FileUploadController {
   }
 
   /**
-   * ADDED: Validate course data structure
+   * ADDED: Chunk manager of the app, for presentation imports
    */
-  validateCourseData(data) {
-    if (!data || typeof data !== "object") {
-      console.error("Course data is not an object:", data);
-      return false;
+  getChunkManager() {
+    const chunkManager = window.app && window.app.chunkManager;
+    if (!chunkManager) {
+      throw new Error("Chunk manager not available");
     }
+    return chunkManager;
+  }
 
-    // Check for required properties
-    const requiredKeys = ["courseConfig"];
-    for (const key of requiredKeys) {
-      if (!data[key]) {
-        console.error(`Missing required course data key: ${key}`);
-        return false;
+  /**
+   * ADDED: Add the slides of an upload's presentations after the existing
+   * chunks, one chunk per slide
+   * @param {Array} presentations - [{filename, chunks}] in upload order
+   */
+  importPresentations(presentations) {
+    const chunks = this.getChunkManager().importPresentationChunks(
+      presentations.flatMap((presentation) => presentation.chunks),
+      presentations.map((presentation) => presentation.filename)
+    );
+
+    if (!this.stateManager.getState("courseConfig.title")) {
+      const firstTitle = chunks.find((chunk) => chunk.slideType === "title");
+      this.stateManager.setState(
+        "courseConfig.title",
+        firstTitle
+          ? firstTitle.title
+          : presentations[0].filename.replace(/\.pptx$/i, "")
+      );
+      if (window.app && window.app.populateFormFromState) {
+        window.app.populateFormFromState();
       }
     }
 
-    // Validate courseConfig structure
-    if (!data.courseConfig.title) {
-      console.error("Course config missing title");
-      return false;
+    // Slides arrive with content already filled in, so go straight to review
+    const tabManager = window.app && window.app.tabManager;
+    if (tabManager && tabManager.isTabEnabled("generation")) {
+      tabManager.switchTab("generation");
     }
 
-    console.log("Course data validation passed");
-    return true;
+    return chunks;
   }
 
   /**
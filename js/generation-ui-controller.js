@@ -10,6 +10,8 @@ class GenerationUIController {
     this.autoSaveTimeouts = {};
     this.editingSession = new Map();
     this.eventListenersAttached = false; // FIXED: Track if event listeners are attached
+    this.pendingPartials = new Map(); // ADDED: Streamed content awaiting a repaint
+    this.groundingChecks = new Set(); // ADDED: Chunks with an LLM source check running
 
     this.bindEvents();
   }
@@ -36,6 +38,12 @@ class GenerationUIController {
     // State change listeners
     this.stateManager.subscribe("chunks", this.updateGenerationUI.bind(this));
 
+    // ADDED: Keep usage and budget figures current
+    const refreshUsage = () =>
+      this.updateGenerationStats(this.stateManager.getState("chunks") || []);
+    this.stateManager.subscribe("courseConfig.usage", refreshUsage);
+    this.stateManager.subscribe("courseConfig.budgetUsd", refreshUsage);
+
     // Custom event listeners
     this.eventSystem.on(
       "content:generated",
@@ -52,6 +60,17 @@ class GenerationUIController {
       "content:batch-generated",
       this.handleBatchCompleted.bind(this)
     );
+
+    // ADDED: Streaming generation
+    this.eventSystem.on(
+      "content:generation-started",
+      this.handleGenerationStarted.bind(this)
+    );
+    this.eventSystem.on("content:partial", this.handlePartialContent.bind(this));
+    this.eventSystem.on(
+      "content:generation-cancelled",
+      this.handleGenerationCancelled.bind(this)
+    );
   }
 
   /**
@@ -133,6 +152,23 @@ class GenerationUIController {
       });
     }
 
+    // ADDED: Course budget and usage reset
+    const budgetInput = document.getElementById("courseBudgetInput");
+    if (budgetInput) {
+      budgetInput.addEventListener("change", () => {
+        const budget = parseFloat(budgetInput.value);
+        this.stateManager.setState(
+          "courseConfig.budgetUsd",
+          budget > 0 ? budget : null
+        );
+      });
+    }
+
+    const resetUsageBtn = document.getElementById("resetUsageBtn");
+    if (resetUsageBtn) {
+      resetUsageBtn.addEventListener("click", () => this.resetUsage());
+    }
+
     // FIXED: Global click handler for dropdown management
     document.addEventListener("click", (e) => {
       // Close all dropdowns if click is outside
@@ -268,11 +304,18 @@ class GenerationUIController {
                   ? '<span class="badge badge-success">Generated</span>'
                   : '<span class="badge badge-secondary">Pending</span>'
               }
+              ${
+                hasContent && chunk.generationInfo && chunk.generationInfo.cached
+                  ? '<span class="badge badge-info" title="Served from the response cache">Cached</span>'
+                  : ""
+              }
               ${
                 generationDate
                   ? `<span class="generation-date">Generated: ${generationDate}</span>`
                   : ""
               }
+              ${hasContent ? this.renderChunkUsage(chunk) : ""}
+              ${hasContent ? this.renderQualityBadge(chunk) : ""}
             </div>
           </div>
           <div class="generation-actions">
@@ -314,7 +357,19 @@ class GenerationUIController {
                 }')" ${!hasContent ? "disabled" : ""}>
                   <i data-lucide="volume-2"></i> Copy Transcript
                 </button>
+                <button onclick="window.revisionHistoryController.open('${
+                  chunk.id
+                }')">
+                  <i data-lucide="history"></i> Version History
+                </button>
                 
+                <button onclick="window.generationUIController.regenerateChunkContent('${
+                  chunk.id
+                }', { bypassCache: true })" ${
+      !hasContent || chunk.isLocked || isProcessing ? "disabled" : ""
+    }>
+                  <i data-lucide="refresh-ccw"></i> Regenerate (skip cache)
+                </button>
                 <hr>
                 <button onclick="window.generationUIController.resetSlideContent('${
                   chunk.id
@@ -339,7 +394,10 @@ class GenerationUIController {
   renderSlidePreview(chunk) {
     // If slideRenderer is available, use it for full slide rendering
     if (window.slideRenderer) {
-      const slideContent = window.slideRenderer.renderSlide(chunk, true); // TRUE for editable
+      const slideContent = this.markUnsupportedFields(
+        chunk,
+        window.slideRenderer.renderSlide(chunk, true) // TRUE for editable
+      );
 
       // Add ground truth section to the slide content
       const groundTruthSection = this.renderGroundTruthSection(chunk);
@@ -349,6 +407,7 @@ class GenerationUIController {
         <div class="slide-content-wrapper">
           ${slideContent}
         </div>
+        ${this.renderGroundingReport(chunk)}
       `;
     } else {
       // Fallback to basic preview with ground truth
@@ -356,6 +415,106 @@ class GenerationUIController {
     }
   }
 
+  /**
+   * ADDED: Highlight rendered fields that contain statements the source
+   * does not support
+   */
+  markUnsupportedFields(chunk, slideHtml) {
+    const unsupported = GroundingChecker.getUnsupported(chunk.groundingReport);
+    const paths = new Set(unsupported.map((claim) => claim.path));
+
+    return slideHtml.replace(/data-field="([^"]+)"/g, (attribute, path) =>
+      paths.has(path)
+        ? `${attribute} data-grounding="unsupported" title="Not supported by the source content"`
+        : attribute
+    );
+  }
+
+  /**
+   * ADDED: List statements the source does not support, with a button to
+   * check them with the LLM judge
+   */
+  renderGroundingReport(chunk) {
+    const report = chunk.generatedContent && chunk.groundingReport;
+    if (!report || report.claims.length === 0) return "";
+
+    const unsupported = GroundingChecker.getUnsupported(report);
+    const judged = report.claims.some((claim) => claim.judged);
+    const isChecking = this.groundingChecks.has(chunk.id);
+
+    const summary =
+      unsupported.length > 0
+        ? `${unsupported.length} of ${report.claims.length} statements not found in the source`
+        : `All ${report.claims.length} statements match the source`;
+
+    return `
+      <div class="grounding-report ${
+        unsupported.length > 0 ? "has-issues" : "grounded"
+      }">
+        <div class="grounding-report-header">
+          <span class="grounding-report-summary">
+            <i data-lucide="${
+              unsupported.length > 0 ? "shield-alert" : "shield-check"
+            }"></i>
+            ${summary}
+            <span class="grounding-method">(${
+              judged ? "AI checked" : "word match"
+            })</span>
+          </span>
+          <button class="btn btn-secondary btn-sm"
+                  onclick="window.generationUIController.checkGrounding('${
+                    chunk.id
+                  }')"
+                  ${isChecking ? "disabled" : ""}>
+            <i data-lucide="${isChecking ? "loader" : "scale"}"></i>
+            ${isChecking ? "Checking..." : "Check with AI"}
+          </button>
+        </div>
+        ${
+          unsupported.length > 0
+            ? `<ul class="grounding-claims">
+          ${unsupported
+            .map(
+              (claim) => `
+            <li class="grounding-claim">
+              <span class="grounding-field">${this.escapeHtml(
+                claim.path
+              )}</span>
+              <span class="grounding-text">${this.escapeHtml(
+                claim.text
+              )}</span>
+              <span class="grounding-reason">${this.escapeHtml(
+                claim.judged
+                  ? claim.reason || "Judged unsupported"
+                  : `Not in source: ${claim.missingTerms.join(", ")}`
+              )}</span>
+            </li>`
+            )
+            .join("")}
+        </ul>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * ADDED: Check a slide's statements against its source with the LLM
+   */
+  async checkGrounding(chunkId) {
+    if (!this.contentGenerator || this.groundingChecks.has(chunkId)) return;
+
+    this.groundingChecks.add(chunkId);
+    this.updateGenerationUI();
+
+    try {
+      await this.contentGenerator.judgeGrounding(chunkId);
+    } finally {
+      this.groundingChecks.delete(chunkId);
+      this.updateGenerationUI();
+    }
+  }
+
   /**
    * Render ground truth section
    */
@@ -509,6 +668,10 @@ class GenerationUIController {
           <div class="progress-fill"></div>
         </div>
         <div class="progress-text">Generating content...</div>
+        <button class="btn btn-outline btn-sm"
+                onclick="window.generationUIController.cancelChunkGeneration('${chunkId}')">
+          <i data-lucide="square"></i> Cancel
+        </button>
       </div>
     `;
   }
@@ -540,7 +703,131 @@ class GenerationUIController {
         <span class="stat-label">Pending:</span>
         <span class="stat-value">${stats.pending}</span>
       </div>
+      ${this.renderUsageStats(chunks)}
     `;
+
+    this.updateUsageSettings();
+  }
+
+  /**
+   * ADDED: Estimated cost of the pending slides and spend against budget
+   */
+  renderUsageStats(chunks) {
+    if (!this.contentGenerator) return "";
+
+    const tracker = this.contentGenerator.usageTracker;
+    const usage = tracker.getUsage();
+    const budget = tracker.getBudget();
+    const pendingChunks = chunks.filter(
+      (chunk) => !chunk.generatedContent && !chunk.isLocked
+    );
+    const estimate =
+      pendingChunks.length > 0
+        ? this.contentGenerator.estimateGenerationUsage(pendingChunks)
+        : null;
+
+    const spent = `${UsageTracker.formatCost(usage.cost)}${
+      budget !== null ? ` of ${UsageTracker.formatCost(budget)}` : ""
+    }`;
+
+    return `
+      ${
+        estimate
+          ? `<div class="stat-item" title="About ${estimate.promptTokens.toLocaleString()} prompt + ${estimate.completionTokens.toLocaleString()} output tokens">
+        <span class="stat-label">Est. Cost (pending):</span>
+        <span class="stat-value">${UsageTracker.formatCost(
+          estimate.cost
+        )}</span>
+      </div>`
+          : ""
+      }
+      <div class="stat-item ${
+        tracker.isOverBudget() ? "over-budget" : ""
+      }" title="${(
+      usage.promptTokens + usage.completionTokens
+    ).toLocaleString()} tokens in ${usage.requests} requests">
+        <span class="stat-label">Spent:</span>
+        <span class="stat-value">${spent}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * ADDED: Sync the Usage & Budget panel with the course state
+   */
+  updateUsageSettings() {
+    if (!this.contentGenerator) return;
+
+    const tracker = this.contentGenerator.usageTracker;
+    const budgetInput = document.getElementById("courseBudgetInput");
+    if (budgetInput && document.activeElement !== budgetInput) {
+      const budget = tracker.getBudget();
+      budgetInput.value = budget !== null ? budget : "";
+    }
+
+    const summary = document.getElementById("usageSummary");
+    if (summary) {
+      const usage = tracker.getUsage();
+      const notes = [];
+      if (usage.cachedRequests > 0) {
+        notes.push(`${usage.cachedRequests} served from cache`);
+      }
+      if (usage.unpricedRequests > 0) {
+        notes.push(`${usage.unpricedRequests} with no known price`);
+      }
+
+      summary.textContent = `${usage.requests} requests, ${usage.promptTokens.toLocaleString()} prompt + ${usage.completionTokens.toLocaleString()} output tokens, ${UsageTracker.formatCost(
+        usage.cost
+      )} spent${notes.length ? ` (${notes.join(", ")})` : ""}. Generate All pauses once the budget is reached.`;
+    }
+  }
+
+  /**
+   * ADDED: Start counting usage from zero
+   */
+  resetUsage() {
+    if (!this.contentGenerator) return;
+
+    const confirmed = confirm(
+      "Reset the token and cost totals for this course?"
+    );
+    if (confirmed) {
+      this.contentGenerator.usageTracker.reset();
+      StatusManager.showSuccess("Usage totals reset");
+    }
+  }
+
+  /**
+   * ADDED: Badge listing quality rule violations the repair did not fix
+   */
+  renderQualityBadge(chunk) {
+    const issues = chunk.qualityIssues || [];
+    if (issues.length === 0) return "";
+
+    const details = issues.map((issue) => `• ${issue.message}`).join("\n");
+    const title = this.escapeHtml(details).replace(/"/g, "&quot;");
+    return `<span class="badge badge-warning" title="${title}">${
+      issues.length
+    } quality issue${issues.length === 1 ? "" : "s"}</span>`;
+  }
+
+  /**
+   * ADDED: Tokens and cost of a slide's last generation
+   */
+  renderChunkUsage(chunk) {
+    const usage = chunk.generationInfo && chunk.generationInfo.usage;
+    if (!usage || chunk.generationInfo.cached) return "";
+
+    const tokens = usage.promptTokens + usage.completionTokens;
+    const title = usage.estimated
+      ? "Estimated: the provider reported no usage"
+      : "Reported by the provider";
+
+    return `<span class="generation-usage" title="${title}">${
+      usage.estimated ? "~" : ""
+    }${tokens.toLocaleString()} tokens${
+      usage.cost !== null ? ` · ${UsageTracker.formatCost(usage.cost)}` : ""
+    }</span>`;
   }
 
   /**
@@ -979,7 +1266,9 @@ class GenerationUIController {
     if (chunkIndex >= 0) {
       chunks[chunkIndex].generatedContent = null;
       chunks[chunkIndex].lastGenerated = null;
-      this.stateManager.setState("chunks", chunks);
+      this.stateManager.setState("chunks", chunks, {
+        undoLabel: "Reset slide content",
+      });
 
       StatusManager.showSuccess("Slide content reset");
       this.eventSystem.emit("content:reset", { chunkId });
@@ -1008,8 +1297,9 @@ class GenerationUIController {
 
   /**
    * FIXED: Regenerate content for specific chunk - ensure ground truth is saved first
+   * @param {Object} options - {bypassCache}
    */
-  async regenerateChunkContent(chunkId) {
+  async regenerateChunkContent(chunkId, options = {}) {
     if (!this.contentGenerator) {
       StatusManager.showError("Content generator not initialized");
       return;
@@ -1019,7 +1309,7 @@ class GenerationUIController {
     await this.savePendingGroundTruthEdits(chunkId);
 
     // FIXED: Direct regeneration without confirmation
-    await this.contentGenerator.regenerateSlideContent(chunkId);
+    await this.contentGenerator.regenerateSlideContent(chunkId, options);
   }
 
   /**
@@ -1172,6 +1462,105 @@ class GenerationUIController {
     }, 100);
   }
 
+  /**
+   * ADDED: Mark a card as generating once its request starts
+   */
+  handleGenerationStarted(data) {
+    const { chunkId } = data;
+    const item = document.querySelector(
+      `.generation-item[data-chunk-id="${chunkId}"]`
+    );
+    if (!item) return;
+
+    item.classList.add("processing");
+    item.classList.remove("error");
+
+    const button = item.querySelector(".generation-btn");
+    if (button) {
+      button.disabled = true;
+      button.innerHTML = '<i data-lucide="loader"></i> Generating...';
+    }
+
+    if (!item.querySelector(`#progress-${chunkId}`)) {
+      item.insertAdjacentHTML(
+        "beforeend",
+        this.renderGenerationProgress(chunkId, true)
+      );
+    }
+
+    if (typeof lucide !== "undefined") {
+      lucide.createIcons();
+    }
+  }
+
+  /**
+   * ADDED: Show streamed fields in the card, at most once per frame
+   */
+  handlePartialContent(data) {
+    const isScheduled = this.pendingPartials.has(data.chunkId);
+    this.pendingPartials.set(data.chunkId, data);
+    if (isScheduled) return;
+
+    requestAnimationFrame(() => {
+      const latest = this.pendingPartials.get(data.chunkId);
+      this.pendingPartials.delete(data.chunkId);
+
+      // The final content may have arrived in the meantime
+      if (
+        !this.contentGenerator ||
+        !this.contentGenerator.currentlyGenerating.has(data.chunkId)
+      ) {
+        return;
+      }
+
+      this.renderPartialContent(latest);
+    });
+  }
+
+  /**
+   * ADDED: Render partial slide content (read-only) into a card
+   */
+  renderPartialContent({ chunkId, content }) {
+    const item = document.querySelector(
+      `.generation-item[data-chunk-id="${chunkId}"]`
+    );
+    const chunk = this.getChunkById(chunkId);
+    if (!item || !chunk || !window.slideRenderer) return;
+
+    const wrapper = item.querySelector(".slide-content-wrapper");
+    if (wrapper) {
+      wrapper.classList.add("streaming");
+      wrapper.innerHTML = window.slideRenderer.renderSlide(
+        { ...chunk, generatedContent: content },
+        false
+      );
+    }
+
+    const progressText = item.querySelector(".progress-text");
+    if (progressText) {
+      progressText.textContent = "Receiving content...";
+    }
+  }
+
+  /**
+   * ADDED: Cancel generation for one slide
+   */
+  cancelChunkGeneration(chunkId) {
+    if (this.contentGenerator) {
+      this.contentGenerator.cancelSlideGeneration(chunkId);
+    }
+  }
+
+  /**
+   * ADDED: Restore cards whose generation was cancelled
+   */
+  handleGenerationCancelled(data) {
+    (data.cancelledChunks || []).forEach((chunkId) =>
+      this.pendingPartials.delete(chunkId)
+    );
+    this.updateGenerationUI();
+  }
+
   /**
    * Handle generation failed event
    */
@@ -1396,10 +1785,27 @@ class GenerationUIController {
         setTimeout(() => element.classList.remove("updated"), 1000);
       }
 
+      // ADDED: The source changed, so earlier verdicts no longer apply
+      chunk.groundingReport = GroundingChecker.check(
+        chunk,
+        chunk.generatedContent
+      );
+
       StatusManager.showSuccess("Ground truth updated");
     } else if (chunk.generatedContent) {
       // Handle generated content updates
       this.setNestedValue(chunk.generatedContent, field, value);
+
+      // ADDED: Edits may fix (or cause) quality issues
+      chunk.qualityIssues = SlideQualityValidator.validate(
+        chunk,
+        chunk.generatedContent
+      );
+      chunk.groundingReport = GroundingChecker.check(
+        chunk,
+        chunk.generatedContent,
+        chunk.groundingReport
+      );
     } else {
       console.warn(`No content to update for field: ${field}`);
       return;
@@ -1407,7 +1813,9 @@ class GenerationUIController {
 
     // Update the chunk in state
     chunks[chunkIndex] = chunk;
-    this.stateManager.setState("chunks", chunks);
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: `Edit ${RevisionHistory.getFieldLabel(field)}`,
+    });
 
     if (CONFIG.DEBUG.ENABLED) {
       console.log(`Updated ${field} for chunk ${chunkId}:`, value);
@@ -1534,6 +1942,16 @@ class GenerationUIController {
     );
     this.eventSystem.off("content:reset", this.handleContentReset);
     this.eventSystem.off("content:batch-generated", this.handleBatchCompleted);
+    this.eventSystem.off(
+      "content:generation-started",
+      this.handleGenerationStarted
+    );
+    this.eventSystem.off("content:partial", this.handlePartialContent);
+    this.eventSystem.off(
+      "content:generation-cancelled",
+      this.handleGenerationCancelled
+    );
+    this.pendingPartials.clear();
 
     console.log("GenerationUIController cleaned up");
   }
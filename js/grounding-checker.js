@@ -0,0 +1,205 @@
+/**
+ * Course Forge MVP - Grounding Checker
+ * Splits generated slide content into statements and checks each one
+ * against the chunk's source content and ground truth, so statements the
+ * source does not support can be flagged for review
+ */
+
+// Fields that are not claims about the subject matter
+const GROUNDING_SKIPPED_FIELDS = ["image", "icon", "duration", "audience"];
+
+const GROUNDING_STOPWORDS = new Set(
+  (
+    "a about above after again against all also an and any are as at be " +
+    "because been before being below between both but by can could did do " +
+    "does doing down during each few for from further had has have having " +
+    "he her here hers him his how if in into is it its itself just may " +
+    "might more most must no nor not now of off on once only or other our " +
+    "ours out over own same she should so some such than that the their " +
+    "theirs them then there these they this those through to too under " +
+    "until up very was we were what when where which while who whom why " +
+    "will with would you your yours " +
+    // Presentation phrases that make no claim about the subject
+    "let look learn explore discuss understand review slide course"
+  ).split(" ")
+);
+
+class GroundingChecker {
+  /**
+   * Check generated content against the chunk's source text
+   * @param {Object} chunk - Chunk with sourceContent and groundTruth
+   * @param {Object|Array} content - Generated slide content
+   * @param {Object} previous - Earlier report; LLM verdicts for statements
+   *   that have not changed are kept
+   * @returns {Object|null} {checkedAt, claims: [{path, text, overlap,
+   *   missingTerms, supported, judged, reason}]}; null when there is no
+   *   source text to check against
+   */
+  static check(chunk, content, previous = null) {
+    if (!CONFIG.GROUNDING.ENABLED || !content) return null;
+
+    const sourceText = [chunk.sourceContent, chunk.groundTruth]
+      .filter(Boolean)
+      .join("\n");
+    if (!sourceText.trim()) return null;
+
+    const sourceTerms = new Set(
+      this.getTerms(sourceText).map((term) => term.key)
+    );
+    const judged = new Map(
+      ((previous && previous.claims) || [])
+        .filter((claim) => claim.judged)
+        .map((claim) => [`${claim.path}\n${claim.text}`, claim])
+    );
+
+    const claims = this.extractClaims(chunk, content)
+      .map(({ path, text }) => {
+        const terms = this.getTerms(text);
+        if (terms.length < CONFIG.GROUNDING.MIN_CLAIM_WORDS) return null;
+
+        const missing = terms.filter((term) => !sourceTerms.has(term.key));
+        const overlap = 1 - missing.length / terms.length;
+        const claim = {
+          path,
+          text,
+          overlap: Math.round(overlap * 100) / 100,
+          missingTerms: missing.map((term) => term.word),
+          // Figures are easy to invent, so any unknown number fails
+          supported:
+            overlap >= CONFIG.GROUNDING.MIN_OVERLAP &&
+            !missing.some((term) => term.isNumber),
+          judged: false,
+          reason: null,
+        };
+
+        const verdict = judged.get(`${path}\n${text}`);
+        if (verdict) {
+          claim.supported = verdict.supported;
+          claim.judged = true;
+          claim.reason = verdict.reason;
+        }
+        return claim;
+      })
+      .filter(Boolean);
+
+    return { checkedAt: new Date().toISOString(), claims };
+  }
+
+  /**
+   * Statements in a slide's text fields
+   * @returns {Object[]} [{path, text}]; paths match the data-field
+   *   attributes of the rendered slide, e.g. "bullets.2" or "cards.0.back"
+   */
+  static extractClaims(chunk, content) {
+    const claims = [];
+    const arrayKey = SlideSchemas.getArrayKey(chunk.slideType);
+    const root = Array.isArray(content)
+      ? { [arrayKey || "items"]: content }
+      : content;
+
+    const visit = (value, path) => {
+      if (typeof value === "string") {
+        this.splitSentences(value).forEach((text) =>
+          claims.push({ path, text })
+        );
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${path}.${index}`));
+      } else if (value && typeof value === "object") {
+        Object.entries(value).forEach(([key, child]) => {
+          if (GROUNDING_SKIPPED_FIELDS.includes(key)) return;
+          visit(child, path ? `${path}.${key}` : key);
+        });
+      }
+    };
+
+    visit(root, "");
+
+    // Wrong answer options are meant to be untrue
+    if (chunk.slideType === "multipleChoice") {
+      const correct = `options.${root.correctAnswer}`;
+      return claims.filter(
+        (claim) => !claim.path.startsWith("options.") || claim.path === correct
+      );
+    }
+    return claims;
+  }
+
+  /**
+   * Split text into sentences
+   */
+  static splitSentences(text) {
+    return String(text)
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map((sentence) => sentence.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Distinct key words of a text, without stopwords
+   * @returns {Object[]} [{word, key, isNumber}]; key is the comparable form
+   */
+  static getTerms(text) {
+    const terms = new Map();
+    const words = String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+(?:[.,]\d+)*/gu);
+
+    (words || []).forEach((word) => {
+      const isNumber = /^\d/.test(word);
+      if (!isNumber && (word.length < 3 || GROUNDING_STOPWORDS.has(word))) {
+        return;
+      }
+
+      const key = isNumber ? `#${word.replace(/,/g, "")}` : this.stem(word);
+      if (!terms.has(key)) {
+        terms.set(key, { word, key, isNumber });
+      }
+    });
+
+    return Array.from(terms.values());
+  }
+
+  /**
+   * Reduce a word to a rough stem so "policies" matches "policy" and
+   * "changed" matches "change"
+   */
+  static stem(word) {
+    if (word.length <= 3) return word;
+
+    return word
+      .replace(/sses$/, "ss")
+      .replace(/ies$/, "y")
+      .replace(/([^s])s$/, "$1")
+      .replace(/(.{3,})(?:ing|ed)$/, "$1")
+      .replace(/(.{3,})ly$/, "$1")
+      .replace(/(.{3,})e$/, "$1");
+  }
+
+  /**
+   * Statements of a report the source does not support
+   */
+  static getUnsupported(report) {
+    return report ? report.claims.filter((claim) => !claim.supported) : [];
+  }
+
+  /**
+   * Record LLM judge verdicts on a report
+   * @param {Object[]} verdicts - [{index, supported, reason}], index into
+   *   report.claims
+   * @returns {Object} Updated report
+   */
+  static applyVerdicts(report, verdicts) {
+    const claims = report.claims.map((claim) => ({ ...claim }));
+
+    verdicts.forEach(({ index, supported, reason }) => {
+      if (!claims[index]) return;
+      claims[index].supported = supported;
+      claims[index].judged = true;
+      claims[index].reason = reason || null;
+    });
+
+    return { ...report, claims, judgedAt: new Date().toISOString() };
+  }
+}
+
+window.GroundingChecker = GroundingChecker;
@@ -13,20 +13,44 @@ class HTMLExporter {
 
   /**
    * Generate complete HTML course with vertical scroll layout (FIXED)
+   * @param {Object} options - {trackingScripts: string[]} injected before the course script,
+   *   {progressKey: string} localStorage key for saved progress,
+   *   {assetPrefix: string} path from the page to the package root, for
+   *   rendered narration audio (e.g. "../" for pages in a folder),
+   *   {secureQuiz: boolean} keep quiz answers out of the page source
    */
-  generateCourseHtml(courseData) {
+  generateCourseHtml(courseData, options = {}) {
+    const trackingScripts = (options.trackingScripts || [])
+      .map((script) => `<script>${script}</script>`)
+      .join("\n");
+
     const slides = courseData.slides.filter((slide) => slide.generatedContent);
+    const assessment = HTMLExporter.getAssessment(courseData.course, slides);
+    const hasNarration = slides.some((slide) => this.getNarrationScript(slide));
+    // Voices only apply to sections narrated by speech synthesis
+    const hasSpeechNarration = slides.some(
+      (slide) => this.getNarrationScript(slide) && !slide.narration
+    );
 
     const sectionsHtml = slides
       .map((slide, index) => {
+        const renderOptions =
+          options.secureQuiz && slide.slideType === "multipleChoice"
+            ? { answerCheck: this.getAnswerCheck(slide) }
+            : {};
         // FIXED: slideRenderer.renderSlide expects chunk format, so pass slide as chunk
         const slideHtml = window.slideRenderer
-          ? window.slideRenderer.renderSlide(slide, false) // slide already has generatedContent property
-          : this.renderBasicSlide(slide);
+          ? window.slideRenderer.renderSlide(slide, false, renderOptions) // slide already has generatedContent property
+          : this.renderBasicSlide(slide, renderOptions);
 
         return `
-          <section class="course-section" id="section-${index}" data-section="${index}">
+          <section class="course-section" id="section-${index}" data-section="${index}"${
+          assessment && assessment.slideIds.includes(slide.id)
+            ? " data-graded"
+            : ""
+        }>
             <div class="section-content">
+              ${this.renderNarrationPlayer(slide, options.assetPrefix)}
               ${slideHtml}
             </div>
             ${
@@ -58,6 +82,11 @@ class HTMLExporter {
             <h1 class="course-title-small">${this.escapeHtml(
               courseData.course.title
             )}</h1>
+            ${
+              hasNarration
+                ? this.renderNarrationSettings(hasSpeechNarration)
+                : ""
+            }
             <div class="progress-container">
               <div class="progress-bar">
                 <div class="progress-fill" id="progressFill"></div>
@@ -111,8 +140,13 @@ class HTMLExporter {
                   <div class="stat-label">Minutes Invested</div>
                 </div>
               </div>
+              ${assessment ? this.renderAssessmentResults(assessment) : ""}
               <div class="completion-actions">
-                <button onclick="window.print()" class="btn btn-secondary">
+                <button onclick="window.print()" class="btn btn-secondary" id="certificateBtn"${
+                  assessment
+                    ? ' disabled title="Pass the assessment to print a certificate"'
+                    : ""
+                }>
                   <span class="btn-icon">🖨</span>
                   Print Certificate
                 </button>
@@ -127,7 +161,7 @@ class HTMLExporter {
 
         <!-- Floating Navigation -->
         <nav class="floating-nav" id="floatingNav">
-          <button onclick="scrollToSection(-1)" title="Previous Section" class="nav-btn">
+          <button onclick="scrollToNextSection(-1)" title="Previous Section" class="nav-btn">
             <span>↑</span>
           </button>
           <div class="nav-sections">
@@ -141,7 +175,7 @@ class HTMLExporter {
               )
               .join("")}
           </div>
-          <button onclick="scrollToSection(1)" title="Next Section" class="nav-btn">
+          <button onclick="scrollToNextSection(1)" title="Next Section" class="nav-btn">
             <span>↓</span>
           </button>
         </nav>
@@ -151,14 +185,229 @@ class HTMLExporter {
           <p>Generated by Course Forge MVP on ${new Date().toLocaleDateString()}</p>
         </div>
 
+        ${trackingScripts}
         <script>
-          ${this.getCourseExportScript(slides.length)}
+          ${this.getCourseExportScript(
+            slides.length,
+            options.progressKey,
+            assessment
+          )}
         </script>
       </body>
       </html>
     `;
   }
 
+  /**
+   * ADDED: Narration controls of a section. Plays the audio rendered at
+   * export time (slide.narration), otherwise the browser's speech synthesis
+   * reads the slide's audio script, which is also the transcript. Rendered
+   * audio carries its WebVTT caption cues; speech shows each sentence.
+   */
+  renderNarrationPlayer(slide, assetPrefix = "") {
+    const script = this.getNarrationScript(slide);
+    if (!script) return "";
+
+    const audio = slide.narration
+      ? `<audio class="narration-audio" preload="none"
+               src="${this.escapeHtml(assetPrefix + slide.narration.src)}"
+               data-duration="${slide.narration.duration}"></audio>`
+      : "";
+    // Escaped cue text can't close the script element
+    const cues =
+      slide.narration && slide.narration.cues
+        ? `<script type="text/vtt" class="narration-cues">${WebVTT.toVtt(
+            slide.narration.cues
+          )}</script>`
+        : "";
+
+    return `
+      <div class="narration-player">
+        <button type="button" class="narration-btn narration-toggle"
+                onclick="toggleNarration(this)" aria-label="Play narration"
+                title="Play/pause narration (Space)">
+          <span class="narration-icon">▶</span>
+        </button>
+        <button type="button" class="narration-btn"
+                onclick="restartNarration(this)"
+                aria-label="Restart narration" title="Restart narration">
+          <span>↺</span>
+        </button>
+        <button type="button" class="narration-transcript-btn"
+                onclick="toggleTranscript(this)" aria-expanded="false">
+          Transcript
+        </button>
+        <span class="narration-status" aria-live="polite"></span>
+        ${audio}
+        ${cues}
+      </div>
+      <div class="narration-transcript" hidden>${this.escapeHtml(script)}</div>
+      <div class="narration-caption" hidden></div>
+    `;
+  }
+
+  /**
+   * ADDED: Voice, speed and auto-advance settings shared by all sections
+   */
+  renderNarrationSettings(showVoices = true) {
+    const rates = [0.75, 1, 1.25, 1.5, 2];
+    const voiceSetting = showVoices
+      ? `
+        <label>
+          Voice
+          <select id="narrationVoice"
+                  onchange="setNarrationVoice(this.value)">
+            <option value="">Default voice</option>
+          </select>
+        </label>`
+      : "";
+
+    return `
+      <div class="narration-settings">
+        ${voiceSetting}
+        <label>
+          Speed
+          <select id="narrationRate" onchange="setNarrationRate(this.value)">
+            ${rates
+              .map(
+                (rate) =>
+                  `<option value="${rate}" ${
+                    rate === 1 ? "selected" : ""
+                  }>${rate}×</option>`
+              )
+              .join("")}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" id="narrationAutoAdvance" checked
+                 onchange="setNarrationAutoAdvance(this.checked)">
+          Auto-advance
+        </label>
+        <label>
+          <input type="checkbox" id="narrationCaptions" checked
+                 onchange="setNarrationCaptions(this.checked)">
+          Captions
+        </label>
+      </div>
+    `;
+  }
+
+  /**
+   * ADDED: Salted hash of a question's correct option, for secure quiz
+   * exports. The page can check an answer without its index being in the
+   * source. Trying every option still finds it: this stops answer lookup in
+   * view-source or dev tools, not a determined learner.
+   * @returns {Object} {salt, hash}
+   */
+  getAnswerCheck(slide) {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    const salt = Array.from(bytes, (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+
+    return {
+      salt,
+      hash: HTMLExporter.hashAnswer(salt, slide.generatedContent.correctAnswer),
+    };
+  }
+
+  /**
+   * ADDED: FNV-1a hash of a salted option index. The export script's
+   * hashAnswer() must compute the same value.
+   */
+  static hashAnswer(salt, index) {
+    const text = `${salt}:${index}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * ADDED: Course data without quiz answers, for packages of secure exports
+   */
+  stripAnswers(courseData) {
+    return {
+      ...courseData,
+      slides: courseData.slides.map((slide) => {
+        if (slide.slideType !== "multipleChoice" || !slide.generatedContent) {
+          return slide;
+        }
+        const { correctAnswer, ...content } = slide.generatedContent;
+        return { ...slide, generatedContent: content };
+      }),
+    };
+  }
+
+  /**
+   * ADDED: Graded assessment of an export, from courseConfig.assessment.
+   * Null when knowledge checks are ungraded practice: assessment off, or
+   * no knowledge check with content counts toward the score.
+   * @returns {Object|null} {passingScore, attempts, randomizeOptions,
+   *   slideIds}; attempts 0 is unlimited
+   */
+  static getAssessment(course, slides) {
+    const settings = course && course.assessment;
+    if (!settings || !settings.enabled) return null;
+
+    const excluded = settings.excludedChunkIds || [];
+    const slideIds = slides
+      .filter(
+        (slide) =>
+          slide.slideType === "multipleChoice" &&
+          slide.generatedContent &&
+          !excluded.includes(slide.id)
+      )
+      .map((slide) => slide.id);
+    if (slideIds.length === 0) return null;
+
+    return {
+      passingScore: settings.passingScore,
+      attempts: settings.attempts,
+      randomizeOptions: !!settings.randomizeOptions,
+      slideIds,
+    };
+  }
+
+  /**
+   * ADDED: Assessment results of the completion footer, filled in by the
+   * export script
+   */
+  renderAssessmentResults(assessment) {
+    const { attempts } = assessment;
+    const attemptsText =
+      attempts > 0
+        ? `${attempts} attempt${attempts === 1 ? "" : "s"}`
+        : "Unlimited attempts";
+
+    return `
+      <div class="assessment-results" id="assessmentResults">
+        <div class="assessment-score" id="assessmentScore">0%</div>
+        <div class="assessment-status" id="assessmentStatus"></div>
+        <p class="assessment-rules">
+          Passing score: ${assessment.passingScore}% · ${attemptsText}
+        </p>
+        <button type="button" class="btn btn-primary" id="assessmentRetryBtn" onclick="retryAssessment()" hidden>
+          <span class="btn-icon">↻</span>
+          Retry Assessment
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * ADDED: Audio script of a slide, or "" when it has none
+   */
+  getNarrationScript(slide) {
+    const content = slide.generatedContent;
+    return content && typeof content.audioScript === "string"
+      ? content.audioScript.trim()
+      : "";
+  }
+
   /**
    * Render course metadata section
    */
@@ -216,7 +465,7 @@ class HTMLExporter {
   /**
    * Render basic slide fallback (FIXED)
    */
-  renderBasicSlide(slide) {
+  renderBasicSlide(slide, renderOptions = {}) {
     // FIXED: Check for generatedContent property (not content)
     const content = slide.generatedContent || {};
 
@@ -226,7 +475,7 @@ class HTMLExporter {
           <h2 class="slide-title">${this.escapeHtml(slide.title)}</h2>
         </div>
         <div class="slide-body">
-          ${this.renderSlideContent(content, slide.slideType)}
+          ${this.renderSlideContent(content, slide.slideType, renderOptions)}
         </div>
       </div>
     `;
@@ -234,8 +483,9 @@ class HTMLExporter {
 
   /**
    * Render slide content based on type
+   * @param {Object} renderOptions - See SlideRenderer.renderSlide()
    */
-  renderSlideContent(content, slideType) {
+  renderSlideContent(content, slideType, renderOptions = {}) {
     switch (slideType) {
       case "textAndImage":
         return `
@@ -271,17 +521,24 @@ class HTMLExporter {
           </ul>
         `;
 
-      case "multipleChoice":
+      case "multipleChoice": {
+        const answerCheck = renderOptions.answerCheck;
+
         return `
           <div class="question-text">${this.escapeHtml(
             content.question || ""
           )}</div>
-          <div class="options-container">
+          <div class="options-container"${
+            answerCheck
+              ? ` data-answer-salt="${answerCheck.salt}"` +
+                ` data-answer-hash="${answerCheck.hash}"`
+              : ""
+          }>
             ${(content.options || [])
               .map(
                 (option, index) => `
-                <div class="option-item" onclick="selectOption(this, ${index}, ${
-                  content.correctAnswer || 0
+                <div class="option-item" onclick="selectOption(this, ${index}${
+                  answerCheck ? "" : `, ${content.correctAnswer || 0}`
                 })">
                   <div class="option-label">${String.fromCharCode(
                     65 + index
@@ -296,6 +553,7 @@ class HTMLExporter {
             <div class="feedback-text"></div>
           </div>
         `;
+      }
 
       case "iconsWithTitles":
         return `
@@ -775,6 +1033,102 @@ class HTMLExporter {
         width: 200px;
       }
 
+      /* Narration */
+      .narration-settings {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 1rem;
+        font-size: 0.8125rem;
+        color: #4a5568;
+      }
+
+      .narration-settings select {
+        margin-left: 0.25rem;
+        max-width: 180px;
+        padding: 0.125rem 0.25rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 4px;
+        font-size: 0.8125rem;
+      }
+
+      .narration-player {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 1.5rem;
+      }
+
+      .narration-btn {
+        width: 2.25rem;
+        height: 2.25rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 50%;
+        background: white;
+        color: #2b6cb0;
+        cursor: pointer;
+        font-size: 0.875rem;
+      }
+
+      .narration-btn:hover:not(:disabled) {
+        background: #ebf8ff;
+      }
+
+      .narration-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .course-section.narrating .narration-toggle {
+        background: #3182ce;
+        border-color: #3182ce;
+        color: white;
+      }
+
+      .narration-transcript-btn {
+        border: none;
+        background: none;
+        color: #2b6cb0;
+        cursor: pointer;
+        font-size: 0.875rem;
+        text-decoration: underline;
+      }
+
+      .narration-status {
+        font-size: 0.8125rem;
+        color: #718096;
+      }
+
+      .narration-transcript {
+        margin-bottom: 1.5rem;
+        padding: 1rem 1.25rem;
+        border-left: 3px solid #3182ce;
+        background: #f7fafc;
+        color: #4a5568;
+        font-size: 0.9375rem;
+      }
+
+      .narration-caption {
+        position: fixed;
+        left: 50%;
+        bottom: 1.5rem;
+        z-index: 90;
+        width: min(40rem, calc(100% - 2rem));
+        transform: translateX(-50%);
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        background: rgba(26, 32, 44, 0.88);
+        color: white;
+        font-size: 1.0625rem;
+        line-height: 1.5;
+        text-align: center;
+      }
+
+      /* The transcript toggle shows the audio script instead */
+      .course-section .audio-script-section {
+        display: none;
+      }
+
       /* Slide Content */
       .slide {
         width: 100%;
@@ -1461,6 +1815,44 @@ class HTMLExporter {
         background: rgba(255, 255, 255, 0.3);
       }
 
+      .btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+        transform: none;
+      }
+
+      /* Assessment Results */
+      .assessment-results {
+        background: rgba(255, 255, 255, 0.15);
+        border-radius: 12px;
+        padding: 1.5rem;
+        margin: 0 auto 2rem;
+        max-width: 420px;
+      }
+
+      .assessment-score {
+        font-size: 2.5rem;
+        font-weight: 700;
+      }
+
+      .assessment-status {
+        font-weight: 600;
+        margin: 0.5rem 0;
+      }
+
+      .assessment-status.failed {
+        color: #fed7d7;
+      }
+
+      .completion-content .assessment-rules {
+        font-size: 0.95rem;
+        margin-bottom: 1rem;
+      }
+
+      .options-container.answered .option-item {
+        cursor: default;
+      }
+
       /* Generated Info */
       .generated-info {
         text-align: center;
@@ -1579,9 +1971,12 @@ class HTMLExporter {
       /* Print Styles */
       @media print {
         .course-header-fixed,
+        .narration-player,
+        .narration-caption,
         .floating-nav,
         .start-course-btn,
         .completion-actions,
+        #assessmentRetryBtn,
         .generated-info {
           display: none !important;
         }
@@ -1686,18 +2081,241 @@ class HTMLExporter {
 
   /**
    * FIXED: Get JavaScript for exported course functionality with improved flip card handling
+   * @param {Object|null} assessment - ADDED: graded assessment
+   *   (see getAssessment), null when knowledge checks are practice
    */
-  getCourseExportScript(totalSections) {
+  getCourseExportScript(
+    totalSections,
+    progressKey = "courseProgress",
+    assessment = null
+  ) {
+    const assessmentRules = assessment
+      ? {
+          passingScore: assessment.passingScore,
+          attempts: assessment.attempts,
+          randomizeOptions: assessment.randomizeOptions,
+        }
+      : null;
+
     return `
+      const progressKey = ${JSON.stringify(progressKey)};
       let currentSection = 0;
       const totalSections = ${totalSections};
       let isScrolling = false;
+      const viewedSections = new Set();
+      const quizResults = {};
+      let courseCompleted = false;
+      // Graded assessment ({passingScore, attempts, randomizeOptions}); graded
+      // sections carry data-graded. Null when knowledge checks are practice.
+      const assessment = ${JSON.stringify(assessmentRules)};
+      let assessmentAttempt = 1;
+
+      // Tracking hooks - LMS/LRS adapters register themselves in window.courseTrackers
+      function reportTracking(eventName, data) {
+        (window.courseTrackers || []).forEach(tracker => {
+          if (typeof tracker[eventName] === 'function') {
+            try {
+              tracker[eventName](data);
+            } catch (e) {
+              console.warn('Tracker failed on', eventName, e);
+            }
+          }
+        });
+      }
+
+      // Indexes of the sections whose questions count toward the score
+      function getScoredSections() {
+        const selector = assessment ? '.course-section[data-graded]' : '.course-section';
+        return Array.from(document.querySelectorAll(selector))
+          .filter(section => section.querySelector('.options-container'))
+          .map(section => parseInt(section.dataset.section));
+      }
+
+      function getScore() {
+        const scored = getScoredSections();
+        const results = scored.map(index => quizResults[index]).filter(Boolean);
+        const total = scored.length;
+        const correct = results.filter(result => result.correct).length;
+        return {
+          total: total,
+          answered: results.length,
+          correct: correct,
+          percent: total > 0 ? Math.round((correct / total) * 100) : 0
+        };
+      }
+
+      // An attempt is finished once every graded question is answered; the
+      // assessment is final once passed or out of attempts
+      function getAssessmentResult() {
+        const score = getScore();
+        const finished = score.answered >= score.total;
+        const passed = finished && score.percent >= assessment.passingScore;
+        const attemptsLeft = assessment.attempts > 0
+          ? Math.max(0, assessment.attempts - assessmentAttempt)
+          : Infinity;
+        return {
+          score: score,
+          finished: finished,
+          passed: passed,
+          final: passed || (finished && attemptsLeft === 0),
+          attemptsLeft: attemptsLeft
+        };
+      }
+
+      function updateAssessmentResults() {
+        if (!assessment) return;
+        const result = getAssessmentResult();
+        const scoreEl = document.getElementById('assessmentScore');
+        const statusEl = document.getElementById('assessmentStatus');
+        const retryBtn = document.getElementById('assessmentRetryBtn');
+        const certificateBtn = document.getElementById('certificateBtn');
+
+        let status = 'Answered ' + result.score.answered + ' of ' + result.score.total + ' graded questions';
+        if (result.passed) {
+          status = '✓ Passed';
+        } else if (result.finished) {
+          status = '✗ Not passed - ' + (result.attemptsLeft === Infinity
+            ? 'you can retry'
+            : result.attemptsLeft > 0
+              ? result.attemptsLeft + ' attempt' + (result.attemptsLeft === 1 ? '' : 's') + ' left'
+              : 'no attempts left');
+        }
+
+        if (scoreEl) {
+          scoreEl.textContent = result.score.percent + '% (' + result.score.correct + '/' + result.score.total + ')';
+        }
+        if (statusEl) {
+          statusEl.textContent = status;
+          statusEl.className = 'assessment-status' +
+            (result.passed ? ' passed' : result.finished ? ' failed' : '');
+        }
+        if (retryBtn) retryBtn.hidden = !result.finished || result.passed || result.attemptsLeft === 0;
+        if (certificateBtn) certificateBtn.disabled = !result.passed;
+
+        if (result.final && viewedSections.size >= totalSections) {
+          completeCourse();
+        }
+      }
+
+      // Start a new attempt: clear the graded answers (and reshuffle)
+      function retryAssessment() {
+        const result = getAssessmentResult();
+        if (!result.finished || result.passed || result.attemptsLeft === 0) return;
+        assessmentAttempt++;
+
+        document.querySelectorAll('.course-section[data-graded]').forEach(section => {
+          delete quizResults[section.dataset.section];
+          const container = section.querySelector('.options-container');
+          if (container) {
+            container.classList.remove('answered');
+            container.querySelectorAll('.option-item').forEach(option => {
+              option.classList.remove('selected', 'correct', 'incorrect');
+            });
+          }
+          const feedback = section.querySelector('.feedback-container, .feedback');
+          if (feedback) feedback.style.display = 'none';
+        });
+
+        shuffleAssessmentOptions();
+        updateAssessmentResults();
+        saveProgress();
+
+        const firstGraded = document.querySelector('.course-section[data-graded]');
+        if (firstGraded) {
+          firstGraded.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+      }
+
+      // Number options by their authored position, which selectOption()
+      // reports, before shuffling moves them
+      function initializeQuizzes() {
+        document.querySelectorAll('.options-container').forEach(container => {
+          container.querySelectorAll('.option-item').forEach((option, index) => {
+            option.dataset.optionIndex = index;
+          });
+        });
+        shuffleAssessmentOptions();
+        updateAssessmentResults();
+      }
+
+      function shuffleAssessmentOptions() {
+        if (!assessment || !assessment.randomizeOptions) return;
+        document.querySelectorAll('.course-section[data-graded] .options-container').forEach(container => {
+          const options = Array.from(container.querySelectorAll('.option-item'));
+          for (let i = options.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [options[i], options[j]] = [options[j], options[i]];
+          }
+          options.forEach((option, index) => {
+            container.appendChild(option);
+            const label = option.querySelector('.option-label');
+            if (label) label.textContent = String.fromCharCode(65 + index);
+          });
+        });
+      }
+
+      // Show graded answers restored from saved progress
+      function restoreAssessmentAnswers() {
+        if (!assessment) return;
+        document.querySelectorAll('.course-section[data-graded]').forEach(section => {
+          const result = quizResults[section.dataset.section];
+          const container = section.querySelector('.options-container');
+          if (!result || !container) return;
+          container.classList.add('answered');
+          const option = container.querySelector('.option-item[data-option-index="' + result.selectedIndex + '"]');
+          if (option) option.classList.add('selected', result.correct ? 'correct' : 'incorrect');
+        });
+        updateAssessmentResults();
+      }
+
+      function getTrackingSnapshot() {
+        return {
+          viewedSections: viewedSections.size,
+          totalSections: totalSections,
+          progress: totalSections > 0 ? viewedSections.size / totalSections : 1,
+          score: getScore(),
+          completed: courseCompleted
+        };
+      }
+
+      function markSectionViewed(sectionIndex) {
+        if (viewedSections.has(sectionIndex)) return;
+        viewedSections.add(sectionIndex);
+
+        const snapshot = getTrackingSnapshot();
+        snapshot.sectionIndex = sectionIndex;
+        reportTracking('sectionViewed', snapshot);
+
+        if (viewedSections.size >= totalSections) {
+          completeCourse();
+        }
+      }
+
+      function reportInteraction(element, interaction, itemIndex, label) {
+        const section = element ? element.closest('.course-section') : null;
+        reportTracking('interacted', {
+          sectionIndex: section ? parseInt(section.dataset.section) : -1,
+          interaction: interaction,
+          itemIndex: itemIndex,
+          label: label || ''
+        });
+      }
+
+      function completeCourse() {
+        if (courseCompleted) return;
+        // Graded courses complete once the assessment is passed or failed
+        if (assessment && !getAssessmentResult().final) return;
+        courseCompleted = true;
+        reportTracking('courseCompleted', getTrackingSnapshot());
+      }
 
       // Initialize
       document.addEventListener('DOMContentLoaded', function() {
         initializeCourse();
+        initializeQuizzes();
         setupScrollTracking();
         setupIntersectionObserver();
+        initializeNarration();
       });
 
       function initializeCourse() {
@@ -1772,6 +2390,7 @@ class HTMLExporter {
               const sectionIndex = parseInt(entry.target.dataset.section);
               if (!isNaN(sectionIndex)) {
                 updateNavigationDots(sectionIndex);
+                markSectionViewed(sectionIndex);
               }
             }
           });
@@ -1804,37 +2423,31 @@ class HTMLExporter {
         });
       }
 
-      function scrollToSection(direction) {
-        if (typeof direction === 'number' && direction >= 0) {
-          // Direct section navigation
-          const targetSection = document.getElementById(\`section-\${direction}\`);
-          if (targetSection) {
-            isScrolling = true;
-            targetSection.scrollIntoView({ 
-              behavior: 'smooth', 
-              block: 'center' 
-            });
-            
-            setTimeout(() => {
-              isScrolling = false;
-            }, 1000);
-          }
-        } else {
-          // Relative navigation
-          let targetIndex;
-          
-          if (direction === 1) {
-            targetIndex = Math.min(currentSection + 1, totalSections - 1);
-          } else if (direction === -1) {
-            targetIndex = Math.max(currentSection - 1, 0);
-          }
+      // Scroll to the section with this index
+      function scrollToSection(index) {
+        const targetSection = document.getElementById(\`section-\${index}\`);
+        if (targetSection) {
+          isScrolling = true;
+          targetSection.scrollIntoView({ 
+            behavior: 'smooth', 
+            block: 'center' 
+          });
           
-          if (typeof targetIndex !== 'undefined') {
-            scrollToSection(targetIndex);
-          }
+          setTimeout(() => {
+            isScrolling = false;
+          }, 1000);
         }
       }
 
+      // Scroll step sections forward (1) or back (-1) from the current one
+      function scrollToNextSection(step) {
+        const targetIndex = Math.min(
+          Math.max(currentSection + step, 0),
+          totalSections - 1
+        );
+        scrollToSection(targetIndex);
+      }
+
       function startCourse() {
         const firstSection = document.getElementById('section-0');
         if (firstSection) {
@@ -1851,13 +2464,15 @@ class HTMLExporter {
           behavior: 'smooth' 
         });
         
+        stopNarration();
+
         // Reset any interactive elements
         resetInteractiveElements();
       }
 
       function resetInteractiveElements() {
-        // Reset multiple choice selections
-        document.querySelectorAll('.option-item').forEach(option => {
+        // Reset multiple choice selections; graded answers stay until a retry
+        document.querySelectorAll('.course-section:not([data-graded]) .option-item').forEach(option => {
           option.classList.remove('selected', 'correct', 'incorrect');
         });
 
@@ -1888,7 +2503,7 @@ class HTMLExporter {
         });
 
         // Clear feedback
-        document.querySelectorAll('.feedback-container').forEach(container => {
+        document.querySelectorAll('.course-section:not([data-graded]) .feedback-container').forEach(container => {
           container.style.display = 'none';
         });
       }
@@ -1904,6 +2519,8 @@ class HTMLExporter {
         
         button.classList.add('active');
         panels[index].classList.add('active');
+
+        reportInteraction(button, 'tab', index, button.textContent.trim());
       }
       
       function toggleFaq(question) {
@@ -1933,6 +2550,10 @@ class HTMLExporter {
         if (card && card.classList.contains('flip-card')) {
           console.log("Flip card toggled in export");
           card.classList.toggle('flipped');
+
+          const cards = Array.from(card.parentElement.querySelectorAll('.flip-card'));
+          const front = card.querySelector('.flip-card-front');
+          reportInteraction(card, 'flipCard', cards.indexOf(card), front ? front.textContent.trim() : '');
         } else {
           console.warn("Flip card called on invalid element:", element);
         }
@@ -1941,16 +2562,39 @@ class HTMLExporter {
       // Make flipCard available globally for onclick handlers
       window.flipCard = flipCard;
       
+      // Secure exports carry a salted hash of the answer instead of its
+      // index (see HTMLExporter.hashAnswer)
+      function hashAnswer(salt, index) {
+        const text = salt + ':' + index;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+          hash ^= text.charCodeAt(i);
+          hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+      }
+
+      function isCorrectAnswer(container, selectedIndex, correctIndex) {
+        if (typeof correctIndex === 'number') return selectedIndex === correctIndex;
+        return hashAnswer(container.dataset.answerSalt, selectedIndex) === container.dataset.answerHash;
+      }
+
       function selectOption(element, selectedIndex, correctIndex) {
         const container = element.closest('.options-container');
         const options = container.querySelectorAll('.option-item');
-        const feedback = container.parentElement.querySelector('.feedback-container');
+        // SlideRenderer markup calls the feedback element .feedback
+        const feedback = container.parentElement.querySelector('.feedback-container, .feedback');
         const feedbackText = feedback ? feedback.querySelector('.feedback-text') : null;
+        const correct = isCorrectAnswer(container, selectedIndex, correctIndex);
+        // Graded questions take one answer per attempt and keep it secret
+        const section = container.closest('.course-section');
+        const graded = !!(assessment && section && section.hasAttribute('data-graded'));
+        if (graded && container.classList.contains('answered')) return;
         
         options.forEach(opt => opt.classList.remove('selected', 'correct', 'incorrect'));
         element.classList.add('selected');
         
-        if (selectedIndex === correctIndex) {
+        if (correct) {
           element.classList.add('correct');
           if (feedbackText) {
             feedbackText.textContent = '✓ Correct! Well done.';
@@ -1958,11 +2602,19 @@ class HTMLExporter {
           }
         } else {
           element.classList.add('incorrect');
-          if (options[correctIndex]) {
-            options[correctIndex].classList.add('correct');
+          // Secure exports and graded questions don't reveal the answer
+          const revealed = graded
+            ? null
+            : container.querySelector('.option-item[data-option-index="' + correctIndex + '"]');
+          if (revealed) {
+            revealed.classList.add('correct');
           }
           if (feedbackText) {
-            feedbackText.textContent = '✗ Not quite right. The correct answer is highlighted.';
+            feedbackText.textContent = revealed
+              ? '✗ Not quite right. The correct answer is highlighted.'
+              : graded
+                ? '✗ Not quite right.'
+                : '✗ Not quite right. Try again.';
             feedbackText.className = 'feedback-text incorrect';
           }
         }
@@ -1971,6 +2623,29 @@ class HTMLExporter {
           feedback.style.display = 'block';
         }
 
+        // Record the answer for scoring and report it to any trackers
+        const sectionIndex = section ? parseInt(section.dataset.section) : -1;
+        const questionEl = section
+          ? section.querySelector('.question-text') || section.querySelector('h2, h3')
+          : null;
+        quizResults[sectionIndex] = {
+          selectedIndex: selectedIndex,
+          correct: correct
+        };
+
+        const answerData = getTrackingSnapshot();
+        answerData.sectionIndex = sectionIndex;
+        answerData.selectedIndex = selectedIndex;
+        answerData.correct = correct;
+        answerData.question = questionEl ? questionEl.textContent.trim() : '';
+        answerData.answer = element.textContent.trim();
+        reportTracking('questionAnswered', answerData);
+
+        if (graded) {
+          container.classList.add('answered');
+          updateAssessmentResults();
+        }
+
         // Auto-scroll to next section after answering
         setTimeout(() => {
           const nextSection = container.closest('.course-section').nextElementSibling;
@@ -1983,36 +2658,390 @@ class HTMLExporter {
         }, 1500);
       }
 
-      function openPopup(index) {
-        const popup = document.getElementById(\`popup-\${index}\`);
+      // Popup triggers call openPopup(this, index); popup ids repeat per slide,
+      // so look the popup up within the trigger's section
+      function openPopup(trigger, index) {
+        if (typeof trigger === 'number') {
+          index = trigger;
+          trigger = null;
+        }
+
+        const scope = trigger ? trigger.closest('.course-section') || document : document;
+        const popup = scope.querySelector(\`#popup-\${index}\`);
         if (popup) {
           popup.style.display = 'flex';
           document.body.style.overflow = 'hidden';
+
+          const title = popup.querySelector('h3');
+          reportInteraction(trigger || popup, 'popup', index, title ? title.textContent.trim() : '');
         }
       }
 
       function closePopup(index) {
-        const popup = document.getElementById(\`popup-\${index}\`);
-        if (popup) {
+        document.querySelectorAll(\`[id="popup-\${index}"]\`).forEach(popup => {
           popup.style.display = 'none';
-          document.body.style.overflow = 'auto';
+        });
+        document.body.style.overflow = 'auto';
+      }
+
+      // Narration: sections with audio rendered at export time play it;
+      // otherwise the browser's speech synthesis reads the section's audio
+      // script, sentence by sentence (long utterances stop early in some
+      // browsers)
+      const narrationSupported = 'speechSynthesis' in window &&
+        typeof SpeechSynthesisUtterance !== 'undefined';
+      const narrationPrefsKey = progressKey + ':narration';
+      const narration = {
+        sectionIndex: -1,
+        parts: [],
+        partIndex: 0,
+        utterance: null,
+        audio: null,
+        paused: false,
+        voice: '',
+        rate: 1,
+        autoAdvance: true,
+        captions: true
+      };
+
+      function initializeNarration() {
+        try {
+          const saved = JSON.parse(localStorage.getItem(narrationPrefsKey) || '{}');
+          if (typeof saved.voice === 'string') narration.voice = saved.voice;
+          if (saved.rate > 0) narration.rate = saved.rate;
+          if (typeof saved.autoAdvance === 'boolean') narration.autoAdvance = saved.autoAdvance;
+          if (typeof saved.captions === 'boolean') narration.captions = saved.captions;
+        } catch (e) {
+          // Ignore localStorage errors
+        }
+
+        const rateSelect = document.getElementById('narrationRate');
+        const autoAdvance = document.getElementById('narrationAutoAdvance');
+        if (rateSelect) rateSelect.value = String(narration.rate);
+        if (autoAdvance) autoAdvance.checked = narration.autoAdvance;
+        const captions = document.getElementById('narrationCaptions');
+        if (captions) captions.checked = narration.captions;
+
+        if (!narrationSupported) {
+          document.querySelectorAll('.narration-player').forEach(player => {
+            if (player.querySelector('.narration-audio')) return;
+            player.querySelectorAll('.narration-btn').forEach(button => {
+              button.disabled = true;
+              button.title = 'Narration is not supported in this browser';
+            });
+          });
+          const voiceSelect = document.getElementById('narrationVoice');
+          if (voiceSelect) voiceSelect.closest('label').style.display = 'none';
+          if (!document.querySelector('.narration-audio')) {
+            const settings = document.querySelector('.narration-settings');
+            if (settings) settings.style.display = 'none';
+          }
+          return;
         }
+
+        // Voices load asynchronously in most browsers
+        populateNarrationVoices();
+        window.speechSynthesis.addEventListener('voiceschanged', populateNarrationVoices);
+      }
+
+      function populateNarrationVoices() {
+        const select = document.getElementById('narrationVoice');
+        if (!select) return;
+
+        const voices = window.speechSynthesis.getVoices();
+        select.innerHTML = '<option value="">Default voice</option>';
+        voices.forEach(voice => {
+          const option = document.createElement('option');
+          option.value = voice.voiceURI;
+          option.textContent = voice.name + ' (' + voice.lang + ')';
+          select.appendChild(option);
+        });
+        select.value = voices.some(voice => voice.voiceURI === narration.voice)
+          ? narration.voice
+          : '';
+      }
+
+      function saveNarrationPrefs() {
+        try {
+          localStorage.setItem(narrationPrefsKey, JSON.stringify({
+            voice: narration.voice,
+            rate: narration.rate,
+            autoAdvance: narration.autoAdvance,
+            captions: narration.captions
+          }));
+        } catch (e) {
+          // Ignore localStorage errors
+        }
+      }
+
+      function setNarrationVoice(voice) {
+        narration.voice = voice;
+        saveNarrationPrefs();
+      }
+
+      function setNarrationRate(rate) {
+        narration.rate = parseFloat(rate) || 1;
+        if (narration.audio) narration.audio.playbackRate = narration.rate;
+        saveNarrationPrefs();
+      }
+
+      function setNarrationAutoAdvance(enabled) {
+        narration.autoAdvance = enabled;
+        saveNarrationPrefs();
+      }
+
+      function setNarrationCaptions(enabled) {
+        narration.captions = enabled;
+        saveNarrationPrefs();
+
+        if (!enabled) {
+          hideNarrationCaptions();
+        } else if (narration.utterance) {
+          showNarrationCaption(narration.parts[narration.partIndex]);
+        } else if (narration.audio) {
+          narration.audio.ontimeupdate();
+        }
+      }
+
+      // Cues of the section's WebVTT captions, parsed once
+      function getNarrationCues(section) {
+        const source = section.querySelector('.narration-cues');
+        if (!source) return [];
+
+        if (!source.cues) {
+          source.cues = source.textContent.split(/\\n\\s*\\n/).map(block => {
+            const lines = block.trim().split('\\n');
+            const timeIndex = lines.findIndex(line => line.indexOf('-->') !== -1);
+            if (timeIndex === -1) return null;
+
+            const times = lines[timeIndex].split('-->').map(parseCueTime);
+            return {
+              start: times[0],
+              end: times[1],
+              text: lines.slice(timeIndex + 1).join(' ')
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+            };
+          }).filter(Boolean);
+        }
+        return source.cues;
+      }
+
+      function parseCueTime(value) {
+        return value.trim().split(/\\s/)[0].split(':')
+          .reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+      }
+
+      function showNarrationCaption(text) {
+        const section = document.getElementById('section-' + narration.sectionIndex);
+        const caption = section ? section.querySelector('.narration-caption') : null;
+        if (!caption) return;
+
+        caption.textContent = text || '';
+        caption.hidden = !narration.captions || !text;
+      }
+
+      function hideNarrationCaptions() {
+        document.querySelectorAll('.narration-caption').forEach(caption => {
+          caption.hidden = true;
+          caption.textContent = '';
+        });
+      }
+
+      function getSectionIndex(element) {
+        const section = element.closest('.course-section');
+        return section ? parseInt(section.dataset.section) : currentSection;
+      }
+
+      function playNarration(sectionIndex) {
+        const section = document.getElementById('section-' + sectionIndex);
+        const transcript = section ? section.querySelector('.narration-transcript') : null;
+        const audio = section ? section.querySelector('.narration-audio') : null;
+        if (!transcript || (!audio && !narrationSupported)) return false;
+
+        stopNarration();
+        narration.sectionIndex = sectionIndex;
+
+        if (audio) {
+          playNarrationAudio(audio);
+        } else {
+          narration.parts = (transcript.textContent.match(/[^.!?]+[.!?]*/g) || [])
+            .map(part => part.trim())
+            .filter(Boolean);
+          narration.partIndex = 0;
+          speakNarrationPart();
+        }
+        updateNarrationUI();
+        reportInteraction(section, 'narration', 0, 'play');
+        return true;
+      }
+
+      function playNarrationAudio(audio) {
+        const cues = getNarrationCues(audio.closest('.course-section'));
+        narration.audio = audio;
+        audio.currentTime = 0;
+        audio.playbackRate = narration.rate;
+        audio.ontimeupdate = function() {
+          if (narration.audio !== audio) return;
+          const cue = cues.find(c => audio.currentTime >= c.start && audio.currentTime < c.end);
+          showNarrationCaption(cue ? cue.text : '');
+        };
+        audio.onended = function() {
+          if (narration.audio === audio) finishNarration();
+        };
+        audio.play().catch(function(error) {
+          if (narration.audio !== audio) return;
+          console.warn('Narration failed:', error);
+          stopNarration();
+        });
+      }
+
+      function speakNarrationPart() {
+        const text = narration.parts[narration.partIndex];
+        if (typeof text === 'undefined') {
+          finishNarration();
+          return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = window.speechSynthesis.getVoices()
+          .find(v => v.voiceURI === narration.voice);
+        if (voice) {
+          utterance.voice = voice;
+          utterance.lang = voice.lang;
+        }
+        utterance.rate = narration.rate;
+
+        // Cancelled utterances still end; only the current one moves on
+        utterance.onend = function() {
+          if (narration.utterance !== utterance) return;
+          narration.partIndex++;
+          speakNarrationPart();
+        };
+        utterance.onerror = function(event) {
+          if (narration.utterance !== utterance) return;
+          console.warn('Narration failed:', event.error);
+          stopNarration();
+        };
+
+        narration.utterance = utterance;
+        showNarrationCaption(text);
+        window.speechSynthesis.speak(utterance);
+      }
+
+      function finishNarration() {
+        const finishedIndex = narration.sectionIndex;
+        stopNarration();
+
+        if (!narration.autoAdvance || finishedIndex >= totalSections - 1) return;
+
+        // Move on, and keep narrating when the next section has a script
+        scrollToSection(finishedIndex + 1);
+        setTimeout(() => {
+          if (narration.sectionIndex === -1) playNarration(finishedIndex + 1);
+        }, 1000);
+      }
+
+      function stopNarration() {
+        if (narration.audio) {
+          narration.audio.onended = null;
+          narration.audio.ontimeupdate = null;
+          narration.audio.pause();
+          narration.audio = null;
+        }
+        narration.utterance = null;
+        narration.sectionIndex = -1;
+        narration.parts = [];
+        narration.paused = false;
+        hideNarrationCaptions();
+        if (narrationSupported) window.speechSynthesis.cancel();
+        updateNarrationUI();
+      }
+
+      function toggleSectionNarration(sectionIndex) {
+        if (narration.sectionIndex !== sectionIndex) {
+          playNarration(sectionIndex);
+          return;
+        }
+
+        if (narration.audio) {
+          if (narration.paused) {
+            narration.audio.play().catch(function() {});
+          } else {
+            narration.audio.pause();
+          }
+        } else if (narration.paused) {
+          window.speechSynthesis.resume();
+        } else {
+          window.speechSynthesis.pause();
+        }
+        narration.paused = !narration.paused;
+        updateNarrationUI();
+      }
+
+      function toggleNarration(button) {
+        toggleSectionNarration(getSectionIndex(button));
+      }
+
+      function restartNarration(button) {
+        playNarration(getSectionIndex(button));
+      }
+
+      function toggleTranscript(button) {
+        const player = button.closest('.narration-player');
+        const transcript = player ? player.nextElementSibling : null;
+        if (!transcript) return;
+
+        transcript.hidden = !transcript.hidden;
+        button.setAttribute('aria-expanded', String(!transcript.hidden));
+      }
+
+      function updateNarrationUI() {
+        document.querySelectorAll('.course-section').forEach(section => {
+          const active = parseInt(section.dataset.section) === narration.sectionIndex;
+          const playing = active && !narration.paused;
+          section.classList.toggle('narrating', active);
+
+          const toggle = section.querySelector('.narration-toggle');
+          if (toggle) {
+            toggle.querySelector('.narration-icon').textContent = playing ? '❚❚' : '▶';
+            toggle.setAttribute('aria-label', playing ? 'Pause narration' : 'Play narration');
+          }
+
+          const status = section.querySelector('.narration-status');
+          if (status) {
+            status.textContent = active ? (narration.paused ? 'Paused' : 'Playing') : '';
+          }
+        });
       }
 
       // Keyboard navigation
       document.addEventListener('keydown', function(e) {
         if (isScrolling) return;
+
+        // Leave keys to form fields (e.g. the voice list)
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
         
         switch(e.key) {
           case 'ArrowDown':
+          case 'ArrowRight':
           case 'PageDown':
             e.preventDefault();
-            scrollToSection(1);
+            scrollToNextSection(1);
             break;
           case 'ArrowUp':
+          case 'ArrowLeft':
           case 'PageUp':
             e.preventDefault();
-            scrollToSection(-1);
+            scrollToNextSection(-1);
+            break;
+          case ' ':
+            // Space on a button presses it
+            if (e.target.closest && e.target.closest('button')) return;
+            e.preventDefault();
+            // Pause or resume what is playing, else narrate this section
+            toggleSectionNarration(
+              narration.sectionIndex >= 0 ? narration.sectionIndex : currentSection
+            );
             break;
           case 'Home':
             e.preventDefault();
@@ -2046,11 +3075,15 @@ class HTMLExporter {
           const progress = {
             currentSection: currentSection,
             scrollPosition: window.pageYOffset,
-            completedSections: Array.from(document.querySelectorAll('.course-section.in-view')).map(s => s.dataset.section),
+            completedSections: Array.from(viewedSections),
+            quizResults: quizResults,
+            assessmentAttempt: assessmentAttempt,
+            completed: courseCompleted,
             timestamp: new Date().toISOString()
           };
-          
-          localStorage.setItem('courseProgress', JSON.stringify(progress));
+
+          reportTracking('progressSaved', progress);
+          localStorage.setItem(progressKey, JSON.stringify(progress));
         } catch (e) {
           // Ignore localStorage errors
         }
@@ -2059,10 +3092,29 @@ class HTMLExporter {
       // Load previous progress
       function loadProgress() {
         try {
-          const saved = localStorage.getItem('courseProgress');
-          if (saved) {
-            const progress = JSON.parse(saved);
-            
+          // Prefer progress stored by a tracker (e.g. LMS suspend data)
+          let progress = null;
+          (window.courseTrackers || []).forEach(tracker => {
+            if (!progress && typeof tracker.loadProgress === 'function') {
+              progress = tracker.loadProgress();
+            }
+          });
+
+          if (!progress) {
+            const saved = localStorage.getItem(progressKey);
+            progress = saved ? JSON.parse(saved) : null;
+          }
+
+          if (progress) {
+            (progress.completedSections || []).forEach(index => {
+              const sectionIndex = parseInt(index);
+              if (!isNaN(sectionIndex)) viewedSections.add(sectionIndex);
+            });
+            Object.assign(quizResults, progress.quizResults || {});
+            assessmentAttempt = progress.assessmentAttempt || 1;
+            courseCompleted = !!progress.completed;
+            restoreAssessmentAnswers();
+
             // Restore scroll position after a delay
             setTimeout(() => {
               if (progress.scrollPosition > 0) {
@@ -2079,7 +3131,10 @@ class HTMLExporter {
       setInterval(saveProgress, 30000);
 
       // Save progress when leaving page
-      window.addEventListener('beforeunload', saveProgress);
+      window.addEventListener('beforeunload', function() {
+        saveProgress();
+        reportTracking('sessionEnded', getTrackingSnapshot());
+      });
 
       // Load progress on page load
       window.addEventListener('load', loadProgress);
@@ -2089,19 +3144,24 @@ class HTMLExporter {
   }
 
   /**
-   * Estimate reading time for slides
+   * Estimate the minutes a course takes (FIXED: slides keep their content
+   * in generatedContent). Slides with rendered narration take as long as
+   * their audio; the others are timed by reading speed.
    */
   estimateReadingTime(slides) {
     const wordsPerMinute = 200;
-    let totalWords = 0;
+    let totalSeconds = 0;
 
     slides.forEach((slide) => {
-      if (slide.content) {
-        totalWords += this.countWords(slide.content);
+      if (slide.narration && slide.narration.duration > 0) {
+        totalSeconds += slide.narration.duration;
+      } else if (slide.generatedContent) {
+        totalSeconds +=
+          (this.countWords(slide.generatedContent) / wordsPerMinute) * 60;
       }
     });
 
-    return Math.max(1, Math.ceil(totalWords / wordsPerMinute));
+    return Math.max(1, Math.ceil(totalSeconds / 60));
   }
 
   /**
@@ -2155,18 +3215,55 @@ class HTMLExporter {
 
   /**
    * Generate course package (HTML + assets)
+   * @param {Object} options - generateCourseHtml options, plus
+   *   {assets: {path: string|Uint8Array}} files added next to index.html
+   *   (e.g. rendered narration audio)
    */
-  generateCoursePackage(courseData) {
-    const html = this.generateCourseHtml(courseData);
+  generateCoursePackage(courseData, options = {}) {
+    const html = this.generateCourseHtml(courseData, options);
 
     // Future: Include additional assets like images, fonts, etc.
     return {
       "index.html": html,
-      "course-data.json": JSON.stringify(courseData, null, 2),
+      "course-data.json": JSON.stringify(
+        options.secureQuiz ? this.stripAnswers(courseData) : courseData,
+        null,
+        2
+      ),
       "readme.txt": this.generateReadme(courseData),
+      ...(options.assets || {}),
     };
   }
 
+  /**
+   * Generate a zipped SCORM package (imsmanifest.xml + SCO launch page)
+   * @param {string} version - "1.2" or "2004"
+   * @param {Object} options - Extra export options (e.g. xAPI tracking scripts)
+   * @returns {Blob}
+   */
+  generateScormPackage(courseData, version, options = {}) {
+    const assessment = HTMLExporter.getAssessment(
+      courseData.course,
+      courseData.slides
+    );
+    const packager = assessment
+      ? new ScormPackager(version, assessment.passingScore)
+      : new ScormPackager(version);
+    const files = this.generateCoursePackage(courseData, {
+      ...options,
+      trackingScripts: [
+        packager.getRuntimeScript(),
+        ...(options.trackingScripts || []),
+      ],
+    });
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log(`Building SCORM ${version} package:`, Object.keys(files));
+    }
+
+    return packager.buildPackage(files, courseData);
+  }
+
   /**
    * Generate readme file for course package
    */
@@ -2180,7 +3277,12 @@ Format: Vertical Scroll (Rise 360 Style)
 This package contains:
 - index.html: The main course file (open this in a web browser)
 - course-data.json: Raw course data in JSON format
-- readme.txt: This file
+- readme.txt: This file${
+      courseData.slides.some((slide) => slide.narration)
+        ? "\n- audio/: Narration of each section" +
+          "\n- captions/: WebVTT captions of the narration"
+        : ""
+    }
 
 Instructions:
 1. Open index.html in any modern web browser
@@ -0,0 +1,165 @@
+/**
+ * Course Forge MVP - JSON Schema Validator
+ * Validates values against the subset of JSON Schema used by Course Forge
+ * (type, enum, properties, required, additionalProperties, items and the
+ * length/range keywords) and reports errors with the path to each problem
+ */
+
+const JSON_SCHEMA_TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  null: (value) => value === null,
+};
+
+class JsonSchema {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - Path reported for the value itself
+   * @returns {string[]} Errors such as "$.icons[1].title: expected string";
+   *   empty when valid
+   */
+  static validate(value, schema, path = "$") {
+    const errors = [];
+    this.validateValue(value, schema, path, errors);
+    return errors;
+  }
+
+  /**
+   * Check one value and recurse into its children
+   */
+  static validateValue(value, schema, path, errors) {
+    if (!schema) return;
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      const matches = types.some((type) =>
+        JSON_SCHEMA_TYPE_CHECKS[type](value)
+      );
+      if (!matches) {
+        errors.push(
+          `${path}: expected ${types.join(" or ")}, got ${this.describe(value)}`
+        );
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(
+        `${path}: must be one of ${schema.enum
+          .map((option) => JSON.stringify(option))
+          .join(", ")}`
+      );
+    }
+
+    if (typeof value === "string") {
+      this.validateString(value, schema, path, errors);
+    } else if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be at most ${schema.maximum}`);
+      }
+    } else if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, errors);
+    } else if (JSON_SCHEMA_TYPE_CHECKS.object(value)) {
+      this.validateObject(value, schema, path, errors);
+    }
+  }
+
+  /**
+   * String length and pattern keywords
+   */
+  static validateString(value, schema, path, errors) {
+    if (
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      errors.push(
+        schema.minLength === 1
+          ? `${path}: must not be empty`
+          : `${path}: must be at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+  }
+
+  /**
+   * Array length and item keywords
+   */
+  static validateArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        this.validateValue(item, schema.items, `${path}[${index}]`, errors)
+      );
+    }
+  }
+
+  /**
+   * Object property keywords
+   */
+  static validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${this.joinPath(path, key)}: is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = this.joinPath(path, key);
+
+      if (properties[key]) {
+        this.validateValue(child, properties[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: is not allowed`);
+      } else if (typeof schema.additionalProperties === "object") {
+        this.validateValue(
+          child,
+          schema.additionalProperties,
+          childPath,
+          errors
+        );
+      }
+    });
+  }
+
+  /**
+   * Append a property name to a path
+   */
+  static joinPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `${path}.${key}`
+      : `${path}[${JSON.stringify(key)}]`;
+  }
+
+  /**
+   * Short description of a value's type for error messages
+   */
+  static describe(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+}
+
+window.JsonSchema = JsonSchema;
@@ -0,0 +1,551 @@
+/**
+ * Course Forge MVP - LLM Provider Adapters
+ * Maps LLMService's OpenAI-style chat requests onto each provider's API
+ * and normalizes responses back to {model, choices, usage}
+ */
+
+const ANTHROPIC_API_VERSION = "2023-06-01";
+const AZURE_OPENAI_API_VERSION = "2024-06-01";
+
+/**
+ * Adapter registry. Each adapter describes one API:
+ * - requiresApiKey / requiresBaseUrl / requiresModel: what the settings
+ *   form must supply
+ * - localConfigKey: key read from js/local.config.js during development
+ * - models / taskModels: suggested models and per-task defaults
+ * - maxOutputTokens / contextWindow: token limits requests are fitted to
+ * - supportsProxy: whether the /api/chat proxy can serve it without a key
+ * - getUrl / getHeaders / buildBody / parseResponse: request/response mapping
+ * - parseStreamEvent: maps one server-sent event to {text, model, usage}
+ * - streamUsage: whether streamed responses report usage when asked to
+ * - applyResponseSchema: optional; constrains the reply to JSON matching a
+ *   schema (structured output or a forced tool call)
+ * - getModelsUrl / parseModels: optional model list lookup
+ */
+const LLM_PROVIDER_ADAPTERS = {
+  openai: {
+    id: "openai",
+    label: "OpenAI",
+    defaultBaseUrl: CONFIG.API_ENDPOINTS.OPENAI,
+    requiresApiKey: true,
+    requiresBaseUrl: false,
+    localConfigKey: "OPENAI_API_KEY",
+    models: [
+      CONFIG.AI_MODELS.GPT_4O_MINI,
+      CONFIG.AI_MODELS.GPT_4O,
+      CONFIG.AI_MODELS.GPT_4_TURBO,
+    ],
+    taskModels: {
+      chunking: CONFIG.AI_MODELS.GPT_4O_MINI, // Faster for chunking
+      content_generation: CONFIG.AI_MODELS.GPT_4O, // Better quality for content
+    },
+    maxOutputTokens: 16384,
+    contextWindow: 128000,
+    supportsProxy: true,
+    streamUsage: true,
+
+    getUrl(settings) {
+      return `${settings.baseUrl}/chat/completions`;
+    },
+
+    getHeaders(settings) {
+      return LLMProviders.getBearerHeaders(settings);
+    },
+
+    buildBody(messages, options) {
+      return LLMProviders.buildChatCompletionsBody(messages, options);
+    },
+
+    applyResponseSchema(body, format) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: format.name, strict: true, schema: format.schema },
+      };
+      return body;
+    },
+
+    parseResponse(data) {
+      return LLMProviders.parseChatCompletionsResponse(data);
+    },
+
+    parseStreamEvent(data) {
+      return LLMProviders.parseChatCompletionsStreamEvent(data);
+    },
+
+    getModelsUrl(settings) {
+      return `${settings.baseUrl}/models`;
+    },
+
+    parseModels(data) {
+      return LLMProviders.parseModelList(data);
+    },
+  },
+
+  openrouter: {
+    id: "openrouter",
+    label: "OpenRouter",
+    defaultBaseUrl: CONFIG.API_ENDPOINTS.OPENROUTER,
+    requiresApiKey: true,
+    requiresBaseUrl: false,
+    localConfigKey: "OPENROUTER_API_KEY",
+    models: [CONFIG.AI_MODELS.DEEPSEEK_R1, CONFIG.AI_MODELS.DEEPSEEK_CHAT],
+    taskModels: {
+      chunking: CONFIG.AI_MODELS.DEEPSEEK_R1, // Free model for chunking
+      content_generation: CONFIG.AI_MODELS.DEEPSEEK_CHAT, // Better for content
+    },
+    maxOutputTokens: 8192,
+    contextWindow: 64000,
+    supportsProxy: true,
+
+    getUrl(settings) {
+      return `${settings.baseUrl}/chat/completions`;
+    },
+
+    getHeaders(settings) {
+      return {
+        ...LLMProviders.getBearerHeaders(settings),
+        "HTTP-Referer": window.location.origin,
+        "X-Title": "Course Forge MVP",
+      };
+    },
+
+    buildBody(messages, options) {
+      return {
+        ...LLMProviders.buildChatCompletionsBody(messages, options),
+        stop: options.stop || null,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.1,
+      };
+    },
+
+    parseResponse(data) {
+      return LLMProviders.parseChatCompletionsResponse(data);
+    },
+
+    parseStreamEvent(data) {
+      return LLMProviders.parseChatCompletionsStreamEvent(data);
+    },
+
+    getModelsUrl(settings) {
+      return `${settings.baseUrl}/models`;
+    },
+
+    parseModels(data) {
+      return LLMProviders.parseModelList(data);
+    },
+  },
+
+  anthropic: {
+    id: "anthropic",
+    label: "Anthropic",
+    defaultBaseUrl: CONFIG.API_ENDPOINTS.ANTHROPIC,
+    requiresApiKey: true,
+    requiresBaseUrl: false,
+    localConfigKey: "ANTHROPIC_API_KEY",
+    models: [
+      CONFIG.AI_MODELS.CLAUDE_HAIKU,
+      CONFIG.AI_MODELS.CLAUDE_SONNET,
+      CONFIG.AI_MODELS.CLAUDE_OPUS,
+    ],
+    taskModels: {
+      chunking: CONFIG.AI_MODELS.CLAUDE_HAIKU,
+      content_generation: CONFIG.AI_MODELS.CLAUDE_SONNET,
+    },
+    maxOutputTokens: 8192,
+    contextWindow: 200000,
+    supportsProxy: false,
+
+    getUrl(settings) {
+      return `${settings.baseUrl}/messages`;
+    },
+
+    getHeaders(settings) {
+      return {
+        "Content-Type": "application/json",
+        "x-api-key": settings.apiKey,
+        "anthropic-version": ANTHROPIC_API_VERSION,
+        // Required for calls made straight from the browser
+        "anthropic-dangerous-direct-browser-access": "true",
+      };
+    },
+
+    buildBody(messages, options) {
+      const system = messages
+        .filter((message) => message.role === "system")
+        .map((message) => message.content)
+        .join("\n\n");
+
+      const body = {
+        model: options.model,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        messages: messages
+          .filter((message) => message.role !== "system")
+          .map((message) => ({ role: message.role, content: message.content })),
+        stream: false,
+      };
+
+      if (system) body.system = system;
+      if (options.stop) {
+        body.stop_sequences = [].concat(options.stop);
+      }
+
+      return body;
+    },
+
+    // No JSON mode here; a forced tool call returns schema-shaped input
+    applyResponseSchema(body, format) {
+      body.tools = [
+        {
+          name: format.name,
+          description: "Submit the slide content",
+          input_schema: format.schema,
+        },
+      ];
+      body.tool_choice = { type: "tool", name: format.name };
+      return body;
+    },
+
+    parseResponse(data) {
+      const content = (data.content || [])
+        .map((block) => {
+          if (block.type === "text") return block.text;
+          if (block.type === "tool_use") return JSON.stringify(block.input);
+          return "";
+        })
+        .join("");
+      const usage = data.usage || {};
+
+      return {
+        model: data.model,
+        choices: content
+          ? [
+              {
+                message: { role: "assistant", content },
+                finish_reason:
+                  data.stop_reason === "max_tokens" ? "length" : "stop",
+              },
+            ]
+          : [],
+        usage: {
+          prompt_tokens: usage.input_tokens || 0,
+          completion_tokens: usage.output_tokens || 0,
+          total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
+        },
+      };
+    },
+
+    parseStreamEvent(data) {
+      switch (data.type) {
+        case "message_start":
+          return {
+            model: data.message.model,
+            usage: { prompt_tokens: data.message.usage.input_tokens || 0 },
+          };
+        case "content_block_delta":
+          if (data.delta.type === "input_json_delta") {
+            return { text: data.delta.partial_json };
+          }
+          return {
+            text: data.delta.type === "text_delta" ? data.delta.text : "",
+          };
+        case "message_delta":
+          return {
+            finishReason:
+              data.delta.stop_reason === "max_tokens" ? "length" : "stop",
+            usage: { completion_tokens: data.usage.output_tokens || 0 },
+          };
+        case "error":
+          throw new Error(data.error.message);
+        default:
+          return {};
+      }
+    },
+
+    getModelsUrl(settings) {
+      return `${settings.baseUrl}/models`;
+    },
+
+    parseModels(data) {
+      return LLMProviders.parseModelList(data);
+    },
+  },
+
+  azure: {
+    id: "azure",
+    label: "Azure OpenAI",
+    defaultBaseUrl: "",
+    baseUrlHint: "https://your-resource.openai.azure.com",
+    modelHint: "Deployment name",
+    requiresApiKey: true,
+    requiresBaseUrl: true,
+    requiresModel: true,
+    localConfigKey: "AZURE_OPENAI_API_KEY",
+    models: [],
+    taskModels: {},
+    maxOutputTokens: 16384,
+    contextWindow: 128000,
+    supportsProxy: false,
+
+    getUrl(settings) {
+      // The model setting names the deployment
+      return `${settings.baseUrl}/openai/deployments/${encodeURIComponent(
+        settings.model
+      )}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`;
+    },
+
+    getHeaders(settings) {
+      return {
+        "Content-Type": "application/json",
+        "api-key": settings.apiKey,
+      };
+    },
+
+    buildBody(messages, options) {
+      const body = LLMProviders.buildChatCompletionsBody(messages, options);
+      delete body.model; // Set by the deployment in the URL
+      return body;
+    },
+
+    // JSON schemas need a newer API version; JSON mode is enough here
+    applyResponseSchema(body) {
+      body.response_format = { type: "json_object" };
+      return body;
+    },
+
+    parseResponse(data) {
+      return LLMProviders.parseChatCompletionsResponse(data);
+    },
+
+    parseStreamEvent(data) {
+      return LLMProviders.parseChatCompletionsStreamEvent(data);
+    },
+  },
+
+  local: {
+    id: "local",
+    label: "Local server (Ollama / llama.cpp)",
+    defaultBaseUrl: CONFIG.API_ENDPOINTS.OLLAMA,
+    baseUrlHint: `${CONFIG.API_ENDPOINTS.OLLAMA} or ${CONFIG.API_ENDPOINTS.LLAMA_CPP}`,
+    // Optional: llama.cpp serves one model and ignores the name
+    modelHint: "Model, e.g. llama3.1 (optional for llama.cpp)",
+    requiresApiKey: false,
+    requiresBaseUrl: false,
+    localConfigKey: null,
+    models: [],
+    taskModels: {},
+    maxOutputTokens: 4096,
+    contextWindow: 8192, // Typical default; larger contexts depend on the server
+    supportsProxy: false,
+
+    getUrl(settings) {
+      return `${settings.baseUrl}/chat/completions`;
+    },
+
+    getHeaders(settings) {
+      return LLMProviders.getBearerHeaders(settings);
+    },
+
+    buildBody(messages, options) {
+      return LLMProviders.buildChatCompletionsBody(messages, options);
+    },
+
+    parseResponse(data) {
+      return LLMProviders.parseChatCompletionsResponse(data);
+    },
+
+    parseStreamEvent(data) {
+      return LLMProviders.parseChatCompletionsStreamEvent(data);
+    },
+
+    getModelsUrl(settings) {
+      return `${settings.baseUrl}/models`;
+    },
+
+    parseModels(data) {
+      return LLMProviders.parseModelList(data);
+    },
+  },
+
+  openaiCompatible: {
+    id: "openaiCompatible",
+    label: "OpenAI-compatible endpoint",
+    defaultBaseUrl: "",
+    baseUrlHint: "https://your-server.example.com/v1",
+    requiresApiKey: false,
+    requiresBaseUrl: true,
+    localConfigKey: "OPENAI_COMPATIBLE_API_KEY",
+    models: [],
+    taskModels: {},
+    maxOutputTokens: 4096,
+    contextWindow: 32000,
+    supportsProxy: false,
+
+    getUrl(settings) {
+      return `${settings.baseUrl}/chat/completions`;
+    },
+
+    getHeaders(settings) {
+      return LLMProviders.getBearerHeaders(settings);
+    },
+
+    buildBody(messages, options) {
+      return LLMProviders.buildChatCompletionsBody(messages, options);
+    },
+
+    parseResponse(data) {
+      return LLMProviders.parseChatCompletionsResponse(data);
+    },
+
+    parseStreamEvent(data) {
+      return LLMProviders.parseChatCompletionsStreamEvent(data);
+    },
+
+    getModelsUrl(settings) {
+      return `${settings.baseUrl}/models`;
+    },
+
+    parseModels(data) {
+      return LLMProviders.parseModelList(data);
+    },
+  },
+};
+
+class LLMProviders {
+  /**
+   * Get an adapter by id, falling back to the configured default
+   */
+  static get(providerId) {
+    return (
+      LLM_PROVIDER_ADAPTERS[providerId] ||
+      LLM_PROVIDER_ADAPTERS[CONFIG.DEFAULT_LLM_PROVIDER]
+    );
+  }
+
+  /**
+   * All adapters, in display order
+   */
+  static list() {
+    return Object.values(LLM_PROVIDER_ADAPTERS);
+  }
+
+  /**
+   * Load saved provider settings from localStorage
+   * @returns {Object} {provider, providers: {[id]: {baseUrl, apiKey, model}}}
+   */
+  static loadSettings() {
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.LLM_PROVIDER) || "null"
+      );
+      if (saved && LLM_PROVIDER_ADAPTERS[saved.provider]) {
+        return { provider: saved.provider, providers: saved.providers || {} };
+      }
+    } catch (error) {
+      console.warn("Failed to load LLM provider settings:", error);
+    }
+
+    return { provider: CONFIG.DEFAULT_LLM_PROVIDER, providers: {} };
+  }
+
+  /**
+   * Save provider settings to localStorage
+   */
+  static saveSettings(settings) {
+    try {
+      localStorage.setItem(
+        CONFIG.LOCAL_STORAGE_KEYS.LLM_PROVIDER,
+        JSON.stringify(settings)
+      );
+    } catch (error) {
+      console.warn("Failed to save LLM provider settings:", error);
+    }
+  }
+
+  /**
+   * Resolve the stored settings for one provider, applying adapter defaults
+   * @returns {Object} {provider, baseUrl, apiKey, model}
+   */
+  static resolveSettings(settings, providerId = settings.provider) {
+    const adapter = this.get(providerId);
+    const stored = settings.providers[adapter.id] || {};
+
+    return {
+      provider: adapter.id,
+      baseUrl: (stored.baseUrl || adapter.defaultBaseUrl || "").replace(
+        /\/+$/,
+        ""
+      ),
+      apiKey: stored.apiKey || "",
+      model: stored.model || "",
+    };
+  }
+
+  /**
+   * Content-Type plus a Bearer token when an API key is set
+   */
+  static getBearerHeaders(settings) {
+    const headers = { "Content-Type": "application/json" };
+    if (settings.apiKey) {
+      headers["Authorization"] = `Bearer ${settings.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * OpenAI Chat Completions request body
+   */
+  static buildChatCompletionsBody(messages, options) {
+    const body = {
+      model: options.model,
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP || 0.9,
+      stream: false,
+    };
+
+    if (options.stop) body.stop = options.stop;
+    if (!body.model) delete body.model; // Single-model servers pick their own
+
+    return body;
+  }
+
+  /**
+   * OpenAI Chat Completions responses are already in LLMService's format
+   */
+  static parseChatCompletionsResponse(data) {
+    return {
+      model: data.model,
+      choices: data.choices || [],
+      usage: data.usage,
+    };
+  }
+
+  /**
+   * One OpenAI Chat Completions stream chunk
+   * @returns {Object} {model, text, finishReason, usage}
+   */
+  static parseChatCompletionsStreamEvent(data) {
+    const choice = (data.choices || [])[0] || {};
+
+    return {
+      model: data.model,
+      text: choice.delta ? choice.delta.content || "" : "",
+      finishReason: choice.finish_reason || null,
+      usage: data.usage || null,
+    };
+  }
+
+  /**
+   * Model ids from an OpenAI/Anthropic style {data: [{id}]} list
+   */
+  static parseModelList(data) {
+    return (data.data || [])
+      .map((model) => model.id)
+      .filter(Boolean)
+      .sort();
+  }
+}
+
+window.LLMProviders = LLMProviders;
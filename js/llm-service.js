@@ -1,8 +1,10 @@
 class LLMService {
   constructor() {
-    this.openRouterApiKey = null;
-    this.openAIApiKey = null;
+    this.providerSettings = LLMProviders.loadSettings();
+    this.localApiKeys = {}; // Keys from js/local.config.js, by config key name
     this.apiUrl = null;
+    this.usingProxy = false;
+    this.connectionVerified = false; // Whether the last test request succeeded
     this.isReady = false;
     this.initializationPromise = null;
     this.requestQueue = [];
@@ -16,6 +18,7 @@ class LLMService {
     this.concurrentRequests = 0;
 
     this.prompts = null;
+    this.responseCache = new ResponseCache();
 
     this.initializationPromise = this.initializeAPI();
   }
@@ -44,6 +47,27 @@ class LLMService {
     return true;
   }
 
+  /**
+   * ADDED: Short fingerprint of the slide generation prompts, recorded with
+   * each generated revision so output can be traced to the prompts used
+   * @returns {string|null} 8 hex digits (FNV-1a), or null before loading
+   */
+  getPromptVersion() {
+    if (!this.prompts) return null;
+
+    const text = JSON.stringify([
+      this.prompts.content_generation,
+      this.prompts.structured_output,
+      this.prompts.quality_repair,
+    ]);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
   injectPromptValues(template, values) {
     let result = template;
 
@@ -67,9 +91,11 @@ class LLMService {
     try {
       console.log("🚀 Initializing LLM Service...");
 
-      await this.loadPrompts();
+      if (!this.prompts) {
+        await this.loadPrompts();
+      }
 
-      if (this.isDevelopment()) {
+      if (this.isDevelopment() && !this.localConfigChecked) {
         console.log(
           "📍 Development environment detected, loading local config..."
         );
@@ -80,14 +106,15 @@ class LLMService {
 
       this.validateSetup();
 
-      await this.testConnection();
+      this.connectionVerified = await this.testConnection();
 
       this.isReady = true;
 
       if (CONFIG.DEBUG.ENABLED) {
         console.log("✅ LLMService initialized successfully");
         console.log("📊 Configuration:", {
-          provider: CONFIG.getActiveAPIProvider(),
+          provider: this.getAdapter().label,
+          model: this.getModelForTask("default"),
           apiUrl: this.apiUrl,
           usingProxy: this.isUsingProxy(),
           hasRequiredApiKey: this.hasRequiredAPIKey(),
@@ -98,16 +125,18 @@ class LLMService {
     } catch (error) {
       console.error("❌ Failed to initialize LLMService:", error);
 
-      if (this.isDevelopment() && !this.hasRequiredAPIKey()) {
-        const provider = CONFIG.getActiveAPIProvider();
-        const keyName =
-          provider === "OPENAI" ? "OPENAI_API_KEY" : "OPENROUTER_API_KEY";
+      const adapter = this.getAdapter();
+      if (!this.hasRequiredAPIKey()) {
         StatusManager.showError(
-          `Please create js/local.config.js with your ${keyName} to use AI features`
+          `Enter a ${adapter.label} API key in the AI Provider settings${
+            adapter.localConfigKey
+              ? ` or set ${adapter.localConfigKey} in js/local.config.js`
+              : ""
+          } to use AI features`
         );
       } else {
         StatusManager.showError(
-          "AI service initialization failed. AI features may not work."
+          `AI service initialization failed (${error.message}). AI features may not work.`
         );
       }
 
@@ -179,17 +208,14 @@ class LLMService {
       const configLoaded = await this.waitForLocalConfig(5000);
 
       if (configLoaded && window.LOCAL_CONFIG) {
-        // Load OpenRouter API key
-        if (window.LOCAL_CONFIG.OPENROUTER_API_KEY) {
-          this.openRouterApiKey = window.LOCAL_CONFIG.OPENROUTER_API_KEY;
-          console.log("✅ OpenRouter API key loaded");
-        }
-
-        // Load OpenAI API key
-        if (window.LOCAL_CONFIG.OPENAI_API_KEY) {
-          this.openAIApiKey = window.LOCAL_CONFIG.OPENAI_API_KEY;
-          console.log("✅ OpenAI API key loaded");
-        }
+        // Load the API key of every provider that has one configured
+        LLMProviders.list().forEach((adapter) => {
+          const keyName = adapter.localConfigKey;
+          if (keyName && window.LOCAL_CONFIG[keyName]) {
+            this.localApiKeys[keyName] = window.LOCAL_CONFIG[keyName];
+            console.log(`✅ ${adapter.label} API key loaded`);
+          }
+        });
       } else {
         console.warn(
           "⚠️ Local config not available after timeout, will use proxy"
@@ -198,6 +224,9 @@ class LLMService {
     } catch (error) {
       console.warn("⚠️ Local config loading failed:", error.message);
     }
+
+    // Only wait for the local config once, not on every provider switch
+    this.localConfigChecked = true;
   }
 
   async waitForLocalConfig(timeoutMs = 5000) {
@@ -207,8 +236,10 @@ class LLMService {
     while (Date.now() - startTime < timeoutMs) {
       if (
         window.LOCAL_CONFIG &&
-        (window.LOCAL_CONFIG.OPENROUTER_API_KEY ||
-          window.LOCAL_CONFIG.OPENAI_API_KEY)
+        LLMProviders.list().some(
+          (adapter) =>
+            adapter.localConfigKey && window.LOCAL_CONFIG[adapter.localConfigKey]
+        )
       ) {
         return true;
       }
@@ -222,56 +253,155 @@ class LLMService {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
+  /**
+   * ADDED: Adapter for the active provider
+   */
+  getAdapter() {
+    return LLMProviders.get(this.providerSettings.provider);
+  }
+
+  /**
+   * ADDED: Active provider settings with adapter defaults and the
+   * local.config.js key applied
+   */
+  getResolvedSettings() {
+    const settings = LLMProviders.resolveSettings(this.providerSettings);
+    const keyName = this.getAdapter().localConfigKey;
+
+    if (!settings.apiKey && keyName) {
+      settings.apiKey = this.localApiKeys[keyName] || "";
+    }
+
+    return settings;
+  }
+
+  /**
+   * ADDED: Model for a task - the model chosen in the settings wins,
+   * otherwise the adapter's per-task default
+   */
+  getModelForTask(task) {
+    const adapter = this.getAdapter();
+    const settings = this.getResolvedSettings();
+
+    return (
+      settings.model ||
+      adapter.taskModels[task] ||
+      adapter.taskModels.chunking ||
+      adapter.models[0] ||
+      ""
+    );
+  }
+
+  /**
+   * ADDED: Switch provider at runtime and reinitialize
+   * @param {Object} settings - {provider, providers: {[id]: {baseUrl, apiKey, model}}}
+   * @returns {Promise<boolean>} Whether the service is ready
+   */
+  async setProviderSettings(settings) {
+    this.clearQueue();
+    this.providerSettings = settings;
+    LLMProviders.saveSettings(settings);
+
+    this.isReady = false;
+    this.initializationPromise = this.initializeAPI();
+    await this.initializationPromise;
+
+    return this.isReady;
+  }
+
+  /**
+   * ADDED: Models offered by the active provider, from its model list
+   * endpoint when it has one, otherwise the adapter's suggestions
+   */
+  async listModels() {
+    const adapter = this.getAdapter();
+    const settings = this.getResolvedSettings();
+
+    if (!adapter.getModelsUrl || !settings.baseUrl || this.usingProxy) {
+      return adapter.models;
+    }
+
+    try {
+      const response = await fetch(adapter.getModelsUrl(settings), {
+        headers: adapter.getHeaders(settings),
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const models = adapter.parseModels(await response.json());
+      return models.length > 0 ? models : adapter.models;
+    } catch (error) {
+      console.warn(`⚠️ Could not list ${adapter.label} models:`, error.message);
+      return adapter.models;
+    }
+  }
+
   getAPIUrl() {
-    if (this.isDevelopment()) {
-      if (this.hasRequiredAPIKey()) {
-        return CONFIG.getActiveAPIEndpoint();
-      } else {
-        return "https://your-vercel-deployment.vercel.app/api/chat";
+    const adapter = this.getAdapter();
+    const settings = this.getResolvedSettings();
+    this.usingProxy = false;
+
+    if (this.hasRequiredAPIKey()) {
+      if (!settings.baseUrl) {
+        return null;
       }
+      if (adapter.requiresModel && !settings.model) {
+        return null;
+      }
+      return adapter.getUrl(settings);
+    }
+
+    if (!adapter.supportsProxy) {
+      return null;
+    }
+
+    this.usingProxy = true;
+    if (this.isDevelopment()) {
+      return "https://your-vercel-deployment.vercel.app/api/chat";
     } else {
       return "/api/chat";
     }
   }
 
   hasRequiredAPIKey() {
-    if (CONFIG.USE_CHATGPT_API) {
-      return !!this.openAIApiKey;
-    } else {
-      return !!this.openRouterApiKey;
-    }
+    return (
+      !this.getAdapter().requiresApiKey || !!this.getResolvedSettings().apiKey
+    );
   }
 
   getCurrentAPIKey() {
-    if (CONFIG.USE_CHATGPT_API) {
-      return this.openAIApiKey;
-    } else {
-      return this.openRouterApiKey;
-    }
+    return this.getResolvedSettings().apiKey || null;
   }
 
   isUsingProxy() {
-    return this.apiUrl.includes("/api/chat");
+    return this.usingProxy;
   }
 
   validateSetup() {
+    const adapter = this.getAdapter();
+
     if (this.isUsingProxy()) {
       console.log("📡 Using proxy URL:", this.apiUrl);
       return true;
     } else if (!this.hasRequiredAPIKey()) {
-      const provider = CONFIG.getActiveAPIProvider();
-      const keyName =
-        provider === "OPENAI" ? "OPENAI_API_KEY" : "OPENROUTER_API_KEY";
-
-      console.warn(
-        `⚠️ No ${provider} API key available. Please set up local.config.js with your ${keyName}.`
-      );
       console.warn(
-        `📝 Example: window.LOCAL_CONFIG = { ${keyName}: "your-key-here" };`
-      );
-      throw new Error(
-        `No ${provider} API key available and proxy not properly configured`
+        `⚠️ No ${adapter.label} API key available. Enter one in the AI Provider settings or set up local.config.js.`
       );
+      if (adapter.localConfigKey) {
+        console.warn(
+          `📝 Example: window.LOCAL_CONFIG = { ${adapter.localConfigKey}: "your-key-here" };`
+        );
+      }
+      throw new Error(`No ${adapter.label} API key available`);
+    } else if (!this.apiUrl) {
+      const settings = this.getResolvedSettings();
+      const missing = [];
+      if (!settings.baseUrl) missing.push("base URL");
+      if (adapter.requiresModel && !settings.model) {
+        missing.push((adapter.modelHint || "model").toLowerCase());
+      }
+      throw new Error(`${adapter.label} needs a ${missing.join(" and a ")}`);
     }
     return true;
   }
@@ -283,14 +413,73 @@ class LLMService {
       return this.makeDirectRequest(messages, options);
     }
 
+    // ADDED: Serve repeated requests from the response cache
+    const cacheKey = await this.getCacheKey(messages, options);
+    if (cacheKey && !options.bypassCache) {
+      const cached = await this.responseCache.get(cacheKey);
+      if (cached) {
+        console.log("💾 Response served from cache");
+        return { ...cached, cached: true };
+      }
+    }
+
+    const response = await this.enqueueRequest(messages, options);
+
+    // Truncated responses are not worth keeping
+    if (cacheKey && response.choices[0].finish_reason !== "length") {
+      this.responseCache.set(cacheKey, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * ADDED: Cache key for a request, or null when caching is unavailable
+   */
+  async getCacheKey(messages, options) {
+    if (!this.responseCache.isAvailable()) return null;
+
+    try {
+      return await this.responseCache.createKey({
+        provider: this.getAdapter().id,
+        // Local servers with the same model name are different models
+        baseUrl: this.apiUrl,
+        model: options.model || this.getModelForTask("default"),
+        temperature: options.temperature || 0.7,
+        // JSON-schema and XML requests for one slide answer differently
+        responseFormat: options.responseFormat || null,
+        messages: messages,
+      });
+    } catch (error) {
+      console.warn("⚠️ Could not create cache key:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a request behind the rate limiter
+   */
+  enqueueRequest(messages, options) {
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({
+      const request = {
         messages,
         options,
         resolve,
         reject,
         timestamp: Date.now(),
-      });
+      };
+      this.requestQueue.push(request);
+
+      // ADDED: Drop cancelled requests that are still waiting in the queue
+      if (options.signal) {
+        options.signal.addEventListener("abort", () => {
+          const index = this.requestQueue.indexOf(request);
+          if (index >= 0) {
+            this.requestQueue.splice(index, 1);
+            reject(this.createCancelledError());
+          }
+        });
+      }
 
       if (!this.isProcessingQueue) {
         this.processRequestQueue();
@@ -400,57 +589,72 @@ class LLMService {
   }
 
   async makeDirectRequest(messages, options = {}) {
-    const requestBody = {
-      model: options.model || CONFIG.getDefaultModel(),
-      messages: messages,
-      max_tokens: options.maxTokens || 4000,
+    const adapter = this.getAdapter();
+    const settings = this.getResolvedSettings();
+    const requestSettings = {
+      model: options.model || this.getModelForTask("default"),
+      maxTokens: this.fitMaxTokens(messages, options.maxTokens || 4000),
       temperature: options.temperature || 0.7,
-      stream: false,
+      topP: options.topP,
+      stop: options.stop,
     };
 
-    if (CONFIG.USE_CHATGPT_API) {
-      requestBody.top_p = options.topP || 0.9;
-      if (options.stop) requestBody.stop = options.stop;
-    } else {
-      requestBody.top_p = options.topP || 0.9;
-      requestBody.stop = options.stop || null;
-      requestBody.presence_penalty = 0.1;
-      requestBody.frequency_penalty = 0.1;
+    // The proxy speaks the OpenAI format whichever provider it forwards to
+    const requestBody = this.isUsingProxy()
+      ? LLMProviders.buildChatCompletionsBody(messages, requestSettings)
+      : adapter.buildBody(messages, requestSettings, settings);
+
+    // ADDED: Constrain the reply to a JSON schema where the provider can
+    if (options.responseFormat && !this.isUsingProxy()) {
+      if (!adapter.applyResponseSchema) {
+        throw new Error(`${adapter.label} does not support structured output`);
+      }
+      adapter.applyResponseSchema(requestBody, options.responseFormat);
+    }
+
+    // ADDED: Stream when the caller wants deltas and the provider can send them
+    const stream = !!options.onDelta && this.canStream();
+    if (stream) {
+      requestBody.stream = true;
+      if (adapter.streamUsage) {
+        requestBody.stream_options = { include_usage: true };
+      }
     }
 
     const requestOptions = {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
+      headers: this.isUsingProxy()
+        ? { "Content-Type": "application/json" }
+        : adapter.getHeaders(settings),
       body: JSON.stringify(requestBody),
     };
 
-    if (!this.isUsingProxy() && this.hasRequiredAPIKey()) {
-      const apiKey = this.getCurrentAPIKey();
-      requestOptions.headers["Authorization"] = `Bearer ${apiKey}`;
-
-      if (!CONFIG.USE_CHATGPT_API) {
-        requestOptions.headers["HTTP-Referer"] = window.location.origin;
-        requestOptions.headers["X-Title"] = "Course Forge MVP";
-      }
+    if (options.signal && options.signal.aborted) {
+      throw this.createCancelledError();
     }
 
     const timeoutMs = options.timeout || 60000; // 60 second timeout
     const abortController = new AbortController();
-    const timeoutId = setTimeout(() => abortController.abort(), timeoutMs);
+    let timeoutId = setTimeout(() => abortController.abort(), timeoutMs);
     requestOptions.signal = abortController.signal;
 
+    // ADDED: Callers cancel through their own signal
+    const cancel = () => abortController.abort();
+    if (options.signal) {
+      options.signal.addEventListener("abort", cancel);
+    }
+
     try {
       if (CONFIG.DEBUG.ENABLED) {
         console.log("🚀 Making LLM request:", {
-          provider: CONFIG.getActiveAPIProvider(),
+          provider: adapter.label,
           url: this.apiUrl,
-          model: requestBody.model,
+          model: requestSettings.model,
           messageCount: messages.length,
           usingProxy: this.isUsingProxy(),
-          temperature: requestBody.temperature,
+          temperature: requestSettings.temperature,
           timeout: timeoutMs,
+          stream: stream,
         });
       }
 
@@ -466,8 +670,7 @@ class LLMService {
             errorMessage = "Invalid request format. Please try again.";
             break;
           case 401:
-            const provider = CONFIG.getActiveAPIProvider();
-            errorMessage = `Invalid API key. Please check your ${provider} API key configuration.`;
+            errorMessage = `Invalid API key. Please check your ${adapter.label} API key configuration.`;
             break;
           case 429:
             errorMessage = "Rate limit exceeded. Please try again in a moment.";
@@ -490,11 +693,29 @@ class LLMService {
         throw new Error(errorMessage);
       }
 
-      const data = await response.json();
+      let data;
+      if (stream) {
+        // While streaming the timeout only fires when no data arrives
+        data = await this.readEventStream(
+          response,
+          adapter,
+          (delta, text) => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => abortController.abort(), timeoutMs);
+            options.onDelta(delta, text);
+          },
+          abortController.signal
+        );
+      } else {
+        const rawData = await response.json();
+        data = this.isUsingProxy()
+          ? LLMProviders.parseChatCompletionsResponse(rawData)
+          : adapter.parseResponse(rawData);
+      }
 
       if (CONFIG.DEBUG.ENABLED) {
         console.log("✅ LLM response received:", {
-          provider: CONFIG.getActiveAPIProvider(),
+          provider: adapter.label,
           model: data.model,
           usage: data.usage,
           hasChoices: !!data.choices && data.choices.length > 0,
@@ -506,9 +727,26 @@ class LLMService {
         throw new Error("No response generated by AI model");
       }
 
+      // ADDED: Some servers report no usage; estimate it for cost tracking
+      if (!data.usage) {
+        data.usage = this.estimateUsage(
+          messages,
+          data.choices[0].message.content
+        );
+      }
+      if (!data.model) data.model = requestSettings.model;
+      // ADDED: Priced by the requested id when the reported one is unknown
+      data.requestedModel = requestSettings.model;
+
       return data;
     } catch (error) {
       clearTimeout(timeoutId);
+
+      if (options.signal && options.signal.aborted) {
+        console.log("🛑 LLM request cancelled");
+        throw this.createCancelledError();
+      }
+
       console.error("❌ LLM request failed:", error);
 
       if (error.name === "AbortError") {
@@ -522,9 +760,154 @@ class LLMService {
       }
 
       throw new Error(`Failed to get AI response: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+      if (options.signal) {
+        options.signal.removeEventListener("abort", cancel);
+      }
     }
   }
 
+  /**
+   * ADDED: Whether requests can be streamed. The proxy only returns
+   * complete responses.
+   */
+  canStream() {
+    return (
+      CONFIG.STREAMING.ENABLED &&
+      !this.isUsingProxy() &&
+      !!this.getAdapter().parseStreamEvent
+    );
+  }
+
+  /**
+   * ADDED: Read a server-sent event stream, passing each text delta on,
+   * and return the assembled response in the non-streaming format
+   */
+  async readEventStream(response, adapter, onDelta, signal) {
+    const reader = response.body.getReader();
+    // Release the connection straight away when aborted mid-read
+    const stopReading = () => reader.cancel().catch(() => {});
+    signal.addEventListener("abort", stopReading);
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let content = "";
+    let model = null;
+    let finishReason = "stop";
+    const usage = {};
+
+    const handleEvent = (eventText) => {
+      const data = eventText
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("\n");
+
+      if (!data || data === "[DONE]") return;
+
+      const event = adapter.parseStreamEvent(JSON.parse(data));
+      if (event.model) model = event.model;
+      if (event.finishReason) finishReason = event.finishReason;
+      if (event.usage) Object.assign(usage, event.usage);
+      if (event.text) {
+        content += event.text;
+        onDelta(event.text, content);
+      }
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (signal.aborted) {
+          const error = new Error("Stream aborted");
+          error.name = "AbortError";
+          throw error;
+        }
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(handleEvent);
+      }
+    } finally {
+      signal.removeEventListener("abort", stopReading);
+    }
+
+    if (buffer.trim()) handleEvent(buffer);
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    return {
+      model: model,
+      choices: content
+        ? [
+            {
+              message: { role: "assistant", content },
+              finish_reason: finishReason,
+            },
+          ]
+        : [],
+      usage:
+        promptTokens || completionTokens
+          ? {
+              prompt_tokens: promptTokens,
+              completion_tokens: completionTokens,
+              total_tokens: promptTokens + completionTokens,
+            }
+          : undefined,
+    };
+  }
+
+  /**
+   * ADDED: Error thrown when a caller cancels a request
+   */
+  createCancelledError() {
+    const error = new Error("Request cancelled");
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * ADDED: Usage estimated from text length, flagged as estimated
+   */
+  estimateUsage(messages, content) {
+    const promptTokens = messages.reduce(
+      (total, message) => total + UsageTracker.estimateTokens(message.content),
+      0
+    );
+    const completionTokens = UsageTracker.estimateTokens(content);
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      estimated: true,
+    };
+  }
+
+  /**
+   * ADDED: Fit the requested output tokens to the provider's limits. Prompt
+   * tokens are estimated at ~4 characters per token.
+   */
+  fitMaxTokens(messages, requestedTokens) {
+    const adapter = this.getAdapter();
+    const promptTokens = Math.ceil(
+      messages.reduce((total, message) => total + message.content.length, 0) /
+        4
+    );
+    const available = adapter.contextWindow - promptTokens;
+
+    if (available < 256) {
+      throw new Error(
+        `Prompt is too long for ${adapter.label} (about ${promptTokens} tokens, limit ${adapter.contextWindow}). Shorten the source content or choose a provider with a larger context.`
+      );
+    }
+
+    return Math.min(requestedTokens, adapter.maxOutputTokens, available);
+  }
+
   async generateChunks(courseConfig) {
     const maxRetries = 3;
     let lastError;
@@ -569,6 +952,9 @@ class LLMService {
             (obj) => `- ${obj}`
           ),
           sourceContent: courseConfig.sourceContent,
+          documentOutline: this.formatDocumentOutline(
+            courseConfig.sourceOutline
+          ),
           additionalGuidance: courseConfig.additionalGuidance
             ? `**Additional Guidance:** ${courseConfig.additionalGuidance}`
             : "",
@@ -615,13 +1001,14 @@ class LLMService {
         ];
 
         const temperature = attempt === 1 ? 0.3 : 0.1;
-        const model = CONFIG.getModelForTask("chunking");
+        const model = this.getModelForTask("chunking");
 
         console.log("🚀 Sending request to LLM...");
         const response = await this.makeRequest(messages, {
           model: model,
           temperature: temperature,
           maxTokens: 4000, // Increased token limit to accommodate more chunks
+          bypassCache: attempt > 1, // A cached response already failed
         });
 
         if (!response.choices || response.choices.length === 0) {
@@ -663,6 +1050,36 @@ class LLMService {
     );
   }
 
+  /**
+   * Format document headings for the chunking prompt so they can seed chunk titles
+   */
+  formatDocumentOutline(outline) {
+    if (!Array.isArray(outline) || outline.length === 0) {
+      return "";
+    }
+
+    const lines = outline.map((heading) => {
+      // Markdown/HTML sources also summarize what each section contains
+      const details = [];
+      if (heading.wordCount) details.push(`${heading.wordCount} words`);
+      if (heading.codeBlocks) details.push(`${heading.codeBlocks} code blocks`);
+      if (heading.lists) details.push(`${heading.lists} lists`);
+      if (heading.links && heading.links.length) {
+        details.push(`${heading.links.length} links`);
+      }
+
+      return `${"  ".repeat(Math.max(0, heading.level - 1))}- ${heading.text}${
+        details.length ? ` (${details.join(", ")})` : ""
+      }`;
+    });
+
+    return [
+      "**Document Outline:** (section headings from the source documents -",
+      "use them as chunk titles and section boundaries where they fit)",
+      ...lines,
+    ].join("\n");
+  }
+
   calculateExpectedChunks(durationString) {
     let minutes = 0;
 
@@ -682,7 +1099,240 @@ class LLMService {
     return Math.max(6, Math.min(60, idealChunks));
   }
 
-  async generateSlideContent(chunk, courseConfig) {
+  /**
+   * Generate one slide's content. Uses JSON structured output when the
+   * provider supports it and falls back to the XML format otherwise.
+   * @param {Object} options - {signal, onPartial, onResponse, bypassCache}:
+   *   onPartial receives the slide fields parsed so far while the response
+   *   streams in, onResponse the raw response (with `cached` on cache hits)
+   */
+  async generateSlideContent(chunk, courseConfig, options = {}) {
+    if (this.canUseStructuredOutput()) {
+      try {
+        return await this.generateStructuredSlideContent(
+          chunk,
+          courseConfig,
+          options
+        );
+      } catch (error) {
+        if (error.cancelled) throw error;
+        console.warn(
+          `⚠️ Structured output failed for chunk ${chunk.id}, falling back to XML:`,
+          error.message
+        );
+      }
+    }
+
+    return this.generateSlideContentXML(chunk, courseConfig, options);
+  }
+
+  /**
+   * ADDED: Whether slide content can be requested as schema-checked JSON.
+   * The proxy only forwards plain chat requests.
+   */
+  canUseStructuredOutput() {
+    return (
+      CONFIG.STRUCTURED_OUTPUT.ENABLED &&
+      !this.isUsingProxy() &&
+      !!this.getAdapter().applyResponseSchema &&
+      !!this.prompts.structured_output
+    );
+  }
+
+  /**
+   * ADDED: Generate slide content as JSON matching the slide type's schema.
+   * Invalid JSON is sent back with the validation errors for repair.
+   */
+  async generateStructuredSlideContent(chunk, courseConfig, options = {}) {
+    const maxAttempts = CONFIG.STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS + 1;
+    const responseFormat = SlideSchemas.getResponseFormat(chunk.slideType);
+    const messages = this.buildSlideMessages(chunk, courseConfig, true);
+    let errors = [];
+
+    let lastPartial = null;
+    const onDelta = options.onPartial
+      ? (delta, content) => {
+          const partial = SlideSchemas.parsePartial(chunk.slideType, content);
+          // Only report when another field or item has completed
+          const serialized = partial && JSON.stringify(partial);
+          if (serialized && serialized !== lastPartial) {
+            lastPartial = serialized;
+            options.onPartial(partial);
+          }
+        }
+      : null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      console.log(
+        `🧩 Generating structured content for chunk ${chunk.id}, attempt ${attempt}/${maxAttempts}`
+      );
+
+      const response = await this.makeRequest(messages, {
+        model: this.getModelForTask("content_generation"),
+        temperature: 0.4,
+        maxTokens: 10000,
+        signal: options.signal,
+        onDelta: onDelta,
+        bypassCache: options.bypassCache,
+        responseFormat: responseFormat,
+      });
+
+      if (options.onResponse) {
+        options.onResponse(response);
+      }
+
+      const text = response.choices[0].message.content;
+      const result = SlideSchemas.parse(chunk.slideType, text);
+
+      if (result.content) {
+        console.log(
+          `✅ Structured content for chunk ${chunk.id} passed validation on attempt ${attempt}`
+        );
+        return result.content;
+      }
+
+      errors = result.errors;
+      console.warn(
+        `⚠️ Structured content for chunk ${chunk.id} failed validation:`,
+        errors
+      );
+
+      // Ask the model to fix its own answer
+      messages.push(
+        { role: "assistant", content: text },
+        {
+          role: "user",
+          content: this.injectPromptValues(
+            this.prompts.structured_output.repair,
+            { errors: errors.slice(0, 20).join("\n") }
+          ),
+        }
+      );
+    }
+
+    throw new Error(
+      `Structured content failed validation: ${errors.slice(0, 3).join("; ")}`
+    );
+  }
+
+  /**
+   * ADDED: Ask for a corrected version of generated slide content
+   * @param {Object} content - Content that broke quality rules
+   * @param {Object[]} issues - SlideQualityValidator issues to fix
+   * @param {Object} options - {signal, onResponse}
+   * @returns {Promise<Object|Array>} Repaired content
+   */
+  async repairSlideContent(chunk, courseConfig, content, issues, options = {}) {
+    const structured = this.canUseStructuredOutput();
+    const messages = this.buildSlideMessages(chunk, courseConfig, structured);
+
+    messages.push({
+      role: "user",
+      content: this.injectPromptValues(this.prompts.quality_repair.user, {
+        slideType: chunk.slideType,
+        issues: issues.map((issue) => `- ${issue.message}`).join("\n"),
+        content: JSON.stringify(content, null, 2),
+        format: structured ? "JSON" : "XML",
+      }),
+    });
+
+    console.log(
+      `🔧 Requesting quality repair for chunk ${chunk.id} (${issues.length} issues)`
+    );
+
+    const response = await this.makeRequest(messages, {
+      model: this.getModelForTask("content_generation"),
+      temperature: 0.2,
+      maxTokens: 10000,
+      signal: options.signal,
+      responseFormat: structured
+        ? SlideSchemas.getResponseFormat(chunk.slideType)
+        : undefined,
+    });
+
+    if (options.onResponse) {
+      options.onResponse(response);
+    }
+
+    const text = response.choices[0].message.content;
+
+    if (!structured) {
+      return this.parseContentResponseXML(text, chunk.slideType);
+    }
+
+    const result = SlideSchemas.parse(chunk.slideType, text);
+    if (!result.content) {
+      throw new Error(
+        `Repaired content failed validation: ${result.errors.join("; ")}`
+      );
+    }
+    return result.content;
+  }
+
+  /**
+   * ADDED: Ask the model whether each statement is supported by the
+   * chunk's source content
+   * @param {Object[]} claims - GroundingChecker claims to judge
+   * @param {Object} options - {signal, onResponse}
+   * @returns {Promise<Object[]>} [{index, supported, reason}], index into
+   *   claims; statements the model skipped are left out
+   */
+  async judgeGrounding(chunk, claims, options = {}) {
+    if (!this.prompts.grounding_judge) {
+      throw new Error("Grounding judge prompt is missing from prompts.json");
+    }
+
+    const messages = [
+      { role: "system", content: this.prompts.grounding_judge.system },
+      {
+        role: "user",
+        content: this.injectPromptValues(this.prompts.grounding_judge.user, {
+          sourceContent: chunk.sourceContent,
+          groundTruth: chunk.groundTruth || "None provided.",
+          slideTitle: chunk.title,
+          claims: claims.map((claim, index) => `${index + 1}. ${claim.text}`),
+        }),
+      },
+    ];
+
+    console.log(
+      `⚖️ Judging ${claims.length} statements for chunk ${chunk.id}`
+    );
+
+    const response = await this.makeRequest(messages, {
+      model: this.getModelForTask("content_generation"),
+      temperature: 0,
+      maxTokens: 4000,
+      signal: options.signal,
+    });
+
+    if (options.onResponse) {
+      options.onResponse(response);
+    }
+
+    const text = response.choices[0].message.content;
+
+    return this.extractXMLValues(text, "judgement")
+      .map((block) => {
+        const index = parseInt(this.extractXMLValue(block, "id"), 10) - 1;
+        const verdict = (this.extractXMLValue(block, "verdict") || "")
+          .toLowerCase()
+          .trim();
+
+        if (!claims[index] || !/^(un)?supported$/.test(verdict)) return null;
+        return {
+          index,
+          supported: verdict === "supported",
+          reason: this.extractXMLValue(block, "reason"),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Generate slide content in the XML format, parsed per slide type
+   */
+  async generateSlideContentXML(chunk, courseConfig, options = {}) {
     const maxRetries = 2;
     let lastError;
 
@@ -692,53 +1342,59 @@ class LLMService {
           `🎯 Generating content for chunk ${chunk.id}, attempt ${attempt}/${maxRetries}`
         );
 
-        const systemPrompt = this.prompts.content_generation.system;
-
-        const userPromptTemplate = this.prompts.content_generation.user;
-        const userPrompt = this.injectPromptValues(userPromptTemplate, {
-          slideType: chunk.slideType,
-          slideTitle: chunk.title,
-          courseTitle: courseConfig.title,
-          targetAudience:
-            courseConfig.targetAudience || "Professional learners",
-          learningObjectives: courseConfig.learningObjectives.join(", "),
-          sourceContent: chunk.sourceContent,
-          groundTruth:
-            chunk.groundTruth ||
-            "No specific guidance provided - use source content to determine slide coverage.",
-          additionalGuidance:
-            courseConfig.additionalGuidance ||
-            "Create engaging, practical content that helps learners achieve the objectives.",
-        });
-
-        const messages = [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
-        ];
-
-        const model = CONFIG.getModelForTask("content_generation");
+        const messages = this.buildSlideMessages(chunk, courseConfig);
+
+        const model = this.getModelForTask("content_generation");
+
+        let lastPartial = null;
+        const onDelta = options.onPartial
+          ? (delta, content) => {
+              const partial = this.parsePartialContentXML(
+                content,
+                chunk.slideType
+              );
+              // Only report when another tag has closed
+              const serialized = partial && JSON.stringify(partial);
+              if (serialized && serialized !== lastPartial) {
+                lastPartial = serialized;
+                options.onPartial(partial);
+              }
+            }
+          : null;
 
         const response = await this.makeRequest(messages, {
           model: model,
           temperature: 0.4,
           maxTokens: 10000,
+          signal: options.signal,
+          onDelta: onDelta,
+          // Retries skip the cache in case the cached response was the problem
+          bypassCache: options.bypassCache || attempt > 1,
         });
 
         if (!response.choices || response.choices.length === 0) {
           throw new Error("No response choices received from AI");
         }
 
+        // Reported before parsing so failed attempts are still counted
+        if (options.onResponse) {
+          options.onResponse(response);
+        }
+
         const content = response.choices[0].message.content;
 
         const parsedContent = this.parseContentResponseXML(
           content,
           chunk.slideType
         );
+
         console.log(
           `✅ Successfully generated content for chunk ${chunk.id} on attempt ${attempt}`
         );
         return parsedContent;
       } catch (error) {
+        if (error.cancelled) throw error;
+
         lastError = error;
         console.error(
           `❌ Content generation attempt ${attempt} failed for chunk ${chunk.id}:`,
@@ -758,6 +1414,76 @@ class LLMService {
     );
   }
 
+  /**
+   * ADDED: Chat messages for one slide's content generation request
+   * @param {boolean} structured - Ask for JSON matching the slide schema
+   *   instead of XML
+   */
+  buildSlideMessages(chunk, courseConfig, structured = false) {
+    const systemPrompt = this.prompts.content_generation.system;
+
+    const userPromptTemplate = this.prompts.content_generation.user;
+    const userPrompt = this.injectPromptValues(userPromptTemplate, {
+      slideType: chunk.slideType,
+      slideTitle: chunk.title,
+      courseTitle: courseConfig.title,
+      targetAudience: courseConfig.targetAudience || "Professional learners",
+      learningObjectives: courseConfig.learningObjectives.join(", "),
+      sourceContent: chunk.sourceContent,
+      groundTruth:
+        chunk.groundTruth ||
+        "No specific guidance provided - use source content to determine slide coverage.",
+      additionalGuidance:
+        courseConfig.additionalGuidance ||
+        "Create engaging, practical content that helps learners achieve the objectives.",
+    });
+
+    const formatInstructions = structured
+      ? this.injectPromptValues(this.prompts.structured_output.instructions, {
+          slideType: chunk.slideType,
+          schema: JSON.stringify(SlideSchemas.get(chunk.slideType)),
+        })
+      : null;
+
+    return [
+      { role: "system", content: systemPrompt },
+      {
+        role: "user",
+        content: structured
+          ? `${userPrompt}\n\n${formatInstructions}`
+          : userPrompt,
+      },
+    ];
+  }
+
+  /**
+   * ADDED: Estimate tokens and cost of generating one slide, before sending
+   * @returns {Object|null} {model, promptTokens, completionTokens, cost};
+   *   null until the prompts have loaded
+   */
+  estimateSlideUsage(chunk, courseConfig) {
+    if (!this.prompts) return null;
+
+    const model = this.getModelForTask("content_generation");
+    const messages = this.buildSlideMessages(
+      chunk,
+      courseConfig,
+      this.canUseStructuredOutput()
+    );
+    const promptTokens = messages.reduce(
+      (total, message) => total + UsageTracker.estimateTokens(message.content),
+      0
+    );
+    const completionTokens = CONFIG.USAGE.EXPECTED_SLIDE_OUTPUT_TOKENS;
+
+    return {
+      model,
+      promptTokens,
+      completionTokens,
+      cost: UsageTracker.calculateCost(model, promptTokens, completionTokens),
+    };
+  }
+
   getQueueStatus() {
     return {
       queueLength: this.requestQueue.length,
@@ -788,8 +1514,7 @@ class LLMService {
       const chunkMatches = content.match(/<chunk>([\s\S]*?)<\/chunk>/g);
 
       if (!chunkMatches || chunkMatches.length === 0) {
-        console.warn("No <chunk> tags found, attempting fallback extraction");
-        return this.generateFallbackChunks(content);
+        throw new Error("No <chunk> tags found in AI response");
       }
 
       console.log(`Found ${chunkMatches.length} chunk blocks`);
@@ -842,7 +1567,8 @@ class LLMService {
     } catch (error) {
       console.error("XML chunk parsing failed:", error);
       console.error("Original content:", content);
-      return this.generateFallbackChunks(content);
+      // Let the retry loop try again; ChunkManager falls back to LocalChunker
+      throw error;
     }
   }
 
@@ -857,31 +1583,7 @@ class LLMService {
       const contentBlock = contentMatch[1];
       console.log("Content block:", contentBlock);
 
-      // Parse based on slide type
-      switch (slideType) {
-        case "title":
-          return this.parseTitleXML(contentBlock);
-        case "courseInfo":
-          return this.parseCourseInfoXML(contentBlock);
-        case "textAndImage":
-          return this.parseTextAndImageXML(contentBlock);
-        case "textAndBullets":
-          return this.parseTextAndBulletsXML(contentBlock);
-        case "iconsWithTitles":
-          return this.parseIconsWithTitlesXML(contentBlock);
-        case "multipleChoice":
-          return this.parseMultipleChoiceXML(contentBlock);
-        case "tabs":
-          return this.parseTabsXML(contentBlock);
-        case "flipCards":
-          return this.parseFlipCardsXML(contentBlock);
-        case "faq":
-          return this.parseFaqXML(contentBlock);
-        case "popups":
-          return this.parsePopupsXML(contentBlock);
-        default:
-          throw new Error(`Unsupported slide type: ${slideType}`);
-      }
+      return this.parseContentBlockXML(contentBlock, slideType);
     } catch (error) {
       console.error("XML content parsing failed:", error);
       console.error("Content:", content);
@@ -889,6 +1591,54 @@ class LLMService {
     }
   }
 
+  /**
+   * Parse the inside of a <content> block based on slide type
+   */
+  parseContentBlockXML(contentBlock, slideType) {
+    switch (slideType) {
+      case "title":
+        return this.parseTitleXML(contentBlock);
+      case "courseInfo":
+        return this.parseCourseInfoXML(contentBlock);
+      case "textAndImage":
+        return this.parseTextAndImageXML(contentBlock);
+      case "textAndBullets":
+        return this.parseTextAndBulletsXML(contentBlock);
+      case "iconsWithTitles":
+        return this.parseIconsWithTitlesXML(contentBlock);
+      case "multipleChoice":
+        return this.parseMultipleChoiceXML(contentBlock);
+      case "tabs":
+        return this.parseTabsXML(contentBlock);
+      case "flipCards":
+        return this.parseFlipCardsXML(contentBlock);
+      case "faq":
+        return this.parseFaqXML(contentBlock);
+      case "popups":
+        return this.parsePopupsXML(contentBlock);
+      default:
+        throw new Error(`Unsupported slide type: ${slideType}`);
+    }
+  }
+
+  /**
+   * ADDED: Parse a response that is still streaming. The slide parsers only
+   * match closed tags, so fields appear as soon as their tag closes.
+   * @returns {Object|Array|null} Partial content, or null before <content>
+   */
+  parsePartialContentXML(content, slideType) {
+    const start = content.indexOf("<content>");
+    if (start < 0) return null;
+
+    const end = content.indexOf("</content>", start);
+    const contentBlock = content.slice(
+      start + "<content>".length,
+      end < 0 ? undefined : end
+    );
+
+    return this.parseContentBlockXML(contentBlock, slideType);
+  }
+
   extractXMLValue(content, tagName) {
     const regex = new RegExp(`<${tagName}>(.*?)<\/${tagName}>`, "s");
     const match = content.match(regex);
@@ -1012,69 +1762,4 @@ class LLMService {
       content: this.extractXMLValue(block, "popupContent") || "",
     }));
   }
-
-  generateFallbackChunks(originalContent) {
-    console.warn("🔄 Generating fallback chunks due to parsing failure");
-
-    // Try to extract titles using more flexible regex
-    const titleMatches = originalContent.match(
-      /(?:title[">:\s]*)(.*?)(?:[<\n]|$)/gi
-    );
-    const titles = titleMatches
-      ? titleMatches
-          .map((match) =>
-            match
-              .replace(/title[">:\s]*/i, "")
-              .replace(/[<\n].*$/, "")
-              .trim()
-          )
-          .filter((title) => title.length > 0 && title.length < 100)
-      : [];
-
-    if (titles.length > 0) {
-      console.log("Creating fallback chunks from extracted titles:", titles);
-      return titles.slice(0, 8).map((title, index) => ({
-        id: `fallback-chunk-${Date.now()}-${index}`,
-        title: title,
-        slideType: index % 4 === 3 ? "multipleChoice" : "textAndImage",
-        sourceContent:
-          "Generated from parsing failure - manual editing required",
-        groundTruth: "Manual editing required - automatic parsing failed", // FIXED: Include ground truth in fallback
-        estimatedTime: "2 minutes",
-        order: index,
-        isLocked: false,
-        generatedContent: null,
-        createdAt: new Date().toISOString(),
-      }));
-    }
-
-    // Last resort: create generic chunks
-    console.warn("Creating generic fallback chunks");
-    return [
-      {
-        id: `generic-chunk-${Date.now()}-1`,
-        title: "Course Introduction",
-        slideType: "title",
-        sourceContent: "Manual editing required - automatic parsing failed",
-        groundTruth: "Manual editing required - automatic parsing failed", // FIXED: Include ground truth
-        estimatedTime: "2 minutes",
-        order: 0,
-        isLocked: false,
-        generatedContent: null,
-        createdAt: new Date().toISOString(),
-      },
-      {
-        id: `generic-chunk-${Date.now()}-2`,
-        title: "Key Concepts",
-        slideType: "textAndBullets",
-        sourceContent: "Manual editing required - automatic parsing failed",
-        groundTruth: "Manual editing required - automatic parsing failed", // FIXED: Include ground truth
-        estimatedTime: "3 minutes",
-        order: 1,
-        isLocked: false,
-        generatedContent: null,
-        createdAt: new Date().toISOString(),
-      },
-    ];
-  }
 }
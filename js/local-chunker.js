@@ -0,0 +1,845 @@
+/**
+ * Course Forge MVP - Local Chunker
+ * Deterministic chunking that works without an LLM: source content is split at
+ * headings and paragraph boundaries within word budgets, and slide types are
+ * picked by heuristics (lists, Q&A pairs, definitions)
+ */
+
+class LocalChunker {
+  /**
+   * Break course source content into chunks
+   * @param {Object} courseConfig - Course configuration with sourceContent
+   * @returns {Array} Chunks in the same shape as LLM chunking output
+   */
+  static generateChunks(courseConfig) {
+    const sections = this.parseSections(courseConfig.sourceContent || "");
+    const totalWords = sections.reduce(
+      (sum, section) => sum + this.countWords(section.blocks),
+      0
+    );
+
+    if (totalWords === 0) {
+      throw new Error("Source content has no text to chunk");
+    }
+
+    const budget = this.getWordBudget(
+      totalWords,
+      courseConfig.estimatedDuration
+    );
+    const units = this.mergeSmallUnits(this.buildUnits(sections, budget), budget)
+      .map((unit) => (unit.isOpener ? unit : this.finalizeUnit(unit)));
+
+    const plan = [
+      this.createTitleUnit(courseConfig, units),
+      this.createCourseInfoUnit(courseConfig),
+    ];
+
+    // Knowledge checks every few content slides, as the LLM prompt asks for
+    const interval = CONFIG.CONTENT.KNOWLEDGE_CHECK_INTERVAL;
+    let covered = [];
+    units.forEach((unit) => {
+      plan.push(unit);
+      if (unit.isOpener) return;
+
+      covered.push(unit);
+      if (covered.length >= interval) {
+        plan.push(this.createKnowledgeCheckUnit(covered));
+        covered = [];
+      }
+    });
+    if (covered.length >= 2) {
+      plan.push(this.createKnowledgeCheckUnit(covered));
+    }
+
+    const createdAt = new Date().toISOString();
+    return plan.map((unit, index) => ({
+      id: `chunk-${Date.now()}-${index}-${Math.floor(Math.random() * 1000)}`,
+      title: unit.title,
+      slideType: unit.slideType,
+      sourceContent: unit.sourceContent,
+      groundTruth: unit.groundTruth,
+      estimatedTime: this.formatMinutes(
+        unit.words
+          ? (unit.words / budget) * CONFIG.CONTENT.CHUNK_DURATION_MINUTES
+          : 2
+      ),
+      order: index,
+      isLocked: false,
+      generatedContent: null,
+      createdAt: createdAt,
+    }));
+  }
+
+  /**
+   * Words per content chunk: spread the source over the slots the course
+   * duration allows, capped at what can be read in one chunk's duration
+   */
+  static getWordBudget(totalWords, estimatedDuration) {
+    const targetChunks = CONFIG.calculateOptimalChunks(estimatedDuration || "");
+    const interval = CONFIG.CONTENT.KNOWLEDGE_CHECK_INTERVAL;
+
+    // Title, course info and knowledge check slides take some of the slots
+    const contentSlots = Math.max(
+      1,
+      Math.round(((targetChunks - 2) * interval) / (interval + 1))
+    );
+    const maxWords =
+      CONFIG.CONTENT.CHUNK_DURATION_MINUTES * CONFIG.CONTENT.WORDS_PER_MINUTE;
+
+    return Math.max(
+      CONFIG.CONTENT.MIN_CHUNK_WORDS * 2,
+      Math.min(maxWords, Math.ceil(totalWords / contentSlots))
+    );
+  }
+
+  /**
+   * Split combined source content ("=== filename ===" separated) into
+   * heading sections made of paragraph, list, table and code blocks
+   */
+  static parseSections(sourceContent) {
+    const sections = [];
+
+    this.splitFiles(sourceContent).forEach(({ filename, text }) => {
+      const lines = text.replace(/\r\n?/g, "\n").split("\n");
+      const hasMarkedHeadings = lines.some((line) => /^#{1,6}\s+\S/.test(line));
+      const path = [];
+      let section = null;
+      let page = null;
+      let paragraph = [];
+      let list = null;
+      let table = null;
+      let code = null;
+
+      const startSection = (title, level) => {
+        while (path.length && path[path.length - 1].level >= level) path.pop();
+        section = {
+          title,
+          level,
+          path: path.map((heading) => heading.title),
+          filename,
+          blocks: [],
+        };
+        if (title) path.push({ title, level });
+        sections.push(section);
+      };
+
+      const addBlock = (block) => {
+        if (!section) startSection(null, 0);
+        block.page = page;
+        section.blocks.push(block);
+      };
+
+      const flush = () => {
+        if (this.isLineStructured(paragraph)) {
+          // Q&A and "Term: definition" lines stay separate items
+          paragraph.forEach((text) => addBlock({ type: "paragraph", text }));
+        } else if (paragraph.length > 0) {
+          addBlock({ type: "paragraph", text: paragraph.join(" ") });
+        }
+        paragraph = [];
+        list = null;
+        table = null;
+      };
+
+      lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        if (code) {
+          if (trimmed.startsWith(code.fence)) {
+            addBlock({
+              type: "code",
+              language: code.language,
+              text: code.lines.join("\n"),
+            });
+            code = null;
+          } else {
+            code.lines.push(line);
+          }
+          return;
+        }
+
+        const fence = trimmed.match(/^(`{3,}|~{3,})\s*([\w#+.-]*)/);
+        if (fence) {
+          flush();
+          code = { fence: fence[1], language: fence[2] || "", lines: [] };
+          return;
+        }
+
+        const pageMarker = trimmed.match(/^\[Page (\d+)\]$/);
+        if (pageMarker) {
+          flush();
+          page = parseInt(pageMarker[1]);
+          return;
+        }
+
+        if (!trimmed) {
+          flush();
+          return;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (heading) {
+          flush();
+          startSection(heading[2], heading[1].length);
+          return;
+        }
+
+        if (
+          !hasMarkedHeadings &&
+          paragraph.length === 0 &&
+          this.isPlainHeading(trimmed, lines[index - 1], lines[index + 1])
+        ) {
+          flush();
+          startSection(trimmed.replace(/:$/, ""), 1);
+          return;
+        }
+
+        const listItem = line.match(/^(\s*)([-*•+]|\d+[.)])\s+(.+)$/);
+        if (listItem) {
+          if (paragraph.length > 0 || table) flush();
+          if (!list) {
+            list = { type: "list", items: [] };
+            addBlock(list);
+          }
+          list.items.push({
+            level: Math.min(Math.floor(listItem[1].length / 2), 5),
+            marker: /\d/.test(listItem[2]) ? listItem[2] : "-",
+            text: listItem[3].trim(),
+          });
+          return;
+        }
+
+        if (list && /^\s+\S/.test(line)) {
+          // Wrapped continuation of the previous list item
+          list.items[list.items.length - 1].text += " " + trimmed;
+          return;
+        }
+
+        if (trimmed.startsWith("|") && trimmed.endsWith("|")) {
+          if (paragraph.length > 0 || list) flush();
+          const cells = trimmed
+            .slice(1, -1)
+            .split("|")
+            .map((cell) => cell.trim());
+          if (cells.every((cell) => /^:?-{2,}:?$/.test(cell))) return;
+          if (!table) {
+            table = { type: "table", rows: [] };
+            addBlock(table);
+          }
+          table.rows.push(cells);
+          return;
+        }
+
+        if (list || table) flush();
+        paragraph.push(trimmed);
+      });
+
+      if (code) {
+        addBlock({
+          type: "code",
+          language: code.language,
+          text: code.lines.join("\n"),
+        });
+      }
+      flush();
+    });
+
+    return sections;
+  }
+
+  /**
+   * Whether consecutive plain-text lines are separate Q&A or definition
+   * entries rather than one wrapped paragraph
+   */
+  static isLineStructured(lines) {
+    if (lines.length < 2) return false;
+
+    const questions = lines.filter(
+      (line) =>
+        /\?$/.test(line) || /^(Q|A|Question|Answer)\s*\d*\s*[:.)]/i.test(line)
+    );
+    const definitions = lines.filter((line) => this.parseDefinition(line));
+
+    return (
+      questions.length >= lines.length / 2 || definitions.length === lines.length
+    );
+  }
+
+  /**
+   * Split combined source content into its files
+   */
+  static splitFiles(sourceContent) {
+    const files = [];
+    let current = { filename: null, lines: [] };
+
+    sourceContent.split("\n").forEach((line) => {
+      const marker = line.match(/^=== (.+) ===$/);
+      if (marker) {
+        if (current.lines.some((l) => l.trim())) files.push(current);
+        current = { filename: marker[1], lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    });
+    if (current.lines.some((l) => l.trim())) files.push(current);
+
+    return files.map((file) => ({
+      filename: file.filename,
+      text: file.lines.join("\n"),
+    }));
+  }
+
+  /**
+   * Guess whether a line of unmarked plain text is a heading: short, preceded
+   * by a blank line, no sentence punctuation, and title-cased or upper-cased
+   */
+  static isPlainHeading(line, previousLine, nextLine) {
+    if (previousLine !== undefined && previousLine.trim() !== "") return false;
+    if (nextLine === undefined) return false;
+    if (line.length < 3 || line.length > 80 || /[.,;!?]$/.test(line)) {
+      return false;
+    }
+    if (/^([-*•+]|\d+[.)])\s/.test(line) || !/^[A-Z0-9]/.test(line)) {
+      return false;
+    }
+
+    const words = line.replace(/:$/, "").split(/\s+/);
+    if (words.length > 10) return false;
+
+    const longWords = words.filter((word) => word.length >= 4);
+    const capitalized = longWords.filter((word) => /^[A-Z0-9]/.test(word));
+
+    return (
+      line === line.toUpperCase() ||
+      line.endsWith(":") ||
+      /^(chapter|section|part|module|unit|lesson)\b/i.test(line) ||
+      (longWords.length > 0 && capitalized.length / longWords.length >= 0.6)
+    );
+  }
+
+  /**
+   * Turn sections into chunk-sized units
+   */
+  static buildUnits(sections, budget) {
+    const units = [];
+
+    sections.forEach((section, index) => {
+      if (this.countWords(section.blocks) === 0) {
+        // A heading with no text of its own opens the subsections under it
+        const children = [];
+        for (let i = index + 1; i < sections.length; i++) {
+          if (sections[i].level <= section.level) break;
+          if (sections[i].title) children.push(sections[i].title);
+        }
+        if (section.title && children.length > 0) {
+          units.push(this.createOpenerUnit(section, children));
+        }
+        return;
+      }
+
+      const parts = this.splitBlocks(section.blocks, budget);
+      parts.forEach((blocks, partIndex) => {
+        const title = section.title || this.deriveTitle(blocks, section);
+        units.push({
+          title:
+            parts.length > 1 ? `${title} (Part ${partIndex + 1})` : title,
+          path: section.path,
+          filename: section.filename,
+          blocks,
+          words: this.countWords(blocks),
+        });
+      });
+    });
+
+    return units;
+  }
+
+  /**
+   * Pack blocks into parts of roughly the word budget, splitting oversized
+   * paragraphs at sentences and oversized lists between items
+   */
+  static splitBlocks(blocks, budget) {
+    const pieces = [];
+
+    blocks.forEach((block) => {
+      const words = this.countWords([block]);
+      if (words <= budget * 1.5) {
+        pieces.push(block);
+      } else if (block.type === "paragraph") {
+        const sentences = block.text.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/);
+        this.groupByBudget(sentences, (s) => this.countText(s), budget).forEach(
+          (group) =>
+            pieces.push({ ...block, text: group.join(" ") })
+        );
+      } else if (block.type === "list") {
+        this.groupByBudget(block.items, (item) => this.countText(item.text), budget)
+          .forEach((items) => pieces.push({ ...block, items }));
+      } else {
+        pieces.push(block);
+      }
+    });
+
+    const parts = this.groupByBudget(
+      pieces,
+      (block) => this.countWords([block]),
+      budget
+    );
+
+    // Don't leave a small tail on its own
+    if (parts.length > 1) {
+      const last = parts[parts.length - 1];
+      if (this.countWords(last) < budget * 0.3) {
+        parts[parts.length - 2].push(...parts.pop());
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Greedily group items so each group stays near the budget
+   */
+  static groupByBudget(items, getWords, budget) {
+    const groups = [];
+    let current = [];
+    let currentWords = 0;
+
+    items.forEach((item) => {
+      const words = getWords(item);
+      if (current.length > 0 && currentWords + words > budget * 1.25) {
+        groups.push(current);
+        current = [];
+        currentWords = 0;
+      }
+      current.push(item);
+      currentWords += words;
+    });
+    if (current.length > 0) groups.push(current);
+
+    return groups;
+  }
+
+  /**
+   * Merge plain-prose units below the minimum size into the preceding
+   * plain-prose unit from the same file. Lists, Q&A and definitions keep
+   * their own slides however short they are.
+   */
+  static mergeSmallUnits(units, budget) {
+    const merged = [];
+    const isPlain = (unit) =>
+      !unit.isOpener && this.detectSlideType(unit.blocks) === "textAndImage";
+
+    units.forEach((unit) => {
+      const previous = merged[merged.length - 1];
+      if (
+        unit.words < CONFIG.CONTENT.MIN_CHUNK_WORDS &&
+        previous &&
+        isPlain(unit) &&
+        isPlain(previous) &&
+        previous.filename === unit.filename &&
+        previous.words + unit.words <= budget * 1.5
+      ) {
+        previous.blocks = [
+          ...previous.blocks,
+          ...(unit.title !== previous.title
+            ? [{ type: "paragraph", text: `${unit.title}:`, page: null }]
+            : []),
+          ...unit.blocks,
+        ];
+        previous.words += unit.words;
+      } else {
+        merged.push(unit);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Pick the slide type and write source content and ground truth for a unit
+   */
+  static finalizeUnit(unit) {
+    const slideType = this.detectSlideType(unit.blocks);
+    return {
+      ...unit,
+      slideType,
+      sourceContent: this.blocksToText(unit.blocks),
+      groundTruth: this.buildGroundTruth(unit, slideType),
+    };
+  }
+
+  /**
+   * Slide type heuristics: Q&A pairs -> faq, definitions -> flipCards,
+   * lists -> textAndBullets, everything else -> textAndImage
+   */
+  static detectSlideType(blocks) {
+    if (this.countQuestionAnswerPairs(blocks) >= 2) return "faq";
+    if (this.extractDefinitions(blocks).length >= 3) return "flipCards";
+
+    const listItems = blocks
+      .filter((block) => block.type === "list")
+      .flatMap((block) => block.items);
+    const listWords = listItems.reduce(
+      (sum, item) => sum + this.countText(item.text),
+      0
+    );
+    if (listItems.length >= 3 && listWords >= this.countWords(blocks) * 0.3) {
+      return "textAndBullets";
+    }
+
+    return "textAndImage";
+  }
+
+  /**
+   * Get paragraph and list item texts in reading order
+   */
+  static getTextItems(blocks) {
+    return blocks.flatMap((block) => {
+      if (block.type === "paragraph") return [block.text];
+      if (block.type === "list") return block.items.map((item) => item.text);
+      return [];
+    });
+  }
+
+  /**
+   * Count question/answer pairs ("Q: ... A: ..." or a question followed by an answer)
+   */
+  static countQuestionAnswerPairs(blocks) {
+    const items = this.getTextItems(blocks);
+    let pairs = 0;
+
+    items.forEach((text, index) => {
+      if (/^(Q|Question)\s*\d*\s*[:.)]\s*.+\b(A|Answer)\s*[:.)]\s*\S/i.test(text)) {
+        pairs++;
+        return;
+      }
+
+      const isQuestion =
+        /^(Q|Question)\s*\d*\s*[:.)]/i.test(text) || /\?$/.test(text);
+      const next = items[index + 1];
+      if (isQuestion && next && !/\?$/.test(next)) {
+        pairs++;
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Find "Term: definition" style entries in paragraphs, list items and
+   * two-column tables
+   * @returns {Array} [{term, definition}]
+   */
+  static extractDefinitions(blocks) {
+    const definitions = [];
+
+    this.getTextItems(blocks).forEach((text) => {
+      const definition = this.parseDefinition(text);
+      if (definition) definitions.push(definition);
+    });
+
+    blocks
+      .filter((block) => block.type === "table")
+      .forEach((block) => {
+        if (block.rows.length < 3 || block.rows[0].length !== 2) return;
+        block.rows.slice(1).forEach(([term, definition]) => {
+          if (term && definition) definitions.push({ term, definition });
+        });
+      });
+
+    return definitions;
+  }
+
+  /**
+   * Parse a "Term: definition" or "Term - definition" line
+   * @returns {Object|null} {term, definition}
+   */
+  static parseDefinition(text) {
+    const match = text.match(
+      /^([A-Z0-9"'`][^:–—?]{1,49}?)\s*(?::|\s[–—-]\s)\s*(\S.{8,})$/
+    );
+    if (!match || match[1].split(/\s+/).length > 6) return null;
+
+    return { term: match[1].trim(), definition: match[2].trim() };
+  }
+
+  /**
+   * Build ground truth from the unit's own text: focus, slide-type guidance,
+   * key points and where the content came from
+   */
+  static buildGroundTruth(unit, slideType) {
+    const lines = [
+      `This slide covers "${unit.title}"${
+        unit.path.length ? ` within ${unit.path.join(" > ")}` : ""
+      }.`,
+    ];
+
+    switch (slideType) {
+      case "faq":
+        lines.push(
+          "Present the questions and answers from the source as FAQ items."
+        );
+        break;
+      case "flipCards": {
+        const terms = this.extractDefinitions(unit.blocks).map((d) => d.term);
+        lines.push(`Turn these terms into flip cards: ${terms.join(", ")}.`);
+        break;
+      }
+      case "textAndBullets":
+        lines.push("Summarize the listed points as short, parallel bullets.");
+        break;
+      default:
+        lines.push(
+          "Explain the main idea in brief prose with a supporting visual."
+        );
+    }
+
+    const keyPoints = this.getKeyPoints(unit.blocks, 6);
+    if (keyPoints.length > 0) {
+      lines.push("Key points from the source:");
+      keyPoints.forEach((point) => lines.push(`- ${point}`));
+    }
+
+    const source = this.describeSource(unit);
+    if (source) lines.push(`Source: ${source}.`);
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Pick key statements: the first sentence of each paragraph and list items
+   */
+  static getKeyPoints(blocks, limit) {
+    const points = [];
+
+    blocks.forEach((block) => {
+      if (block.type === "paragraph") {
+        points.push(this.truncate(block.text.split(/(?<=[.!?])\s+/)[0], 200));
+      } else if (block.type === "list") {
+        block.items
+          .filter((item) => item.level === 0)
+          .forEach((item) => points.push(this.truncate(item.text, 120)));
+      } else if (block.type === "table" && block.rows.length > 0) {
+        points.push(`Table: ${block.rows[0].join(", ")}`);
+      }
+    });
+
+    return points.filter((point) => point.length > 0).slice(0, limit);
+  }
+
+  /**
+   * Describe where a unit's text came from (file and PDF pages)
+   */
+  static describeSource(unit) {
+    const pages = [
+      ...new Set(
+        unit.blocks.map((block) => block.page).filter((page) => page !== null)
+      ),
+    ].sort((a, b) => a - b);
+
+    const parts = [];
+    if (unit.filename) parts.push(unit.filename);
+    if (pages.length === 1) parts.push(`page ${pages[0]}`);
+    if (pages.length > 1) {
+      parts.push(`pages ${pages[0]}-${pages[pages.length - 1]}`);
+    }
+
+    return parts.join(", ");
+  }
+
+  /**
+   * Title an untitled unit from its opening words
+   */
+  static deriveTitle(blocks, section) {
+    const first = this.getTextItems(blocks)[0] || "";
+    const clause = first.split(/[.:;!?,(]/)[0].trim();
+    const words = clause.split(/\s+/).filter(Boolean);
+
+    if (words.length >= 2) {
+      return words.length > 8 ? `${words.slice(0, 8).join(" ")}…` : clause;
+    }
+
+    return section.filename
+      ? section.filename.replace(/\.[^.]+$/, "")
+      : "Overview";
+  }
+
+  /**
+   * Section opener slide for a heading whose content lives in its subsections
+   */
+  static createOpenerUnit(section, children) {
+    return {
+      title: section.title,
+      slideType: "title",
+      isOpener: true,
+      sourceContent: `${section.title}\n${children
+        .map((child) => `- ${child}`)
+        .join("\n")}`,
+      groundTruth: [
+        `Open the section "${section.title}".`,
+        `Preview what it covers: ${children.join(", ")}.`,
+      ].join("\n"),
+      words: 0,
+    };
+  }
+
+  /**
+   * Course title slide
+   */
+  static createTitleUnit(courseConfig, units) {
+    const title = courseConfig.title || "Course Introduction";
+    const topics = units
+      .filter((unit) => !unit.isOpener)
+      .map((unit) => unit.title.replace(/ \(Part \d+\)$/, ""))
+      .filter((topic, index, all) => all.indexOf(topic) === index)
+      .slice(0, 6);
+
+    return {
+      title,
+      slideType: "title",
+      sourceContent: [
+        title,
+        courseConfig.targetAudience
+          ? `For: ${courseConfig.targetAudience}`
+          : "",
+        topics.length ? `Topics: ${topics.join(", ")}` : "",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      groundTruth: [
+        `Introduce the course "${title}"${
+          courseConfig.targetAudience
+            ? ` for ${courseConfig.targetAudience}`
+            : ""
+        }.`,
+        topics.length ? `Preview the main topics: ${topics.join(", ")}.` : "",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      words: 0,
+    };
+  }
+
+  /**
+   * Course information slide with logistics and objectives
+   */
+  static createCourseInfoUnit(courseConfig) {
+    const objectives = (courseConfig.learningObjectives || []).filter(
+      (objective) => objective && objective.trim()
+    );
+
+    return {
+      title: "Course Overview",
+      slideType: "courseInfo",
+      sourceContent: [
+        courseConfig.estimatedDuration
+          ? `Duration: ${courseConfig.estimatedDuration}`
+          : "",
+        courseConfig.targetAudience
+          ? `Audience: ${courseConfig.targetAudience}`
+          : "",
+        objectives.length ? "Learning objectives:" : "",
+        ...objectives.map((objective) => `- ${objective}`),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      groundTruth: [
+        "Present the course logistics and what learners will be able to do by the end.",
+        ...objectives.map((objective) => `- ${objective}`),
+      ].join("\n"),
+      words: 0,
+    };
+  }
+
+  /**
+   * Multiple choice knowledge check over the preceding content units
+   */
+  static createKnowledgeCheckUnit(units) {
+    const points = units.flatMap((unit) => this.getKeyPoints(unit.blocks, 2));
+    const titles = units.map((unit) => unit.title);
+
+    return {
+      title: `Knowledge Check: ${titles[titles.length - 1].replace(
+        / \(Part \d+\)$/,
+        ""
+      )}`,
+      slideType: "multipleChoice",
+      sourceContent: points.join("\n"),
+      groundTruth: [
+        `Check understanding of: ${titles.join(", ")}.`,
+        "Base the correct answer on one of these source statements and make the distractors plausible:",
+        ...points.map((point) => `- ${point}`),
+      ].join("\n"),
+      words: 0,
+    };
+  }
+
+  /**
+   * Render blocks back to text with the same structure markers as the parsers
+   */
+  static blocksToText(blocks) {
+    return blocks
+      .map((block) => {
+        switch (block.type) {
+          case "list":
+            return block.items
+              .map(
+                (item) =>
+                  `${"  ".repeat(item.level)}${item.marker} ${item.text}`
+              )
+              .join("\n");
+          case "table":
+            return block.rows.map((cells) => `| ${cells.join(" | ")} |`).join("\n");
+          case "code":
+            return `\`\`\`${block.language}\n${block.text}\n\`\`\``;
+          default:
+            return block.text;
+        }
+      })
+      .join("\n\n");
+  }
+
+  /**
+   * Count words in blocks
+   */
+  static countWords(blocks) {
+    return blocks.reduce((sum, block) => {
+      switch (block.type) {
+        case "list":
+          return (
+            sum +
+            block.items.reduce((s, item) => s + this.countText(item.text), 0)
+          );
+        case "table":
+          return (
+            sum +
+            block.rows.reduce((s, cells) => s + this.countText(cells.join(" ")), 0)
+          );
+        default:
+          return sum + this.countText(block.text);
+      }
+    }, 0);
+  }
+
+  static countText(text) {
+    return (text || "").split(/\s+/).filter(Boolean).length;
+  }
+
+  static truncate(text, maxLength) {
+    const trimmed = (text || "").trim();
+    return trimmed.length > maxLength
+      ? `${trimmed.slice(0, maxLength - 1).trim()}…`
+      : trimmed;
+  }
+
+  /**
+   * Format an estimated duration like the LLM output ("2 minutes")
+   */
+  static formatMinutes(minutes) {
+    const rounded = Math.max(1, Math.min(5, Math.round(minutes)));
+    return `${rounded} minute${rounded === 1 ? "" : "s"}`;
+  }
+}
+
+// Make available globally
+window.LocalChunker = LocalChunker;
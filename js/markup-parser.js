@@ -0,0 +1,480 @@
+/**
+ * Course Forge MVP - Markup Parser
+ * Parses Markdown and HTML sources into the same block structure as the DOCX
+ * parser: headings, paragraphs, lists, code blocks, tables and links
+ */
+
+// Elements whose content never belongs in course source text
+const MARKUP_SKIPPED_TAGS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "object",
+  "embed",
+  "svg",
+  "canvas",
+  "form",
+  "button",
+  "nav",
+];
+
+// Maximum links kept per outline section
+const MARKUP_MAX_SECTION_LINKS = 20;
+
+class MarkupParser {
+  /**
+   * Parse a Markdown document
+   * @param {string} markdown - Markdown source
+   * @returns {Object} {blocks, outline, text}
+   */
+  static parseMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+    const blocks = [];
+    let paragraph = [];
+    let i = 0;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push({
+          type: "paragraph",
+          ...this.parseMarkdownInline(paragraph.join(" ")),
+        });
+        paragraph = [];
+      }
+    };
+
+    // YAML front matter
+    if (lines[0] && lines[0].trim() === "---") {
+      const end = lines.findIndex(
+        (line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line)
+      );
+      if (end > 0) i = end + 1;
+    }
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const trimmed = line.trim();
+
+      // Fenced code block
+      const fence = trimmed.match(/^(`{3,}|~{3,})\s*([\w#+.-]*)/);
+      if (fence) {
+        flushParagraph();
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        blocks.push({
+          type: "code",
+          language: fence[2] || "",
+          text: code.join("\n"),
+        });
+        i++;
+        continue;
+      }
+
+      if (!trimmed) {
+        flushParagraph();
+        i++;
+        continue;
+      }
+
+      // ATX heading
+      const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      if (heading) {
+        flushParagraph();
+        blocks.push({
+          type: "heading",
+          level: heading[1].length,
+          ...this.parseMarkdownInline(heading[2]),
+        });
+        i++;
+        continue;
+      }
+
+      // Setext heading (underlined with === or ---)
+      if (paragraph.length > 0 && /^(=+|-+)$/.test(trimmed)) {
+        const text = paragraph.join(" ");
+        paragraph = [];
+        blocks.push({
+          type: "heading",
+          level: trimmed[0] === "=" ? 1 : 2,
+          ...this.parseMarkdownInline(text),
+        });
+        i++;
+        continue;
+      }
+
+      // Horizontal rule
+      if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+        flushParagraph();
+        i++;
+        continue;
+      }
+
+      // List items (with indented continuation lines)
+      if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+        flushParagraph();
+        const items = [];
+        while (i < lines.length) {
+          const itemMatch = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+          if (itemMatch) {
+            const indent = itemMatch[1].replace(/\t/g, "    ").length;
+            items.push({
+              level: Math.min(Math.floor(indent / 2), 5),
+              ordered: /\d/.test(itemMatch[2]),
+              raw: itemMatch[3].replace(/^\[[ xX]\]\s+/, ""),
+            });
+          } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+            items[items.length - 1].raw += " " + lines[i].trim();
+          } else {
+            break;
+          }
+          i++;
+        }
+        blocks.push({
+          type: "list",
+          ordered: items[0].ordered,
+          items: items.map((item) => ({
+            level: item.level,
+            ordered: item.ordered,
+            ...this.parseMarkdownInline(item.raw),
+          })),
+        });
+        continue;
+      }
+
+      // Pipe table
+      if (trimmed.startsWith("|") && trimmed.indexOf("|", 1) > 0) {
+        flushParagraph();
+        const rows = [];
+        const links = [];
+        while (i < lines.length && lines[i].trim().startsWith("|")) {
+          const cells = lines[i]
+            .trim()
+            .replace(/^\||\|$/g, "")
+            .split("|")
+            .map((cell) => cell.trim());
+          if (!cells.every((cell) => /^:?-{2,}:?$/.test(cell))) {
+            rows.push(
+              cells.map((cell) => {
+                const parsed = this.parseMarkdownInline(cell);
+                links.push(...parsed.links);
+                return parsed.text;
+              })
+            );
+          }
+          i++;
+        }
+        blocks.push({ type: "table", rows, links });
+        continue;
+      }
+
+      // Blockquote lines are kept as quoted paragraph text
+      const quote = line.match(/^\s*>\s?(.*)$/);
+      const inQuote = paragraph.length > 0 && paragraph[0].startsWith("> ");
+      if (quote && paragraph.length > 0 && !inQuote) {
+        flushParagraph();
+      }
+      paragraph.push(quote ? (inQuote ? quote[1] : `> ${quote[1]}`) : trimmed);
+      i++;
+    }
+
+    flushParagraph();
+    return this.buildResult(blocks);
+  }
+
+  /**
+   * Convert Markdown inline syntax to plain text, collecting links
+   * @returns {Object} {text, links: [{text, href}]}
+   */
+  static parseMarkdownInline(source) {
+    const links = [];
+    const text = source
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, (match, alt) =>
+        alt ? `[Image: ${alt}]` : ""
+      )
+      .replace(
+        /\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g,
+        (match, label, href) => {
+          if (!this.isLinkHref(href)) return label;
+          links.push({ text: label, href });
+          return `${label} (${href})`;
+        }
+      )
+      .replace(/<(https?:\/\/[^>\s]+)>/g, (match, href) => {
+        links.push({ text: href, href });
+        return href;
+      })
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, "$1$2")
+      .replace(/~~(.+?)~~/g, "$1")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return { text, links };
+  }
+
+  /**
+   * Whether a link target is kept as a source link: page anchors and
+   * script or data URLs are dropped, keeping only the label
+   */
+  static isLinkHref(href) {
+    return (
+      !!href &&
+      !href.startsWith("#") &&
+      !/^(javascript|vbscript|data):/i.test(href)
+    );
+  }
+
+  /**
+   * Parse an HTML document. DOMParser output is inert, so scripts never run;
+   * they are dropped along with other non-content elements.
+   * @param {string} html - HTML source
+   * @returns {Object} {blocks, outline, text, title}
+   */
+  static parseHtml(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+
+    MARKUP_SKIPPED_TAGS.forEach((tag) => {
+      Array.from(doc.getElementsByTagName(tag)).forEach((element) =>
+        element.remove()
+      );
+    });
+
+    const root =
+      doc.querySelector("main") || doc.querySelector("article") || doc.body;
+    const blocks = root ? this.parseHtmlBlocks(root) : [];
+    const title = doc.title ? doc.title.trim() : "";
+
+    return { ...this.buildResult(blocks), title };
+  }
+
+  /**
+   * Convert block-level HTML into blocks, gathering loose inline content
+   * into paragraphs
+   */
+  static parseHtmlBlocks(container) {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+      const parsed = this.getHtmlInline(inline);
+      if (parsed.text) {
+        blocks.push({ type: "paragraph", ...parsed });
+      }
+      inline = [];
+    };
+
+    Array.from(container.childNodes).forEach((node) => {
+      if (node.nodeType !== 1 || this.isHtmlInline(node)) {
+        inline.push(node);
+        return;
+      }
+
+      flushInline();
+      const tag = node.localName;
+
+      if (/^h[1-6]$/.test(tag)) {
+        const parsed = this.getHtmlInline([node]);
+        if (parsed.text) {
+          blocks.push({ type: "heading", level: parseInt(tag[1]), ...parsed });
+        }
+      } else if (tag === "p") {
+        inline = [node];
+        flushInline();
+      } else if (tag === "ul" || tag === "ol") {
+        const items = this.parseHtmlList(node, 0);
+        if (items.length > 0) {
+          blocks.push({ type: "list", ordered: tag === "ol", items });
+        }
+      } else if (tag === "pre") {
+        const code = node.querySelector("code");
+        const className = (code || node).className || "";
+        const language = (className.match(/(?:language|lang)-([\w#+.-]+)/) ||
+          [])[1];
+        blocks.push({
+          type: "code",
+          language: language || "",
+          text: node.textContent.replace(/\n$/, ""),
+        });
+      } else if (tag === "table") {
+        const links = [];
+        const rows = Array.from(node.querySelectorAll("tr"))
+          .map((row) =>
+            Array.from(row.children)
+              .filter(
+                (cell) => cell.localName === "td" || cell.localName === "th"
+              )
+              .map((cell) => {
+                const parsed = this.getHtmlInline([cell]);
+                links.push(...parsed.links);
+                return parsed.text;
+              })
+          )
+          .filter((cells) => cells.some((cell) => cell.length > 0));
+        if (rows.length > 0) blocks.push({ type: "table", rows, links });
+      } else if (tag === "blockquote") {
+        this.parseHtmlBlocks(node).forEach((block) => {
+          blocks.push(
+            block.type === "paragraph"
+              ? { ...block, text: `> ${block.text}` }
+              : block
+          );
+        });
+      } else if (tag === "hr" || tag === "head") {
+        // No content
+      } else {
+        // Generic containers (div, section, article, dl ...)
+        blocks.push(...this.parseHtmlBlocks(node));
+      }
+    });
+
+    flushInline();
+    return blocks;
+  }
+
+  /**
+   * Parse list items, descending into nested lists
+   */
+  static parseHtmlList(list, level) {
+    const items = [];
+    const ordered = list.localName === "ol";
+
+    Array.from(list.children)
+      .filter((child) => child.localName === "li")
+      .forEach((li) => {
+        const nested = [];
+        const inline = [];
+        Array.from(li.childNodes).forEach((node) => {
+          if (
+            node.nodeType === 1 &&
+            (node.localName === "ul" || node.localName === "ol")
+          ) {
+            nested.push(node);
+          } else {
+            inline.push(node);
+          }
+        });
+
+        const parsed = this.getHtmlInline(inline);
+        if (parsed.text) {
+          items.push({ level: Math.min(level, 5), ordered, ...parsed });
+        }
+        nested.forEach((child) => {
+          items.push(...this.parseHtmlList(child, level + 1));
+        });
+      });
+
+    return items;
+  }
+
+  /**
+   * Whether an element is inline content
+   */
+  static isHtmlInline(element) {
+    return [
+      "a", "abbr", "b", "br", "cite", "code", "em", "i", "img", "kbd", "mark",
+      "q", "s", "small", "span", "strong", "sub", "sup", "time", "u", "var",
+    ].includes(element.localName);
+  }
+
+  /**
+   * Get the text of inline nodes, collecting links
+   * @returns {Object} {text, links: [{text, href}]}
+   */
+  static getHtmlInline(nodes) {
+    const links = [];
+
+    const walk = (node) => {
+      if (node.nodeType === 3) return node.textContent;
+      if (node.nodeType !== 1) return "";
+
+      switch (node.localName) {
+        case "br":
+          return " ";
+        case "img":
+          return node.getAttribute("alt")
+            ? ` [Image: ${node.getAttribute("alt")}] `
+            : "";
+        case "code":
+          return `\`${node.textContent}\``;
+        case "a": {
+          const label = Array.from(node.childNodes).map(walk).join("").trim();
+          const href = (node.getAttribute("href") || "").trim();
+          if (!this.isLinkHref(href)) return label;
+          links.push({ text: label || href, href });
+          return label && label !== href ? `${label} (${href})` : href;
+        }
+        default:
+          return Array.from(node.childNodes).map(walk).join("");
+      }
+    };
+
+    const text = nodes.map(walk).join("").replace(/\s+/g, " ").trim();
+    return { text, links };
+  }
+
+  /**
+   * Build the outline and flattened text from parsed blocks. Each outline
+   * entry summarizes its section so chunking can respect section boundaries.
+   */
+  static buildResult(blocks) {
+    const outline = [];
+    let section = null;
+
+    blocks.forEach((block) => {
+      if (block.type === "heading") {
+        section = {
+          level: Math.min(block.level, 6),
+          text: block.text,
+          wordCount: 0,
+          codeBlocks: 0,
+          lists: 0,
+          links: [],
+        };
+        outline.push(section);
+        return;
+      }
+
+      if (!section) return;
+
+      const text = this.blocksToText([block]);
+      section.wordCount += text.split(/\s+/).filter(Boolean).length;
+      if (block.type === "code") section.codeBlocks++;
+      if (block.type === "list") section.lists++;
+
+      const links =
+        block.type === "list"
+          ? block.items.flatMap((item) => item.links || [])
+          : block.links || [];
+      links.forEach((link) => {
+        if (section.links.length < MARKUP_MAX_SECTION_LINKS) {
+          section.links.push(link);
+        }
+      });
+    });
+
+    return { blocks, outline, text: this.blocksToText(blocks) };
+  }
+
+  /**
+   * Render blocks as plain text. Code is kept in fences; everything else uses
+   * the DOCX parser's structure markers so all sources read the same way.
+   */
+  static blocksToText(blocks) {
+    return blocks
+      .map((block) =>
+        block.type === "code"
+          ? `\`\`\`${block.language}\n${block.text}\n\`\`\``
+          : DocxParser.blocksToText([block])
+      )
+      .join("\n\n");
+  }
+}
+
+// Make available globally
+window.MarkupParser = MarkupParser;
@@ -0,0 +1,221 @@
+/**
+ * Course Forge MVP - PDF Extractor
+ * Extracts text from PDFs with PDF.js, keeping page numbers as provenance
+ * markers and stripping running headers/footers
+ */
+
+class PdfExtractor {
+  /**
+   * Extract text from a PDF
+   * @param {ArrayBuffer} arrayBuffer - PDF file contents
+   * @returns {Promise<Object>} {text, pageCount, outline, pages, strippedLineCount}
+   */
+  static async extract(arrayBuffer) {
+    if (typeof pdfjsLib === "undefined") {
+      throw new Error("PDF.js library not loaded");
+    }
+
+    if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = CONFIG.PDF.WORKER_SRC;
+    }
+
+    const pdf = await pdfjsLib.getDocument({
+      data: new Uint8Array(arrayBuffer),
+      isEvalSupported: false,
+    }).promise;
+
+    try {
+      const pageLines = [];
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        pageLines.push(this.groupIntoLines(textContent.items));
+        page.cleanup();
+      }
+
+      const repeated = this.findRepeatedEdgeLines(pageLines);
+      let strippedLineCount = 0;
+
+      const pages = pageLines.map((lines, index) => {
+        const kept = lines.filter((line, lineIndex) => {
+          const strip =
+            this.isEdgeLine(lineIndex, lines.length) &&
+            (repeated.has(this.normalizeEdgeLine(line.text)) ||
+              this.isPageNumberLine(line.text));
+          if (strip) strippedLineCount++;
+          return !strip;
+        });
+
+        return {
+          pageNumber: index + 1,
+          text: this.linesToText(kept),
+        };
+      });
+
+      const text = pages
+        .filter((page) => page.text.trim())
+        .map((page) => `[Page ${page.pageNumber}]\n${page.text}`)
+        .join("\n\n");
+
+      return {
+        text,
+        pageCount: pdf.numPages,
+        outline: await this.getOutline(pdf),
+        pages,
+        strippedLineCount,
+      };
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * Group positioned text items into lines (top to bottom, left to right)
+   */
+  static groupIntoLines(items) {
+    const lines = [];
+
+    items
+      .filter((item) => typeof item.str === "string")
+      .forEach((item) => {
+        const x = item.transform[4];
+        const y = item.transform[5];
+        const height = item.height || Math.abs(item.transform[3]) || 10;
+
+        let line = lines.find((l) => Math.abs(l.y - y) < height * 0.5);
+        if (!line) {
+          line = { y, height, items: [] };
+          lines.push(line);
+        }
+        line.items.push({ x, str: item.str });
+      });
+
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map((line) => ({
+        y: line.y,
+        height: line.height,
+        text: line.items
+          .sort((a, b) => a.x - b.x)
+          .map((item) => item.str)
+          .join(" ")
+          .replace(/\s+/g, " ")
+          .trim(),
+      }))
+      .filter((line) => line.text.length > 0);
+  }
+
+  /**
+   * Join lines into paragraphs, breaking on larger vertical gaps
+   * and repairing words hyphenated across lines
+   */
+  static linesToText(lines) {
+    if (lines.length === 0) return "";
+
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+      gaps.push(lines[i - 1].y - lines[i].y);
+    }
+    const sortedGaps = gaps.filter((g) => g > 0).sort((a, b) => a - b);
+    const typicalGap = sortedGaps.length
+      ? sortedGaps[Math.floor(sortedGaps.length / 2)]
+      : lines[0].height * 1.2;
+
+    let text = lines[0].text;
+    for (let i = 1; i < lines.length; i++) {
+      const gap = lines[i - 1].y - lines[i].y;
+      const previous = lines[i - 1].text;
+      const current = lines[i].text;
+
+      if (gap > typicalGap * 1.5 || gap < 0) {
+        text += "\n\n" + current;
+      } else if (/[a-z]-$/.test(previous) && /^[a-z]/.test(current)) {
+        text = text.slice(0, -1) + current;
+      } else {
+        text += "\n" + current;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Whether a line sits in the header/footer zone of its page
+   */
+  static isEdgeLine(lineIndex, lineCount) {
+    const edgeSize = CONFIG.PDF.EDGE_LINES;
+    return lineIndex < edgeSize || lineIndex >= lineCount - edgeSize;
+  }
+
+  /**
+   * Normalize a header/footer candidate so page numbers don't prevent matching
+   */
+  static normalizeEdgeLine(text) {
+    return text.toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Detect bare page number lines ("12", "Page 3", "4 of 20", "- 5 -")
+   */
+  static isPageNumberLine(text) {
+    return /^[-–\s]*(page\s*)?\d+(\s*(of|\/)\s*\d+)?[-–\s]*$/i.test(text.trim());
+  }
+
+  /**
+   * Find lines repeated at the top/bottom of enough pages to be running headers/footers
+   */
+  static findRepeatedEdgeLines(pageLines) {
+    const repeated = new Set();
+    if (pageLines.length < CONFIG.PDF.MIN_PAGES_FOR_HEADER_DETECTION) {
+      return repeated;
+    }
+
+    const counts = new Map();
+    pageLines.forEach((lines) => {
+      const seen = new Set();
+      lines.forEach((line, index) => {
+        if (!this.isEdgeLine(index, lines.length)) return;
+        const key = this.normalizeEdgeLine(line.text);
+        if (!seen.has(key)) {
+          seen.add(key);
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      });
+    });
+
+    const threshold = Math.max(2, Math.ceil(pageLines.length * 0.5));
+    counts.forEach((count, key) => {
+      if (count >= threshold) repeated.add(key);
+    });
+
+    return repeated;
+  }
+
+  /**
+   * Flatten the PDF bookmark tree into outline headings
+   */
+  static async getOutline(pdf) {
+    try {
+      const outline = await pdf.getOutline();
+      const headings = [];
+
+      const walk = (items, level) => {
+        (items || []).forEach((item) => {
+          if (item.title && item.title.trim()) {
+            headings.push({ level: Math.min(level, 6), text: item.title.trim() });
+          }
+          walk(item.items, level + 1);
+        });
+      };
+      walk(outline, 1);
+
+      return headings;
+    } catch (error) {
+      console.warn("Could not read PDF outline:", error);
+      return [];
+    }
+  }
+}
+
+// Make available globally
+window.PdfExtractor = PdfExtractor;
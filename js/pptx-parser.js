@@ -0,0 +1,318 @@
+/**
+ * Course Forge MVP - PPTX Parser
+ * Reads slides straight from the PPTX ZIP: titles, body paragraphs with bullet
+ * levels, speaker notes and the layout each slide was built from
+ */
+
+const PPTX_NS = {
+  p: "http://schemas.openxmlformats.org/presentationml/2006/main",
+  a: "http://schemas.openxmlformats.org/drawingml/2006/main",
+  r: "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+  rel: "http://schemas.openxmlformats.org/package/2006/relationships",
+};
+
+class PptxParser {
+  /**
+   * Parse a PPTX file
+   * @param {ArrayBuffer} arrayBuffer - PPTX file contents
+   * @returns {Promise<Object>} {slides: [{number, title, paragraphs, notes, layout, hasImage, hidden}]}
+   */
+  static async parse(arrayBuffer) {
+    // Only XML parts are needed - skip media to keep memory down
+    const entries = await ZipArchive.read(
+      arrayBuffer,
+      (path) =>
+        path.startsWith("ppt/") &&
+        (path.endsWith(".xml") || path.endsWith(".rels"))
+    );
+
+    const presentationPath = "ppt/presentation.xml";
+    if (!entries[presentationPath]) {
+      throw new Error("ppt/presentation.xml not found - not a valid PPTX file");
+    }
+
+    const presentation = this.parseXml(entries[presentationPath]);
+    const presentationRels = this.parseRels(entries, presentationPath);
+
+    const slidePaths = Array.from(
+      presentation.getElementsByTagNameNS(PPTX_NS.p, "sldId")
+    )
+      .map((sldId) => presentationRels[sldId.getAttributeNS(PPTX_NS.r, "id")])
+      .filter((rel) => rel && entries[rel.path])
+      .map((rel) => rel.path);
+
+    const layoutTypes = {};
+
+    const slides = slidePaths.map((slidePath, index) => {
+      const slideXml = this.parseXml(entries[slidePath]);
+      const rels = Object.values(this.parseRels(entries, slidePath));
+
+      const layoutRel = rels.find((rel) => rel.type.endsWith("/slideLayout"));
+      const notesRel = rels.find((rel) => rel.type.endsWith("/notesSlide"));
+
+      let layout = null;
+      if (layoutRel && entries[layoutRel.path]) {
+        if (!(layoutRel.path in layoutTypes)) {
+          const layoutXml = this.parseXml(entries[layoutRel.path]);
+          layoutTypes[layoutRel.path] =
+            layoutXml.documentElement.getAttribute("type") || null;
+        }
+        layout = layoutTypes[layoutRel.path];
+      }
+
+      const content = this.parseSlideContent(slideXml);
+      const notes =
+        notesRel && entries[notesRel.path]
+          ? this.parseNotes(this.parseXml(entries[notesRel.path]))
+          : "";
+
+      return {
+        number: index + 1,
+        title: content.title,
+        paragraphs: content.paragraphs,
+        notes,
+        layout,
+        hasImage: content.hasImage,
+        hidden: slideXml.documentElement.getAttribute("show") === "0",
+      };
+    });
+
+    return { slides };
+  }
+
+  /**
+   * Decode and parse an XML part
+   */
+  static parseXml(bytes) {
+    const xml = new TextDecoder("utf-8").decode(bytes);
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+      throw new Error("PPTX contains malformed XML");
+    }
+
+    return doc;
+  }
+
+  /**
+   * Read the relationships of a part as rId -> {type, path}
+   */
+  static parseRels(entries, partPath) {
+    const slash = partPath.lastIndexOf("/");
+    const dir = partPath.slice(0, slash);
+    const relsPath = `${dir}/_rels/${partPath.slice(slash + 1)}.rels`;
+    const rels = {};
+
+    if (!entries[relsPath]) return rels;
+
+    Array.from(
+      this.parseXml(entries[relsPath]).getElementsByTagNameNS(
+        PPTX_NS.rel,
+        "Relationship"
+      )
+    ).forEach((rel) => {
+      if (rel.getAttribute("TargetMode") === "External") return;
+      rels[rel.getAttribute("Id")] = {
+        type: rel.getAttribute("Type") || "",
+        path: this.resolvePath(dir, rel.getAttribute("Target") || ""),
+      };
+    });
+
+    return rels;
+  }
+
+  /**
+   * Resolve a relationship target relative to the source part's folder
+   */
+  static resolvePath(dir, target) {
+    if (target.startsWith("/")) return target.slice(1);
+
+    const segments = dir ? dir.split("/") : [];
+    target.split("/").forEach((segment) => {
+      if (segment === "..") {
+        segments.pop();
+      } else if (segment && segment !== ".") {
+        segments.push(segment);
+      }
+    });
+
+    return segments.join("/");
+  }
+
+  /**
+   * Get direct child elements in a namespace
+   */
+  static children(element, ns, localName) {
+    return Array.from(element.childNodes).filter(
+      (node) =>
+        node.nodeType === 1 &&
+        node.namespaceURI === ns &&
+        (!localName || node.localName === localName)
+    );
+  }
+
+  static child(element, ns, localName) {
+    return element ? this.children(element, ns, localName)[0] || null : null;
+  }
+
+  /**
+   * Get the placeholder type of a shape ("title", "body", ...), "obj" for
+   * untyped content placeholders, or null for free text boxes
+   */
+  static getPlaceholderType(shape) {
+    const nvSpPr = this.child(shape, PPTX_NS.p, "nvSpPr");
+    const nvPr = this.child(nvSpPr, PPTX_NS.p, "nvPr");
+    const ph = this.child(nvPr, PPTX_NS.p, "ph");
+    return ph ? ph.getAttribute("type") || "obj" : null;
+  }
+
+  /**
+   * Collect the title, body paragraphs and image flag from a slide's shape tree
+   */
+  static parseSlideContent(slideXml) {
+    const result = { title: "", paragraphs: [], hasImage: false };
+    const cSld = this.child(slideXml.documentElement, PPTX_NS.p, "cSld");
+    const spTree = this.child(cSld, PPTX_NS.p, "spTree");
+
+    if (spTree) {
+      this.walkShapes(spTree, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Walk shapes in reading order, descending into groups
+   */
+  static walkShapes(container, result) {
+    this.children(container, PPTX_NS.p).forEach((shape) => {
+      switch (shape.localName) {
+        case "sp": {
+          const placeholder = this.getPlaceholderType(shape);
+          const txBody = this.child(shape, PPTX_NS.p, "txBody");
+          if (!txBody) break;
+
+          const paragraphs = this.parseTextBody(txBody, placeholder);
+
+          if (placeholder === "title" || placeholder === "ctrTitle") {
+            if (!result.title) {
+              result.title = paragraphs.map((p) => p.text).join(" ");
+            }
+          } else if (!["dt", "ftr", "sldNum", "hdr"].includes(placeholder)) {
+            result.paragraphs.push(...paragraphs);
+          }
+          break;
+        }
+        case "grpSp":
+          this.walkShapes(shape, result);
+          break;
+        case "pic":
+          result.hasImage = true;
+          break;
+        case "graphicFrame": {
+          const table = shape.getElementsByTagNameNS(PPTX_NS.a, "tbl")[0];
+          if (table) {
+            result.paragraphs.push(...this.parseTable(table));
+          }
+          break;
+        }
+      }
+    });
+  }
+
+  /**
+   * Parse text body paragraphs. Content placeholders are bulleted unless a
+   * paragraph turns bullets off; text boxes only when a bullet is set explicitly.
+   */
+  static parseTextBody(txBody, placeholder) {
+    const bulletedByDefault = placeholder === "obj" || placeholder === "body";
+
+    return this.children(txBody, PPTX_NS.a, "p")
+      .map((paragraph) => {
+        const pPr = this.child(paragraph, PPTX_NS.a, "pPr");
+        const level = pPr ? parseInt(pPr.getAttribute("lvl")) || 0 : 0;
+
+        let bullet = bulletedByDefault;
+        if (this.child(pPr, PPTX_NS.a, "buNone")) {
+          bullet = false;
+        } else if (
+          this.child(pPr, PPTX_NS.a, "buChar") ||
+          this.child(pPr, PPTX_NS.a, "buAutoNum")
+        ) {
+          bullet = true;
+        }
+
+        return {
+          text: this.getParagraphText(paragraph).trim(),
+          level,
+          bullet,
+        };
+      })
+      .filter((paragraph) => paragraph.text.length > 0);
+  }
+
+  /**
+   * Get paragraph text from runs, fields and line breaks
+   */
+  static getParagraphText(paragraph) {
+    return this.children(paragraph, PPTX_NS.a)
+      .map((node) => {
+        switch (node.localName) {
+          case "r":
+          case "fld": {
+            const t = this.child(node, PPTX_NS.a, "t");
+            return t ? t.textContent : "";
+          }
+          case "br":
+            return "\n";
+          default:
+            return "";
+        }
+      })
+      .join("");
+  }
+
+  /**
+   * Flatten a table into one paragraph per row
+   */
+  static parseTable(table) {
+    return Array.from(table.getElementsByTagNameNS(PPTX_NS.a, "tr"))
+      .map((row) =>
+        this.children(row, PPTX_NS.a, "tc")
+          .map((cell) =>
+            Array.from(cell.getElementsByTagNameNS(PPTX_NS.a, "p"))
+              .map((p) => this.getParagraphText(p).trim())
+              .filter(Boolean)
+              .join(" ")
+          )
+          .join(" | ")
+      )
+      .filter((text) => text.replace(/[|\s]/g, "").length > 0)
+      .map((text) => ({ text, level: 0, bullet: false }));
+  }
+
+  /**
+   * Read speaker notes from the notes slide body placeholder
+   */
+  static parseNotes(notesXml) {
+    const cSld = this.child(notesXml.documentElement, PPTX_NS.p, "cSld");
+    const spTree = this.child(cSld, PPTX_NS.p, "spTree");
+    if (!spTree) return "";
+
+    return this.children(spTree, PPTX_NS.p, "sp")
+      .filter((shape) => this.getPlaceholderType(shape) === "body")
+      .map((shape) => {
+        const txBody = this.child(shape, PPTX_NS.p, "txBody");
+        return txBody
+          ? this.parseTextBody(txBody, null)
+              .map((paragraph) => paragraph.text)
+              .join("\n")
+          : "";
+      })
+      .filter(Boolean)
+      .join("\n\n");
+  }
+}
+
+// Make available globally
+window.PptxParser = PptxParser;
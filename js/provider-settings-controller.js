@@ -0,0 +1,217 @@
+/**
+ * Course Forge MVP - Provider Settings Controller
+ * Lets users pick the LLM provider, model, endpoint and API key at runtime
+ */
+
+class ProviderSettingsController {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+    this.llmService = null; // Will be set later
+    this.settings = LLMProviders.loadSettings();
+    this.shownProvider = null;
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("ProviderSettingsController initialized");
+    }
+  }
+
+  /**
+   * Set LLM service reference
+   */
+  setLLMService(llmService) {
+    this.llmService = llmService;
+    // Edit a copy so the service keeps its settings until "Connect"
+    this.settings = JSON.parse(JSON.stringify(llmService.providerSettings));
+  }
+
+  /**
+   * Initialize the controller
+   */
+  initialize() {
+    const providerSelect = document.getElementById("llmProviderSelect");
+    const applyBtn = document.getElementById("applyProviderBtn");
+
+    if (!providerSelect || !applyBtn) {
+      console.warn("Provider settings elements not found");
+      return;
+    }
+
+    providerSelect.replaceChildren(
+      ...LLMProviders.list().map(
+        (adapter) => new Option(adapter.label, adapter.id)
+      )
+    );
+    providerSelect.value = this.settings.provider;
+
+    providerSelect.addEventListener("change", () => {
+      this.storeFields();
+      this.showProvider(providerSelect.value);
+    });
+    applyBtn.addEventListener("click", () => this.applySettings());
+
+    const clearCacheBtn = document.getElementById("clearCacheBtn");
+    if (clearCacheBtn) {
+      clearCacheBtn.addEventListener("click", () => this.clearResponseCache());
+    }
+
+    this.showProvider(this.settings.provider);
+    this.updateStatus();
+
+    // The service may still be connecting with the saved settings
+    if (this.llmService) {
+      this.llmService.initializationPromise.then(() => this.updateStatus());
+    }
+  }
+
+  /**
+   * Fill the form with a provider's stored settings
+   */
+  showProvider(providerId) {
+    const adapter = LLMProviders.get(providerId);
+    const stored = this.settings.providers[adapter.id] || {};
+
+    this.setField("llmBaseUrlInput", stored.baseUrl, {
+      placeholder: `Base URL: ${adapter.baseUrlHint || adapter.defaultBaseUrl}`,
+    });
+    this.setField("llmApiKeyInput", stored.apiKey, {
+      placeholder: adapter.requiresApiKey ? "API key" : "API key (optional)",
+    });
+    this.setField("llmModelInput", stored.model, {
+      placeholder:
+        adapter.modelHint ||
+        `Model (default: ${adapter.taskModels.chunking || "server default"})`,
+    });
+    this.setModelOptions(adapter.models);
+
+    this.shownProvider = adapter.id;
+  }
+
+  /**
+   * Set an input's value and placeholder
+   */
+  setField(id, value, { placeholder }) {
+    const input = document.getElementById(id);
+    if (input) {
+      input.value = value || "";
+      input.placeholder = placeholder;
+    }
+  }
+
+  /**
+   * Replace the model suggestions
+   */
+  setModelOptions(models) {
+    const list = document.getElementById("llmModelList");
+    if (list) {
+      list.replaceChildren(...models.map((model) => new Option(model)));
+    }
+  }
+
+  /**
+   * Keep the form values of the provider currently shown
+   */
+  storeFields() {
+    if (!this.shownProvider) return;
+
+    const read = (id) => {
+      const input = document.getElementById(id);
+      return input ? input.value.trim() : "";
+    };
+
+    this.settings.providers[this.shownProvider] = {
+      baseUrl: read("llmBaseUrlInput"),
+      apiKey: read("llmApiKeyInput"),
+      model: read("llmModelInput"),
+    };
+  }
+
+  /**
+   * Save the form and reconnect the LLM service with it
+   */
+  async applySettings() {
+    if (!this.llmService) {
+      StatusManager.showError("AI service not initialized");
+      return;
+    }
+
+    this.storeFields();
+    this.settings.provider = this.shownProvider;
+    const adapter = LLMProviders.get(this.settings.provider);
+
+    const applyBtn = document.getElementById("applyProviderBtn");
+    if (applyBtn) applyBtn.disabled = true;
+    StatusManager.showLoading(`Connecting to ${adapter.label}...`);
+
+    try {
+      const isReady = await this.llmService.setProviderSettings(
+        JSON.parse(JSON.stringify(this.settings))
+      );
+
+      if (isReady && this.llmService.connectionVerified) {
+        StatusManager.showSuccess(`Connected to ${adapter.label}`);
+      } else if (isReady) {
+        StatusManager.showWarning(
+          `${adapter.label} configured, but the test request failed. Check the URL, key and model.`
+        );
+      }
+      // Otherwise LLMService has already reported the problem
+
+      this.eventSystem.emit("llm:provider-changed", {
+        provider: adapter.id,
+        isReady,
+      });
+
+      if (isReady) {
+        this.setModelOptions(await this.llmService.listModels());
+      }
+    } finally {
+      if (applyBtn) applyBtn.disabled = false;
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * ADDED: Empty the LLM response cache
+   */
+  async clearResponseCache() {
+    if (!this.llmService || !this.llmService.responseCache.isAvailable()) {
+      StatusManager.showWarning("Response cache is not available");
+      return;
+    }
+
+    try {
+      const { count } = await this.llmService.responseCache.getStats();
+      await this.llmService.responseCache.clear();
+      StatusManager.showSuccess(
+        `Cleared ${count} cached response${count === 1 ? "" : "s"}`
+      );
+    } catch (error) {
+      console.error("Failed to clear response cache:", error);
+      StatusManager.showError(`Could not clear cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the active provider and whether it is connected
+   */
+  updateStatus() {
+    const status = document.getElementById("llmProviderStatus");
+    if (!status || !this.llmService) return;
+
+    const adapter = this.llmService.getAdapter();
+    const { isReady, connectionVerified } = this.llmService;
+    const connected = isReady && connectionVerified;
+
+    let suffix = "";
+    if (!isReady) suffix = " (not connected)";
+    else if (!connectionVerified) suffix = " (untested)";
+
+    status.textContent = `— ${adapter.label}${suffix}`;
+    status.classList.toggle("connected", connected);
+    status.classList.toggle("failed", !isReady);
+  }
+}
+
+// Make available globally
+window.ProviderSettingsController = ProviderSettingsController;
@@ -0,0 +1,240 @@
+/**
+ * Course Forge MVP - Response Cache
+ * Persists LLM responses in IndexedDB so identical requests are not re-billed
+ */
+
+const RESPONSE_CACHE_STORE = "responses";
+
+class ResponseCache {
+  constructor() {
+    this.dbPromise = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Whether caching is enabled and IndexedDB is available. Hashing needs
+   * crypto.subtle, which browsers only expose in secure contexts.
+   */
+  isAvailable() {
+    return (
+      CONFIG.CACHE.ENABLED &&
+      typeof indexedDB !== "undefined" &&
+      typeof crypto !== "undefined" &&
+      !!crypto.subtle
+    );
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONFIG.CACHE.DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(RESPONSE_CACHE_STORE, {
+            keyPath: "key",
+          });
+          store.createIndex("lastUsed", "lastUsed");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback in a transaction and resolve when it completes
+   */
+  async withStore(mode, callback) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(RESPONSE_CACHE_STORE, mode);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+
+      callback(transaction.objectStore(RESPONSE_CACHE_STORE), (value) => {
+        result = value;
+      });
+    });
+  }
+
+  /**
+   * Build a cache key from everything that determines the response
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async createKey({
+    provider,
+    baseUrl,
+    model,
+    temperature,
+    responseFormat,
+    messages,
+  }) {
+    const payload = JSON.stringify({
+      provider,
+      baseUrl,
+      model,
+      temperature,
+      responseFormat,
+      messages,
+    });
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(payload)
+    );
+
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Get a cached response, refreshing its last-used time
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    try {
+      const entry = await this.withStore("readwrite", (store, setResult) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const found = request.result;
+          if (found) {
+            found.lastUsed = Date.now();
+            store.put(found);
+          }
+          setResult(found || null);
+        };
+      });
+
+      if (entry) {
+        this.hits++;
+        return entry.response;
+      }
+    } catch (error) {
+      console.warn("⚠️ Response cache read failed:", error);
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a response, then evict old entries beyond the size limits
+   */
+  async set(key, response) {
+    try {
+      const size = JSON.stringify(response).length;
+      if (size > CONFIG.CACHE.MAX_BYTES) return;
+
+      await this.withStore("readwrite", (store) => {
+        store.put({
+          key,
+          response,
+          size,
+          createdAt: Date.now(),
+          lastUsed: Date.now(),
+        });
+      });
+
+      await this.evict();
+    } catch (error) {
+      console.warn("⚠️ Response cache write failed:", error);
+    }
+  }
+
+  /**
+   * Delete least recently used entries until the cache fits
+   * CONFIG.CACHE.MAX_BYTES and MAX_ENTRIES
+   */
+  async evict() {
+    const evicted = await this.withStore("readwrite", (store, setResult) => {
+      const entries = [];
+      const cursorRequest = store.index("lastUsed").openCursor();
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          entries.push({ key: cursor.value.key, size: cursor.value.size });
+          cursor.continue();
+          return;
+        }
+
+        let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+        let count = entries.length;
+        let removed = 0;
+
+        // Oldest first
+        for (const entry of entries) {
+          if (
+            totalSize <= CONFIG.CACHE.MAX_BYTES &&
+            count <= CONFIG.CACHE.MAX_ENTRIES
+          ) {
+            break;
+          }
+          store.delete(entry.key);
+          totalSize -= entry.size;
+          count--;
+          removed++;
+        }
+
+        setResult(removed);
+      };
+    });
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} cached responses`);
+    }
+  }
+
+  /**
+   * Remove every cached response
+   */
+  async clear() {
+    await this.withStore("readwrite", (store) => store.clear());
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Entry count, total size and hit counts for this session
+   */
+  async getStats() {
+    const { count, size } = await this.withStore(
+      "readonly",
+      (store, setResult) => {
+        let entryCount = 0;
+        let totalSize = 0;
+        const cursorRequest = store.openCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            entryCount++;
+            totalSize += cursor.value.size;
+            cursor.continue();
+          } else {
+            setResult({ count: entryCount, size: totalSize });
+          }
+        };
+      }
+    );
+
+    return { count, size, hits: this.hits, misses: this.misses };
+  }
+}
+
+window.ResponseCache = ResponseCache;
@@ -0,0 +1,279 @@
+/**
+ * Course Forge MVP - Revision History Controller
+ * Dialog listing a chunk's revisions, with a side-by-side field diff
+ * against the current version and one-click restore
+ */
+
+class RevisionHistoryController {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+    this.revisionHistory = null; // Will be set later
+    this.chunkId = null; // Chunk whose history is open
+    this.selectedRevisionId = null;
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    // Keep an open dialog current
+    const refresh = () => {
+      if (this.chunkId) this.render();
+    };
+    this.stateManager.subscribe("revisions", refresh);
+    this.stateManager.subscribe("chunks", refresh);
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("RevisionHistoryController initialized");
+    }
+  }
+
+  /**
+   * Set revision history reference
+   */
+  setRevisionHistory(revisionHistory) {
+    this.revisionHistory = revisionHistory;
+  }
+
+  /**
+   * Open the history dialog for a chunk, comparing the version before the
+   * latest change with the current one
+   */
+  open(chunkId) {
+    if (!this.revisionHistory) {
+      StatusManager.showError("Revision history not available");
+      return;
+    }
+
+    const revisions = this.revisionHistory.getRevisions(chunkId);
+    if (revisions.length === 0) {
+      StatusManager.showInfo("No revisions recorded for this chunk yet");
+      return;
+    }
+
+    this.chunkId = String(chunkId);
+    this.selectedRevisionId = (
+      revisions[revisions.length - 2] || revisions[0]
+    ).id;
+
+    document.addEventListener("keydown", this.handleKeydown);
+    this.render();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    const modal = document.getElementById("revisionHistoryModal");
+    if (modal) modal.remove();
+
+    document.removeEventListener("keydown", this.handleKeydown);
+    this.chunkId = null;
+    this.selectedRevisionId = null;
+  }
+
+  /**
+   * Show a different revision in the diff
+   */
+  selectRevision(revisionId) {
+    this.selectedRevisionId = revisionId;
+    this.render();
+  }
+
+  /**
+   * Restore the selected revision
+   */
+  restoreSelected() {
+    if (!this.chunkId || !this.selectedRevisionId) return;
+
+    this.revisionHistory.restore(this.chunkId, this.selectedRevisionId);
+  }
+
+  /**
+   * Close on Escape
+   */
+  handleKeydown(event) {
+    if (event.key === "Escape") {
+      this.close();
+    }
+  }
+
+  /**
+   * Draw (or redraw) the dialog
+   */
+  render() {
+    const chunk = this.revisionHistory.getChunk(this.chunkId);
+    const revisions = this.revisionHistory.getRevisions(this.chunkId);
+
+    if (!chunk || revisions.length === 0) {
+      this.close();
+      return;
+    }
+
+    const selected =
+      revisions.find((revision) => revision.id === this.selectedRevisionId) ||
+      revisions[revisions.length - 1];
+    this.selectedRevisionId = selected.id;
+
+    const changes = RevisionHistory.diff(
+      selected.snapshot,
+      this.revisionHistory.takeSnapshot(chunk)
+    );
+
+    let modal = document.getElementById("revisionHistoryModal");
+    if (!modal) {
+      modal = document.createElement("div");
+      modal.id = "revisionHistoryModal";
+      modal.className = "slide-type-modal revision-history-modal";
+      modal.addEventListener("click", (event) => {
+        if (event.target === modal) this.close();
+      });
+      document.body.appendChild(modal);
+    }
+
+    modal.innerHTML = `
+      <div class="modal-content revision-history-dialog" role="dialog"
+           aria-label="Version history">
+        <div class="revision-history-header">
+          <h3>Version history: ${this.escapeHtml(chunk.title)}</h3>
+          <button class="btn btn-secondary btn-sm"
+                  onclick="window.revisionHistoryController.close()"
+                  title="Close">
+            <i data-lucide="x"></i>
+          </button>
+        </div>
+        <div class="revision-history-body">
+          <ol class="revision-list">
+            ${revisions
+              .slice()
+              .reverse()
+              .map((revision, index) =>
+                this.renderRevisionItem(revision, index === 0, selected)
+              )
+              .join("")}
+          </ol>
+          <div class="revision-diff">
+            ${this.renderDiff(selected, changes)}
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button class="btn btn-secondary"
+                  onclick="window.revisionHistoryController.close()">
+            Close
+          </button>
+          <button class="btn btn-primary"
+                  onclick="window.revisionHistoryController.restoreSelected()"
+                  ${changes.length === 0 || chunk.isLocked ? "disabled" : ""}
+                  title="${
+                    chunk.isLocked
+                      ? "Unlock the chunk to restore a revision"
+                      : "Replace the current version with this one"
+                  }">
+            <i data-lucide="rotate-ccw"></i> Restore this version
+          </button>
+        </div>
+      </div>
+    `;
+
+    if (typeof lucide !== "undefined") {
+      lucide.createIcons();
+    }
+  }
+
+  /**
+   * One entry in the revision list
+   */
+  renderRevisionItem(revision, isLatest, selected) {
+    const details = [
+      this.getAuthorLabel(revision),
+      revision.promptVersion ? `prompts ${revision.promptVersion}` : "",
+    ].filter(Boolean);
+
+    return `
+      <li class="revision-item ${revision === selected ? "selected" : ""}">
+        <button type="button"
+                onclick="window.revisionHistoryController.selectRevision('${
+                  revision.id
+                }')">
+          <span class="revision-kind">${RevisionHistory.getKindLabel(
+            revision.kind
+          )}${isLatest ? " · current" : ""}</span>
+          <span class="revision-time">${new Date(
+            revision.timestamp
+          ).toLocaleString()}</span>
+          <span class="revision-summary">${this.escapeHtml(
+            revision.summary
+          )}</span>
+          ${
+            details.length > 0
+              ? `<span class="revision-author">${this.escapeHtml(
+                  details.join(" · ")
+                )}</span>`
+              : ""
+          }
+        </button>
+      </li>
+    `;
+  }
+
+  /**
+   * Side-by-side table of the fields that differ from the current version
+   */
+  renderDiff(revision, changes) {
+    if (changes.length === 0) {
+      return `
+        <p class="revision-diff-empty">
+          This version matches the current one.
+        </p>
+      `;
+    }
+
+    return `
+      <table class="revision-diff-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>${new Date(revision.timestamp).toLocaleString()}</th>
+            <th>Current</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${changes
+            .map(
+              (change) => `
+            <tr>
+              <td class="revision-field">${this.escapeHtml(
+                RevisionHistory.getFieldLabel(change.path)
+              )}</td>
+              <td class="revision-before">${
+                change.before === null
+                  ? '<span class="revision-missing">(none)</span>'
+                  : this.escapeHtml(change.before)
+              }</td>
+              <td class="revision-after">${
+                change.after === null
+                  ? '<span class="revision-missing">(none)</span>'
+                  : this.escapeHtml(change.after)
+              }</td>
+            </tr>`
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Who made a revision
+   */
+  getAuthorLabel(revision) {
+    if (revision.author === "llm") return revision.model || "AI";
+    if (revision.author === "user") return "You";
+    return "";
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+window.RevisionHistoryController = RevisionHistoryController;
@@ -0,0 +1,330 @@
+/**
+ * Course Forge MVP - Revision History
+ * Keeps a list of snapshots per chunk (who changed what, and when) so
+ * earlier versions of a chunk and its generated slide can be compared and
+ * restored. Revisions live in state under "revisions", keyed by chunk id.
+ */
+
+// Chunk fields captured in each revision
+const REVISION_FIELDS = [
+  "title",
+  "slideType",
+  "sourceContent",
+  "groundTruth",
+  "generatedContent",
+];
+
+const REVISION_KIND_LABELS = {
+  initial: "Initial version",
+  generation: "Generated",
+  regeneration: "Regenerated",
+  edit: "Edited",
+  restore: "Restored",
+};
+
+class RevisionHistory {
+  constructor(stateManager, eventSystem) {
+    this.stateManager = stateManager;
+    this.eventSystem = eventSystem;
+
+    this.setupEventListeners();
+
+    // New chunks get a baseline so their first change can be undone
+    this.stateManager.subscribe("chunks", () => this.recordInitialVersions());
+    this.recordInitialVersions();
+  }
+
+  /**
+   * Record a revision after each change event
+   */
+  setupEventListeners() {
+    this.eventSystem.on("content:generated", (data) => {
+      const kind = data.regenerated ? "regeneration" : "generation";
+      this.record(data.chunkId, {
+        kind,
+        author: "llm",
+        model: data.model,
+        promptVersion: data.promptVersion,
+        summary: `${REVISION_KIND_LABELS[kind]} slide content`,
+      });
+    });
+
+    const edit = (summary) => (data) =>
+      this.record(data.chunkId, {
+        kind: "edit",
+        author: "user",
+        summary: typeof summary === "function" ? summary(data) : summary,
+      });
+
+    const editedField = edit(
+      (data) => `Edited ${RevisionHistory.getFieldLabel(data.field)}`
+    );
+
+    this.eventSystem.on("content:updated", editedField);
+    this.eventSystem.on("chunk:content-updated", editedField);
+    this.eventSystem.on("chunk:title-updated", edit("Renamed chunk"));
+    this.eventSystem.on("chunk:source-updated", edit("Edited source content"));
+    this.eventSystem.on(
+      "chunk:ground-truth-updated",
+      edit("Edited ground truth")
+    );
+    this.eventSystem.on(
+      "chunk:type-changed",
+      edit((data) => `Changed slide type to ${data.newType}`)
+    );
+    this.eventSystem.on("content:reset", edit("Cleared generated content"));
+
+    // Undo and redo can touch any chunk
+    const historyStep = (verb) => (data) =>
+      (this.stateManager.getState("chunks") || []).forEach((chunk) =>
+        edit(`${verb}: ${data.label}`)({ chunkId: chunk.id })
+      );
+
+    this.eventSystem.on("state:undone", historyStep("Undid"));
+    this.eventSystem.on("state:redone", historyStep("Redid"));
+
+    // Changes received from collaborators
+    this.eventSystem.on("collab:changes-applied", (data) =>
+      data.changes.forEach(({ chunkId, author }) =>
+        edit(`Edited by ${author}`)({ chunkId })
+      )
+    );
+  }
+
+  /**
+   * Add a baseline revision for chunks without history and drop the
+   * history of chunks that no longer exist
+   */
+  recordInitialVersions() {
+    const chunks = this.stateManager.getState("chunks") || [];
+    const revisions = this.stateManager.getState("revisions") || {};
+    const ids = new Set(chunks.map((chunk) => String(chunk.id)));
+    let changed = false;
+
+    const next = {};
+    Object.keys(revisions).forEach((id) => {
+      if (ids.has(id)) {
+        next[id] = revisions[id];
+      } else {
+        changed = true;
+      }
+    });
+
+    chunks.forEach((chunk) => {
+      const id = String(chunk.id);
+      if (next[id] && next[id].length > 0) return;
+
+      next[id] = [
+        this.createRevision(chunk, { kind: "initial", author: null }),
+      ];
+      changed = true;
+    });
+
+    if (changed) {
+      this.stateManager.setState("revisions", next);
+    }
+  }
+
+  /**
+   * Record the current state of a chunk
+   * @param {Object} details - {kind, author ("user", "llm" or null when
+   *   unknown), summary, model, promptVersion}
+   * @returns {Object|null} The revision, or null when nothing changed
+   */
+  record(chunkId, details) {
+    const chunk = this.getChunk(chunkId);
+    if (!chunk) return null;
+
+    const id = String(chunk.id);
+    const revisions = { ...(this.stateManager.getState("revisions") || {}) };
+    const history = (revisions[id] || []).slice();
+    const revision = this.createRevision(chunk, details);
+
+    const latest = history[history.length - 1];
+    if (
+      latest &&
+      JSON.stringify(latest.snapshot) === JSON.stringify(revision.snapshot)
+    ) {
+      return null;
+    }
+
+    history.push(revision);
+    revisions[id] = history.slice(-CONFIG.HISTORY.MAX_REVISIONS_PER_CHUNK);
+    this.stateManager.setState("revisions", revisions);
+
+    return revision;
+  }
+
+  /**
+   * Build a revision holding a copy of the chunk's fields
+   */
+  createRevision(chunk, details) {
+    return {
+      id: `rev_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+      timestamp: new Date().toISOString(),
+      kind: details.kind,
+      author: details.author,
+      summary: details.summary || REVISION_KIND_LABELS[details.kind] || "",
+      model: details.model || null,
+      promptVersion: details.promptVersion || null,
+      snapshot: this.takeSnapshot(chunk),
+    };
+  }
+
+  /**
+   * Copy of the chunk fields a revision keeps
+   */
+  takeSnapshot(chunk) {
+    const snapshot = {};
+    REVISION_FIELDS.forEach((field) => {
+      snapshot[field] =
+        chunk[field] === undefined
+          ? null
+          : JSON.parse(JSON.stringify(chunk[field]));
+    });
+    return snapshot;
+  }
+
+  /**
+   * Revisions of a chunk, oldest first
+   */
+  getRevisions(chunkId) {
+    const revisions = this.stateManager.getState("revisions") || {};
+    return revisions[String(chunkId)] || [];
+  }
+
+  /**
+   * A single revision of a chunk
+   */
+  getRevision(chunkId, revisionId) {
+    return (
+      this.getRevisions(chunkId).find(
+        (revision) => revision.id === revisionId
+      ) || null
+    );
+  }
+
+  /**
+   * Put a revision's fields back on the chunk and record the restore
+   * @returns {boolean} Whether the chunk was restored
+   */
+  restore(chunkId, revisionId) {
+    const revision = this.getRevision(chunkId, revisionId);
+    const chunks = this.stateManager.getState("chunks") || [];
+    const chunk = chunks.find((c) => String(c.id) === String(chunkId));
+
+    if (!revision || !chunk) {
+      StatusManager.showError("Revision not found");
+      return false;
+    }
+    if (chunk.isLocked) {
+      StatusManager.showWarning("Unlock the chunk to restore a revision");
+      return false;
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(revision.snapshot));
+    REVISION_FIELDS.forEach((field) => {
+      chunk[field] = snapshot[field];
+    });
+
+    // Derived data described the replaced content
+    chunk.generationInfo = null;
+    chunk.qualityIssues = SlideQualityValidator.validate(
+      chunk,
+      chunk.generatedContent
+    );
+    chunk.groundingReport = GroundingChecker.check(
+      chunk,
+      chunk.generatedContent
+    );
+
+    this.stateManager.setState("chunks", chunks, {
+      undoLabel: "Restore revision",
+    });
+
+    this.record(chunkId, {
+      kind: "restore",
+      author: "user",
+      summary: `Restored version from ${new Date(
+        revision.timestamp
+      ).toLocaleString()}`,
+    });
+
+    this.eventSystem.emit("chunk:revision-restored", {
+      chunkId: String(chunkId),
+      revisionId,
+    });
+    StatusManager.showSuccess("Revision restored");
+
+    return true;
+  }
+
+  /**
+   * Fields that differ between two snapshots. Generated content is compared
+   * field by field, e.g. "generatedContent.bullets.2".
+   * @returns {Object[]} [{path, before, after}]; a missing side is null
+   */
+  static diff(before, after) {
+    const left = this.flatten(before || {});
+    const right = this.flatten(after || {});
+    const paths = Array.from(
+      new Set([...Object.keys(left), ...Object.keys(right)])
+    );
+
+    return paths
+      .filter((path) => left[path] !== right[path])
+      .map((path) => ({
+        path,
+        before: path in left ? left[path] : null,
+        after: path in right ? right[path] : null,
+      }));
+  }
+
+  /**
+   * Map each leaf value of an object to its dot path
+   */
+  static flatten(value, prefix = "", result = {}) {
+    if (value && typeof value === "object") {
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : Object.entries(value);
+
+      entries.forEach(([key, child]) =>
+        this.flatten(child, prefix ? `${prefix}.${key}` : String(key), result)
+      );
+    } else if (value !== null && value !== undefined && prefix) {
+      result[prefix] = String(value);
+    }
+    return result;
+  }
+
+  /**
+   * Readable name for a field path
+   */
+  static getFieldLabel(field) {
+    const labels = {
+      title: "title",
+      slideType: "slide type",
+      sourceContent: "source content",
+      groundTruth: "ground truth",
+    };
+    return labels[field] || field.replace(/^generatedContent\./, "");
+  }
+
+  /**
+   * Label for a revision kind
+   */
+  static getKindLabel(kind) {
+    return REVISION_KIND_LABELS[kind] || kind;
+  }
+
+  /**
+   * Chunk by id, from current state
+   */
+  getChunk(chunkId) {
+    const chunks = this.stateManager.getState("chunks") || [];
+    return chunks.find((chunk) => String(chunk.id) === String(chunkId));
+  }
+}
+
+window.RevisionHistory = RevisionHistory;
@@ -0,0 +1,357 @@
+/**
+ * Course Forge MVP - SCORM Packager
+ * Builds SCORM 1.2 / SCORM 2004 manifests and the LMS runtime bridge for exported courses
+ */
+
+class ScormPackager {
+  /**
+   * @param {number} masteryScore - ADDED: passing score in percent; graded
+   *   assessments pass their own
+   */
+  constructor(
+    version = CONFIG.EXPORT.DEFAULT_SCORM_VERSION,
+    masteryScore = CONFIG.EXPORT.MASTERY_SCORE
+  ) {
+    if (!ScormPackager.isSupportedVersion(version)) {
+      throw new Error(`Unsupported SCORM version: ${version}`);
+    }
+
+    this.version = version;
+    this.masteryScore = masteryScore;
+  }
+
+  /**
+   * Check whether a SCORM version is supported
+   */
+  static isSupportedVersion(version) {
+    return CONFIG.EXPORT.SCORM_VERSIONS.some((v) => v.value === version);
+  }
+
+  /**
+   * Generate imsmanifest.xml for the course
+   * @param {Object} courseData - Export course data ({course, slides})
+   * @param {string[]} files - Files included in the package
+   */
+  generateManifest(courseData, files) {
+    const title = this.escapeXml(courseData.course.title || "Course");
+    const identifier = this.createIdentifier(courseData.course.title);
+    const hasQuestions = courseData.slides.some(
+      (slide) => slide.slideType === "multipleChoice" && slide.generatedContent
+    );
+    const fileEntries = files
+      .map((file) => `        <file href="${this.escapeXml(file)}"/>`)
+      .join("\n");
+
+    if (this.version === "1.2") {
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="ORG-1">
+    <organization identifier="ORG-1">
+      <title>${title}</title>
+      <item identifier="ITEM-1" identifierref="RES-1" isvisible="true">
+        <title>${title}</title>${
+          hasQuestions
+            ? `\n        <adlcp:masteryscore>${this.masteryScore}</adlcp:masteryscore>`
+            : ""
+        }
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="RES-1" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${fileEntries}
+    </resource>
+  </resources>
+</manifest>`;
+    }
+
+    const sequencing = hasQuestions
+      ? `
+        <imsss:sequencing>
+          <imsss:objectives>
+            <imsss:primaryObjective objectiveID="PRIMARYOBJ" satisfiedByMeasure="true">
+              <imsss:minNormalizedMeasure>${(
+                this.masteryScore / 100
+              ).toFixed(2)}</imsss:minNormalizedMeasure>
+            </imsss:primaryObjective>
+          </imsss:objectives>
+        </imsss:sequencing>`
+      : "";
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="ORG-1">
+    <organization identifier="ORG-1">
+      <title>${title}</title>
+      <item identifier="ITEM-1" identifierref="RES-1" isvisible="true">
+        <title>${title}</title>${sequencing}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="RES-1" type="webcontent" adlcp:scormType="sco" href="index.html">
+${fileEntries}
+    </resource>
+  </resources>
+</manifest>`;
+  }
+
+  /**
+   * Get the runtime script injected into the SCO launch page.
+   * It locates the LMS API and registers a tracker with the export script,
+   * which reports section progress, quiz answers and completion through it.
+   */
+  getRuntimeScript() {
+    return `
+      (function() {
+        var scormVersion = '${this.version}';
+        var defaultMasteryScore = ${this.masteryScore};
+        var is2004 = scormVersion === '2004';
+        var apiName = is2004 ? 'API_1484_11' : 'API';
+        var api = null;
+        var active = false;
+        var interactionCount = 0;
+        var sessionStart = Date.now();
+
+        function searchWindow(win) {
+          var attempts = 0;
+          while (win && !win[apiName] && win.parent && win.parent !== win && attempts < 10) {
+            win = win.parent;
+            attempts++;
+          }
+          return win ? win[apiName] || null : null;
+        }
+
+        function findAPI() {
+          var found = searchWindow(window);
+          if (!found && window.opener) {
+            found = searchWindow(window.opener);
+          }
+          return found;
+        }
+
+        function lmsCall(method12, method2004, args) {
+          if (!api) return '';
+          try {
+            var fn = api[is2004 ? method2004 : method12];
+            return fn ? fn.apply(api, args) : '';
+          } catch (e) {
+            console.warn('SCORM call failed:', method12, e);
+            return '';
+          }
+        }
+
+        function getValue(key) {
+          return lmsCall('LMSGetValue', 'GetValue', [key]);
+        }
+
+        function setValue(key, value) {
+          return lmsCall('LMSSetValue', 'SetValue', [key, String(value)]);
+        }
+
+        function commit() {
+          return lmsCall('LMSCommit', 'Commit', ['']);
+        }
+
+        function formatSessionTime(ms) {
+          var totalSeconds = Math.round(ms / 1000);
+          var hours = Math.floor(totalSeconds / 3600);
+          var minutes = Math.floor((totalSeconds % 3600) / 60);
+          var seconds = totalSeconds % 60;
+          if (is2004) {
+            return 'PT' + hours + 'H' + minutes + 'M' + seconds + 'S';
+          }
+          function pad(n) { return (n < 10 ? '0' : '') + n; }
+          return pad(hours) + ':' + pad(minutes) + ':' + pad(seconds);
+        }
+
+        function getMasteryScore() {
+          var value = is2004
+            ? parseFloat(getValue('cmi.scaled_passing_score')) * 100
+            : parseFloat(getValue('cmi.student_data.mastery_score'));
+          return isNaN(value) ? defaultMasteryScore : value;
+        }
+
+        function reportScore(score) {
+          if (!score || score.total === 0) return;
+          if (is2004) {
+            setValue('cmi.score.min', 0);
+            setValue('cmi.score.max', 100);
+            setValue('cmi.score.raw', score.percent);
+            setValue('cmi.score.scaled', (score.percent / 100).toFixed(2));
+          } else {
+            setValue('cmi.core.score.min', 0);
+            setValue('cmi.core.score.max', 100);
+            setValue('cmi.core.score.raw', score.percent);
+          }
+        }
+
+        function initialize() {
+          api = findAPI();
+          if (!api) {
+            console.warn('SCORM API not found - progress will only be saved locally');
+            return;
+          }
+
+          var result = lmsCall('LMSInitialize', 'Initialize', ['']);
+          active = result === true || result === 'true';
+          if (!active) return;
+
+          if (is2004) {
+            var completion = getValue('cmi.completion_status');
+            if (completion !== 'completed') {
+              setValue('cmi.completion_status', 'incomplete');
+            }
+            interactionCount = parseInt(getValue('cmi.interactions._count'), 10) || 0;
+          } else {
+            var status = getValue('cmi.core.lesson_status');
+            if (status === 'not attempted' || status === '') {
+              setValue('cmi.core.lesson_status', 'incomplete');
+            }
+            interactionCount = parseInt(getValue('cmi.interactions._count'), 10) || 0;
+          }
+          commit();
+        }
+
+        initialize();
+
+        window.courseTrackers = window.courseTrackers || [];
+        window.courseTrackers.push({
+          sectionViewed: function(data) {
+            if (!active) return;
+            setValue(is2004 ? 'cmi.location' : 'cmi.core.lesson_location', data.sectionIndex);
+            if (is2004) {
+              setValue('cmi.progress_measure', data.progress.toFixed(2));
+            }
+            commit();
+          },
+
+          questionAnswered: function(data) {
+            if (!active) return;
+            var prefix = 'cmi.interactions.' + interactionCount + '.';
+            setValue(prefix + 'id', 'section-' + data.sectionIndex);
+            setValue(prefix + 'type', 'choice');
+            setValue(prefix + (is2004 ? 'learner_response' : 'student_response'), data.selectedIndex);
+            setValue(prefix + 'result', data.correct ? 'correct' : (is2004 ? 'incorrect' : 'wrong'));
+            interactionCount++;
+            reportScore(data.score);
+            commit();
+          },
+
+          courseCompleted: function(data) {
+            if (!active) return;
+            reportScore(data.score);
+            var hasQuiz = data.score && data.score.total > 0;
+            var passed = hasQuiz ? data.score.percent >= getMasteryScore() : true;
+            if (is2004) {
+              setValue('cmi.completion_status', 'completed');
+              setValue('cmi.progress_measure', '1');
+              if (hasQuiz) {
+                setValue('cmi.success_status', passed ? 'passed' : 'failed');
+              }
+            } else {
+              setValue('cmi.core.lesson_status', hasQuiz ? (passed ? 'passed' : 'failed') : 'completed');
+            }
+            commit();
+          },
+
+          progressSaved: function(progress) {
+            if (!active) return;
+            try {
+              setValue('cmi.suspend_data', JSON.stringify(progress));
+              commit();
+            } catch (e) {
+              // Ignore suspend data errors
+            }
+          },
+
+          loadProgress: function() {
+            if (!active) return null;
+            try {
+              var saved = getValue('cmi.suspend_data');
+              return saved ? JSON.parse(saved) : null;
+            } catch (e) {
+              return null;
+            }
+          },
+
+          sessionEnded: function(data) {
+            if (!active) return;
+            setValue(is2004 ? 'cmi.session_time' : 'cmi.core.session_time', formatSessionTime(Date.now() - sessionStart));
+            if (is2004) {
+              setValue('cmi.exit', data.completed ? 'normal' : 'suspend');
+            } else {
+              setValue('cmi.core.exit', data.completed ? '' : 'suspend');
+            }
+            commit();
+            lmsCall('LMSFinish', 'Terminate', ['']);
+            active = false;
+          }
+        });
+      })();
+    `;
+  }
+
+  /**
+   * Build a zipped SCORM package
+   * @param {Object} files - Map of path -> content from HTMLExporter
+   * @param {Object} courseData - Export course data
+   * @returns {Blob}
+   */
+  buildPackage(files, courseData) {
+    const packageFiles = { ...files };
+    packageFiles["imsmanifest.xml"] = this.generateManifest(
+      courseData,
+      Object.keys(files)
+    );
+
+    return ZipArchive.create(packageFiles);
+  }
+
+  /**
+   * Create a manifest identifier from the course title
+   */
+  createIdentifier(title) {
+    const slug = (title || "course")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 40);
+
+    return `COURSEFORGE-${slug || "course"}-${Date.now()}`;
+  }
+
+  /**
+   * Escape text for XML attributes and elements
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+}
+
+// Make available globally
+window.ScormPackager = ScormPackager;
@@ -0,0 +1,226 @@
+/**
+ * Course Forge MVP - Slide Quality Validator
+ * Rules run on every generated slide. Violations are sent back to the LLM
+ * as a targeted repair request (see ContentGenerator.enforceQualityRules).
+ */
+
+/**
+ * Rule registry. Each rule has:
+ * - id / description: shown to users and in repair prompts
+ * - slideTypes: slide types it applies to (null for all)
+ * - check(content, chunk): returns [{path, message}] for each violation
+ */
+const SLIDE_QUALITY_RULES = [
+  {
+    id: "single-correct-answer",
+    description: "Multiple choice has exactly one valid correct answer",
+    slideTypes: ["multipleChoice"],
+    check(content) {
+      const options = content.options || [];
+      const answer = content.correctAnswer;
+
+      if (options.length < 2) {
+        return [{ path: "options", message: "Needs at least 2 options" }];
+      }
+      if (
+        !Number.isInteger(answer) ||
+        answer < 0 ||
+        answer >= options.length
+      ) {
+        return [
+          {
+            path: "correctAnswer",
+            message: `correctAnswer must be one index between 0 and ${
+              options.length - 1
+            } (got ${JSON.stringify(answer)})`,
+          },
+        ];
+      }
+      return [];
+    },
+  },
+
+  {
+    id: "distinct-options",
+    description: "Multiple choice options are non-empty and not duplicated",
+    slideTypes: ["multipleChoice"],
+    check(content) {
+      const issues = [];
+      const seen = new Map();
+
+      (content.options || []).forEach((option, index) => {
+        const key = SlideQualityValidator.normalizeText(option);
+        if (!key) {
+          issues.push({
+            path: `options[${index}]`,
+            message: `Option ${index + 1} is empty`,
+          });
+        } else if (seen.has(key)) {
+          issues.push({
+            path: `options[${index}]`,
+            message: `Option ${index + 1} duplicates option ${
+              seen.get(key) + 1
+            }`,
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+
+      return issues;
+    },
+  },
+
+  {
+    id: "bullet-count",
+    description: "Bullet count follows the 7±2 rule",
+    slideTypes: ["textAndBullets"],
+    check(content) {
+      const count = (content.bullets || []).filter((bullet) =>
+        SlideQualityValidator.normalizeText(bullet)
+      ).length;
+      const { MIN_BULLETS, MAX_BULLETS } = CONFIG.QUALITY;
+
+      if (count < MIN_BULLETS || count > MAX_BULLETS) {
+        return [
+          {
+            path: "bullets",
+            message: `Has ${count} bullets; use between ${MIN_BULLETS} and ${MAX_BULLETS}`,
+          },
+        ];
+      }
+      return [];
+    },
+  },
+
+  {
+    id: "flip-card-backs",
+    description: "Every flip card has text on both sides",
+    slideTypes: ["flipCards"],
+    check(content) {
+      const issues = [];
+
+      (Array.isArray(content) ? content : []).forEach((card, index) => {
+        if (!SlideQualityValidator.normalizeText(card.front)) {
+          issues.push({
+            path: `[${index}].front`,
+            message: `Card ${index + 1} has an empty front`,
+          });
+        }
+        if (!SlideQualityValidator.normalizeText(card.back)) {
+          issues.push({
+            path: `[${index}].back`,
+            message: `Card ${index + 1} has an empty back`,
+          });
+        }
+      });
+
+      return issues;
+    },
+  },
+
+  {
+    id: "audio-script-length",
+    description: "Audio script length roughly matches the slide's time",
+    slideTypes: null,
+    check(content, chunk) {
+      if (Array.isArray(content) || !("audioScript" in content)) return [];
+
+      const seconds = SlideQualityValidator.parseDuration(chunk.estimatedTime);
+      if (!seconds) return [];
+
+      const quality = CONFIG.QUALITY;
+      const slideWords = (seconds / 60) * quality.NARRATION_WORDS_PER_MINUTE;
+      const minWords = Math.round(slideWords * quality.AUDIO_SCRIPT_MIN_RATIO);
+      const maxWords = Math.round(slideWords * quality.AUDIO_SCRIPT_MAX_RATIO);
+      const words = SlideQualityValidator.countWords(content.audioScript);
+
+      if (words < minWords || words > maxWords) {
+        return [
+          {
+            path: "audioScript",
+            message: `Audio script has ${words} words; for a ${chunk.estimatedTime} slide aim for ${minWords}-${maxWords} words`,
+          },
+        ];
+      }
+      return [];
+    },
+  },
+];
+
+class SlideQualityValidator {
+  /**
+   * Run every rule that applies to the chunk's slide type
+   * @returns {Object[]} Issues: [{rule, path, message}]
+   */
+  static validate(chunk, content) {
+    if (!content) return [];
+
+    return SLIDE_QUALITY_RULES.filter(
+      (rule) => !rule.slideTypes || rule.slideTypes.includes(chunk.slideType)
+    ).flatMap((rule) => {
+      try {
+        return rule
+          .check(content, chunk)
+          .map((issue) => ({ rule: rule.id, ...issue }));
+      } catch (error) {
+        console.warn(`Quality rule ${rule.id} failed:`, error);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Add a rule to the registry
+   */
+  static registerRule(rule) {
+    if (!rule.id || typeof rule.check !== "function") {
+      throw new Error("Quality rules need an id and a check function");
+    }
+    SLIDE_QUALITY_RULES.push(rule);
+  }
+
+  /**
+   * All registered rules
+   */
+  static getRules() {
+    return SLIDE_QUALITY_RULES.slice();
+  }
+
+  /**
+   * Lower-cased text with collapsed whitespace, for comparisons
+   */
+  static normalizeText(text) {
+    return String(text || "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .toLowerCase();
+  }
+
+  /**
+   * Number of words in a text
+   */
+  static countWords(text) {
+    return String(text || "")
+      .split(/\s+/)
+      .filter(Boolean).length;
+  }
+
+  /**
+   * Seconds in a duration such as "2 minutes", "1.5 min" or "90 seconds"
+   * @returns {number|null}
+   */
+  static parseDuration(text) {
+    const match = String(text || "").match(/(\d+(?:\.\d+)?)\s*([smh])?/i);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const unit = (match[2] || "m").toLowerCase(); // Minutes by default
+
+    if (unit === "s") return value;
+    if (unit === "h") return value * 3600;
+    return value * 60;
+  }
+}
+
+window.SlideQualityValidator = SlideQualityValidator;
@@ -54,8 +54,10 @@ class SlideRenderer {
 
   /**
    * Render a slide based on its type and content
+   * @param {Object} options - {answerCheck: {salt, hash}} replaces the
+   *   answer of a multiple-choice slide, for secure exports
    */
-  renderSlide(chunk, isEditable = false) {
+  renderSlide(chunk, isEditable = false, options = {}) {
     if (!chunk.generatedContent) {
       return this.renderEmptySlide(chunk, isEditable);
     }
@@ -66,7 +68,7 @@ class SlideRenderer {
     }
 
     try {
-      return renderer(chunk, isEditable);
+      return renderer(chunk, isEditable, options);
     } catch (error) {
       console.error(`Error rendering slide ${chunk.id}:`, error);
       return this.renderErrorSlide(chunk, error);
@@ -295,8 +297,15 @@ class SlideRenderer {
   /**
    * Render multiple choice slide
    */
-  renderMultipleChoice(chunk, isEditable) {
+  renderMultipleChoice(chunk, isEditable, options = {}) {
     const content = chunk.generatedContent;
+    // ADDED: Only the editor marks the correct option. Secure exports check
+    // answers against a salted hash instead of passing the index.
+    const answerCheck = options.answerCheck;
+    const answerData = answerCheck
+      ? ` data-answer-salt="${answerCheck.salt}"` +
+        ` data-answer-hash="${answerCheck.hash}"`
+      : "";
 
     return `
       <div class="slide-content multiple-choice" data-slide-type="multipleChoice">
@@ -310,15 +319,17 @@ class SlideRenderer {
                data-field="question">${this.escapeHtml(
                  content.question || ""
                )}</div>
-          <div class="options-container">
+          <div class="options-container"${answerData}>
             ${(content.options || [])
               .map(
                 (option, index) => `
               <div class="option-item ${
-                index === content.correctAnswer ? "correct-answer" : ""
+                isEditable && index === content.correctAnswer
+                  ? "correct-answer"
+                  : ""
               }" 
-                   onclick="selectOption(this, ${index}, ${
-                  content.correctAnswer
+                   onclick="selectOption(this, ${index}${
+                  answerCheck ? "" : `, ${content.correctAnswer}`
                 })">
                 <div class="option-label">${String.fromCharCode(
                   65 + index
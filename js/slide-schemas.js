@@ -0,0 +1,324 @@
+/**
+ * Course Forge MVP - Slide Content Schemas
+ * JSON Schemas for the content of each slide type, used for structured
+ * output requests and to validate and unwrap the JSON that comes back
+ */
+
+const SLIDE_TEXT = { type: "string", minLength: 1 };
+
+/**
+ * Build an object schema. Every property is required and no others are
+ * allowed, as strict structured output modes expect.
+ */
+const slideObject = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+const slideList = (items, minItems) => ({
+  type: "array",
+  items,
+  minItems,
+});
+
+/**
+ * Schema per slide type. Providers need an object at the root, so types
+ * whose content is a plain array are wrapped in a single property named by
+ * arrayKey and unwrapped after validation.
+ */
+const SLIDE_CONTENT_SCHEMAS = {
+  title: {
+    schema: slideObject({
+      header: SLIDE_TEXT,
+      text: SLIDE_TEXT,
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  courseInfo: {
+    schema: slideObject({
+      header: SLIDE_TEXT,
+      text: SLIDE_TEXT,
+      duration: SLIDE_TEXT,
+      audience: SLIDE_TEXT,
+      objectives: slideList(SLIDE_TEXT, 1),
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  textAndImage: {
+    schema: slideObject({
+      header: SLIDE_TEXT,
+      text: SLIDE_TEXT,
+      image: {
+        ...SLIDE_TEXT,
+        description:
+          "https://images.unsplash.com/photo-[relevant-image-id]?w=500&h=300&fit=crop",
+      },
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  textAndBullets: {
+    schema: slideObject({
+      header: SLIDE_TEXT,
+      text: SLIDE_TEXT,
+      bullets: slideList(SLIDE_TEXT, 2),
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  iconsWithTitles: {
+    schema: slideObject({
+      header: SLIDE_TEXT,
+      icons: slideList(
+        slideObject({
+          icon: { ...SLIDE_TEXT, description: "Lucide icon name" },
+          title: SLIDE_TEXT,
+          description: SLIDE_TEXT,
+        }),
+        2
+      ),
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  multipleChoice: {
+    schema: slideObject({
+      question: SLIDE_TEXT,
+      options: slideList(SLIDE_TEXT, 2),
+      correctAnswer: {
+        type: "integer",
+        minimum: 0,
+        description: "Zero-based index of the correct option",
+      },
+      feedback: slideObject({
+        correct: SLIDE_TEXT,
+        incorrect: SLIDE_TEXT,
+      }),
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  tabs: {
+    arrayKey: "tabs",
+    schema: slideObject({
+      tabs: slideList(
+        slideObject({ title: SLIDE_TEXT, content: SLIDE_TEXT }),
+        2
+      ),
+    }),
+  },
+
+  flipCards: {
+    arrayKey: "cards",
+    schema: slideObject({
+      cards: slideList(
+        slideObject({ front: SLIDE_TEXT, back: SLIDE_TEXT }),
+        2
+      ),
+    }),
+  },
+
+  faq: {
+    schema: slideObject({
+      header: SLIDE_TEXT,
+      items: slideList(
+        slideObject({ question: SLIDE_TEXT, answer: SLIDE_TEXT }),
+        2
+      ),
+      audioScript: SLIDE_TEXT,
+    }),
+  },
+
+  popups: {
+    arrayKey: "popups",
+    schema: slideObject({
+      popups: slideList(
+        slideObject({ title: SLIDE_TEXT, content: SLIDE_TEXT }),
+        1
+      ),
+    }),
+  },
+};
+
+// Keywords our validator checks but strict provider modes may reject
+const SLIDE_SCHEMA_LOCAL_KEYWORDS = [
+  "minItems",
+  "maxItems",
+  "minLength",
+  "maxLength",
+  "minimum",
+  "maximum",
+];
+
+class SlideSchemas {
+  /**
+   * Schema for a slide type
+   */
+  static get(slideType) {
+    const entry = SLIDE_CONTENT_SCHEMAS[slideType];
+    if (!entry) {
+      throw new Error(`Unsupported slide type: ${slideType}`);
+    }
+    return entry.schema;
+  }
+
+  /**
+   * Property that wraps a slide type's array content, or null for types
+   * whose content is an object
+   */
+  static getArrayKey(slideType) {
+    const entry = SLIDE_CONTENT_SCHEMAS[slideType];
+    return (entry && entry.arrayKey) || null;
+  }
+
+  /**
+   * Schema to send to a provider: the slide schema without the keywords
+   * only our own validation enforces
+   * @returns {Object} {name, schema}
+   */
+  static getResponseFormat(slideType) {
+    const strip = (value) => {
+      if (Array.isArray(value)) return value.map(strip);
+      if (!value || typeof value !== "object") return value;
+
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([key]) => !SLIDE_SCHEMA_LOCAL_KEYWORDS.includes(key))
+          .map(([key, child]) => [key, strip(child)])
+      );
+    };
+
+    return {
+      name: `${slideType}_slide`,
+      schema: strip(this.get(slideType)),
+    };
+  }
+
+  /**
+   * Parse and validate a JSON response
+   * @returns {Object} {content, errors}: content in the shape the slide
+   *   renderer expects, or null with the validation errors
+   */
+  static parse(slideType, text) {
+    let data;
+    try {
+      data = JSON.parse(this.extractJSON(text));
+    } catch (error) {
+      return {
+        content: null,
+        errors: [`Response is not valid JSON: ${error.message}`],
+      };
+    }
+
+    const errors = JsonSchema.validate(data, this.get(slideType));
+
+    if (
+      slideType === "multipleChoice" &&
+      errors.length === 0 &&
+      data.correctAnswer >= data.options.length
+    ) {
+      errors.push(
+        `$.correctAnswer: must be an index into options (0-${
+          data.options.length - 1
+        })`
+      );
+    }
+
+    if (errors.length > 0) {
+      return { content: null, errors };
+    }
+
+    return { content: this.unwrap(slideType, data), errors: [] };
+  }
+
+  /**
+   * Parse a response that is still streaming. Fields and list items are
+   * reported once they are complete, as the XML parsers do for closed tags.
+   * @returns {Object|Array|null}
+   */
+  static parsePartial(slideType, text) {
+    const start = text.indexOf("{");
+    if (start < 0) return null;
+
+    const stack = []; // Closing brackets of the open containers
+    let inString = false;
+    let escaped = false;
+    let safeEnd = -1;
+    let safeStack = [];
+
+    // Cutting inside a list item would report a half-built item, so only
+    // positions directly inside the root object or a list are safe
+    const markSafe = (end) => {
+      if (stack.length <= 1 || stack[stack.length - 1] === "]") {
+        safeEnd = end;
+        safeStack = stack.slice();
+      }
+    };
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        stack.push(char === "{" ? "}" : "]");
+        markSafe(i + 1);
+      } else if (char === "}" || char === "]") {
+        stack.pop();
+        markSafe(i + 1);
+        if (stack.length === 0) break;
+      } else if (char === ",") {
+        // Everything before the comma is a complete value
+        markSafe(i);
+      }
+    }
+
+    if (safeEnd < 0) return null;
+
+    try {
+      const data = JSON.parse(
+        text.slice(start, safeEnd) + safeStack.reverse().join("")
+      );
+      return this.unwrap(slideType, data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Take the JSON object out of a response, ignoring code fences or
+   * surrounding text
+   */
+  static extractJSON(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start < 0 || end < start) {
+      throw new Error("No JSON object found");
+    }
+    return text.slice(start, end + 1);
+  }
+
+  /**
+   * Convert validated data to the slide content shape
+   */
+  static unwrap(slideType, data) {
+    const entry = SLIDE_CONTENT_SCHEMAS[slideType];
+    if (entry.arrayKey) {
+      return data[entry.arrayKey] || [];
+    }
+    return data;
+  }
+}
+
+window.SlideSchemas = SlideSchemas;
@@ -5,34 +5,61 @@
 
 class StateManager {
   constructor() {
-    this.state = {
+    this.state = this.getDefaultState();
+    this.listeners = new Map();
+
+    // ADDED: Courses live in the course library (IndexedDB) when available;
+    // without it the single localStorage slot is used
+    this.library = new CourseLibrary();
+    this.courseId = null; // Library id of the open course
+    this.saveTimer = null;
+    this.saveFailed = false;
+
+    // ADDED: Undo/redo of tracked paths (CONFIG.UNDO)
+    this.undoStack = [];
+    this.redoStack = [];
+    this.undoBase = {}; // Tracked paths as of the last recorded change
+    this.transaction = null; // Entry collecting patches until committed
+    this.transactionDepth = 0;
+    this.clearHistory();
+
+    // ADDED: Loading is asynchronous; wait for this before reading state
+    this.ready = this.loadState();
+
+    // Auto-save state periodically
+    this.setupAutoSave();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log("StateManager initialized with state:", this.state);
+    }
+  }
+
+  /**
+   * ADDED: State of a new, empty course
+   */
+  getDefaultState() {
+    return {
       currentTab: "input",
       courseConfig: { ...CONFIG.DEFAULTS.COURSE_CONFIG },
       chunks: [],
+      revisions: {}, // chunk id -> revision list (RevisionHistory)
       generatedSlides: [],
       isProcessing: false,
       processingStep: null,
       errors: [],
       lastSaved: null,
     };
-
-    this.listeners = new Map();
-    this.loadState();
-
-    // Auto-save state periodically
-    this.setupAutoSave();
-
-    if (CONFIG.DEBUG.ENABLED) {
-      console.log("StateManager initialized with state:", this.state);
-    }
   }
 
   /**
    * Set a value in the state using dot notation (ENHANCED)
    * @param {string} path - Dot notation path (e.g., 'courseConfig.title')
    * @param {*} value - Value to set
+   * @param {Object} options - {undoLabel}: describes the change in undo
+   *   messages; {undo: false} keeps the change out of the undo history
+   *   (e.g. edits received from collaborators)
    */
-  setState(path, value) {
+  setState(path, value, options = {}) {
     const keys = path.split(".");
     let current = this.state;
 
@@ -52,6 +79,11 @@ class StateManager {
     // Update last saved timestamp
     this.state.lastSaved = new Date().toISOString();
 
+    // ADDED: Record the change for undo
+    if (CONFIG.UNDO.TRACKED_PATHS.includes(keys[0])) {
+      this.recordUndo(keys[0], options.undoLabel, options.undo !== false);
+    }
+
     // ENHANCED: Log state changes for debugging
     if (CONFIG.DEBUG.ENABLED && path.includes("uploadedFiles")) {
       console.log(`📝 State updated: ${path}`, {
@@ -68,6 +100,209 @@ class StateManager {
     this.saveState();
   }
 
+  /**
+   * ADDED: Compare a tracked path with its last recorded copy and add the
+   * differences to the undo stack (or the open transaction). Callers often
+   * mutate state in place before calling setState, so the previous value is
+   * taken from the copy rather than from oldValue. Unrecorded changes only
+   * move the copy forward.
+   */
+  recordUndo(root, label, record = true) {
+    const current = this.cloneValue(this.state[root]);
+    const patches = [];
+    this.diffValues(this.undoBase[root], current, [root], patches);
+    this.undoBase[root] = current;
+
+    if (patches.length === 0 || !record) return;
+
+    if (this.transaction) {
+      this.transaction.patches.push(...patches);
+      return;
+    }
+
+    this.pushUndoEntry({ label: label || "Edit", patches });
+  }
+
+  /**
+   * ADDED: Add a change to the undo stack; new changes clear the redo stack
+   */
+  pushUndoEntry(entry) {
+    this.undoStack.push({ ...entry, timestamp: new Date().toISOString() });
+    if (this.undoStack.length > CONFIG.UNDO.MAX_STEPS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * ADDED: Collect patches for [path, ..., key] where two values differ.
+   * Objects and same-length arrays are compared key by key; anything else
+   * that differs is replaced whole.
+   */
+  diffValues(before, after, path, patches) {
+    if (before === after) return;
+
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    const sameLengthArrays =
+      Array.isArray(before) &&
+      Array.isArray(after) &&
+      before.length === after.length;
+
+    if (isObject(before) && isObject(after)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) =>
+        this.diffValues(before[key], after[key], [...path, key], patches)
+      );
+    } else if (sameLengthArrays) {
+      before.forEach((item, index) =>
+        this.diffValues(item, after[index], [...path, index], patches)
+      );
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      patches.push({ path, before, after });
+    }
+  }
+
+  /**
+   * ADDED: Group every change made by fn into a single undo step. Nested
+   * transactions join the outermost one. fn must be synchronous: a step
+   * left open across an await would collect unrelated changes and block
+   * undo, so apply async results in one transaction once they arrive.
+   * @param {string} label - Describes the change in undo messages
+   * @returns {*} Whatever fn returns
+   */
+  runTransaction(label, fn) {
+    this.beginTransaction(label);
+    try {
+      return fn();
+    } finally {
+      this.commitTransaction();
+    }
+  }
+
+  /**
+   * ADDED: Start collecting changes into one undo step
+   */
+  beginTransaction(label) {
+    if (this.transactionDepth === 0) {
+      this.transaction = { label, patches: [] };
+    }
+    this.transactionDepth++;
+  }
+
+  /**
+   * ADDED: Finish the outermost transaction and add it to the undo stack
+   */
+  commitTransaction() {
+    if (this.transactionDepth === 0) return;
+
+    this.transactionDepth--;
+    if (this.transactionDepth > 0) return;
+
+    const entry = this.transaction;
+    this.transaction = null;
+    if (entry.patches.length > 0) {
+      this.pushUndoEntry(entry);
+    }
+  }
+
+  /**
+   * ADDED: Revert the last change
+   * @returns {Object|null} The undone entry {label, patches, timestamp}
+   */
+  undo() {
+    if (this.transaction || this.undoStack.length === 0) return null;
+
+    const entry = this.undoStack.pop();
+    this.applyPatches(entry.patches.slice().reverse(), "before");
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * ADDED: Re-apply the last undone change
+   * @returns {Object|null} The redone entry
+   */
+  redo() {
+    if (this.transaction || this.redoStack.length === 0) return null;
+
+    const entry = this.redoStack.pop();
+    this.applyPatches(entry.patches, "after");
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * ADDED: Whether undo has anything to revert
+   */
+  canUndo() {
+    return !this.transaction && this.undoStack.length > 0;
+  }
+
+  /**
+   * ADDED: Whether redo has anything to re-apply
+   */
+  canRedo() {
+    return !this.transaction && this.redoStack.length > 0;
+  }
+
+  /**
+   * ADDED: Write the before or after side of patches into state and notify
+   * listeners of each changed path once
+   */
+  applyPatches(patches, side) {
+    const roots = new Set();
+
+    patches.forEach((patch) => {
+      const [root, ...rest] = patch.path;
+      const value = this.cloneValue(patch[side]);
+      roots.add(root);
+
+      if (rest.length === 0) {
+        this.state[root] = value;
+        return;
+      }
+
+      let parent = this.state[root];
+      rest.slice(0, -1).forEach((key) => {
+        parent = parent[key];
+      });
+      const key = rest[rest.length - 1];
+      if (value === undefined) {
+        delete parent[key];
+      } else {
+        parent[key] = value;
+      }
+    });
+
+    this.state.lastSaved = new Date().toISOString();
+    roots.forEach((root) => {
+      this.undoBase[root] = this.cloneValue(this.state[root]);
+      this.notifyListeners(root, this.state[root], undefined);
+    });
+    this.saveState();
+  }
+
+  /**
+   * ADDED: Forget undo/redo steps, e.g. after loading another course
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transaction = null;
+    this.transactionDepth = 0;
+    this.undoBase = {};
+    CONFIG.UNDO.TRACKED_PATHS.forEach((root) => {
+      this.undoBase[root] = this.cloneValue(this.state[root]);
+    });
+  }
+
+  /**
+   * ADDED: Deep copy of a JSON-compatible value
+   */
+  cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
   /**
    * Get a value from the state using dot notation
    * @param {string} path - Dot notation path (empty string returns entire state)
@@ -199,17 +434,35 @@ class StateManager {
   }
 
   /**
-   * Save state to localStorage (ENHANCED)
+   * ADDED: Copy of a state without the parts that are not persisted
+   */
+  getPersistentState(state = this.state) {
+    return {
+      ...state,
+      // Don't save processing state or errors
+      isProcessing: false,
+      processingStep: null,
+      errors: [],
+    };
+  }
+
+  /**
+   * Save state to the course library, or to localStorage without one
+   * (ENHANCED)
    */
   saveState() {
+    // ADDED: Library writes wait for a pause in changes
+    if (this.courseId) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(
+        () => this.flushSave(),
+        CONFIG.LIBRARY.SAVE_DELAY_MS
+      );
+      return;
+    }
+
     try {
-      const stateToSave = {
-        ...this.state,
-        // Don't save processing state or errors
-        isProcessing: false,
-        processingStep: null,
-        errors: [],
-      };
+      const stateToSave = this.getPersistentState();
 
       const stateString = JSON.stringify(stateToSave);
       localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.COURSE_STATE, stateString);
@@ -224,10 +477,203 @@ class StateManager {
     }
   }
 
+  /**
+   * ADDED: Whether library changes are still waiting to be written (or
+   * failed to be)
+   */
+  hasPendingSave() {
+    return !!this.courseId && (this.saveTimer !== null || this.saveFailed);
+  }
+
+  /**
+   * ADDED: Write the open course to the library now
+   */
+  async flushSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.courseId) return;
+
+    try {
+      await this.library.saveCourse(this.courseId, this.getPersistentState());
+      this.saveFailed = false;
+    } catch (error) {
+      console.warn("Failed to save course to the library:", error);
+
+      // Report once; every later change retries the save
+      if (!this.saveFailed) {
+        this.saveFailed = true;
+        this.addError(
+          "Failed to save progress. Your work may not be preserved."
+        );
+      }
+    }
+  }
+
+  /**
+   * ADDED: Open the last used course from the library, moving a course
+   * saved by earlier versions in localStorage into it first. Falls back
+   * to localStorage when IndexedDB cannot be used.
+   */
+  async loadState() {
+    if (this.library.isAvailable()) {
+      try {
+        const courseId =
+          (await this.migrateLocalState()) ||
+          (await this.findInitialCourse());
+        const saved = await this.library.loadCourseState(courseId);
+
+        this.courseId = courseId;
+        this.setActiveCourseId(courseId);
+        this.replaceState(saved || {});
+        return;
+      } catch (error) {
+        console.warn("Course library unavailable, using localStorage:", error);
+        this.courseId = null;
+      }
+    }
+
+    this.loadLocalState();
+    this.clearHistory();
+    this.notifyAllListeners();
+  }
+
+  /**
+   * ADDED: Move the course saved in localStorage into the library
+   * @returns {Promise<string|null>} Id of the migrated course
+   */
+  async migrateLocalState() {
+    const saved = localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.COURSE_STATE);
+    if (!saved) return null;
+
+    const state = { ...this.getDefaultState(), ...JSON.parse(saved) };
+    const courseId = await this.library.createCourse(
+      this.getPersistentState(state)
+    );
+    localStorage.removeItem(CONFIG.LOCAL_STORAGE_KEYS.COURSE_STATE);
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log(`💾 Moved saved course into the library (${courseId})`);
+    }
+    return courseId;
+  }
+
+  /**
+   * ADDED: The course to open on start: the last one used, else the most
+   * recently modified, else a new one
+   */
+  async findInitialCourse() {
+    const activeId = this.getActiveCourseId();
+    if (activeId && (await this.library.getCourse(activeId))) {
+      return activeId;
+    }
+
+    const [latest] = await this.library.listCourses();
+    if (latest) return latest.id;
+
+    return this.library.createCourse(
+      this.getPersistentState(this.getDefaultState())
+    );
+  }
+
+  /**
+   * ADDED: Save the open course and open another from the library
+   */
+  async switchCourse(courseId) {
+    if (!this.courseId) {
+      throw new Error("The course library is not available");
+    }
+
+    await this.saveBeforeSwitch();
+    const saved = await this.library.loadCourseState(courseId);
+    if (!saved) {
+      throw new Error("Course not found");
+    }
+
+    this.courseId = courseId;
+    this.setActiveCourseId(courseId);
+    this.replaceState(saved);
+  }
+
+  /**
+   * ADDED: Add an empty course to the library and open it
+   * @returns {Promise<string>} The new course id
+   */
+  async createCourse() {
+    if (!this.courseId) {
+      throw new Error("The course library is not available");
+    }
+
+    // Checked before the new course is added, so a failed save leaves none
+    await this.saveBeforeSwitch();
+    const courseId = await this.library.createCourse(
+      this.getPersistentState(this.getDefaultState())
+    );
+    await this.switchCourse(courseId);
+    return courseId;
+  }
+
+  /**
+   * ADDED: Save the open course before another replaces it. flushSave
+   * reports failures without throwing, so a failed save stops the switch
+   * here rather than losing the course's unsaved changes.
+   */
+  async saveBeforeSwitch() {
+    await this.flushSave();
+    if (this.saveFailed) {
+      throw new Error(
+        "The open course could not be saved, so it stays open. " +
+          "Try again, or export it to keep your changes."
+      );
+    }
+  }
+
+  /**
+   * ADDED: Whether courses are kept in the library
+   */
+  isLibraryEnabled() {
+    return this.courseId !== null;
+  }
+
+  /**
+   * ADDED: Id of the course to reopen on the next start
+   */
+  getActiveCourseId() {
+    try {
+      return localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.ACTIVE_COURSE);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setActiveCourseId(courseId) {
+    try {
+      localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.ACTIVE_COURSE, courseId);
+    } catch (error) {
+      console.warn("Failed to remember the open course:", error);
+    }
+  }
+
+  /**
+   * ADDED: Replace the whole state with a saved one and notify listeners
+   */
+  replaceState(saved) {
+    this.state = {
+      ...this.getDefaultState(),
+      ...saved,
+      // Reset processing state on load
+      isProcessing: false,
+      processingStep: null,
+      errors: [],
+    };
+
+    this.clearHistory();
+    this.notifyAllListeners();
+  }
+
   /**
    * Load state from localStorage (ENHANCED)
    */
-  loadState() {
+  loadLocalState() {
     try {
       const saved = localStorage.getItem(
         CONFIG.LOCAL_STORAGE_KEYS.COURSE_STATE
@@ -265,32 +711,41 @@ class StateManager {
   }
 
   /**
-   * Clear all state and localStorage
+   * Clear all state of the open course
    */
   clearState() {
     const oldFiles = this.state.courseConfig?.uploadedFiles || [];
 
-    this.state = {
-      currentTab: "input",
-      courseConfig: { ...CONFIG.DEFAULTS.COURSE_CONFIG },
-      chunks: [],
-      generatedSlides: [],
-      isProcessing: false,
-      processingStep: null,
-      errors: [],
-      lastSaved: null,
-    };
+    this.state = this.getDefaultState();
 
-    try {
-      localStorage.removeItem(CONFIG.LOCAL_STORAGE_KEYS.COURSE_STATE);
-    } catch (error) {
-      console.warn("Failed to clear localStorage:", error);
+    // ADDED: A library course stays in the library, emptied
+    if (this.courseId) {
+      this.saveState();
+    } else {
+      try {
+        localStorage.removeItem(CONFIG.LOCAL_STORAGE_KEYS.COURSE_STATE);
+      } catch (error) {
+        console.warn("Failed to clear localStorage:", error);
+      }
     }
 
+    this.clearHistory(); // ADDED: Nothing to undo in a fresh course
+
     // Notify all listeners of the reset
+    this.notifyAllListeners();
+
+    if (CONFIG.DEBUG.ENABLED) {
+      console.log(`🗑️ State cleared (removed ${oldFiles.length} files)`);
+    }
+  }
+
+  /**
+   * ADDED: Call every listener with the current value of its path
+   */
+  notifyAllListeners() {
     this.listeners.forEach((callbacks, path) => {
       const newValue = this.getState(path);
-      callbacks.forEach((callback) => {
+      Array.from(callbacks).forEach((callback) => {
         try {
           callback(newValue, undefined);
         } catch (error) {
@@ -298,15 +753,11 @@ class StateManager {
         }
       });
     });
-
-    if (CONFIG.DEBUG.ENABLED) {
-      console.log(`🗑️ State cleared (removed ${oldFiles.length} files)`);
-    }
   }
 
   /**
    * Load state from exported course data
-   * @param {Object} courseData - Exported course data
+   * @param {Object} courseData - Project file contents, see CourseFormat
    */
   loadFromCourseData(courseData) {
     try {
@@ -323,6 +774,9 @@ class StateManager {
         });
       }
 
+      // ADDED: History first, so chunks without one get a baseline
+      this.setState("revisions", courseData.revisions || {});
+
       if (courseData.chunks) {
         this.setState("chunks", courseData.chunks);
       }
@@ -340,6 +794,9 @@ class StateManager {
         this.setState("currentTab", "input");
       }
 
+      // ADDED: Undo steps belong to the course that was replaced
+      this.clearHistory();
+
       if (CONFIG.DEBUG.ENABLED) {
         console.log("📥 Course data loaded successfully");
       }
@@ -354,16 +811,10 @@ class StateManager {
 
   /**
    * Export current state as course data
-   * @returns {Object} Exportable course data
+   * @returns {Object} Project file contents (CourseFormat, current version)
    */
   exportCourseData() {
-    return {
-      version: "1.0",
-      exportedAt: new Date().toISOString(),
-      courseConfig: this.getState("courseConfig"),
-      chunks: this.getState("chunks"),
-      generatedSlides: this.getState("generatedSlides"),
-    };
+    return CourseFormat.create(this.state);
   }
 
   /**
@@ -441,7 +892,11 @@ class StateManager {
 
     // Save on page unload
     window.addEventListener("beforeunload", () => {
-      this.saveState();
+      if (this.courseId) {
+        this.flushSave();
+      } else {
+        this.saveState();
+      }
     });
   }
 
@@ -0,0 +1,293 @@
+/**
+ * Course Forge MVP - Narration Audio Renderer
+ * Renders each slide's audio script to an audio file at export time, through
+ * a pluggable text-to-speech backend, so exported courses sound the same on
+ * every learner's machine. Each file comes with WebVTT captions.
+ */
+
+/**
+ * Backend registry. Each backend describes one text-to-speech service:
+ * - extension: file extension of the audio it returns
+ * - getSettings: request settings from the export settings and app state
+ * - synthesize: renders text to audio, resolving to a Uint8Array, or to
+ *   {audio, words} when the engine reports word timings ([{start, end}]
+ *   seconds per word of the text), which then time the captions
+ */
+const TTS_BACKENDS = {
+  local: {
+    id: "local",
+    label: "Local engine (tools/tts-server.js)",
+    extension: "wav",
+
+    getSettings(settings) {
+      return {
+        baseUrl: (settings.serverUrl || CONFIG.TTS.LOCAL_SERVER_URL).replace(
+          /\/+$/,
+          ""
+        ),
+        voice: settings.voice || "",
+      };
+    },
+
+    async synthesize(text, settings) {
+      let response;
+      try {
+        response = await fetch(`${settings.baseUrl}/synthesize`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ text, voice: settings.voice }),
+        });
+      } catch (error) {
+        throw new Error(
+          `Could not reach the local speech engine at ${settings.baseUrl}. ` +
+            "Is tools/tts-server.js running?"
+        );
+      }
+      return TTSRenderer.readAudio(response, "Local speech engine");
+    },
+  },
+
+  openai: {
+    id: "openai",
+    label: "OpenAI text-to-speech",
+    extension: "mp3",
+
+    // Uses the OpenAI key from the provider settings
+    getSettings(settings, llmService) {
+      const resolved = LLMProviders.resolveSettings(
+        llmService ? llmService.providerSettings : LLMProviders.loadSettings(),
+        "openai"
+      );
+      if (!resolved.apiKey && llmService) {
+        resolved.apiKey = llmService.localApiKeys.OPENAI_API_KEY || "";
+      }
+      if (!resolved.apiKey) {
+        throw new Error(
+          "OpenAI narration needs an OpenAI API key in the provider settings"
+        );
+      }
+
+      return { ...resolved, voice: settings.voice || CONFIG.TTS.OPENAI_VOICE };
+    },
+
+    async synthesize(text, settings) {
+      const response = await fetch(`${settings.baseUrl}/audio/speech`, {
+        method: "POST",
+        headers: LLMProviders.getBearerHeaders(settings),
+        body: JSON.stringify({
+          model: CONFIG.TTS.OPENAI_MODEL,
+          voice: settings.voice,
+          input: text,
+          response_format: "mp3",
+        }),
+      });
+      return TTSRenderer.readAudio(response, "OpenAI text-to-speech");
+    },
+  },
+};
+
+class TTSRenderer {
+  constructor(llmService = null) {
+    this.llmService = llmService;
+    // Rendered audio by backend, voice and text: re-exports skip the backend
+    this.cache = new Map();
+  }
+
+  /**
+   * Load the narration audio export settings
+   * @returns {Object} {backend, serverUrl, voice}; backend "" is off
+   */
+  static loadSettings() {
+    const defaults = { backend: "", serverUrl: "", voice: "" };
+
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.TTS_SETTINGS) || "null"
+      );
+      if (saved && (!saved.backend || TTS_BACKENDS[saved.backend])) {
+        return { ...defaults, ...saved };
+      }
+    } catch (error) {
+      console.warn("Failed to load narration audio settings:", error);
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Save the narration audio export settings
+   */
+  static saveSettings(settings) {
+    try {
+      localStorage.setItem(
+        CONFIG.LOCAL_STORAGE_KEYS.TTS_SETTINGS,
+        JSON.stringify(settings)
+      );
+    } catch (error) {
+      console.warn("Failed to save narration audio settings:", error);
+    }
+  }
+
+  /**
+   * All backends, in display order
+   */
+  static list() {
+    return Object.values(TTS_BACKENDS);
+  }
+
+  /**
+   * Render the audio scripts of slides with generated content
+   * @param {Array} slides - Export slides
+   * @param {Object} settings - {backend, serverUrl, voice}
+   * @param {Function} onProgress - Called with (rendered, total)
+   * @returns {Promise<Object>} {files: {path: Uint8Array|string},
+   *   narrations: {[slideId]: {src, duration, captions, cues}}}; duration is
+   *   in seconds, captions is the path of the WebVTT file
+   */
+  async renderCourse(slides, settings, onProgress = null) {
+    const backend = TTS_BACKENDS[settings.backend];
+    if (!backend) {
+      throw new Error(`Unknown text-to-speech backend: ${settings.backend}`);
+    }
+
+    const backendSettings = backend.getSettings(settings, this.llmService);
+    const narrated = slides.filter((slide) => this.getScript(slide));
+    const files = {};
+    const narrations = {};
+
+    for (let i = 0; i < narrated.length; i++) {
+      const slide = narrated[i];
+      const script = this.getScript(slide);
+      const { audio, duration, words } = await this.renderScript(
+        backend,
+        backendSettings,
+        script
+      );
+      const src = `audio/${String(slide.id).replace(/[^\w-]/g, "_")}.${
+        backend.extension
+      }`;
+      const captions = WebVTT.getPath(slide);
+      const cues = WebVTT.buildCues(script, { duration, words });
+
+      files[src] = audio;
+      files[captions] = WebVTT.toVtt(cues);
+      narrations[slide.id] = { src, duration, captions, cues };
+      if (onProgress) onProgress(i + 1, narrated.length);
+    }
+
+    return { files, narrations };
+  }
+
+  /**
+   * Render one script, or reuse the audio rendered for it before
+   */
+  async renderScript(backend, backendSettings, text) {
+    const key = [
+      backend.id,
+      backendSettings.baseUrl,
+      backendSettings.voice,
+      text,
+    ].join("\n");
+
+    if (!this.cache.has(key)) {
+      const result = await backend.synthesize(text, backendSettings);
+      const audio = result instanceof Uint8Array ? result : result.audio;
+      const words = result instanceof Uint8Array ? null : result.words;
+      const duration = await this.getDuration(audio, text);
+      this.cache.set(key, { audio, duration, words });
+    }
+
+    return this.cache.get(key);
+  }
+
+  /**
+   * Audio script of a slide, or "" when it has none
+   */
+  getScript(slide) {
+    const content = slide.generatedContent;
+    return content && typeof content.audioScript === "string"
+      ? content.audioScript.trim()
+      : "";
+  }
+
+  /**
+   * Length of rendered audio in seconds: read from WAV headers, decoded
+   * for other formats, estimated from the text when neither works
+   */
+  async getDuration(audio, text) {
+    const wavDuration = TTSRenderer.getWavDuration(audio);
+    if (wavDuration !== null) return wavDuration;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (AudioContextClass) {
+      const context = new AudioContextClass();
+      try {
+        // decodeAudioData detaches the buffer it is given
+        const decoded = await context.decodeAudioData(audio.slice().buffer);
+        return Math.round(decoded.duration * 10) / 10;
+      } catch (error) {
+        console.warn("Could not measure narration audio:", error);
+      } finally {
+        if (context.close) context.close();
+      }
+    }
+
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return Math.round((words / CONFIG.TTS.WORDS_PER_MINUTE) * 600) / 10;
+  }
+
+  /**
+   * Duration of a WAV file from its fmt and data chunks, or null when the
+   * bytes are not WAV. Engines that stream to stdout can't seek back to
+   * write the data size, so it is capped at the bytes actually present.
+   */
+  static getWavDuration(audio) {
+    const text = (offset) =>
+      String.fromCharCode(...audio.subarray(offset, offset + 4));
+    if (audio.length < 12 || text(0) !== "RIFF" || text(8) !== "WAVE") {
+      return null;
+    }
+
+    const view = new DataView(audio.buffer, audio.byteOffset, audio.length);
+    let byteRate = 0;
+    let offset = 12;
+
+    while (offset + 8 <= audio.length) {
+      const id = text(offset);
+      const size = view.getUint32(offset + 4, true);
+
+      if (id === "fmt " && offset + 20 <= audio.length) {
+        byteRate = view.getUint32(offset + 16, true);
+      } else if (id === "data") {
+        if (!byteRate) return null;
+        const dataBytes = Math.min(size, audio.length - offset - 8);
+        return Math.round((dataBytes / byteRate) * 10) / 10;
+      }
+      offset += 8 + size + (size % 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * Audio bytes of a backend response; failures become errors carrying the
+   * backend's message
+   */
+  static async readAudio(response, backendLabel) {
+    if (!response.ok) {
+      let message = `${response.status} ${response.statusText}`;
+      try {
+        const data = await response.json();
+        const error = data && data.error;
+        message = (error && error.message) || error || message;
+      } catch (error) {
+        // Not JSON; keep the status
+      }
+      throw new Error(`${backendLabel} failed: ${message}`);
+    }
+
+    return new Uint8Array(await response.arrayBuffer());
+  }
+}
+
+window.TTSRenderer = TTSRenderer;
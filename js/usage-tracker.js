@@ -0,0 +1,160 @@
+/**
+ * Course Forge MVP - Usage Tracker
+ * Counts tokens and cost of generation requests against a per-course budget
+ */
+
+class UsageTracker {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * Rough token count for a piece of text
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || "").length / CONFIG.USAGE.CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Price of a model in USD per million tokens, or null when unknown
+   * @returns {Object|null} {input, output}
+   */
+  static getPricing(model) {
+    if (!model) return null;
+
+    const pricing = CONFIG.AI_MODEL_PRICING;
+    if (pricing[model]) return pricing[model];
+
+    // Providers report dated snapshots, e.g. "gpt-4o-2024-08-06"
+    const base = Object.keys(pricing)
+      .filter((id) => model.startsWith(`${id}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    return base ? pricing[base] : null;
+  }
+
+  /**
+   * Cost in USD of a request, or null when the model has no price
+   */
+  static calculateCost(model, promptTokens, completionTokens) {
+    const pricing = this.getPricing(model);
+    if (!pricing) return null;
+
+    return (
+      (promptTokens * pricing.input + completionTokens * pricing.output) /
+      1000000
+    );
+  }
+
+  /**
+   * Format a cost for display
+   */
+  static formatCost(cost) {
+    if (cost === null || cost === undefined) return "n/a";
+    if (cost > 0 && cost < 0.01) return `$${cost.toFixed(4)}`;
+    return `$${cost.toFixed(2)}`;
+  }
+
+  /**
+   * Usage recorded for the current course
+   * @returns {Object} {promptTokens, completionTokens, cost, requests,
+   *   cachedRequests, unpricedRequests}
+   */
+  getUsage() {
+    return {
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      requests: 0,
+      cachedRequests: 0,
+      unpricedRequests: 0,
+      ...(this.stateManager.getState("courseConfig.usage") || {}),
+    };
+  }
+
+  /**
+   * Add an LLM response's usage to the course totals. Cached responses
+   * cost nothing and are only counted.
+   * @returns {Object} {promptTokens, completionTokens, cost, estimated}
+   */
+  record(response) {
+    const totals = this.getUsage();
+
+    if (response.cached) {
+      totals.cachedRequests++;
+      this.stateManager.setState("courseConfig.usage", totals);
+      return {
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        estimated: false,
+      };
+    }
+
+    const usage = response.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    // Responses name the dated snapshot (e.g. claude-sonnet-4-20250514)
+    // while prices are keyed by the alias that was requested
+    const model = UsageTracker.getPricing(response.model)
+      ? response.model
+      : response.requestedModel || response.model;
+    const cost = UsageTracker.calculateCost(
+      model,
+      promptTokens,
+      completionTokens
+    );
+
+    totals.promptTokens += promptTokens;
+    totals.completionTokens += completionTokens;
+    totals.requests++;
+    if (cost === null) {
+      totals.unpricedRequests++;
+    } else {
+      totals.cost += cost;
+    }
+
+    this.stateManager.setState("courseConfig.usage", totals);
+
+    return {
+      promptTokens,
+      completionTokens,
+      cost,
+      estimated: !!usage.estimated,
+    };
+  }
+
+  /**
+   * Course budget in USD, or null when unlimited
+   */
+  getBudget() {
+    const budget = parseFloat(
+      this.stateManager.getState("courseConfig.budgetUsd")
+    );
+    return budget > 0 ? budget : null;
+  }
+
+  /**
+   * Budget left in USD, or null when unlimited
+   */
+  getRemainingBudget() {
+    const budget = this.getBudget();
+    if (budget === null) return null;
+    return Math.max(0, budget - this.getUsage().cost);
+  }
+
+  /**
+   * Whether the course has spent its budget
+   */
+  isOverBudget() {
+    return this.getRemainingBudget() === 0;
+  }
+
+  /**
+   * Forget the usage recorded so far
+   */
+  reset() {
+    this.stateManager.setState("courseConfig.usage", null);
+  }
+}
+
+window.UsageTracker = UsageTracker;
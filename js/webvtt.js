@@ -0,0 +1,129 @@
+/**
+ * Course Forge MVP - WebVTT Captions
+ * Splits a narration script into caption cues and writes them as WebVTT.
+ * Cues are timed from the speech engine's word timings when it reports
+ * them, otherwise from the speaking rate: measured narration length spread
+ * over the script by length, or the configured words per minute.
+ */
+
+class WebVTT {
+  /**
+   * Caption cues of a narration script
+   * @param {string} text - Audio script
+   * @param {Object} timing - {duration} seconds of narration, {words}
+   *   [{start, end}] seconds per word of the script in order
+   * @returns {Array} [{start, end, text}], times in seconds
+   */
+  static buildCues(text, timing = {}) {
+    const words = (text || "").trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const groups = this.groupWords(words);
+    const wordTimings = timing.words;
+
+    if (Array.isArray(wordTimings) && wordTimings.length === words.length) {
+      return groups.map(({ first, last }) => ({
+        start: wordTimings[first].start,
+        end: wordTimings[last].end,
+        text: words.slice(first, last + 1).join(" "),
+      }));
+    }
+
+    // Speaking-rate estimate: cues take time in proportion to their length
+    const duration =
+      timing.duration > 0
+        ? timing.duration
+        : (words.length / CONFIG.TTS.WORDS_PER_MINUTE) * 60;
+    const cueTexts = groups.map(({ first, last }) =>
+      words.slice(first, last + 1).join(" ")
+    );
+    const totalLength = cueTexts.reduce((sum, cue) => sum + cue.length, 0);
+    let start = 0;
+
+    return cueTexts.map((cueText, index) => {
+      const end =
+        index === cueTexts.length - 1
+          ? duration
+          : start + (duration * cueText.length) / totalLength;
+      const cue = { start, end, text: cueText };
+      start = end;
+      return cue;
+    });
+  }
+
+  /**
+   * Split words into cues: one per sentence, with long sentences broken
+   * (after a comma where possible) to fit CONFIG.TTS.CAPTION_MAX_CHARS
+   * @returns {Array} [{first, last}] word indexes of each cue
+   */
+  static groupWords(words) {
+    const maxChars = CONFIG.TTS.CAPTION_MAX_CHARS;
+    const groups = [];
+    let first = 0;
+    let length = 0;
+
+    words.forEach((word, index) => {
+      length += (index > first ? 1 : 0) + word.length;
+
+      const next = words[index + 1];
+      const isLast = next === undefined;
+      const endsSentence = /[.!?]["')\]]*$/.test(word);
+      const wouldOverflow = !isLast && length + 1 + next.length > maxChars;
+      const breaksAtComma = /[,;:]$/.test(word) && length > maxChars / 2;
+
+      if (isLast || endsSentence || wouldOverflow || breaksAtComma) {
+        groups.push({ first, last: index });
+        first = index + 1;
+        length = 0;
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * WebVTT file of caption cues
+   */
+  static toVtt(cues) {
+    const blocks = cues.map(
+      (cue, index) =>
+        `${index + 1}\n${this.formatTimestamp(cue.start)} --> ` +
+        `${this.formatTimestamp(cue.end)}\n${this.escapeText(cue.text)}`
+    );
+
+    return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+  }
+
+  /**
+   * Seconds as a WebVTT timestamp, e.g. 00:01:02.500
+   */
+  static formatTimestamp(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+    return (
+      `${pad(Math.floor(totalMs / 3600000))}:` +
+      `${pad(Math.floor(totalMs / 60000) % 60)}:` +
+      `${pad(Math.floor(totalMs / 1000) % 60)}.${pad(totalMs % 1000, 3)}`
+    );
+  }
+
+  /**
+   * Cue text with the characters WebVTT reserves escaped
+   */
+  static escapeText(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Path of a slide's caption file in a course package
+   */
+  static getPath(slide) {
+    return `captions/${String(slide.id).replace(/[^\w-]/g, "_")}.vtt`;
+  }
+}
+
+window.WebVTT = WebVTT;
@@ -0,0 +1,314 @@
+/**
+ * Course Forge MVP - xAPI Tracker
+ * Builds the xAPI (Tin Can) runtime injected into exported courses.
+ * Statements are queued in the learner's browser and flushed to the LRS when online.
+ */
+
+class XAPITracker {
+  /**
+   * @param {Object} settings - {endpoint, auth, activityId}
+   *   endpoint: LRS base URL (statements are posted to `${endpoint}/statements`)
+   *   auth: "user:password", "Basic ..." or "Bearer ..." (embedded in the export)
+   *   activityId: optional course activity IRI
+   */
+  constructor(settings = {}) {
+    const endpoint = (settings.endpoint || "").trim();
+
+    if (!endpoint) {
+      throw new Error("LRS endpoint is required for xAPI tracking");
+    }
+
+    try {
+      new URL(endpoint);
+    } catch (error) {
+      throw new Error(`Invalid LRS endpoint: ${endpoint}`);
+    }
+
+    this.endpoint = endpoint.replace(/\/+$/, "");
+    this.auth = XAPITracker.normalizeAuth(settings.auth);
+    this.activityId = (settings.activityId || "").trim();
+  }
+
+  /**
+   * Convert "user:password" credentials to a Basic auth header value
+   */
+  static normalizeAuth(auth) {
+    const value = (auth || "").trim();
+    if (!value) return "";
+    if (/^(Basic|Bearer)\s/i.test(value)) return value;
+    if (value.includes(":")) return `Basic ${btoa(value)}`;
+    return `Basic ${value}`;
+  }
+
+  /**
+   * Build the course activity IRI
+   */
+  getCourseActivityId(courseData) {
+    if (this.activityId) return this.activityId;
+
+    const slug = (courseData.course.title || "course")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+    return `urn:courseforge:course:${slug || "course"}`;
+  }
+
+  /**
+   * Get the runtime script injected into the exported course.
+   * Launch parameters (endpoint, auth, actor, registration) in the page URL
+   * override the export-time settings, matching the common xAPI launch convention.
+   */
+  getRuntimeScript(courseData) {
+    const settings = {
+      endpoint: this.endpoint,
+      auth: this.auth,
+      courseId: this.getCourseActivityId(courseData),
+      courseTitle: courseData.course.title || "Course",
+      courseDescription: (courseData.course.learningObjectives || []).join("; "),
+      version: CONFIG.EXPORT.XAPI_VERSION,
+    };
+
+    // Escape "</" so the JSON can't close the surrounding script tag
+    const settingsJson = JSON.stringify(settings).replace(/<\//g, "<\\/");
+
+    return `
+      (function() {
+        var settings = ${settingsJson};
+        var queueKey = 'xapiQueue:' + settings.courseId;
+        var actorKey = 'xapiActor';
+        var sessionStart = Date.now();
+        var flushing = false;
+
+        var params = new URLSearchParams(window.location.search);
+        var endpoint = (params.get('endpoint') || settings.endpoint).replace(/\\/+$/, '');
+        var auth = params.get('auth') || settings.auth;
+        var registration = params.get('registration');
+
+        function createUUID() {
+          if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+          }
+          return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            var r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+          });
+        }
+
+        function getActor() {
+          try {
+            if (params.get('actor')) {
+              return JSON.parse(params.get('actor'));
+            }
+            var saved = localStorage.getItem(actorKey);
+            if (saved) return JSON.parse(saved);
+
+            var actor = {
+              objectType: 'Agent',
+              name: 'Anonymous Learner',
+              account: { homePage: window.location.origin || 'urn:courseforge', name: createUUID() }
+            };
+            localStorage.setItem(actorKey, JSON.stringify(actor));
+            return actor;
+          } catch (e) {
+            return { objectType: 'Agent', account: { homePage: 'urn:courseforge', name: createUUID() } };
+          }
+        }
+
+        var actor = getActor();
+
+        function verb(name) {
+          var display = {};
+          display['en-US'] = name;
+          return { id: 'http://adlnet.gov/expapi/verbs/' + name, display: display };
+        }
+
+        function langMap(text) {
+          var map = {};
+          map['en-US'] = text || '';
+          return map;
+        }
+
+        function getSectionTitle(sectionIndex) {
+          var section = document.getElementById('section-' + sectionIndex);
+          var heading = section ? section.querySelector('h1, h2, h3') : null;
+          return heading ? heading.textContent.trim() : 'Section ' + (sectionIndex + 1);
+        }
+
+        function sectionActivity(sectionIndex, type) {
+          return {
+            objectType: 'Activity',
+            id: settings.courseId + '/section-' + sectionIndex,
+            definition: {
+              name: langMap(getSectionTitle(sectionIndex)),
+              type: type || 'http://adlnet.gov/expapi/activities/module'
+            }
+          };
+        }
+
+        function courseActivity() {
+          return {
+            objectType: 'Activity',
+            id: settings.courseId,
+            definition: {
+              name: langMap(settings.courseTitle),
+              description: langMap(settings.courseDescription),
+              type: 'http://adlnet.gov/expapi/activities/course'
+            }
+          };
+        }
+
+        function buildContext(includeParent) {
+          var context = {};
+          if (registration) context.registration = registration;
+          if (includeParent) {
+            context.contextActivities = { parent: [{ objectType: 'Activity', id: settings.courseId }] };
+          }
+          return context;
+        }
+
+        function buildScore(score) {
+          if (!score || score.total === 0) return null;
+          return {
+            scaled: Math.round((score.correct / score.total) * 100) / 100,
+            raw: score.correct,
+            min: 0,
+            max: score.total
+          };
+        }
+
+        function formatDuration(ms) {
+          return 'PT' + Math.round(ms / 1000) + 'S';
+        }
+
+        function loadQueue() {
+          try {
+            return JSON.parse(localStorage.getItem(queueKey) || '[]');
+          } catch (e) {
+            return [];
+          }
+        }
+
+        function saveQueue(queue) {
+          try {
+            localStorage.setItem(queueKey, JSON.stringify(queue));
+          } catch (e) {
+            // Ignore localStorage errors
+          }
+        }
+
+        function enqueue(statement) {
+          statement.id = createUUID();
+          statement.actor = actor;
+          statement.timestamp = new Date().toISOString();
+
+          var queue = loadQueue();
+          queue.push(statement);
+          saveQueue(queue);
+          flush();
+        }
+
+        function flush(keepalive) {
+          if (flushing || !navigator.onLine) return;
+
+          var queue = loadQueue();
+          if (queue.length === 0) return;
+
+          var headers = {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': settings.version
+          };
+          if (auth) headers['Authorization'] = auth;
+
+          flushing = true;
+          fetch(endpoint + '/statements', {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(queue),
+            keepalive: !!keepalive
+          })
+            .then(function(response) {
+              if (!response.ok) {
+                throw new Error('LRS responded with ' + response.status);
+              }
+              // Drop only the statements that were sent; new ones may have been queued
+              var sentIds = queue.map(function(s) { return s.id; });
+              saveQueue(loadQueue().filter(function(s) { return sentIds.indexOf(s.id) === -1; }));
+            })
+            .catch(function(error) {
+              console.warn('xAPI statements queued for later:', error.message);
+            })
+            .then(function() {
+              flushing = false;
+            });
+        }
+
+        window.addEventListener('online', function() { flush(); });
+        setInterval(flush, 30000);
+
+        window.courseTrackers = window.courseTrackers || [];
+        window.courseTrackers.push({
+          sectionViewed: function(data) {
+            enqueue({
+              verb: verb('experienced'),
+              object: sectionActivity(data.sectionIndex),
+              context: buildContext(true)
+            });
+          },
+
+          questionAnswered: function(data) {
+            var activity = sectionActivity(data.sectionIndex, 'http://adlnet.gov/expapi/activities/cmi.interaction');
+            activity.definition.interactionType = 'choice';
+            if (data.question) activity.definition.description = langMap(data.question);
+
+            enqueue({
+              verb: verb('answered'),
+              object: activity,
+              result: {
+                success: !!data.correct,
+                response: String(data.selectedIndex),
+                score: { scaled: data.correct ? 1 : 0, raw: data.correct ? 1 : 0, min: 0, max: 1 }
+              },
+              context: buildContext(true)
+            });
+          },
+
+          interacted: function(data) {
+            var activity = sectionActivity(data.sectionIndex, 'http://adlnet.gov/expapi/activities/interaction');
+            activity.id += '/' + data.interaction + '-' + data.itemIndex;
+            if (data.label) activity.definition.name = langMap(data.label);
+
+            enqueue({
+              verb: verb('interacted'),
+              object: activity,
+              context: buildContext(true)
+            });
+          },
+
+          courseCompleted: function(data) {
+            var result = { completion: true, duration: formatDuration(Date.now() - sessionStart) };
+            var score = buildScore(data.score);
+            if (score) result.score = score;
+
+            enqueue({
+              verb: verb('completed'),
+              object: courseActivity(),
+              result: result,
+              context: buildContext(false)
+            });
+          },
+
+          sessionEnded: function() {
+            flush(true);
+          }
+        });
+
+        // Send anything left over from a previous offline session
+        flush();
+      })();
+    `;
+  }
+}
+
+// Make available globally
+window.XAPITracker = XAPITracker;
@@ -0,0 +1,208 @@
+/**
+ * Course Forge MVP - Zip Archive
+ * Minimal ZIP reader/writer used for export packages and Office document parsing
+ * without external libraries
+ */
+
+class ZipArchive {
+  /**
+   * Build a ZIP file from a map of path -> content (string or Uint8Array)
+   * Entries are stored uncompressed, which every LMS and unzip tool accepts
+   * @returns {Blob}
+   */
+  static create(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = ZipArchive.toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([path, content]) => {
+      const name = encoder.encode(path);
+      const data =
+        content instanceof Uint8Array ? content : encoder.encode(String(content));
+      const crc = ZipArchive.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // Stored (no compression)
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint16(30, 0, true); // Extra field length
+      central.setUint16(32, 0, true); // Comment length
+      central.setUint16(34, 0, true); // Disk number
+      central.setUint16(36, 0, true); // Internal attributes
+      central.setUint32(38, 0, true); // External attributes
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const entryCount = Object.keys(files).length;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, entryCount, true);
+    end.setUint16(10, entryCount, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(
+      [...localParts, ...centralParts, new Uint8Array(end.buffer)],
+      { type: "application/zip" }
+    );
+  }
+
+  /**
+   * Read entries from a ZIP file
+   * @param {ArrayBuffer} arrayBuffer - ZIP file contents
+   * @param {Function} filter - Optional (path) => boolean to limit which entries are extracted
+   * @param {number} maxTotalSize - Maximum total uncompressed size (zip bomb guard)
+   * @returns {Promise<Object>} Map of path -> Uint8Array
+   */
+  static async read(arrayBuffer, filter = null, maxTotalSize = 100 * 1024 * 1024) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+
+    // Locate the end of central directory record (scan back past any comment)
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        endOffset = i;
+        break;
+      }
+    }
+
+    if (endOffset < 0) {
+      throw new Error("Invalid ZIP file: end of central directory not found");
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder("utf-8");
+    const entries = {};
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error("Invalid ZIP file: corrupt central directory");
+      }
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = decoder.decode(
+        bytes.subarray(offset + 46, offset + 46 + nameLength)
+      );
+
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (path.endsWith("/") || (filter && !filter(path))) {
+        continue;
+      }
+
+      totalSize += size;
+      if (totalSize > maxTotalSize) {
+        throw new Error("ZIP contents exceed the maximum allowed size");
+      }
+
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        entries[path] = data.slice();
+      } else if (method === 8) {
+        entries[path] = await ZipArchive.inflate(data);
+      } else {
+        console.warn(`Skipping ZIP entry with unsupported compression: ${path}`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Inflate raw DEFLATE data using the browser's DecompressionStream
+   */
+  static async inflate(data) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser does not support DecompressionStream");
+    }
+
+    const stream = new Blob([data])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    const buffer = await new Response(stream).arrayBuffer();
+    return new Uint8Array(buffer);
+  }
+
+  /**
+   * Calculate CRC-32 checksum of a byte array
+   */
+  static crc32(bytes) {
+    if (!ZipArchive.crcTable) {
+      ZipArchive.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipArchive.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert a Date to MS-DOS time/date fields
+   */
+  static toDosDateTime(value) {
+    return {
+      time:
+        (value.getHours() << 11) |
+        (value.getMinutes() << 5) |
+        Math.floor(value.getSeconds() / 2),
+      date:
+        ((value.getFullYear() - 1980) << 9) |
+        ((value.getMonth() + 1) << 5) |
+        value.getDate(),
+    };
+  }
+}
+
+// Make available globally
+window.ZipArchive = ZipArchive;
@@ -0,0 +1,382 @@
+/**
+ * Course Forge MVP - Collaboration Server
+ * Relays chunk edits between Course Forge windows working on the same
+ * course. Every chunk field is a last-writer-wins register: the server keeps
+ * the newest write of each register per room, sends all of them to editors
+ * who join (so edits made offline meet the edits made meanwhile) and
+ * forwards new writes to the other editors. It also shares which chunk each
+ * editor is working on, for presence indicators and soft-locks.
+ *
+ * Usage: node tools/collab-server.js [port] [--host address]
+ * Then choose "Collaborate" in Course Forge and connect to
+ * ws://localhost:<port>. Rooms are kept in memory only and freed when their
+ * last editor leaves; editors send all their edits again when they join.
+ *
+ * There is no authentication: anyone who can reach the server can join any
+ * room. It listens on localhost unless given a host, e.g. --host 0.0.0.0 to
+ * collaborate across a trusted network.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const args = process.argv.slice(2);
+const hostIndex = args.indexOf("--host");
+const HOST =
+  (hostIndex >= 0 ? args.splice(hostIndex, 2)[1] : process.env.HOST) ||
+  "127.0.0.1";
+const PORT = parseInt(args[0] || process.env.PORT || "8090", 10);
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024;
+// Editors who stop reporting presence (closed laptop, frozen tab) lose
+// their soft-locks after this long
+const PRESENCE_TTL_MS = 30000;
+
+const rooms = new Map(); // name -> {name, registers: Map, clients: Set}
+
+function getRoom(name) {
+  if (!rooms.has(name)) {
+    rooms.set(name, { name, registers: new Map(), clients: new Set() });
+  }
+  return rooms.get(name);
+}
+
+// Clocks are [lamport time, site id]; the site id breaks ties
+function isNewer(clock, existing) {
+  return (
+    !existing ||
+    clock[0] > existing[0] ||
+    (clock[0] === existing[0] && clock[1] > existing[1])
+  );
+}
+
+function isValidOp(op) {
+  return (
+    op &&
+    typeof op.chunkId === "string" &&
+    typeof op.field === "string" &&
+    Array.isArray(op.clock) &&
+    Number.isInteger(op.clock[0]) &&
+    typeof op.clock[1] === "string"
+  );
+}
+
+/**
+ * Store the writes that are newer than the room's registers
+ * @returns {Object} {accepted, winners}: winners are the stored writes that
+ *   beat rejected ones, which the sender has to adopt
+ */
+function applyOps(room, ops) {
+  const accepted = [];
+  const winners = [];
+
+  (Array.isArray(ops) ? ops : []).filter(isValidOp).forEach((op) => {
+    const key = `${op.chunkId}\n${op.field}`;
+    const existing = room.registers.get(key);
+
+    if (isNewer(op.clock, existing && existing.clock)) {
+      room.registers.set(key, op);
+      accepted.push(op);
+    } else if (isNewer(existing.clock, op.clock)) {
+      winners.push(existing);
+    }
+  });
+
+  return { accepted, winners };
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  return Buffer.concat([header, payload]);
+}
+
+function send(client, message) {
+  if (client.closed || !client.socket.writable) return;
+  client.socket.write(
+    encodeFrame(0x1, Buffer.from(JSON.stringify(message), "utf8"))
+  );
+}
+
+function broadcast(room, message, except) {
+  room.clients.forEach((client) => {
+    if (client !== except) send(client, message);
+  });
+}
+
+function getPresence(room) {
+  const now = Date.now();
+
+  return Array.from(room.clients)
+    .filter((client) => client.user)
+    .map((client) => ({
+      ...client.user,
+      chunkId:
+        client.chunkId && now - client.seenAt < PRESENCE_TTL_MS
+          ? client.chunkId
+          : null,
+    }));
+}
+
+function broadcastPresence(room) {
+  broadcast(room, { type: "presence", users: getPresence(room) });
+}
+
+function join(client, message) {
+  const user = message.user || {};
+  if (typeof message.room !== "string" || !message.room.trim()) {
+    send(client, { type: "error", message: "A room name is required" });
+    return;
+  }
+  if (typeof user.id !== "string" || !user.id) {
+    send(client, { type: "error", message: "A user id is required" });
+    return;
+  }
+
+  leaveRoom(client);
+
+  const room = getRoom(message.room.trim());
+  client.room = room;
+  client.user = {
+    id: user.id,
+    name: String(user.name || "Anonymous").slice(0, 60),
+    color: /^#[0-9a-f]{6}$/i.test(user.color) ? user.color : "#6b7280",
+  };
+  client.chunkId = null;
+  room.clients.add(client);
+
+  // The joining editor's registers include edits made while offline
+  const { accepted } = applyOps(room, message.ops);
+  send(client, {
+    type: "snapshot",
+    ops: Array.from(room.registers.values()),
+    users: getPresence(room),
+  });
+  if (accepted.length > 0) {
+    broadcast(room, { type: "ops", ops: accepted }, client);
+  }
+  broadcastPresence(room);
+
+  console.log(
+    `👋 ${client.user.name} joined "${room.name}" ` +
+      `(${room.clients.size} editing, ${accepted.length} changes merged)`
+  );
+}
+
+function leaveRoom(client) {
+  const room = client.room;
+  if (!room) return;
+
+  room.clients.delete(client);
+  client.room = null;
+  broadcastPresence(room);
+
+  console.log(`👋 ${client.user.name} left "${room.name}"`);
+
+  if (room.clients.size === 0 && rooms.get(room.name) === room) {
+    rooms.delete(room.name);
+  }
+}
+
+function handleMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    send(client, { type: "error", message: "Messages must be JSON" });
+    return;
+  }
+
+  if (message.type === "join") {
+    join(client, message);
+    return;
+  }
+
+  const room = client.room;
+  if (!room) {
+    send(client, { type: "error", message: "Join a room first" });
+    return;
+  }
+
+  if (message.type === "ops") {
+    const { accepted, winners } = applyOps(room, message.ops);
+    if (accepted.length > 0) {
+      broadcast(room, { type: "ops", ops: accepted }, client);
+    }
+    if (winners.length > 0) {
+      send(client, { type: "ops", ops: winners });
+    }
+  } else if (message.type === "presence") {
+    client.chunkId =
+      typeof message.chunkId === "string" ? message.chunkId : null;
+    client.seenAt = Date.now();
+    broadcastPresence(room);
+  }
+}
+
+function closeClient(client, code = 1000) {
+  if (client.closed) return;
+
+  if (client.socket.writable) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    client.socket.write(encodeFrame(0x8, payload));
+    client.socket.end();
+  }
+  client.closed = true;
+  leaveRoom(client);
+}
+
+function readFrames(client, data) {
+  client.buffer = Buffer.concat([client.buffer, data]);
+
+  while (client.buffer.length >= 2 && !client.closed) {
+    const buffer = client.buffer;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    // Browsers always mask their frames
+    if (!masked) {
+      closeClient(client, 1002);
+      return;
+    }
+    if (length + client.fragmentBytes > MAX_MESSAGE_BYTES) {
+      closeClient(client, 1009);
+      return;
+    }
+    if (buffer.length < offset + 4 + length) return;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(
+      buffer.subarray(offset + 4, offset + 4 + length)
+    );
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    client.buffer = buffer.subarray(offset + 4 + length);
+
+    if (opcode === 0x8) {
+      closeClient(client);
+    } else if (opcode === 0x9) {
+      client.socket.write(encodeFrame(0xa, payload));
+    } else if (opcode === 0x0 || opcode === 0x1) {
+      client.fragments.push(payload);
+      client.fragmentBytes += payload.length;
+
+      if (fin) {
+        const text = Buffer.concat(client.fragments).toString("utf8");
+        client.fragments = [];
+        client.fragmentBytes = 0;
+        handleMessage(client, text);
+      }
+    }
+  }
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      rooms: Array.from(rooms.values()).map((room) => ({
+        name: room.name,
+        editors: room.clients.size,
+        registers: room.registers.size,
+      })),
+    })
+  );
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n")
+  );
+  socket.setNoDelay(true);
+
+  const client = {
+    socket,
+    buffer: Buffer.alloc(0),
+    fragments: [],
+    fragmentBytes: 0,
+    room: null,
+    user: null,
+    chunkId: null,
+    seenAt: 0,
+    closed: false,
+  };
+
+  socket.on("data", (data) => {
+    try {
+      readFrames(client, data);
+    } catch (error) {
+      console.error("❌ Dropped connection:", error.message);
+      closeClient(client, 1011);
+    }
+  });
+  socket.on("close", () => closeClient(client));
+  socket.on("error", () => closeClient(client));
+});
+
+// Release soft-locks of editors who went quiet
+setInterval(() => {
+  const now = Date.now();
+
+  rooms.forEach((room) => {
+    const expired = Array.from(room.clients).filter(
+      (client) => client.chunkId && now - client.seenAt >= PRESENCE_TTL_MS
+    );
+    if (expired.length === 0) return;
+
+    expired.forEach((client) => {
+      client.chunkId = null;
+    });
+    broadcastPresence(room);
+  });
+}, 5000).unref();
+
+server.listen(PORT, HOST, () => {
+  console.log(`🤝 Collaboration server listening on ws://${HOST}:${PORT}`);
+});
@@ -0,0 +1,142 @@
+/**
+ * Course Forge MVP - Mock LRS
+ * Minimal in-memory Learning Record Store for testing xAPI exports locally.
+ *
+ * Usage: node tools/mock-lrs.js [port] [--host address]
+ * Then set the LRS endpoint in Course Forge to http://localhost:<port>/xapi
+ * and open the exported course. Statements are logged and can be listed at
+ * GET http://localhost:<port>/xapi/statements
+ *
+ * For testing only: there is no authentication, so it listens on localhost
+ * unless given a host, and keeps only the latest statements.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const args = process.argv.slice(2);
+const hostIndex = args.indexOf("--host");
+const HOST =
+  (hostIndex >= 0 ? args.splice(hostIndex, 2)[1] : process.env.HOST) ||
+  "127.0.0.1";
+const PORT = parseInt(args[0] || process.env.PORT || "8089", 10);
+const BASE_PATH = "/xapi";
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_STATEMENTS = 10000; // Older statements are dropped
+const statements = [];
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "X-Experience-API-Version": "1.0.3",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body, null, 2));
+}
+
+function setCorsHeaders(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-Experience-API-Version"
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      if (data.length + chunk.length > MAX_BODY_BYTES) {
+        const error = new Error("Request is too large");
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      data += chunk;
+    });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function storeStatement(statement) {
+  if (!statement.actor || !statement.verb || !statement.object) {
+    throw new Error("Statement requires actor, verb and object");
+  }
+
+  const stored = {
+    ...statement,
+    id: statement.id || crypto.randomUUID(),
+    stored: new Date().toISOString(),
+    timestamp: statement.timestamp || new Date().toISOString(),
+  };
+  statements.push(stored);
+  if (statements.length > MAX_STATEMENTS) {
+    statements.splice(0, statements.length - MAX_STATEMENTS);
+  }
+
+  const verb = stored.verb.display
+    ? Object.values(stored.verb.display)[0]
+    : stored.verb.id;
+  const result = stored.result
+    ? ` ${JSON.stringify(stored.result)}`
+    : "";
+  console.log(`📥 ${verb} ${stored.object.id}${result}`);
+
+  return stored.id;
+}
+
+const server = http.createServer(async (req, res) => {
+  setCorsHeaders(res);
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    if (url.pathname === `${BASE_PATH}/about`) {
+      sendJson(res, 200, { version: ["1.0.3"] });
+      return;
+    }
+
+    if (url.pathname !== `${BASE_PATH}/statements`) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    if (req.method === "GET") {
+      const verbFilter = url.searchParams.get("verb");
+      const filtered = verbFilter
+        ? statements.filter((s) => s.verb.id === verbFilter)
+        : statements;
+      sendJson(res, 200, { statements: filtered, more: "" });
+      return;
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      const body = JSON.parse((await readBody(req)) || "null");
+      const batch = Array.isArray(body) ? body : [body];
+      const ids = batch.map(storeStatement);
+
+      if (req.method === "PUT") {
+        sendJson(res, 204);
+      } else {
+        sendJson(res, 200, ids);
+      }
+      return;
+    }
+
+    sendJson(res, 405, { error: "Method not allowed" });
+  } catch (error) {
+    console.error("❌ Rejected request:", error.message);
+    sendJson(res, error.status || 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`🧪 Mock LRS listening on http://${HOST}:${PORT}${BASE_PATH}`);
+});
@@ -0,0 +1,203 @@
+/**
+ * Course Forge MVP - Local Text-to-Speech Server
+ * Renders narration for exports with a speech engine installed on this
+ * machine, so exported courses sound the same for every learner. Wraps the
+ * command-line engines espeak-ng (default) and Piper, which both write WAV.
+ *
+ * Usage: node tools/tts-server.js [port] [--engine espeak|piper]
+ *   [--host address]
+ * Piper needs a voice model: pass its path as the voice in Course Forge or
+ * set PIPER_MODEL. Then choose the local engine under "Narration Audio" in
+ * Course Forge's export settings and enter http://localhost:<port>.
+ *
+ * POST /synthesize {text, voice?} responds with audio/wav. Audio is rendered
+ * at the engine's normal speed; learners change the speed at playback.
+ *
+ * There is no authentication and every request runs the engine, so the
+ * server listens on localhost unless given a host, and runs a few
+ * syntheses at a time.
+ */
+
+const http = require("http");
+const { spawn } = require("child_process");
+
+const args = process.argv.slice(2);
+const engineIndex = args.indexOf("--engine");
+const ENGINE =
+  engineIndex >= 0 ? args.splice(engineIndex, 2)[1] : process.env.TTS_ENGINE;
+const hostIndex = args.indexOf("--host");
+const HOST =
+  (hostIndex >= 0 ? args.splice(hostIndex, 2)[1] : process.env.HOST) ||
+  "127.0.0.1";
+const PORT = parseInt(args[0] || process.env.PORT || "8091", 10);
+const MAX_TEXT_LENGTH = 20000;
+const SYNTHESIS_TIMEOUT_MS = 120000;
+const MAX_CONCURRENT_SYNTHESES = 2;
+
+// Command line of each engine; the WAV is read from stdout
+const ENGINES = {
+  espeak: ({ text, voice }) => ({
+    command: process.env.ESPEAK_PATH || "espeak-ng",
+    args: ["--stdout", "-v", voice || "en"],
+    input: text,
+  }),
+  piper: ({ text, voice }) => {
+    const model = voice || process.env.PIPER_MODEL;
+    if (!model) {
+      throw new Error("Piper needs a voice model (voice or PIPER_MODEL)");
+    }
+    return {
+      command: process.env.PIPER_PATH || "piper",
+      args: ["--model", model, "--output_file", "-"],
+      input: text,
+    };
+  },
+};
+
+const engineName = ENGINE || "espeak";
+if (!ENGINES[engineName]) {
+  console.error(`❌ Unknown engine "${engineName}" (use espeak or piper)`);
+  process.exit(1);
+}
+
+function synthesize(request) {
+  const { command, args: commandArgs, input } =
+    ENGINES[engineName](request);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, commandArgs);
+    const chunks = [];
+    let errorOutput = "";
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error("Speech synthesis timed out"));
+    }, SYNTHESIS_TIMEOUT_MS);
+
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      errorOutput += chunk;
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(
+        error.code === "ENOENT"
+          ? new Error(`${command} is not installed or not on the PATH`)
+          : error
+      );
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      const audio = Buffer.concat(chunks);
+      if (code !== 0 || audio.length === 0) {
+        reject(
+          new Error(errorOutput.trim() || `${command} exited with ${code}`)
+        );
+        return;
+      }
+      resolve(audio);
+    });
+
+    // Text goes through stdin, never the command line
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+let activeSyntheses = 0;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_TEXT_LENGTH * 4) {
+        reject(new Error("Request is too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  // Course Forge runs from another origin (or file://)
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === "GET") {
+    sendJson(res, 200, { engine: engineName });
+    return;
+  }
+
+  if (req.method !== "POST" || req.url !== "/synthesize") {
+    sendJson(res, 404, { error: "Use POST /synthesize" });
+    return;
+  }
+
+  let request;
+  try {
+    request = JSON.parse(await readBody(req));
+  } catch (error) {
+    sendJson(res, 400, { error: "The body must be JSON" });
+    return;
+  }
+
+  const text = typeof request.text === "string" ? request.text.trim() : "";
+  if (!text || text.length > MAX_TEXT_LENGTH) {
+    sendJson(res, 400, {
+      error: `text must have 1-${MAX_TEXT_LENGTH} characters`,
+    });
+    return;
+  }
+
+  const voice =
+    typeof request.voice === "string" ? request.voice.trim() : "";
+  // Voices are engine arguments: keep them to names and model paths
+  if (voice && !/^[\w./\\:+-]+$/.test(voice)) {
+    sendJson(res, 400, { error: "Invalid voice" });
+    return;
+  }
+
+  if (activeSyntheses >= MAX_CONCURRENT_SYNTHESES) {
+    res.setHeader("Retry-After", "5");
+    sendJson(res, 503, { error: "The speech engine is busy, try again" });
+    return;
+  }
+
+  activeSyntheses++;
+  try {
+    const audio = await synthesize({ text, voice });
+    res.writeHead(200, {
+      "Content-Type": "audio/wav",
+      "Content-Length": audio.length,
+    });
+    res.end(audio);
+    console.log(`🔊 Rendered ${text.split(/\s+/).length} words`);
+  } catch (error) {
+    console.error("❌ Synthesis failed:", error.message);
+    sendJson(res, 500, { error: error.message });
+  } finally {
+    activeSyntheses--;
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(
+    `🔊 Text-to-speech server (${engineName}) listening on ` +
+      `http://${HOST}:${PORT}`
+  );
+});